@@ -0,0 +1,18 @@
+/**
+ * Copia a functions los módulos compartidos con el frontend
+ * Cloud Functions solo despliega el directorio functions/, así que no puede
+ * importar de src/; la copia no se versiona (.gitignore)
+ */
+
+import { copyFileSync } from 'fs';
+
+// [origen en el frontend, destino en functions] relativos a la raíz del repositorio
+const SHARED_MODULES = [
+  ['src/core/validations/identity.js', 'functions/src/services/identity.js'],
+];
+
+const root = new URL('../../', import.meta.url);
+
+SHARED_MODULES.forEach(([from, to]) => {
+  copyFileSync(new URL(from, root), new URL(to, root));
+});
@@ -0,0 +1,110 @@
+/**
+ * Accumulation API
+ * Recalcula la acumulación móvil de seis meses por cliente y actividad
+ * (programada diariamente y bajo demanda por el tenant)
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { recomputeTenantAccumulations } from '../services/accumulation.js';
+import { logAuditAction } from '../triggers/audit.js';
+
+const db = getFirestore();
+
+/**
+ * Recalcular acumulaciones - Ejecución programada diaria
+ * La ventana avanza con el calendario: operaciones antiguas salen y las cargas
+ * con fechas retroactivas pueden provocar cruces de umbral en operaciones previas
+ */
+export const scheduledAccumulationRecompute = onSchedule(
+  {
+    schedule: '0 2 * * *', // Todos los días a las 2 AM
+    region: 'us-central1',
+    timeZone: 'America/Mexico_City',
+    timeoutSeconds: 540,
+  },
+  async () => {
+    logger.info('Starting scheduled accumulation recompute');
+
+    try {
+      const tenantsSnapshot = await db
+        .collection('tenants')
+        .where('status', '!=', 'SUSPENDED')
+        .get();
+
+      let totalClients = 0;
+      let totalUpgrades = 0;
+
+      for (const tenantDoc of tenantsSnapshot.docs) {
+        try {
+          const result = await recomputeTenantAccumulations(tenantDoc.id);
+          totalClients += result.clients;
+          totalUpgrades += result.riskUpgrades;
+
+          // Operaciones que subieron de semáforo por acumulación: notificar al tenant
+          if (result.riskUpgrades > 0) {
+            await db.collection('tenants').doc(tenantDoc.id).collection('notifications').add({
+              type: 'ACCUMULATION_ALERT',
+              title: 'Umbral alcanzado por acumulación',
+              message: `${result.riskUpgrades} operaciones cambiaron de semáforo por acumulación de seis meses. Revisa el módulo de Monitoreo.`,
+              read: false,
+              createdAt: new Date().toISOString(),
+            });
+          }
+        } catch (error) {
+          logger.error(`Error recomputing accumulations for tenant ${tenantDoc.id}:`, error);
+        }
+      }
+
+      logger.info('Accumulation recompute completed', {
+        tenantsProcessed: tenantsSnapshot.size,
+        totalClients,
+        totalUpgrades,
+      });
+    } catch (error) {
+      logger.error('Error in scheduled accumulation recompute:', error);
+    }
+  }
+);
+
+/**
+ * Recalcular acumulaciones del tenant bajo demanda
+ */
+export const runAccumulationRecompute = onCall(
+  { region: 'us-central1', timeoutSeconds: 300 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+
+    try {
+      const result = await recomputeTenantAccumulations(tenantId);
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'ACCUMULATION_RECOMPUTED',
+        details: result,
+      });
+
+      return {
+        success: true,
+        ...result,
+        message: `Acumulación recalculada para ${result.clients} clientes. ${result.riskUpgrades} operaciones cambiaron de semáforo.`,
+      };
+    } catch (error) {
+      logger.error('Error in runAccumulationRecompute:', error);
+      throw new HttpsError('internal', 'Error al recalcular la acumulación');
+    }
+  }
+);
+
+export default {
+  scheduledAccumulationRecompute,
+  runAccumulationRecompute,
+};
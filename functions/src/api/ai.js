@@ -7,6 +7,7 @@ import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { logger } from 'firebase-functions';
+import { ACTIVITY_RULES, loadUmaCatalog, resolveUma } from '../services/legal-rules.js';
 
 const db = getFirestore();
 
@@ -43,28 +44,36 @@ Formato de respuesta:
 - Sé directo y profesional
 - Incluye referencias a artículos de la ley cuando sea relevante`;
 
-// Información de referencia sobre umbrales
-const UMBRALES_INFO = `
+/**
+ * Información de referencia sobre umbrales, generada desde ACTIVITY_RULES
+ * y la UMA vigente del catálogo
+ */
+async function buildUmbralesInfo() {
+  const umaCatalog = await loadUmaCatalog();
+  const uma = resolveUma(umaCatalog);
+  const fmt = (n) => n.toLocaleString('es-MX', { maximumFractionDigits: 0 });
+
+  const lines = Object.values(ACTIVITY_RULES).map((rule, i) => {
+    const aviso = rule.siempreAvisar
+      ? 'Aviso en cualquier monto'
+      : `Aviso ${fmt(rule.umbralAvisoUMA)} UMA (~$${fmt(rule.umbralAvisoUMA * uma.valorDiario)} MXN)`;
+    const ident = rule.siempreIdentificar
+      ? 'identificación siempre'
+      : `identificación ${fmt(rule.umbralIdentificacionUMA)} UMA`;
+    const efectivo = rule.limiteEfectivoUMA !== null
+      ? `, efectivo máx. ${fmt(rule.limiteEfectivoUMA)} UMA (Art. 32)`
+      : '';
+    return `${i + 1}. Fracción ${rule.fraccion} — ${rule.descripcion}: ${aviso}; ${ident}${efectivo}`;
+  });
+
+  return `
 UMBRALES DE AVISO POR ACTIVIDAD VULNERABLE (Art. 17 LFPIORPI):
 
-1. Juegos y sorteos: $26,705 UMA (~$325,000 MXN)
-2. Tarjetas de servicios/crédito (no bancarias): $4,476 UMA (~$54,500 MXN)
-3. Operaciones con cheques de viajero: $4,476 UMA
-4. Préstamos entre particulares: $43,344 UMA (~$527,500 MXN)
-5. Inmuebles: Cualquier monto (siempre se presenta Aviso)
-6. Vehículos terrestres, aéreos, marítimos: $53,410 UMA (~$650,000 MXN)
-7. Joyería, relojes, piedras preciosas: $4,476 UMA
-8. Obras de arte: $17,036 UMA (~$207,400 MXN)
-9. Blindaje de vehículos: $32,050 UMA (~$390,200 MXN)
-10. Traslado/custodia de dinero: $26,705 UMA
-11. Servicios profesionales independientes: $13,352 UMA (~$162,500 MXN)
-12. Fe pública (notarios): Cualquier operación que supere umbrales
-13. Donativos: $26,705 UMA
-14. Servicios de comercio exterior: $4,476 UMA
-15. Constitución de derechos sobre inmuebles: Cualquier monto
-
-Valor UMA 2024: ~$108.57 MXN (actualizar según año fiscal)
+${lines.join('\n')}
+
+Valor UMA ${uma.year}: $${uma.valorDiario} MXN diarios (vigente desde ${uma.vigenteDesde})
 `;
+}
 
 /**
  * Chat con Gemini
@@ -110,7 +119,7 @@ export const chatWithGemini = onCall(
       let enrichedMessage = message;
       const umbralKeywords = ['umbral', 'monto', 'límite', 'cuánto', 'aviso', 'reportar'];
       if (umbralKeywords.some(keyword => message.toLowerCase().includes(keyword))) {
-        enrichedMessage = `${message}\n\nContexto de referencia:\n${UMBRALES_INFO}`;
+        enrichedMessage = `${message}\n\nContexto de referencia:\n${await buildUmbralesInfo()}`;
       }
 
       // Iniciar chat con historial
@@ -0,0 +1,130 @@
+/**
+ * Catalogs API
+ * Consulta de versiones de catálogos SAT/INEGI e importación del catálogo
+ * de códigos postales de SEPOMEX (importación solo super admins)
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { logger } from 'firebase-functions';
+import { CATALOG_VERSIONS, parseSepomexFile } from '../services/catalogs.js';
+
+const db = getFirestore();
+
+const BATCH_SIZE = 400;
+const SEPOMEX_PREFIX = 'catalogs/sepomex/';
+
+/**
+ * Versiones vigentes de los catálogos (estáticos + SEPOMEX importado)
+ */
+export const getCatalogInfo = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    try {
+      const sepomexDoc = await db.collection('catalogVersions').doc('sepomex').get();
+      return {
+        success: true,
+        catalogs: CATALOG_VERSIONS,
+        sepomex: sepomexDoc.exists ? sepomexDoc.data() : null,
+      };
+    } catch (error) {
+      logger.error('Error getting catalog info:', error);
+      throw new HttpsError('internal', 'Error al obtener los catálogos');
+    }
+  }
+);
+
+/**
+ * Importar el catálogo de SEPOMEX (CPdescarga.txt) subido a Storage (SUPER ADMIN ONLY)
+ * Reemplaza los códigos postales existentes y registra la versión importada.
+ */
+export const importPostalCodes = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '1GiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const role = request.auth.token.role;
+    if (role !== 'superadmin') {
+      logger.warn('Unauthorized postal code import attempt:', {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+      throw new HttpsError('permission-denied', 'Solo super administradores pueden importar catálogos');
+    }
+
+    const { storagePath, version } = request.data || {};
+    if (!storagePath || !String(storagePath).startsWith(SEPOMEX_PREFIX)) {
+      throw new HttpsError('invalid-argument', `El archivo debe estar en ${SEPOMEX_PREFIX}`);
+    }
+    if (!version || !/^\d{4}-\d{2}(-\d{2})?$/.test(version)) {
+      throw new HttpsError('invalid-argument', 'La versión debe tener formato YYYY-MM o YYYY-MM-DD');
+    }
+
+    let parsed;
+    try {
+      const [buffer] = await getStorage().bucket().file(storagePath).download();
+      // SEPOMEX publica el archivo en ISO-8859-1
+      parsed = parseSepomexFile(buffer.toString('latin1'));
+    } catch (error) {
+      throw new HttpsError('invalid-argument', error.message);
+    }
+    if (parsed.postalCodes.length === 0) {
+      throw new HttpsError('invalid-argument', 'El archivo no contiene códigos postales');
+    }
+
+    try {
+      const importedAt = new Date().toISOString();
+      for (let i = 0; i < parsed.postalCodes.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        parsed.postalCodes.slice(i, i + BATCH_SIZE).forEach(entry => {
+          batch.set(db.collection('postalCodes').doc(entry.cp), { ...entry, version });
+        });
+        await batch.commit();
+      }
+
+      const summary = {
+        version,
+        postalCodes: parsed.postalCodes.length,
+        settlements: parsed.rows,
+        skipped: parsed.skipped,
+      };
+
+      await db.collection('catalogVersions').doc('sepomex').set({
+        ...summary,
+        source: 'SEPOMEX — Catálogo Nacional de Códigos Postales',
+        storagePath,
+        importedBy: request.auth.uid,
+        importedAt,
+      });
+
+      // Registrar en audit log
+      await db.collection('auditLog').add({
+        action: 'POSTAL_CODES_IMPORTED',
+        adminId: request.auth.uid,
+        adminEmail: request.auth.token.email,
+        storagePath,
+        ...summary,
+        timestamp: importedAt,
+      });
+
+      logger.log('Postal codes imported:', { ...summary, by: request.auth.uid });
+
+      return { success: true, ...summary };
+    } catch (error) {
+      logger.error('Error importing postal codes:', error);
+      throw new HttpsError('internal', 'Error al importar los códigos postales');
+    }
+  }
+);
+
+export default {
+  getCatalogInfo,
+  importPostalCodes,
+};
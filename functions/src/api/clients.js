@@ -0,0 +1,432 @@
+/**
+ * Clients API
+ * Registro maestro de clientes del tenant (tenants/{tenantId}/clients), su
+ * calificación de riesgo EBR, la estructura accionaria de personas morales y
+ * la fusión de clientes duplicados
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { backfillTenantClients, findClient, refreshClients as refreshClientsStatsAndRisk } from '../services/clients.js';
+import { updateClientRisk, updateTenantClientsRisk } from '../services/client-risk.js';
+import { validateOwnership, saveClientOwnership as saveOwnership } from '../services/ownership.js';
+import { screenClient } from '../services/screening.js';
+import {
+  findDuplicateClients,
+  mergeClients,
+  undoClientMerge as undoMerge,
+  candidatePairId,
+} from '../services/client-merge.js';
+import { getLegalHold } from '../services/retention.js';
+import { logAuditAction } from '../triggers/audit.js';
+
+const db = getFirestore();
+
+/**
+ * Registrar en el maestro de clientes las operaciones cargadas antes de que
+ * existiera (asigna clientId a cada operación)
+ */
+export const rebuildClientRegistry = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '512MiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+
+    try {
+      const result = await backfillTenantClients(tenantId, request.auth.uid);
+      if (result.operations > 0) {
+        await updateTenantClientsRisk(tenantId, { trigger: 'OPERATIONS', userId: request.auth.uid });
+      }
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENT_REGISTRY_REBUILT',
+        details: result,
+      });
+
+      return {
+        success: true,
+        ...result,
+        message: `${result.operations} operaciones vinculadas: ${result.created} clientes nuevos, ${result.updated} actualizados.`,
+      };
+    } catch (error) {
+      logger.error('Error in rebuildClientRegistry:', error);
+      throw new HttpsError('internal', 'Error al reconstruir el registro de clientes');
+    }
+  }
+);
+
+/**
+ * Recalcular la calificación de riesgo de un cliente o, sin clientId, de
+ * todos los clientes del tenant (p. ej. tras cambiar la matriz de riesgo)
+ */
+export const recalculateClientRisk = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '512MiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { clientId } = request.data || {};
+    const options = { trigger: 'MANUAL', userId: request.auth.uid };
+
+    try {
+      if (clientId) {
+        const result = await updateClientRisk(tenantId, clientId, options);
+        if (!result) {
+          throw new HttpsError('not-found', 'El cliente no existe en el registro');
+        }
+        return { success: true, ...result };
+      }
+
+      const result = await updateTenantClientsRisk(tenantId, options);
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENT_RISK_RECALCULATED',
+        details: result,
+      });
+
+      return {
+        success: true,
+        ...result,
+        message: `${result.processed} clientes recalculados, ${result.changed} con cambio de calificación.`,
+      };
+    } catch (error) {
+      if (error instanceof HttpsError) throw error;
+      logger.error('Error in recalculateClientRisk:', error);
+      throw new HttpsError('internal', 'Error al recalcular el riesgo de clientes');
+    }
+  }
+);
+
+/**
+ * Guardar la estructura accionaria de una persona moral
+ * Identifica a los beneficiarios controladores y los pasa por screening junto
+ * con el cliente (el screening recalcula la calificación de riesgo).
+ */
+export const saveClientOwnership = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { clientId, shareholders } = request.data || {};
+
+    if (!clientId || !Array.isArray(shareholders)) {
+      throw new HttpsError('invalid-argument', 'Se requiere el cliente y su lista de accionistas');
+    }
+
+    const client = await findClient(tenantId, { clientId });
+    if (!client) {
+      throw new HttpsError('not-found', 'El cliente no existe en el registro');
+    }
+    if (client.tipo !== 'MORAL') {
+      throw new HttpsError('failed-precondition', 'La estructura accionaria solo aplica a personas morales');
+    }
+
+    const errors = validateOwnership(shareholders);
+    if (errors.length > 0) {
+      throw new HttpsError('invalid-argument', errors.slice(0, 3).join('. '));
+    }
+
+    try {
+      const ownership = await saveOwnership(tenantId, clientId, shareholders, {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+
+      const screening = await screenClient(tenantId, clientId, {
+        name: client.nombre,
+        rfc: client.rfc,
+        tipo: client.tipo,
+        curp: client.curp,
+        dateOfBirth: client.identity?.fechaNacimiento,
+        nationality: client.identity?.nacionalidad,
+        beneficialOwners: ownership.controllers,
+      });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENT_OWNERSHIP_UPDATED',
+        details: {
+          clientId,
+          status: ownership.status,
+          controllers: ownership.controllers.map(c => ({ rfc: c.rfc, effectivePercentage: c.effectivePercentage })),
+          screeningMatches: screening.matches.length,
+        },
+      });
+
+      return {
+        success: true,
+        ownership,
+        screening: {
+          screeningId: screening.screeningId,
+          matchFound: screening.matchFound,
+          matches: screening.matches,
+        },
+      };
+    } catch (error) {
+      logger.error('Error saving client ownership:', error);
+      throw new HttpsError('internal', 'Error al guardar la estructura accionaria');
+    }
+  }
+);
+
+/**
+ * Buscar clientes duplicados (RFC con errores o sin homoclave, CURP, variantes
+ * del nombre y domicilio) y actualizar la lista de pares por revisar
+ */
+export const scanDuplicateClients = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '1GiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+
+    try {
+      const result = await findDuplicateClients(tenantId);
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENT_DUPLICATES_SCANNED',
+        details: result,
+      });
+
+      return {
+        success: true,
+        ...result,
+        message: `${result.candidates} posibles duplicados entre ${result.clients} clientes (${result.added} nuevos).`,
+      };
+    } catch (error) {
+      logger.error('Error in scanDuplicateClients:', error);
+      throw new HttpsError('internal', 'Error al buscar clientes duplicados');
+    }
+  }
+);
+
+/**
+ * Fusionar un cliente duplicado en el que permanece
+ * Operaciones, screening, alertas y expediente pasan al cliente que permanece;
+ * la fusión puede deshacerse con undoClientMerge.
+ */
+export const mergeDuplicateClients = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '512MiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { survivorId, mergedId } = request.data || {};
+
+    if (!survivorId || !mergedId || survivorId === mergedId) {
+      throw new HttpsError('invalid-argument', 'Se requieren dos clientes distintos');
+    }
+
+    const [survivor, merged] = await Promise.all([
+      findClient(tenantId, { clientId: survivorId }),
+      findClient(tenantId, { clientId: mergedId }),
+    ]);
+    if (!survivor || !merged) {
+      throw new HttpsError('not-found', 'El cliente no existe en el registro');
+    }
+    if (survivor.status === 'MERGED' || merged.status === 'MERGED') {
+      throw new HttpsError('failed-precondition', 'Uno de los clientes ya fue fusionado en otro');
+    }
+    if (survivor.tipo && merged.tipo && survivor.tipo !== merged.tipo) {
+      throw new HttpsError('failed-precondition', 'No se puede fusionar una persona física con una persona moral');
+    }
+
+    try {
+      const result = await mergeClients(tenantId, survivorId, mergedId, {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENTS_MERGED',
+        details: {
+          survivorId,
+          mergedId,
+          survivorRfc: survivor.rfc,
+          mergedRfc: merged.rfc,
+          ...result,
+        },
+      });
+
+      return {
+        success: true,
+        ...result,
+        message: `${merged.nombre} se fusionó en ${survivor.nombre}: ${result.operations} operaciones, ` +
+          `${result.screenings} resultados de screening y ${result.documents} documentos.`,
+      };
+    } catch (error) {
+      logger.error('Error merging clients:', error);
+      throw new HttpsError('internal', 'Error al fusionar los clientes');
+    }
+  }
+);
+
+/**
+ * Deshacer una fusión de clientes
+ */
+export const undoClientMerge = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '512MiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { mergeId } = request.data || {};
+
+    if (!mergeId) {
+      throw new HttpsError('invalid-argument', 'Se requiere la fusión');
+    }
+
+    const mergeDoc = await db.collection('tenants').doc(tenantId).collection('clientMerges').doc(mergeId).get();
+    if (!mergeDoc.exists) {
+      throw new HttpsError('not-found', 'La fusión no existe');
+    }
+    const merge = mergeDoc.data();
+    if (merge.status !== 'ACTIVE') {
+      throw new HttpsError('failed-precondition', 'La fusión ya fue deshecha');
+    }
+
+    const survivor = await findClient(tenantId, { clientId: merge.survivorId });
+    if (survivor?.status === 'MERGED') {
+      throw new HttpsError('failed-precondition', 'El cliente que permaneció se fusionó después en otro; deshaz primero esa fusión');
+    }
+
+    // Deshacer borra las copias del expediente
+    const legalHold = await getLegalHold(tenantId);
+    if (legalHold) {
+      throw new HttpsError('failed-precondition', `Plazos de conservación suspendidos: ${legalHold.reason}`);
+    }
+
+    try {
+      const result = await undoMerge(tenantId, mergeId, {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENT_MERGE_UNDONE',
+        details: { mergeId, survivorId: merge.survivorId, mergedId: merge.mergedId, ...result },
+      });
+
+      return {
+        success: true,
+        ...result,
+        message: `Fusión deshecha: ${result.operations} operaciones regresaron a ${merge.merged.nombre}.`,
+      };
+    } catch (error) {
+      logger.error('Error undoing client merge:', error);
+      throw new HttpsError('internal', 'Error al deshacer la fusión');
+    }
+  }
+);
+
+/**
+ * Descartar un par de posibles duplicados (no se vuelve a proponer)
+ */
+export const dismissDuplicateClients = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { clientIds } = request.data || {};
+
+    if (!Array.isArray(clientIds) || clientIds.length !== 2) {
+      throw new HttpsError('invalid-argument', 'Se requiere el par de clientes');
+    }
+
+    const candidateRef = db.collection('tenants').doc(tenantId)
+      .collection('duplicateCandidates').doc(candidatePairId(clientIds[0], clientIds[1]));
+    const candidateDoc = await candidateRef.get();
+    if (!candidateDoc.exists || candidateDoc.data().status !== 'PENDING') {
+      throw new HttpsError('not-found', 'El par ya no está pendiente de revisión');
+    }
+
+    try {
+      const now = new Date().toISOString();
+      await candidateRef.update({
+        status: 'DISMISSED',
+        dismissedAt: now,
+        dismissedBy: request.auth.uid,
+        updatedAt: now,
+      });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'CLIENT_DUPLICATE_DISMISSED',
+        details: { clientIds, score: candidateDoc.data().score },
+      });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Error dismissing duplicate clients:', error);
+      throw new HttpsError('internal', 'Error al descartar el par');
+    }
+  }
+);
+
+/**
+ * Recalcular contadores y calificación EBR de los clientes de una carga (Cloud Tasks)
+ * Lo encola services/clients.js enqueueClientsRefresh, hasta 50 clientes por tarea.
+ */
+export const refreshClients = onTaskDispatched(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 540,
+    retryConfig: { maxAttempts: 3, minBackoffSeconds: 60 },
+    rateLimits: { maxConcurrentDispatches: 5 },
+  },
+  async (request) => {
+    const { tenantId, clientIds, trigger, userId } = request.data;
+
+    const result = await refreshClientsStatsAndRisk(tenantId, clientIds, { trigger, userId });
+    logger.info('Clients refreshed:', { tenantId, clients: clientIds.length, ...result });
+  }
+);
+
+export default {
+  rebuildClientRegistry,
+  recalculateClientRisk,
+  saveClientOwnership,
+  scanDuplicateClients,
+  mergeDuplicateClients,
+  undoClientMerge,
+  dismissDuplicateClients,
+  refreshClients,
+};
@@ -0,0 +1,145 @@
+/**
+ * Exchange Rates API
+ * Consulta e importación de tipos de cambio (FIX de Banxico) usados para
+ * convertir a MXN las operaciones en moneda extranjera (importación solo super admins)
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { parseBanxicoCsv } from '../services/exchange-rates.js';
+
+const db = getFirestore();
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR'];
+const MAX_CSV_LENGTH = 5 * 1024 * 1024;
+const BATCH_SIZE = 400;
+
+/**
+ * Últimos tipos de cambio cargados por moneda
+ */
+export const getExchangeRates = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const limit = Math.min(Number(request.data?.limit) || 30, 200);
+
+    try {
+      const rates = {};
+      await Promise.all(SUPPORTED_CURRENCIES.map(async (currency) => {
+        // IDs {MONEDA}_{YYYY-MM-DD}: el orden por ID es el orden por fecha
+        const snapshot = await db.collection('exchangeRates')
+          .where(FieldPath.documentId(), '>=', `${currency}_`)
+          .where(FieldPath.documentId(), '<=', `${currency}_~`)
+          .orderBy(FieldPath.documentId(), 'desc')
+          .limit(limit)
+          .get();
+        rates[currency] = snapshot.docs.map(doc => {
+          const data = doc.data();
+          return { date: data.date, rate: data.rate, source: data.source || null };
+        });
+      }));
+
+      return { success: true, rates };
+    } catch (error) {
+      logger.error('Error getting exchange rates:', error);
+      throw new HttpsError('internal', 'Error al obtener los tipos de cambio');
+    }
+  }
+);
+
+/**
+ * Importar un CSV de Banxico (SIE) con tipos de cambio FIX (SUPER ADMIN ONLY)
+ * Las fechas ya cargadas se sobrescriben con el valor del archivo.
+ */
+export const importExchangeRates = onCall(
+  { region: 'us-central1', timeoutSeconds: 300, memory: '512MiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const role = request.auth.token.role;
+    if (role !== 'superadmin') {
+      logger.warn('Unauthorized exchange rate import attempt:', {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+      throw new HttpsError('permission-denied', 'Solo super administradores pueden importar tipos de cambio');
+    }
+
+    const { csv, currency = null, fileName = null } = request.data || {};
+    if (!csv || typeof csv !== 'string') {
+      throw new HttpsError('invalid-argument', 'El contenido del archivo CSV es requerido');
+    }
+    if (csv.length > MAX_CSV_LENGTH) {
+      throw new HttpsError('invalid-argument', 'El archivo excede 5 MB; divídelo por periodos');
+    }
+    if (currency && !SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new HttpsError('invalid-argument', `Moneda no soportada: ${currency}`);
+    }
+
+    let parsed;
+    try {
+      parsed = parseBanxicoCsv(csv, currency);
+    } catch (error) {
+      throw new HttpsError('invalid-argument', error.message);
+    }
+    if (parsed.rates.length === 0) {
+      throw new HttpsError('invalid-argument', 'El archivo no contiene tipos de cambio');
+    }
+
+    try {
+      const importedAt = new Date().toISOString();
+      for (let i = 0; i < parsed.rates.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        parsed.rates.slice(i, i + BATCH_SIZE).forEach(({ currency: code, date, rate }) => {
+          batch.set(db.collection('exchangeRates').doc(`${code}_${date}`), {
+            currency: code,
+            date,
+            rate,
+            source: 'BANXICO_FIX',
+            fileName,
+            importedBy: request.auth.uid,
+            importedAt,
+          });
+        });
+        await batch.commit();
+      }
+
+      const dates = parsed.rates.map(entry => entry.date).sort();
+      const summary = {
+        imported: parsed.rates.length,
+        skipped: parsed.skipped,
+        currencies: [...new Set(parsed.columns)],
+        from: dates[0],
+        to: dates[dates.length - 1],
+      };
+
+      // Registrar en audit log
+      await db.collection('auditLog').add({
+        action: 'EXCHANGE_RATES_IMPORTED',
+        adminId: request.auth.uid,
+        adminEmail: request.auth.token.email,
+        fileName,
+        ...summary,
+        timestamp: importedAt,
+      });
+
+      logger.log('Exchange rates imported:', { ...summary, by: request.auth.uid });
+
+      return { success: true, ...summary };
+    } catch (error) {
+      logger.error('Error importing exchange rates:', error);
+      throw new HttpsError('internal', 'Error al importar los tipos de cambio');
+    }
+  }
+);
+
+export default {
+  getExchangeRates,
+  importExchangeRates,
+};
@@ -8,14 +8,37 @@
  * - Encabezados formateados con secciones por color
  *
  * Procesa uploads con validación contra catálogos SAT
+ * (síncrono vía processUpload o en segundo plano por bloques vía startUploadJob)
  */
 
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
 import { db } from '../firebase.js';
 import { FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { getFunctions } from 'firebase-admin/functions';
 import { logger } from 'firebase-functions';
 import * as XLSX from 'xlsx';
 import ExcelJS from 'exceljs';
+import { Buffer } from 'node:buffer';
+import { loadUmaCatalog, resolveUma, getActivityRule, getThresholdsMXN, classifyAmount } from '../services/legal-rules.js';
+import {
+    getClientOperations,
+    sumRollingWindow,
+    applyAccumulationRisk,
+    statusForRisk,
+    recomputeClientAccumulation,
+} from '../services/accumulation.js';
+import { validateRfc, validateCurp, isGenericRfc, GENERIC_RFCS, checkIdentityConsistency } from '../services/identity.js';
+import { loadExchangeRates, convertToMXN, amountMXN, currencyCode } from '../services/exchange-rates.js';
+import { SAT_CATALOGS, findCatalogEntry, loadPostalCodes } from '../services/catalogs.js';
+import { getClientId, upsertClientsFromOperations, enqueueClientsRefresh, loadMergedClients, resolveMergedClient } from '../services/clients.js';
+import { getOperationFolio, getOperationFingerprint, findDuplicate } from '../services/duplicates.js';
+import { findBlockedPerson, blockedOperationInfo, alertBlockedOperations } from '../services/screening.js';
+import { getRetentionUntil, getLegalHold, removeOperations } from '../services/retention.js';
+import { loadResubmittedDrafts, resolveResubmittedDrafts, isDraftConflict, replaceRowIssues } from '../services/upload-drafts.js';
+import { logAuditAction } from '../triggers/audit.js';
 
 
 // ============================================================================
@@ -47,21 +70,6 @@ const CATALOGS = {
         { value: 'SI', label: 'SI' },
         { value: 'NO', label: 'NO' },
     ],
-    pais: [
-        { value: 'MX', label: 'MX-México' },
-        { value: 'US', label: 'US-Estados Unidos' },
-        { value: 'CA', label: 'CA-Canadá' },
-        { value: 'ES', label: 'ES-España' },
-        { value: 'GB', label: 'GB-Reino Unido' },
-        { value: 'FR', label: 'FR-Francia' },
-        { value: 'DE', label: 'DE-Alemania' },
-        { value: 'CN', label: 'CN-China' },
-        { value: 'JP', label: 'JP-Japón' },
-        { value: 'BR', label: 'BR-Brasil' },
-        { value: 'CO', label: 'CO-Colombia' },
-        { value: 'AR', label: 'AR-Argentina' },
-        { value: 'OT', label: 'OT-Otro' },
-    ],
     tipoJuego: [
         { value: '1', label: '1-Casino' },
         { value: '2', label: '2-Apuestas deportivas' },
@@ -73,8 +81,17 @@ const CATALOGS = {
         { value: '8', label: '8-Apuestas en línea' },
         { value: '9', label: '9-Otro' },
     ],
+    // Versioned SAT/INEGI catalogs (functions/src/catalogs): ISO countries,
+    // entidades federativas, SCIAN activity
+    ...Object.fromEntries(Object.entries(SAT_CATALOGS).map(([name, labels]) => [
+        name,
+        labels.map(label => ({ value: label.split('-')[0], label })),
+    ])),
 };
 
+// Catalogs matched by code, name or alias (not only the exact dropdown label)
+const LOOKUP_CATALOGS = new Set(Object.keys(SAT_CATALOGS));
+
 // ============================================================================
 // TIPOS DE OPERACIÓN POR ACTIVIDAD (SAT/LFPIORPI)
 // ============================================================================
@@ -250,7 +267,8 @@ const CLIENT_COLUMNS = [
     { key: 'apellidoMaterno', label: 'Apellido Materno', required: false, type: 'string', section: 'cliente', note: 'Solo personas físicas' },
     { key: 'fechaNacimiento', label: 'Fecha Nacimiento/Constitución', required: false, type: 'date', section: 'cliente' },
     { key: 'telefono', label: 'Teléfono', required: false, type: 'string', section: 'cliente' },
-    { key: 'actividadEconomica', label: 'Actividad Económica', required: false, type: 'string', section: 'cliente' },
+    { key: 'nacionalidad', label: 'Nacionalidad', required: false, type: 'catalog', catalog: 'pais', section: 'cliente' },
+    { key: 'actividadEconomica', label: 'Actividad Económica', required: false, type: 'catalog', catalog: 'actividadEconomica', lenient: true, section: 'cliente', note: 'Giro SCIAN; si no está en la lista se guarda con advertencia' },
 ];
 
 // Sección DOMICILIO
@@ -259,9 +277,9 @@ const ADDRESS_COLUMNS = [
     { key: 'noExterior', label: 'No. Exterior', required: false, type: 'string', section: 'domicilio' },
     { key: 'noInterior', label: 'No. Interior', required: false, type: 'string', section: 'domicilio' },
     { key: 'colonia', label: 'Colonia', required: false, type: 'string', section: 'domicilio' },
-    { key: 'codigoPostal', label: 'Código Postal', required: false, type: 'string', section: 'domicilio' },
+    { key: 'codigoPostal', label: 'Código Postal', required: false, type: 'string', section: 'domicilio', note: 'Completa estado y municipio (SEPOMEX)' },
     { key: 'ciudad', label: 'Ciudad/Municipio', required: false, type: 'string', section: 'domicilio' },
-    { key: 'estado', label: 'Estado', required: false, type: 'string', section: 'domicilio' },
+    { key: 'estado', label: 'Estado', required: false, type: 'catalog', catalog: 'entidadFederativa', lenient: true, section: 'domicilio', note: 'Entidad federativa; texto libre en domicilios extranjeros' },
     { key: 'pais', label: 'País', required: false, type: 'catalog', catalog: 'pais', section: 'domicilio' },
 ];
 
@@ -463,49 +481,15 @@ const SECTION_COLORS = {
 // CONSTANTES LEGALES — LFPIORPI / UMA / EBR
 // ============================================================================
 
-/**
- * UMA (Unidad de Medida y Actualización) 2025
- * Publicado en DOF por INEGI
- */
-const UMA_DIARIO = 113.14; // MXN por día (2025)
-const UMA_MENSUAL = UMA_DIARIO * 30.4; // ~3,439.46 MXN
-
-/**
- * LFPIORPI Art. 32 — Restricción de efectivo
- * "Las Actividades Vulnerables NO podrán recibir pagos en efectivo
- *  por montos superiores al equivalente a 3,210 UMA"
- */
-const LIMITE_EFECTIVO_UMA = 3210;
-const LIMITE_EFECTIVO_MXN = LIMITE_EFECTIVO_UMA * UMA_DIARIO; // ~$363,179.40
-
-/**
- * EBR — Enfoque Basado en Riesgo (umbrales de aviso LFPIORPI Art. 17)
- * HIGH  = Monto ≥ 645 UMA → Aviso automático SAT/SPPLD
- * MEDIUM = Monto ≥ 325 UMA → Identificación obligatoria
- * LOW   = Por debajo de umbrales
- */
-const UMBRAL_AVISO_UMA = 645;     // Aviso automático
-const UMBRAL_IDENT_UMA = 325;     // Identificación obligatoria
-const UMBRAL_AVISO_MXN = UMBRAL_AVISO_UMA * UMA_DIARIO;  // ~$72,975.30
-const UMBRAL_IDENT_MXN = UMBRAL_IDENT_UMA * UMA_DIARIO;  // ~$36,770.50
-
-/**
- * CURP Regex — 18 caracteres alfanuméricos con estructura SAT
- */
-const CURP_REGEX = /^[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z\d]{2}$/;
-
+// Umbrales de identificación, aviso y efectivo (Art. 32) por actividad:
+// ver ACTIVITY_RULES en services/legal-rules.js
 
 // ============================================================================
 // VALIDADORES
 // ============================================================================
 
-const RFC_REGEX = /^([A-ZÑ&]{3,4})(\d{6})([A-Z\d]{3})$/;
-
-function validateRFC(rfc) {
-    if (!rfc || typeof rfc !== 'string') return false;
-    const cleanRfc = rfc.toUpperCase().trim();
-    return RFC_REGEX.test(cleanRfc) && (cleanRfc.length === 12 || cleanRfc.length === 13);
-}
+// RFC / CURP: format, check digit and name/birthdate consistency live in
+// services/identity.js (shared with the XML validator and onboarding)
 
 function validateDate(dateValue) {
     if (!dateValue) return false;
@@ -530,14 +514,6 @@ function validateNumber(value) {
     return !isNaN(Number(value)) && Number(value) >= 0;
 }
 
-/**
- * Validate CURP format (18 chars, alphanumeric structure)
- */
-function validateCURP(curp) {
-    if (!curp || typeof curp !== 'string') return false;
-    return CURP_REGEX.test(curp.toUpperCase().trim());
-}
-
 /**
  * Determine if the instrument is "Efectivo" (cash)
  * Accepts: "1-Efectivo", "Efectivo", "1", etc.
@@ -576,19 +552,28 @@ function getPersonType(tipoPersona) {
 
 /**
  * Validates a single row against LFPIORPI legal rules.
+ * Amounts are taken in MXN (`montoMXN` for foreign currency) and converted to UMA
+ * with `umaDiario`, the UMA in force on the operation date.
  * Returns: { hardStops: [], warnings: [], riskLevel, riskReason, riskScore }
  *
  * Hard Stops → Row is REJECTED (not saved)
  * Warnings  → Row is saved with warnings attached
  */
-function validateLegalRules(rowData, activityType) {
+function validateLegalRules(rowData, activityType, umaDiario) {
     const hardStops = [];
     const warnings = [];
+    const fieldIssues = [];  // { field, message } → cell comments of the annotated workbook
+    const stop = (field, message) => { hardStops.push(message); fieldIssues.push({ field, message }); };
+    const warn = (field, message) => { warnings.push(message); fieldIssues.push({ field, message }); };
     let riskLevel = 'LOW';
     let riskReason = '';
     let riskScore = 0;
 
-    const monto = Number(rowData.monto) || 0;
+    const monto = amountMXN(rowData);
+    // Foreign currency: show the reported amount next to its MXN value
+    const conversionNote = rowData.tipoCambio && rowData.tipoCambio !== 1
+        ? ` (${(Number(rowData.monto) || 0).toLocaleString('es-MX')} ${currencyCode(rowData.moneda)} a $${rowData.tipoCambio} del ${rowData.fechaTipoCambio})`
+        : '';
     const instrumento = rowData.instrumentoMonetario || '';
     const tipoPersona = getPersonType(rowData.tipoPersona);
     const rfcCliente = rowData.rfcCliente || '';
@@ -598,14 +583,17 @@ function validateLegalRules(rowData, activityType) {
     const tipoOperacion = rowData.tipoOperacion || '';
     const actuaNombrePropio = String(rowData.actuaNombrePropio || '').toUpperCase().trim();
 
+    const rule = getActivityRule(activityType);
+    const { umbralIdentMXN, umbralAvisoMXN, limiteEfectivoMXN } = getThresholdsMXN(activityType, umaDiario);
+
     // ─────────────────────────────────────────────
     // 1. ART. 32 LFPIORPI — Restricción de Efectivo
-    //    HARD STOP: Efectivo > 3,210 UMA = REJECT
+    //    HARD STOP: Efectivo > límite de la actividad = REJECT
     // ─────────────────────────────────────────────
-    if (isEfectivo(instrumento) && monto > LIMITE_EFECTIVO_MXN) {
-        hardStops.push(
-            `⛔ Art. 32 LFPIORPI: Operación en EFECTIVO por $${monto.toLocaleString('es-MX', { minimumFractionDigits: 2 })} ` +
-            `EXCEDE el límite de 3,210 UMA ($${LIMITE_EFECTIVO_MXN.toLocaleString('es-MX', { minimumFractionDigits: 2 })}). ` +
+    if (limiteEfectivoMXN !== null && isEfectivo(instrumento) && monto > limiteEfectivoMXN) {
+        stop('monto',
+            `⛔ Art. 32 LFPIORPI: Operación en EFECTIVO por $${monto.toLocaleString('es-MX', { minimumFractionDigits: 2 })}${conversionNote} ` +
+            `EXCEDE el límite de ${rule.limiteEfectivoUMA.toLocaleString('es-MX')} UMA ($${limiteEfectivoMXN.toLocaleString('es-MX', { minimumFractionDigits: 2 })}). ` +
             `OPERACIÓN RECHAZADA — No se puede recibir efectivo por este monto.`
         );
     }
@@ -616,56 +604,79 @@ function validateLegalRules(rowData, activityType) {
     if (tipoPersona === 'PF') {
         // Persona Física: RFC 13 chars + apellidos requeridos
         if (rfcCliente && rfcCliente.length !== 13) {
-            hardStops.push(
+            stop('rfcCliente',
                 `⛔ RFC "${rfcCliente}" tiene ${rfcCliente.length} caracteres. ` +
                 `Persona Física requiere RFC de 13 caracteres.`
             );
         }
         if (!apellidoPaterno) {
-            warnings.push(
+            warn('apellidoPaterno',
                 `⚠️ Persona Física sin Apellido Paterno. Requerido por SAT para identificación.`
             );
         }
-        if (curp && !validateCURP(curp)) {
-            warnings.push(
-                `⚠️ CURP "${curp}" no tiene formato válido (18 caracteres alfanuméricos).`
-            );
+        if (curp) {
+            const curpCheck = validateCurp(curp);
+            if (!curpCheck.valid) {
+                warn('curp', `⚠️ CURP "${curp}" inválida. ${curpCheck.errors.join(' ')}`);
+            }
         }
     } else if (tipoPersona === 'PM') {
         // Persona Moral: RFC 12 chars + razón social requerida
         if (rfcCliente && rfcCliente.length !== 12) {
-            hardStops.push(
+            stop('rfcCliente',
                 `⛔ RFC "${rfcCliente}" tiene ${rfcCliente.length} caracteres. ` +
                 `Persona Moral requiere RFC de 12 caracteres.`
             );
         }
         if (!nombreCliente) {
-            warnings.push(
+            warn('nombreCliente',
                 `⚠️ Persona Moral sin Razón Social. Campo requerido por SAT.`
             );
         }
         // Persona Moral should NOT have CURP
         if (curp) {
-            warnings.push(
+            warn('curp',
                 `⚠️ Persona Moral no debe tener CURP. Se ignorará este campo.`
             );
         }
     }
 
+    // Generic SAT RFCs pass the format check but identify nobody
+    if (isGenericRfc(rfcCliente)) {
+        warn('rfcCliente',
+            `⚠️ ${GENERIC_RFCS[rfcCliente]} (${rfcCliente}): no identifica al cliente. ` +
+            `Captura CURP o datos de identificación para el aviso.`
+        );
+    }
+
+    // RFC, CURP, names and birthdate must describe the same person
+    const identityIssues = checkIdentityConsistency({
+        rfc: rfcCliente,
+        curp: tipoPersona === 'PM' ? '' : curp,
+        nombre: tipoPersona === 'PM' ? '' : nombreCliente,
+        apellidoPaterno: tipoPersona === 'PM' ? '' : apellidoPaterno,
+        apellidoMaterno: tipoPersona === 'PM' ? '' : rowData.apellidoMaterno,
+        fechaNacimiento: rowData.fechaNacimiento,
+    });
+    const identityFields = { rfc: 'rfcCliente', curp: 'curp', fechaNacimiento: 'fechaNacimiento' };
+    identityIssues.forEach(issue => warn(identityFields[issue.field], `⚠️ ${issue.message}`));
+
     // ─────────────────────────────────────────────
     // 3. EBR — Enfoque Basado en Riesgo
     //    Semáforo por monto de operación individual
     // ─────────────────────────────────────────────
-    if (monto >= UMBRAL_AVISO_MXN) {
-        riskLevel = 'HIGH';
-        riskReason = `Monto $${monto.toLocaleString('es-MX')} ≥ 645 UMA ($${UMBRAL_AVISO_MXN.toLocaleString('es-MX')}). Aviso automático SAT.`;
+    riskLevel = classifyAmount(activityType, monto, umaDiario);
+    if (riskLevel === 'HIGH') {
+        riskReason = rule.siempreAvisar
+            ? `Fracción ${rule.fraccion}: actividad con aviso obligatorio sin umbral.`
+            : `Monto $${monto.toLocaleString('es-MX')}${conversionNote} ≥ ${rule.umbralAvisoUMA} UMA ($${umbralAvisoMXN.toLocaleString('es-MX')}). Aviso automático SAT.`;
         riskScore = 100;
-    } else if (monto >= UMBRAL_IDENT_MXN) {
-        riskLevel = 'MEDIUM';
-        riskReason = `Monto $${monto.toLocaleString('es-MX')} ≥ 325 UMA ($${UMBRAL_IDENT_MXN.toLocaleString('es-MX')}). Identificación obligatoria.`;
+    } else if (riskLevel === 'MEDIUM') {
+        riskReason = monto > 0 && monto >= umbralIdentMXN && !rule.siempreIdentificar
+            ? `Monto $${monto.toLocaleString('es-MX')}${conversionNote} ≥ ${rule.umbralIdentificacionUMA} UMA ($${umbralIdentMXN.toLocaleString('es-MX')}). Identificación obligatoria.`
+            : `Fracción ${rule.fraccion}: identificación obligatoria en toda operación.`;
         riskScore = 60;
     } else {
-        riskLevel = 'LOW';
         riskReason = 'Monto por debajo de umbrales LFPIORPI.';
         riskScore = 10;
     }
@@ -681,7 +692,7 @@ function validateLegalRules(rowData, activityType) {
                 riskReason = 'Pago de premio en efectivo (Juegos y Sorteos). Revisión manual recomendada.';
                 riskScore = Math.max(riskScore, 50);
             }
-            warnings.push(
+            warn('tipoOperacion',
                 `⚠️ Juegos y Sorteos: Pago de premio en efectivo detectado. ` +
                 `Art. 17 fracción XI LFPIORPI — requiere revisión manual.`
             );
@@ -692,8 +703,8 @@ function validateLegalRules(rowData, activityType) {
     // 5. EFECTIVO ALTO (sin llegar al límite Art. 32)
     //    Si paga en efectivo y monto > 50,000 MXN → warning
     // ─────────────────────────────────────────────
-    if (isEfectivo(instrumento) && monto > 50000 && monto <= LIMITE_EFECTIVO_MXN) {
-        warnings.push(
+    if (isEfectivo(instrumento) && monto > 50000 && (limiteEfectivoMXN === null || monto <= limiteEfectivoMXN)) {
+        warn('instrumentoMonetario',
             `⚠️ Operación en efectivo por $${monto.toLocaleString('es-MX')}. ` +
             `Verificar origen de recursos.`
         );
@@ -707,49 +718,31 @@ function validateLegalRules(rowData, activityType) {
         const nombreBenef = rowData.nombreBeneficiario || '';
         const rfcBenef = rowData.rfcBeneficiario || '';
         if (!nombreBenef) {
-            warnings.push(
+            warn('nombreBeneficiario',
                 `⚠️ Cliente NO actúa a nombre propio pero falta el nombre del Beneficiario Controlador. ` +
                 `Requerido por Art. 18 LFPIORPI.`
             );
         }
         if (!rfcBenef) {
-            warnings.push(
+            warn('rfcBeneficiario',
                 `⚠️ Cliente NO actúa a nombre propio pero falta el RFC del Beneficiario Controlador.`
             );
+        } else if (isGenericRfc(rfcBenef)) {
+            warn('rfcBeneficiario',
+                `⚠️ RFC del Beneficiario Controlador es genérico (${rfcBenef}): no lo identifica.`
+            );
         }
+        checkIdentityConsistency({
+            rfc: rfcBenef,
+            nombre: nombreBenef,
+            apellidoPaterno: rowData.apellidoPaternoBeneficiario,
+            apellidoMaterno: rowData.apellidoMaternoBeneficiario,
+        }).forEach(issue => warn('rfcBeneficiario', `⚠️ Beneficiario Controlador: ${issue.message}`));
     }
 
-    return { hardStops, warnings, riskLevel, riskReason, riskScore };
-}
-
-/**
- * Query Firestore for monthly accumulated amount by RFC within same tenant/activity/month.
- * Used for EBR accumulation check — if cumulative ≥ 645 UMA, upgrade risk to HIGH.
- */
-async function getMonthlyAccumulation(tenantId, rfcCliente, activityType, periodYear, periodMonth) {
-    if (!rfcCliente) return 0;
-
-    try {
-        const opsRef = db.collection('tenants').doc(tenantId).collection('operations');
-        const snapshot = await opsRef
-            .where('rfcCliente', '==', rfcCliente.toUpperCase().trim())
-            .where('activityType', '==', activityType)
-            .where('periodYear', '==', periodYear)
-            .where('periodMonth', '==', periodMonth)
-            .get();
-
-        let total = 0;
-        snapshot.forEach(doc => {
-            total += Number(doc.data().monto) || 0;
-        });
-        return total;
-    } catch (err) {
-        logger.warn('Error querying monthly accumulation:', err.message);
-        return 0;
-    }
+    return { hardStops, warnings, fieldIssues, riskLevel, riskReason, riskScore };
 }
 
-
 // ============================================================================
 // CLOUD FUNCTION: getTemplate
 // Genera plantilla Excel con ExcelJS (data validations reales)
@@ -904,7 +897,10 @@ export const getTemplate = onCall(
                 ['3. RFC: 12 caracteres (Persona Moral) o 13 (Persona Física)'],
                 ['4. CURP: Solo para personas físicas (18 caracteres)'],
                 ['5. Montos numéricos sin símbolos de moneda, con 2 decimales'],
+                ['   Montos en USD o EUR: se convierten a MXN con el tipo de cambio FIX de la fecha de operación'],
                 ['6. Los campos con lista desplegable DEBEN usar los valores del catálogo'],
+                ['   País, estado y actividad aceptan también la clave o el nombre ("MX", "CDMX", "Jalisco")'],
+                ['7. Con el código postal se completan estado y municipio (catálogo SEPOMEX)'],
                 [''],
                 ['══════════════════════════════════════════'],
                 ['SECCIONES DEL ARCHIVO:'],
@@ -920,6 +916,7 @@ export const getTemplate = onCall(
                 [''],
                 ['CAFÉ - Domicilio del Cliente:'],
                 ['  Calle, números, colonia, CP, ciudad, estado, país'],
+                ['  Si el estado no corresponde al código postal se marca advertencia'],
                 [''],
                 ['MORADO - Beneficiario Controlador:'],
                 ['  Si la persona actúa a nombre de un tercero,'],
@@ -975,378 +972,1443 @@ export const getTemplate = onCall(
 
 
 // ============================================================================
-// CLOUD FUNCTION: processUpload
-// Motor de Ingesta con Validación Legal LFPIORPI + EBR Risk Engine
-//
-// Pipeline:
-//   1. Parse Excel → Extract rows
-//   2. Format validation (RFC, dates, numbers, catalogs)
-//   3. LEGAL VALIDATION (Art. 32 cash limit, identity PF/PM, beneficiary)
-//   4. EBR Risk Assessment (individual monto)
-//   5. Monthly Accumulation by RFC (Firestore query)
-//   6. Accumulation risk upgrade (if cumulative ≥ 645 UMA → HIGH)
-//   7. Save to Firestore with riskLevel, riskReason, warnings
+// LECTURA DE ARCHIVOS — Excel (multi-hoja), CSV y TXT
 // ============================================================================
 
-export const processUpload = onCall(
-    { region: 'us-central1', memory: '1GiB', timeoutSeconds: 180 },
-    async (request) => {
-        if (!request.auth) {
-            throw new HttpsError('unauthenticated', 'Debes iniciar sesión');
-        }
+const TEXT_EXTENSIONS = ['csv', 'txt'];
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
 
-        const { fileBase64, fileName, activityType, periodYear, periodMonth } = request.data;
+/**
+ * Decode a text upload: UTF-8 (with or without BOM), UTF-16LE (BOM) or Latin-1.
+ * Exports from Windows POS/ERP systems are often Latin-1 / Windows-1252.
+ */
+function decodeTextBuffer(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: buffer.subarray(3).toString('utf8'), encoding: 'UTF-8' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: buffer.subarray(2).toString('utf16le'), encoding: 'UTF-16LE' };
+    }
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'UTF-8' };
+    } catch {
+        return { text: new TextDecoder('latin1').decode(buffer), encoding: 'LATIN-1' };
+    }
+}
 
-        if (!fileBase64) throw new HttpsError('invalid-argument', 'El archivo es requerido');
-        if (!activityType) throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
-        if (!periodYear || !periodMonth) throw new HttpsError('invalid-argument', 'El periodo es requerido');
+/**
+ * Count delimiter occurrences outside double quotes
+ */
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+    }
+    return count;
+}
 
-        try {
-            const userId = request.auth.uid;
-            let tenantId = request.auth.token.tenantId || userId;
+/**
+ * Detect the delimiter of a CSV/TXT file: the candidate that appears in the
+ * header and keeps the same count across the first lines wins.
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 20);
+    let best = ',';
+    let bestScore = 0;
+
+    for (const delimiter of CSV_DELIMITERS) {
+        const counts = lines.map(l => countDelimiter(l, delimiter));
+        if (!counts.length || counts[0] === 0) continue;
+        const consistentLines = counts.filter(c => c === counts[0]).length;
+        const score = consistentLines * 1000 + counts[0];
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+    return best;
+}
 
-            const tenantDoc = await db.collection('tenants').doc(tenantId).get();
-            if (!tenantDoc.exists) {
-                throw new HttpsError('permission-denied', 'No tienes un tenant asociado');
+/**
+ * Parse delimited text into rows (same shape as sheet_to_json header:1).
+ * Supports quoted fields, escaped quotes ("") and line breaks inside quotes.
+ */
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+    return rows;
+}
 
-            // Get all columns for this activity
-            const columns = getAllColumns(activityType);
-            const tiposOp = TIPOS_OPERACION[activityType] || TIPOS_OPERACION.DEFAULT;
+/**
+ * Normalize a sheet name for activity matching: "Vehículos" → "VEHICULOS",
+ * "Juegos Apuestas" → "JUEGOS_APUESTAS"
+ */
+function normalizeSheetName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
 
-            // Parse Excel
-            const buffer = Buffer.from(fileBase64, 'base64');
-            const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+/**
+ * Resolve the activity type a sheet belongs to by its name
+ * (activity key or its description in ACTIVITY_RULES). Returns null if none.
+ */
+function resolveSheetActivity(sheetName) {
+    const normalized = normalizeSheetName(sheetName);
+    if (!normalized) return null;
+    return Object.keys(OPERATION_COLUMNS)
+        .filter(key => key !== 'DEFAULT')
+        .find(key =>
+            key === normalized ||
+            normalizeSheetName(getActivityRule(key).descripcion) === normalized
+        ) || null;
+}
 
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+/**
+ * Client-supplied file name reduced to a safe Storage object name:
+ * no directories, only letters, digits, dot, dash and underscore
+ */
+function storageFileName(fileName) {
+    const baseName = String(fileName || '').split(/[\\/]/).pop();
+    const safe = baseName
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^[._]+/, '')
+        .slice(-120);
+    return safe || 'archivo';
+}
 
-            if (rawData.length < 2) {
-                throw new HttpsError('invalid-argument', 'El archivo no contiene datos');
-            }
+/**
+ * Read an uploaded file into sheets of raw rows.
+ * - CSV/TXT: one sheet, encoding and delimiter detected
+ * - Excel: every sheet whose name matches an activity type; if none matches,
+ *   the first visible sheet is processed as `activityType`
+ *
+ * @returns {Object} { format, encoding, delimiter, sheets: [{ sheetName, activityType, rawData }] }
+ */
+function readUploadSheets(buffer, fileName, activityType) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+
+    if (TEXT_EXTENSIONS.includes(extension)) {
+        const { text, encoding } = decodeTextBuffer(buffer);
+        const delimiter = detectDelimiter(text);
+        return {
+            format: extension.toUpperCase(),
+            encoding,
+            delimiter: delimiter === '\t' ? 'TAB' : delimiter,
+            sheets: [{ sheetName: fileName, activityType, rawData: parseDelimitedText(text, delimiter) }],
+        };
+    }
 
-            // Map headers to column definitions
-            const headers = rawData[0].map(h => String(h || '').trim().replace(/\s*\*\s*$/, '')); // Remove trailing *
-            const dataRows = rawData.slice(1).filter(row =>
-                row.some(cell => cell !== null && cell !== undefined && cell !== '')
-            );
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const toSheet = (name, sheetActivity) => ({
+        sheetName: name,
+        activityType: sheetActivity,
+        rawData: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 }),
+    });
+
+    const activitySheets = workbook.SheetNames
+        .map(name => ({ name, activity: resolveSheetActivity(name) }))
+        .filter(s => s.activity);
+
+    if (activitySheets.length > 0) {
+        return {
+            format: 'XLSX',
+            sheets: activitySheets.map(s => toSheet(s.name, s.activity)),
+        };
+    }
 
-            const headerToCol = {};
-            headers.forEach((header, index) => {
-                const colDef = columns.find(c =>
-                    c.label.toLowerCase() === header.toLowerCase() ||
-                    c.label.toLowerCase().replace(/\s*\*\s*$/, '') === header.toLowerCase()
-                );
-                if (colDef) headerToCol[index] = colDef;
-            });
+    // Hidden sheets (e.g. the template's Catalogos) are never data
+    const sheetProps = workbook.Workbook?.Sheets || [];
+    const firstVisible = workbook.SheetNames.find((name, i) => !sheetProps[i]?.Hidden) || workbook.SheetNames[0];
+    return {
+        format: 'XLSX',
+        sheets: [toSheet(firstVisible, activityType)],
+    };
+}
 
-            // ── PHASE 1: Format Validation (parse each row) ──
-            const parsedRows = [];
-            const formatErrors = [];
-            const uploadBatchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            const uploadDate = new Date().toISOString();
-            const pYear = parseInt(periodYear);
-            const pMonth = parseInt(periodMonth);
 
-            dataRows.forEach((row, rowIndex) => {
-                const rowNum = rowIndex + 2;
-                const rowErrors = [];
-                const rowData = {
-                    tenantId,
-                    activityType,
-                    periodYear: pYear,
-                    periodMonth: pMonth,
-                    uploadDate,
-                    uploadBatchId,
-                    status: 'PENDING',
-                    sourceFile: fileName,
-                    sourceRow: rowNum,
-                };
+// ============================================================================
+// PERFILES DE MAPEO — Archivos que no usan la plantilla
+// tenants/{tenantId}/mappingProfiles/{profileId}
+//   { name, activityType, headers, headerSignature,
+//     columns: { [encabezado]: columnKey },
+//     transforms: { dateFormat, decimalSeparator, aliases: { [columnKey]: { [valor]: etiquetaCatálogo } } } }
+// ============================================================================
 
-                headers.forEach((header, colIndex) => {
-                    const colDef = headerToCol[colIndex];
-                    if (!colDef) return;
+const DATE_FORMATS = ['AUTO', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'YYYYMMDD'];
+const DECIMAL_SEPARATORS = ['.', ','];
 
-                    const value = row[colIndex];
-                    const { key, label, required, type, catalog } = colDef;
+/**
+ * Clean a header cell (template headers end with " *" on required columns)
+ */
+function normalizeHeader(header) {
+    return String(header ?? '').trim().replace(/\s*\*\s*$/, '');
+}
 
-                    // Validate required
-                    if (required && (value === null || value === undefined || value === '')) {
-                        rowErrors.push(`"${label}" es requerido`);
-                        return;
-                    }
-                    if (value === null || value === undefined || value === '') return;
-
-                    // Validate by type
-                    switch (type) {
-                        case 'rfc':
-                            if (!validateRFC(value)) {
-                                rowErrors.push(`RFC inválido: "${value}"`);
-                            } else {
-                                rowData[key] = String(value).toUpperCase().trim();
-                            }
-                            break;
-
-                        case 'date':
-                            if (!validateDate(value)) {
-                                rowErrors.push(`Fecha inválida en "${label}": "${value}"`);
-                            } else {
-                                rowData[key] = parseDate(value);
-                            }
-                            break;
-
-                        case 'number':
-                            if (!validateNumber(value)) {
-                                rowErrors.push(`Valor numérico inválido en "${label}": "${value}"`);
-                            } else {
-                                rowData[key] = Number(value);
-                            }
-                            break;
-
-                        case 'catalog': {
-                            const cleanValue = String(value).trim();
-                            let validValues = [];
-                            if (catalog === 'tipoOp') {
-                                validValues = tiposOp.map(v => v.label);
-                            } else if (CATALOGS[catalog]) {
-                                validValues = CATALOGS[catalog].map(v => v.label);
-                            }
-                            if (validValues.length > 0) {
-                                const matched = validValues.find(v =>
-                                    v.toLowerCase() === cleanValue.toLowerCase()
-                                );
-                                rowData[key] = matched || cleanValue;
-                                if (!matched) {
-                                    rowErrors.push(`"${label}": "${cleanValue}" no está en el catálogo`);
-                                }
-                            } else {
-                                rowData[key] = cleanValue;
-                            }
-                            break;
-                        }
+/**
+ * Order-insensitive signature of a header row, used to auto-select a profile
+ */
+function getHeaderSignature(headers) {
+    return headers
+        .map(h => normalizeHeader(h).toLowerCase())
+        .filter(Boolean)
+        .sort()
+        .join('|');
+}
 
-                        default:
-                            rowData[key] = String(value).trim();
-                    }
-                });
+/**
+ * Find the column definition for a header: saved mapping first, then template label
+ */
+function resolveHeaderColumn(header, columns, mappingColumns = {}) {
+    const mappedKey = mappingColumns[header];
+    if (mappedKey) return columns.find(c => c.key === mappedKey) || null;
+    return columns.find(c => c.label.toLowerCase() === header.toLowerCase()) || null;
+}
 
-                if (rowErrors.length > 0) {
-                    formatErrors.push({ row: rowNum, errors: rowErrors, type: 'FORMAT' });
+/**
+ * Parse a date string using an explicit format. Returns YYYY-MM-DD or the
+ * original value when it can't be parsed (format validation reports it).
+ */
+function parseDateWithFormat(value, dateFormat) {
+    if (!dateFormat || dateFormat === 'AUTO' || typeof value !== 'string') return value;
+
+    const digits = value.trim().match(/\d+/g) || [];
+    let day, month, year;
+    switch (dateFormat) {
+        case 'DD/MM/YYYY':
+        case 'DD-MM-YYYY':
+            [day, month, year] = digits;
+            break;
+        case 'MM/DD/YYYY':
+            [month, day, year] = digits;
+            break;
+        case 'YYYY-MM-DD':
+            [year, month, day] = digits;
+            break;
+        case 'YYYYMMDD': {
+            const compact = digits.join('');
+            [year, month, day] = [compact.slice(0, 4), compact.slice(4, 6), compact.slice(6, 8)];
+            break;
+        }
+        default:
+            return value;
+    }
+    if (!day || !month || !year) return value;
+    if (year.length === 2) year = `20${year}`;
+
+    const iso = `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    const check = new Date(`${iso}T00:00:00Z`);
+    if (isNaN(check.getTime()) || check.toISOString().slice(0, 10) !== iso) return value;
+    return iso;
+}
+
+/**
+ * Parse an amount written with the given decimal separator
+ * ("1.234,56" with ",", "$1,234.56" with "."). Returns the original value if not numeric.
+ */
+function parseLocaleNumber(value, decimalSeparator) {
+    if (typeof value === 'number' || !decimalSeparator) return value;
+    let clean = String(value).replace(/[\s$€]|MXN|USD|EUR/gi, '');
+    if (decimalSeparator === ',') {
+        clean = clean.replace(/\./g, '').replace(',', '.');
+    } else {
+        clean = clean.replace(/,/g, '');
+    }
+    return clean !== '' && !isNaN(Number(clean)) ? Number(clean) : value;
+}
+
+/**
+ * Apply the profile transforms to a raw cell before type validation
+ */
+function applyValueTransforms(value, colDef, transforms = {}) {
+    if (value === null || value === undefined || value === '') return value;
+
+    switch (colDef.type) {
+        case 'date':
+            return parseDateWithFormat(value, transforms.dateFormat);
+        case 'number':
+            return parseLocaleNumber(value, transforms.decimalSeparator);
+        case 'catalog': {
+            const aliases = transforms.aliases?.[colDef.key];
+            if (!aliases) return value;
+            const clean = String(value).trim().toLowerCase();
+            const match = Object.entries(aliases).find(([alias]) => alias.trim().toLowerCase() === clean);
+            return match ? match[1] : value;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Keep only known column keys and supported transforms from a client mapping
+ */
+function sanitizeMapping(rawMapping, activityType) {
+    if (!rawMapping || typeof rawMapping !== 'object') return null;
+    const validKeys = new Set(getAllColumns(activityType).map(c => c.key));
+
+    const columns = {};
+    Object.entries(rawMapping.columns || {}).forEach(([header, key]) => {
+        const cleanHeader = normalizeHeader(header);
+        if (cleanHeader && validKeys.has(key)) columns[cleanHeader] = key;
+    });
+
+    const aliases = {};
+    Object.entries(rawMapping.transforms?.aliases || {}).forEach(([key, values]) => {
+        if (!validKeys.has(key) || !values || typeof values !== 'object') return;
+        const clean = Object.fromEntries(
+            Object.entries(values)
+                .filter(([alias, label]) => String(alias).trim() && typeof label === 'string' && label)
+                .map(([alias, label]) => [String(alias).trim(), label])
+        );
+        if (Object.keys(clean).length > 0) aliases[key] = clean;
+    });
+
+    const { dateFormat, decimalSeparator } = rawMapping.transforms || {};
+    return {
+        id: rawMapping.id || null,
+        name: rawMapping.name || null,
+        columns,
+        transforms: {
+            dateFormat: DATE_FORMATS.includes(dateFormat) ? dateFormat : 'AUTO',
+            decimalSeparator: DECIMAL_SEPARATORS.includes(decimalSeparator) ? decimalSeparator : '.',
+            aliases,
+        },
+    };
+}
+
+/**
+ * Load a mapping profile by id, or the profile whose header signature matches
+ */
+async function findMappingProfile(tenantId, { profileId, headerSignature, activityType }) {
+    const profilesRef = db.collection('tenants').doc(tenantId).collection('mappingProfiles');
+
+    if (profileId) {
+        const doc = await profilesRef.doc(profileId).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    }
+    if (!headerSignature) return null;
+
+    const snapshot = await profilesRef.where('headerSignature', '==', headerSignature).get();
+    const profiles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return profiles.find(p => p.activityType === activityType) ||
+        profiles.find(p => !p.activityType) ||
+        null;
+}
+
+
+// ============================================================================
+// PROCESAMIENTO POR HOJA
+// Motor de Ingesta con Validación Legal LFPIORPI + EBR Risk Engine
+//
+// Pipeline:
+//   1. Map headers → column definitions of the sheet's activity
+//   2. Format validation (RFC, dates, numbers, catalogs)
+//   3. Currency conversion to MXN (exchange rate of the operation date)
+//   4. LEGAL VALIDATION (Art. 32 cash limit, identity PF/PM, beneficiary)
+//   5. Duplicate fingerprint (exact → reject, near → held for review)
+//   6. EBR Risk Assessment (individual monto in MXN)
+//   7. Six-month rolling accumulation by client (Firestore + same batch)
+//   8. Accumulation risk upgrade (cumulative ≥ aviso/identificación thresholds)
+//   9. Save to Firestore with riskLevel, riskReason, warnings
+//  10. Refresh per-client accumulation summary (threshold crossings)
+//
+// Steps 2-7 work on any slice of rows so the synchronous callable and the
+// background job (uploadJobs) share them and give the same result.
+// ============================================================================
+
+const ERROR_SAMPLE_SIZE = 25;
+const WARNING_SAMPLE_SIZE = 30;
+const CROSSING_SAMPLE_SIZE = 30;
+const DUPLICATE_SAMPLE_SIZE = 30;
+const BLOCKED_SAMPLE_SIZE = 30;
+
+/**
+ * Unique id of the rows saved from one sheet
+ */
+function newUploadBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Map headers to column definitions (mapping profile first, then template labels)
+ */
+function prepareSheet(rawData, activityType, mapping = null) {
+    const columns = getAllColumns(activityType);
+    const headers = rawData[0].map(normalizeHeader); // Remove trailing *
+    const dataRows = [];
+    const rowNumbers = []; // sheet row of each data row (blank rows are skipped)
+    rawData.slice(1).forEach((row, index) => {
+        if (row.some(cell => cell !== null && cell !== undefined && cell !== '')) {
+            dataRows.push(row);
+            rowNumbers.push(index + 2);
+        }
+    });
+
+    const headerToCol = {};
+    const fieldToCol = {};
+    const unmappedHeaders = [];
+    headers.forEach((header, index) => {
+        const colDef = resolveHeaderColumn(header, columns, mapping?.columns);
+        if (colDef) {
+            headerToCol[index] = colDef;
+            fieldToCol[colDef.key] = index;
+        } else if (header) unmappedHeaders.push(header);
+    });
+
+    // Required columns with no header in the file: every row would fail, report it once
+    const mappedKeys = new Set(Object.values(headerToCol).map(c => c.key));
+    const missingColumns = columns
+        .filter(c => c.required && !mappedKeys.has(c.key))
+        .map(c => ({ key: c.key, label: c.label }));
+
+    return {
+        columns,
+        tiposOp: TIPOS_OPERACION[activityType] || TIPOS_OPERACION.DEFAULT,
+        headers,
+        dataRows,
+        rowNumbers,
+        headerToCol,
+        fieldToCol,
+        unmappedHeaders,
+        missingColumns,
+        transforms: mapping?.transforms || {},
+    };
+}
+
+/**
+ * Format validation of one row → { rowData, notes } or { errors, cells }
+ * `notes` are non-blocking { field, message } findings (lenient catalogs)
+ */
+function parseRow(row, rowNum, layout, context) {
+    const { columns, tiposOp, headers, headerToCol, transforms } = layout;
+    const rowErrors = [];
+    const cells = [];  // { col, message } → cell comments of the annotated workbook
+    const fail = (col, message) => { rowErrors.push(message); cells.push({ col, message }); };
+    const lenientMisses = [];  // { key, label, value } not found in a lenient catalog
+    const rowData = {
+        tenantId: context.tenantId,
+        activityType: context.activityType,
+        periodYear: context.pYear,
+        periodMonth: context.pMonth,
+        uploadDate: context.uploadDate,
+        uploadBatchId: context.uploadBatchId,
+        status: 'PENDING',
+        sourceFile: context.fileName,
+        sourceSheet: context.sheetName,
+        sourceRow: rowNum,
+    };
+
+    headers.forEach((header, colIndex) => {
+        const colDef = headerToCol[colIndex];
+        if (!colDef) return;
+
+        const value = applyValueTransforms(row[colIndex], colDef, transforms);
+        const { key, label, required, type, catalog } = colDef;
+
+        // Validate required
+        if (required && (value === null || value === undefined || value === '')) {
+            fail(colIndex, `"${label}" es requerido`);
+            return;
+        }
+        if (value === null || value === undefined || value === '') return;
+
+        // Validate by type
+        switch (type) {
+            case 'rfc': {
+                const rfcCheck = validateRfc(String(value));
+                if (!rfcCheck.valid) {
+                    fail(colIndex, `RFC inválido: "${value}". ${rfcCheck.errors.join(' ')}`);
                 } else {
-                    // Verify minimum required fields
-                    const missingRequired = columns
-                        .filter(c => c.required && c.section === 'operacion')
-                        .filter(c => !rowData[c.key]);
-
-                    if (missingRequired.length > 0) {
-                        formatErrors.push({
-                            row: rowNum,
-                            errors: missingRequired.map(c => `"${c.label}" es requerido`),
-                            type: 'FORMAT',
-                        });
+                    rowData[key] = rfcCheck.rfc;
+                }
+                break;
+            }
+
+            case 'date':
+                if (!validateDate(value)) {
+                    fail(colIndex, `Fecha inválida en "${label}": "${value}"`);
+                } else {
+                    rowData[key] = parseDate(value);
+                }
+                break;
+
+            case 'number':
+                if (!validateNumber(value)) {
+                    fail(colIndex, `Valor numérico inválido en "${label}": "${value}"`);
+                } else {
+                    rowData[key] = Number(value);
+                }
+                break;
+
+            case 'catalog': {
+                const cleanValue = String(value).trim();
+                if (LOOKUP_CATALOGS.has(catalog)) {
+                    const entry = findCatalogEntry(catalog, cleanValue);
+                    rowData[key] = entry ? entry.label : cleanValue;
+                    if (entry) break;
+                    if (colDef.lenient) {
+                        lenientMisses.push({ key, label, value: cleanValue });
                     } else {
-                        parsedRows.push(rowData);
+                        fail(colIndex, `"${label}": "${cleanValue}" no está en el catálogo`);
                     }
+                    break;
                 }
-            });
-
-            // ── PHASE 2: Legal Validation + EBR Risk Assessment ──
-            const validRows = [];
-            const rejectedRows = [];  // Hard stops (Art. 32, identity)
-            const warningRows = [];   // Passed but with warnings
-
-            // Collect unique RFCs for accumulation query
-            const uniqueRFCs = [...new Set(
-                parsedRows.map(r => r.rfcCliente).filter(Boolean)
-            )];
-
-            // Query monthly accumulation for all unique RFCs in parallel
-            const accumulationMap = {};  // { rfc: totalAccumulated }
-            if (uniqueRFCs.length > 0) {
-                const accPromises = uniqueRFCs.map(async (rfc) => {
-                    const accumulated = await getMonthlyAccumulation(
-                        tenantId, rfc, activityType, pYear, pMonth
+                let validValues = [];
+                if (catalog === 'tipoOp') {
+                    validValues = tiposOp.map(v => v.label);
+                } else if (CATALOGS[catalog]) {
+                    validValues = CATALOGS[catalog].map(v => v.label);
+                }
+                if (validValues.length > 0) {
+                    const matched = validValues.find(v =>
+                        v.toLowerCase() === cleanValue.toLowerCase()
                     );
-                    accumulationMap[rfc.toUpperCase().trim()] = accumulated;
-                });
-                await Promise.all(accPromises);
+                    rowData[key] = matched || cleanValue;
+                    if (!matched) {
+                        fail(colIndex, `"${label}": "${cleanValue}" no está en el catálogo`);
+                    }
+                } else {
+                    rowData[key] = cleanValue;
+                }
+                break;
             }
 
-            // Track in-batch accumulation (for rows in same upload with same RFC)
-            const batchAccumulation = {};  // { rfc: runningTotal }
+            default:
+                rowData[key] = String(value).trim();
+        }
+    });
 
-            for (const rowData of parsedRows) {
-                // Run legal validation
-                const legalResult = validateLegalRules(rowData, activityType);
+    if (rowErrors.length > 0) return { errors: rowErrors, cells };
 
-                // HARD STOPS → Reject the row entirely
-                if (legalResult.hardStops.length > 0) {
-                    rejectedRows.push({
-                        row: rowData.sourceRow,
-                        errors: legalResult.hardStops,
-                        type: 'LEGAL_REJECT',
-                    });
-                    continue;
-                }
+    // Verify minimum required fields
+    const missingRequired = columns
+        .filter(c => c.required && c.section === 'operacion')
+        .filter(c => !rowData[c.key]);
 
-                // ── Accumulation Check ──
-                const rfc = (rowData.rfcCliente || '').toUpperCase().trim();
-                const monto = Number(rowData.monto) || 0;
+    if (missingRequired.length > 0) {
+        return { errors: missingRequired.map(c => `"${c.label}" es requerido`), cells: [] };
+    }
 
-                // Previous months (already in Firestore) + this batch
-                const previousAccumulated = accumulationMap[rfc] || 0;
-                const batchPrevious = batchAccumulation[rfc] || 0;
-                const totalAccumulated = previousAccumulated + batchPrevious + monto;
+    // Foreign addresses keep their state/province as free text
+    const foreignAddress = rowData.pais && !rowData.pais.startsWith('MX-');
+    const notes = lenientMisses
+        .filter(miss => !(miss.key === 'estado' && foreignAddress))
+        .map(({ key, label, value }) => ({ field: key, message: `⚠️ "${label}": "${value}" no está en el catálogo` }));
 
-                // Update batch running total
-                if (rfc) {
-                    batchAccumulation[rfc] = (batchAccumulation[rfc] || 0) + monto;
-                }
+    return { rowData, notes };
+}
 
-                // Upgrade risk level based on accumulation
-                let { riskLevel, riskReason, riskScore } = legalResult;
-
-                if (totalAccumulated >= UMBRAL_AVISO_MXN && riskLevel !== 'HIGH') {
-                    riskLevel = 'HIGH';
-                    riskReason = `Acumulado mensual RFC ${rfc}: $${totalAccumulated.toLocaleString('es-MX')} ` +
-                        `≥ 645 UMA ($${UMBRAL_AVISO_MXN.toLocaleString('es-MX')}). ` +
-                        `Aviso automático SAT por acumulación.`;
-                    riskScore = 100;
-                } else if (totalAccumulated >= UMBRAL_IDENT_MXN && riskLevel === 'LOW') {
-                    riskLevel = 'MEDIUM';
-                    riskReason = `Acumulado mensual RFC ${rfc}: $${totalAccumulated.toLocaleString('es-MX')} ` +
-                        `≥ 325 UMA ($${UMBRAL_IDENT_MXN.toLocaleString('es-MX')}). ` +
-                        `Identificación obligatoria por acumulación.`;
-                    riskScore = Math.max(riskScore, 60);
-                }
+/**
+ * Load saved operations of each client (clientId) for this activity
+ * (rolling window is applied per row). Keyed by clientId so general-public
+ * customers sharing a generic RFC accumulate separately
+ */
+async function loadExistingOperations(tenantId, rows, activityType) {
+    const uniqueClients = [...new Set(
+        rows.map(r => r.clientId).filter(Boolean)
+    )];
 
-                // Determine final status based on risk
-                let status = 'PENDING';
-                if (riskLevel === 'HIGH') {
-                    status = 'PENDING_REPORT';  // Needs SAT report (aviso automático)
-                } else if (riskLevel === 'MEDIUM') {
-                    status = 'PENDING_REVIEW';  // Needs manual review
-                }
+    const existingOpsMap = {};  // { clientId: [operations] }
+    await Promise.all(uniqueClients.map(async (clientId) => {
+        try {
+            const operations = await getClientOperations(tenantId, clientId, activityType);
+            // Recomputed: stored fingerprints may predate fingerprinting or its clientId key
+            existingOpsMap[clientId] = operations.map(op => ({
+                ...op,
+                fingerprint: getOperationFingerprint(op),
+            }));
+        } catch (err) {
+            logger.warn('Error querying rolling accumulation:', err.message);
+            existingOpsMap[clientId] = [];
+        }
+    }));
+    return existingOpsMap;
+}
 
-                // Enrich row data with risk + accumulation info
-                const enrichedRow = {
-                    ...rowData,
-                    status,
-                    // EBR Risk fields
-                    riskLevel,
-                    riskReason,
-                    riskScore,
-                    // Accumulation data
-                    monthlyAccumulated: totalAccumulated,
-                    previousAccumulated: previousAccumulated + batchPrevious,
-                    // Warnings (non-blocking)
-                    warnings: legalResult.warnings,
-                    hasWarnings: legalResult.warnings.length > 0,
-                    // Legal metadata
-                    validatedAt: uploadDate,
-                    umaReference: UMA_DIARIO,
-                    limiteEfectivoMXN: LIMITE_EFECTIVO_MXN,
-                };
+// ============================================================================
+// DETECCIÓN DE DUPLICADOS (huella y criterios en services/duplicates.js)
+// - Idéntica a una operación de otra carga → rechazo (archivo cargado dos veces)
+// - Fila repetida o mismo cliente y monto a ±1 día → "posible duplicado"
+// ============================================================================
 
-                validRows.push(enrichedRow);
+/**
+ * Compact description of a matching operation (shown to the user)
+ */
+function describeDuplicateMatch(op) {
+    return {
+        operationId: op.id || null,
+        uploadBatchId: op.uploadBatchId || null,
+        sourceFile: op.sourceFile || null,
+        sourceRow: op.sourceRow || null,
+        fechaOperacion: op.fechaOperacion || null,
+        monto: Number(op.monto) || 0,
+        tipoOperacion: op.tipoOperacion || null,
+        folio: getOperationFolio(op) || null,
+    };
+}
 
-                if (legalResult.warnings.length > 0) {
-                    warningRows.push({
-                        row: rowData.sourceRow,
-                        warnings: legalResult.warnings,
-                        riskLevel,
-                        type: 'WARNING',
-                    });
-                }
-            }
+/**
+ * Document of a possible duplicate held for review: tenants/{tenantId}/possibleDuplicates/{uploadBatchId}_{row}
+ */
+function possibleDuplicateDoc(entry) {
+    return {
+        rfc: entry.rfc,
+        row: entry.row,
+        fechaOperacion: entry.fechaOperacion,
+        monto: entry.monto,
+        reason: entry.reason,
+        matches: entry.matches,
+        operation: entry.operation,
+        uploadBatchId: entry.operation.uploadBatchId,
+        activityType: entry.operation.activityType,
+        sourceFile: entry.operation.sourceFile,
+        sourceSheet: entry.operation.sourceSheet || null,
+        status: 'PENDING',
+        createdAt: FieldValue.serverTimestamp(),
+    };
+}
 
-            // ── PHASE 3: Save to Firestore ──
-            const savedIds = [];
-            const BATCH_SIZE = 400;
+/**
+ * Document with the problems of a slice of rows: tenants/{tenantId}/uploadIssues/{uploadBatchId}_{n}
+ * (at most 400 rows, so it stays well under the document size limit)
+ */
+function uploadIssuesDoc(uploadBatchId, rowIssues) {
+    return {
+        uploadBatchId,
+        firstRow: rowIssues[0]?.row ?? null,
+        rows: rowIssues,
+        createdAt: FieldValue.serverTimestamp(),
+    };
+}
 
-            for (let i = 0; i < validRows.length; i += BATCH_SIZE) {
-                const batch = db.batch();
-                const chunk = validRows.slice(i, i + BATCH_SIZE);
-                for (const rowData of chunk) {
-                    const docRef = db.collection('tenants').doc(tenantId).collection('operations').doc();
-                    batch.set(docRef, {
-                        ...rowData,
-                        createdAt: FieldValue.serverTimestamp(),
-                    });
-                    savedIds.push(docRef.id);
-                }
-                await batch.commit();
-            }
+/**
+ * Editable copy of a rejected row: field values as the user would type them + errors per field
+ */
+function buildDraft(row, rowNum, type, cells, layout, context) {
+    const values = {};
+    Object.entries(layout.headerToCol).forEach(([index, colDef]) => {
+        let value = applyValueTransforms(row[index], colDef, layout.transforms);
+        if (colDef.type === 'date' && validateDate(value)) value = parseDate(value);
+        values[colDef.key] = value instanceof Date ? value.toISOString().split('T')[0] : (value ?? '');
+    });
+
+    const fieldErrors = {};
+    const errors = [];
+    cells.forEach(({ col, message }) => {
+        errors.push(message);
+        const key = layout.headerToCol[col]?.key;
+        if (key) fieldErrors[key] = [...(fieldErrors[key] || []), message];
+    });
+
+    return {
+        id: `${context.uploadBatchId}_${rowNum}`,
+        row: rowNum,
+        type,
+        values,
+        errors,
+        fieldErrors,
+    };
+}
 
-            // ── PHASE 4: Save upload summary to tenant audit log ──
-            const riskSummary = {
-                HIGH: validRows.filter(r => r.riskLevel === 'HIGH').length,
-                MEDIUM: validRows.filter(r => r.riskLevel === 'MEDIUM').length,
-                LOW: validRows.filter(r => r.riskLevel === 'LOW').length,
-            };
+/**
+ * Draft document: tenants/{tenantId}/uploadDrafts/{uploadBatchId}_{row}
+ */
+function uploadDraftDoc(draft, context) {
+    return {
+        uploadBatchId: context.uploadBatchId,
+        activityType: context.activityType,
+        periodYear: context.pYear,
+        periodMonth: context.pMonth,
+        sourceFile: context.fileName,
+        sourceSheet: context.sheetName || null,
+        row: draft.row,
+        type: draft.type,
+        originType: draft.type, // counter of uploadHistory the row is counted in
+        values: draft.values,
+        errors: draft.errors,
+        fieldErrors: draft.fieldErrors,
+        status: 'PENDING',
+        createdAt: FieldValue.serverTimestamp(),
+    };
+}
 
-            try {
-                await db.collection('tenants').doc(tenantId).collection('uploadHistory').add({
-                    uploadBatchId,
-                    activityType,
-                    periodYear: pYear,
-                    periodMonth: pMonth,
-                    fileName,
-                    totalRows: dataRows.length,
-                    validRows: validRows.length,
-                    rejectedRows: rejectedRows.length,
-                    formatErrors: formatErrors.length,
-                    warningRows: warningRows.length,
-                    riskSummary,
-                    uploadedBy: userId,
-                    createdAt: FieldValue.serverTimestamp(),
-                });
-            } catch (auditErr) {
-                logger.warn('Failed to save upload audit:', auditErr.message);
+/**
+ * Format + legal validation and EBR risk of a slice of data rows.
+ * Rows of the same upload saved before `firstIndex` are already in Firestore,
+ * so they count towards the rolling accumulation like any other saved operation.
+ */
+async function validateRows(rows, firstIndex, layout, context) {
+    const { tenantId, activityType, umaCatalog, uploadDate } = context;
+    const activityRule = getActivityRule(activityType);
+
+    // Every row with a problem, for the annotated workbook (rows not listed are OK)
+    const rowIssues = [];
+    // Format / legal rejects, kept as editable drafts of the batch
+    const drafts = [];
+    const rawRows = new Map();
+    const fieldCells = (fieldIssues) => fieldIssues.map(({ field, message }) => ({
+        col: layout.fieldToCol[field] ?? null,
+        message,
+    }));
+
+    // ── PHASE 1: Format Validation (parse each row) ──
+    const parsedRows = [];
+    const formatErrors = [];
+    // Non-blocking catalog findings per source row, attached as warnings in PHASE 2
+    const catalogNotes = new Map();
+    const addNote = (row, field, message) => {
+        catalogNotes.set(row, [...(catalogNotes.get(row) || []), { field, message }]);
+    };
+
+    rows.forEach((row, rowIndex) => {
+        const rowNum = layout.rowNumbers[firstIndex + rowIndex];
+        const { rowData, errors, cells, notes } = parseRow(row, rowNum, layout, context);
+        if (errors) {
+            formatErrors.push({ row: rowNum, errors, type: 'FORMAT' });
+            rowIssues.push({ row: rowNum, status: 'FORMAT', cells });
+            drafts.push(buildDraft(row, rowNum, 'FORMAT', cells, layout, context));
+        } else {
+            parsedRows.push(rowData);
+            rawRows.set(rowNum, row);
+            notes.forEach(({ field, message }) => addNote(rowNum, field, message));
+        }
+    });
+
+    // ── PHASE 1a: Postal code enrichment (SEPOMEX) ──
+    // Fills estado/municipio from the CP and flags a declared state that contradicts it
+    const postalCodes = await loadPostalCodes(parsedRows
+        .filter(rowData => !rowData.pais || rowData.pais.startsWith('MX-'))
+        .map(rowData => rowData.codigoPostal));
+    if (postalCodes.version) {
+        parsedRows.forEach(rowData => {
+            const cp = String(rowData.codigoPostal || '').trim();
+            if (!cp || (rowData.pais && !rowData.pais.startsWith('MX-'))) return;
+
+            const postal = postalCodes.entries.get(cp);
+            if (!postal) {
+                addNote(rowData.sourceRow, 'codigoPostal',
+                    `⚠️ Código postal ${cp} no existe en el catálogo de SEPOMEX (versión ${postalCodes.version})`);
+                return;
             }
 
-            logger.log('Upload processed with legal validation:', {
-                tenantId, activityType, fileName,
-                totalRows: dataRows.length,
-                validRows: validRows.length,
-                formatErrors: formatErrors.length,
-                rejectedRows: rejectedRows.length,
-                warningRows: warningRows.length,
-                riskSummary,
-                user: userId,
-            });
+            const declared = rowData.estado ? findCatalogEntry('entidadFederativa', rowData.estado) : null;
+            const postalState = findCatalogEntry('entidadFederativa', postal.estadoClave);
+            if (!rowData.estado) {
+                rowData.estado = postalState?.label || postal.estado;
+            } else if (declared && postalState && declared.value !== postalState.value) {
+                addNote(rowData.sourceRow, 'estado',
+                    `⚠️ Estado "${rowData.estado}" no corresponde al código postal ${cp} (${postalState.label})`);
+            }
+            rowData.municipio = postal.municipio;
+            if (!rowData.ciudad) rowData.ciudad = postal.municipio;
+            rowData.sepomexVersion = postalCodes.version;
+        });
+    }
 
-            // ── Return comprehensive result ──
-            return {
-                success: true,
-                // Counts
-                recordsProcessed: validRows.length,
-                recordsRejected: rejectedRows.length,
-                recordsWithWarnings: warningRows.length,
-                recordsWithErrors: formatErrors.length,
-                totalRecords: dataRows.length,
-                // Risk summary
-                riskSummary,
-                // Detailed errors (format + legal rejects)
-                errors: [
-                    ...formatErrors.slice(0, 25),
-                    ...rejectedRows.slice(0, 25),
-                ].slice(0, 50),
-                hasMoreErrors: (formatErrors.length + rejectedRows.length) > 50,
-                // Warnings (non-blocking)
-                warnings: warningRows.slice(0, 30),
-                hasMoreWarnings: warningRows.length > 30,
-                // Metadata
-                uploadBatchId,
-                // Legal reference info
-                legalContext: {
-                    umaDaily: UMA_DIARIO,
-                    limiteEfectivoMXN: LIMITE_EFECTIVO_MXN,
-                    umbralAvisoMXN: UMBRAL_AVISO_MXN,
-                    umbralIdentMXN: UMBRAL_IDENT_MXN,
-                },
-            };
+    // ── PHASE 1b: Currency conversion (thresholds are in MXN) ──
+    // `monto` keeps the reported amount in its currency (SAT XML); checks use montoMXN
+    const exchangeRates = await loadExchangeRates(parsedRows);
+    const convertedRows = [];
+    parsedRows.forEach(rowData => {
+        const conversion = convertToMXN(exchangeRates, rowData);
+        if (conversion.error) {
+            const cells = [{ col: layout.fieldToCol.moneda ?? null, message: conversion.error }];
+            formatErrors.push({ row: rowData.sourceRow, errors: [conversion.error], type: 'FORMAT' });
+            rowIssues.push({ row: rowData.sourceRow, status: 'FORMAT', cells });
+            drafts.push(buildDraft(rawRows.get(rowData.sourceRow), rowData.sourceRow, 'FORMAT', cells, layout, context));
+            return;
+        }
+        rowData.montoMXN = conversion.montoMXN;
+        rowData.tipoCambio = conversion.tipoCambio;
+        rowData.fechaTipoCambio = conversion.fechaTipoCambio;
+        convertedRows.push(rowData);
+    });
+
+    // ── PHASE 2: Legal Validation + EBR Risk Assessment ──
+    const validRows = [];
+    const rejectedRows = [];  // Hard stops (Art. 32, identity) + exact duplicates
+    const warningRows = [];   // Passed but with warnings
+    const possibleDuplicates = [];  // Held until the user accepts or dismisses them
+    const blockedRows = [];   // Saved as BLOCKED (Lista de Personas Bloqueadas)
+
+    // Client master registry key (RFC, or CURP / name for generic RFCs). Rows of a client
+    // merged into another one (services/client-merge.js) go to the surviving client and
+    // take its RFC, so they accumulate with its operations
+    const mergedClients = await loadMergedClients(tenantId);
+    convertedRows.forEach(rowData => {
+        rowData.clientId = getClientId(rowData);
+        const resolved = resolveMergedClient(rowData, mergedClients);
+        if (resolved.clientId === rowData.clientId) return;
+        rowData.mergedFrom = { clientId: rowData.clientId, rfcCliente: rowData.rfcCliente };
+        rowData.clientId = resolved.clientId;
+        if (resolved.rfc) rowData.rfcCliente = resolved.rfc;
+    });
+
+    const existingOpsMap = await loadExistingOperations(tenantId, convertedRows, activityType);
+
+    // UIF Lista de Personas Bloqueadas: one lookup per client of the slice.
+    // A match saves the operation as BLOCKED (suspended, aviso within 24 hours)
+    const blockedClients = new Map();
+    for (const rowData of convertedRows) {
+        if (blockedClients.has(rowData.clientId)) continue;
+        blockedClients.set(rowData.clientId, await findBlockedPerson({
+            name: [rowData.nombreCliente, rowData.apellidoPaterno, rowData.apellidoMaterno].filter(Boolean).join(' '),
+            rfc: rowData.rfcCliente,
+            curp: rowData.curp,
+            dateOfBirth: rowData.fechaNacimiento,
+            nationality: rowData.nacionalidad,
+        }));
+    }
+
+    // Track in-batch operations (for rows in same upload of the same client)
+    const batchOperations = {};  // { clientId: [operations] }
+
+    for (const rowData of convertedRows) {
+        // Five-year retention from the operation date (services/retention.js)
+        rowData.retentionUntil = getRetentionUntil(rowData.fechaOperacion);
+
+        // UMA in force on the operation date (uploads may mix December and January)
+        const uma = resolveUma(umaCatalog, rowData.fechaOperacion);
+        const { limiteEfectivoMXN } = getThresholdsMXN(activityType, uma.valorDiario);
+
+        // Run legal validation
+        const legalResult = validateLegalRules(rowData, activityType, uma.valorDiario);
+        (catalogNotes.get(rowData.sourceRow) || []).forEach(({ field, message }) => {
+            legalResult.warnings.push(message);
+            legalResult.fieldIssues.push({ field, message });
+        });
+
+        // HARD STOPS → Reject the row entirely
+        if (legalResult.hardStops.length > 0) {
+            rejectedRows.push({
+                row: rowData.sourceRow,
+                errors: legalResult.hardStops,
+                type: 'LEGAL_REJECT',
+            });
+            rowIssues.push({ row: rowData.sourceRow, status: 'LEGAL_REJECT', cells: fieldCells(legalResult.fieldIssues) });
+            drafts.push(buildDraft(rawRows.get(rowData.sourceRow), rowData.sourceRow, 'LEGAL_REJECT',
+                fieldCells(legalResult.fieldIssues), layout, context));
+            continue;
+        }
+
+        // ── Duplicate Check (earlier uploads + earlier rows of this one) ──
+        const rfc = (rowData.rfcCliente || '').toUpperCase().trim();
+        const { clientId } = rowData;
+        rowData.fingerprint = getOperationFingerprint(rowData);
+        const duplicate = findDuplicate(rowData, [
+            ...(existingOpsMap[clientId] || []),
+            ...(batchOperations[clientId] || []),
+        ]);
+
+        if (duplicate?.type === 'EXACT') {
+            const [match] = duplicate.matches;
+            const message = match.sourceFile
+                ? `Operación duplicada: ya se cargó en "${match.sourceFile}" (fila ${match.sourceRow})`
+                : `Operación duplicada: ya registrada el ${match.fechaOperacion} por $${(Number(match.monto) || 0).toLocaleString('es-MX')}`;
+            rejectedRows.push({
+                row: rowData.sourceRow,
+                errors: [message],
+                type: 'DUPLICATE',
+            });
+            rowIssues.push({ row: rowData.sourceRow, status: 'DUPLICATE', cells: [{ col: null, message }] });
+            continue;
+        }
+
+        // ── Accumulation Check (six-month window ending on the operation date) ──
+        const monto = amountMXN(rowData);
+        const months = activityRule.periodoAcumulacionMeses;
+
+        // Saved operations + earlier rows of this batch inside the window
+        const previousAccumulated =
+            sumRollingWindow(existingOpsMap[clientId] || [], rowData.fechaOperacion, months) +
+            sumRollingWindow(batchOperations[clientId] || [], rowData.fechaOperacion, months);
+        const totalAccumulated = previousAccumulated + monto;
+
+        // Upgrade risk level based on accumulation
+        const { riskLevel, riskReason, riskScore } = applyAccumulationRisk(legalResult, {
+            rollingTotal: totalAccumulated,
+            activityType,
+            umaDiario: uma.valorDiario,
+            rfc,
+        });
+
+        // Determine final status based on risk
+        // HIGH → PENDING_REPORT (aviso automático), MEDIUM → PENDING_REVIEW (revisión manual)
+        // LPB match → BLOCKED regardless of risk
+        const blockedMatch = blockedClients.get(rowData.clientId);
+        const status = blockedMatch ? 'BLOCKED' : statusForRisk(riskLevel);
+
+        // Enrich row data with risk + accumulation info
+        const enrichedRow = {
+            ...rowData,
+            status,
+            // EBR Risk fields
+            riskLevel,
+            riskReason,
+            riskScore,
+            // Classification of the operation alone (recomputed accumulation starts from it)
+            baseRiskLevel: legalResult.riskLevel,
+            baseRiskReason: legalResult.riskReason,
+            baseRiskScore: legalResult.riskScore,
+            // Accumulation data (six-month rolling window)
+            rollingAccumulated: totalAccumulated,
+            previousAccumulated,
+            // Warnings (non-blocking)
+            warnings: legalResult.warnings,
+            hasWarnings: legalResult.warnings.length > 0,
+            // Legal metadata
+            validatedAt: uploadDate,
+            umaReference: uma.valorDiario,
+            umaYear: uma.year,
+            umaVigenteDesde: uma.vigenteDesde,
+            fraccion: activityRule.fraccion,
+            limiteEfectivoMXN,
+            // Counted in stats/dashboard by onOperationWrite (only marked operations are discounted)
+            statsCounted: true,
+        };
+        if (blockedMatch) {
+            enrichedRow.blockedBy = blockedOperationInfo(blockedMatch);
+            // Restored if the oficial dismisses the match as a false positive
+            enrichedRow.statusBeforeBlock = statusForRisk(riskLevel);
+        }
+
+        // Possible duplicate: kept aside (not saved, not accumulated) until reviewed
+        if (duplicate) {
+            possibleDuplicates.push({
+                id: `${context.uploadBatchId}_${rowData.sourceRow}`,
+                row: rowData.sourceRow,
+                rfc,
+                fechaOperacion: rowData.fechaOperacion,
+                monto,
+                reason: duplicate.reason,
+                matches: duplicate.matches.map(describeDuplicateMatch),
+                operation: enrichedRow,
+            });
+            rowIssues.push({
+                row: rowData.sourceRow,
+                status: 'POSSIBLE_DUPLICATE',
+                cells: [{ col: null, message: `Posible duplicado: ${duplicate.reason}` }, ...fieldCells(legalResult.fieldIssues)],
+            });
+            continue;
+        }
+
+        // Update batch operations
+        if (clientId) {
+            batchOperations[clientId] = batchOperations[clientId] || [];
+            batchOperations[clientId].push(enrichedRow);
+        }
+
+        validRows.push(enrichedRow);
+
+        if (blockedMatch) {
+            const message = `Persona bloqueada: coincide con ${blockedMatch.sourceLabel} ` +
+                `(${blockedMatch.matchedName}${blockedMatch.reference ? `, ${blockedMatch.reference}` : ''})`;
+            blockedRows.push({
+                row: rowData.sourceRow,
+                rfc,
+                matchedName: blockedMatch.matchedName,
+                matchedBy: blockedMatch.matchedBy,
+                reference: blockedMatch.reference || null,
+                type: 'BLOCKED',
+            });
+            rowIssues.push({
+                row: rowData.sourceRow,
+                status: 'BLOCKED',
+                cells: [{ col: null, message }, ...fieldCells(legalResult.fieldIssues)],
+            });
+        } else if (legalResult.warnings.length > 0) {
+            warningRows.push({
+                row: rowData.sourceRow,
+                warnings: legalResult.warnings,
+                riskLevel,
+                type: 'WARNING',
+            });
+            rowIssues.push({ row: rowData.sourceRow, status: 'WARNING', cells: fieldCells(legalResult.fieldIssues) });
+        }
+    }
+
+    return { validRows, rejectedRows, formatErrors, warningRows, possibleDuplicates, blockedRows, rowIssues, drafts };
+}
+
+/**
+ * Running counts of a sheet (plain object so the background job can persist it)
+ */
+function createSheetTally() {
+    return {
+        validRows: 0,
+        rejectedRows: 0,
+        formatErrors: 0,
+        warningRows: 0,
+        duplicateRows: 0,
+        possibleDuplicateRows: 0,
+        blockedRows: 0,
+        riskSummary: { HIGH: 0, MEDIUM: 0, LOW: 0 },
+        umaApplied: {},
+        formatErrorSample: [],
+        rejectedSample: [],
+        warningSample: [],
+        possibleDuplicateSample: [],
+        blockedSample: [],
+    };
+}
+
+/**
+ * Add the outcome of validateRows to the tally
+ */
+function tallyRows(tally, { validRows, rejectedRows, formatErrors, warningRows, possibleDuplicates, blockedRows = [] }) {
+    tally.validRows += validRows.length;
+    tally.rejectedRows += rejectedRows.length;
+    tally.formatErrors += formatErrors.length;
+    tally.warningRows += warningRows.length;
+    tally.duplicateRows += rejectedRows.filter(r => r.type === 'DUPLICATE').length;
+    tally.possibleDuplicateRows += possibleDuplicates.length;
+    tally.blockedRows += blockedRows.length;
+    validRows.forEach(r => {
+        if (tally.riskSummary[r.riskLevel] !== undefined) tally.riskSummary[r.riskLevel]++;
+        if (!tally.umaApplied[r.umaYear]) tally.umaApplied[r.umaYear] = r.umaReference;
+    });
+    tally.formatErrorSample.push(...formatErrors.slice(0, ERROR_SAMPLE_SIZE - tally.formatErrorSample.length));
+    tally.rejectedSample.push(...rejectedRows.slice(0, ERROR_SAMPLE_SIZE - tally.rejectedSample.length));
+    tally.warningSample.push(...warningRows.slice(0, WARNING_SAMPLE_SIZE - tally.warningSample.length));
+    tally.possibleDuplicateSample.push(...possibleDuplicates
+        .slice(0, DUPLICATE_SAMPLE_SIZE - tally.possibleDuplicateSample.length)
+        .map(({ operation, ...entry }) => ({ ...entry, tipoOperacion: operation.tipoOperacion || null })));
+    tally.blockedSample.push(...blockedRows.slice(0, BLOCKED_SAMPLE_SIZE - tally.blockedSample.length));
+    return tally;
+}
+
+/**
+ * Refresh the accumulation summary of one client (clientId) and return the
+ * threshold crossings caused by operations of this upload batch
+ */
+async function refreshClientCrossings(tenantId, clientId, activityType, umaCatalog, uploadBatchId) {
+    try {
+        const summary = await recomputeClientAccumulation(tenantId, clientId, activityType, umaCatalog);
+        return (summary?.crossings || [])
+            .filter(c => c.uploadBatchId === uploadBatchId)
+            .map(c => ({ rfc: summary.rfcCliente, clientId, ...c }));
+    } catch (accErr) {
+        logger.warn('Failed to refresh accumulation summary:', { clientId, error: accErr.message });
+        return [];
+    }
+}
+
+/**
+ * PHASE 4: upload summary in the tenant audit log + sheet result returned to the client
+ */
+async function finishSheet({ tenantId, userId, fileName, sheetName, activityType, pYear, pMonth, umaCatalog, uploadBatchId, mapping, layout, totalRows, tally, thresholdCrossings, historyId = null, uploadJobId = null, sourceStoragePath = null }) {
+    const activityRule = getActivityRule(activityType);
+    const { riskSummary } = tally;
+
+    try {
+        const historyCollection = db.collection('tenants').doc(tenantId).collection('uploadHistory');
+        const historyRef = historyId ? historyCollection.doc(historyId) : historyCollection.doc();
+        await historyRef.set({
+            uploadBatchId,
+            activityType,
+            periodYear: pYear,
+            periodMonth: pMonth,
+            fileName,
+            sheetName,
+            totalRows,
+            validRows: tally.validRows,
+            rejectedRows: tally.rejectedRows,
+            formatErrors: tally.formatErrors,
+            warningRows: tally.warningRows,
+            duplicateRows: tally.duplicateRows,
+            possibleDuplicates: tally.possibleDuplicateRows,
+            blockedRows: tally.blockedRows,
+            pendingDrafts: tally.formatErrors + tally.rejectedRows - tally.duplicateRows,
+            riskSummary,
+            thresholdCrossings: thresholdCrossings.count,
+            mappingProfileId: mapping?.id || null,
+            uploadJobId,
+            // Original file, read back by downloadAnnotatedWorkbook
+            sourceStoragePath,
+            status: 'COMPLETED',
+            uploadedBy: userId,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    } catch (auditErr) {
+        logger.warn('Failed to save upload audit:', auditErr.message);
+    }
+
+    logger.log('Upload processed with legal validation:', {
+        tenantId, activityType, fileName, sheetName,
+        totalRows,
+        validRows: tally.validRows,
+        formatErrors: tally.formatErrors,
+        rejectedRows: tally.rejectedRows,
+        warningRows: tally.warningRows,
+        riskSummary,
+        uploadJobId,
+        user: userId,
+    });
+
+    // Legal context shown to the user: UMA in force for the reported period
+    const periodUma = resolveUma(umaCatalog, `${pYear}-${String(pMonth).padStart(2, '0')}-01`);
+    const periodThresholds = getThresholdsMXN(activityType, periodUma.valorDiario);
+    const umaApplied = Object.entries(tally.umaApplied)
+        .map(([year, valorDiario]) => ({ year: Number(year), valorDiario }));
+
+    // ── Sheet result ──
+    return {
+        sheetName,
+        activityType,
+        // Column mapping
+        mappingProfile: mapping?.id ? { id: mapping.id, name: mapping.name } : null,
+        unmappedHeaders: layout.unmappedHeaders,
+        missingColumns: layout.missingColumns,
+        // Counts
+        recordsProcessed: tally.validRows,
+        recordsRejected: tally.rejectedRows,
+        recordsWithWarnings: tally.warningRows,
+        recordsWithErrors: tally.formatErrors,
+        recordsDuplicated: tally.duplicateRows,
+        totalRecords: totalRows,
+        // Risk summary
+        riskSummary,
+        // Detailed errors (format + legal rejects)
+        errors: [
+            ...tally.formatErrorSample,
+            ...tally.rejectedSample,
+        ].slice(0, ERROR_SAMPLE_SIZE * 2),
+        hasMoreErrors: (tally.formatErrors + tally.rejectedRows) > ERROR_SAMPLE_SIZE * 2,
+        // Warnings (non-blocking)
+        warnings: tally.warningSample,
+        hasMoreWarnings: tally.warningRows > WARNING_SAMPLE_SIZE,
+        // Threshold crossings caused by this upload (six-month accumulation)
+        thresholdCrossings: thresholdCrossings.sample,
+        // Possible duplicates held for review (force-accept via resolvePossibleDuplicates)
+        possibleDuplicates: tally.possibleDuplicateSample,
+        possibleDuplicatesCount: tally.possibleDuplicateRows,
+        hasMorePossibleDuplicates: tally.possibleDuplicateRows > DUPLICATE_SAMPLE_SIZE,
+        // Operations saved as BLOCKED (Lista de Personas Bloqueadas, aviso within 24 hours)
+        recordsBlocked: tally.blockedRows,
+        blockedOperations: tally.blockedSample,
+        // Metadata
+        uploadBatchId,
+        // Legal reference info
+        legalContext: {
+            umaDaily: periodUma.valorDiario,
+            umaYear: periodUma.year,
+            umaApplied,
+            fraccion: activityRule.fraccion,
+            limiteEfectivoUMA: activityRule.limiteEfectivoUMA,
+            limiteEfectivoMXN: periodThresholds.limiteEfectivoMXN,
+            umbralAvisoUMA: activityRule.umbralAvisoUMA,
+            umbralAvisoMXN: periodThresholds.umbralAvisoMXN,
+            umbralIdentUMA: activityRule.umbralIdentificacionUMA,
+            umbralIdentMXN: periodThresholds.umbralIdentMXN,
+            siempreIdentificar: activityRule.siempreIdentificar,
+            siempreAvisar: activityRule.siempreAvisar,
+        },
+    };
+}
+
+/**
+ * Register saved operations in the client master (tenants/{id}/clients) and
+ * recompute the EBR risk score of the clients they touch. Operations saved as
+ * BLOCKED open the urgent Lista de Personas Bloqueadas alert of their client.
+ * The operations are already saved, so a failure here does not undo the upload.
+ * Registering the same operations again changes nothing, so background jobs pass
+ * strict to fail the task instead and register the chunk again when it resumes.
+ */
+async function registerClients(tenantId, operations, source, { strict = false } = {}) {
+    try {
+        await alertBlockedOperations(tenantId, operations, source);
+    } catch (err) {
+        logger.error('Error opening blocked person alerts:', { tenantId, error: err.message });
+        if (strict) throw err;
+    }
+
+    try {
+        const summary = await upsertClientsFromOperations(tenantId, operations, source);
+        // Operation counts and EBR scores are recalculated by refreshClients tasks,
+        // so a large upload does not spend its time limit on them
+        const clientIds = operations.map(op => op.clientId || getClientId(op));
+        await enqueueClientsRefresh(tenantId, clientIds, { trigger: 'OPERATIONS', userId: source.userId });
+        return summary;
+    } catch (err) {
+        logger.warn('Error updating client registry:', { tenantId, error: err.message });
+        if (strict) throw err;
+        return null;
+    }
+}
+
+/**
+ * Validate and save the rows of one sheet. Each sheet gets its own uploadBatchId
+ * and uploadHistory entry.
+ */
+async function processSheet({ tenantId, userId, fileName, sheetName, activityType, rawData, pYear, pMonth, umaCatalog, uploadDate, mapping = null, sourceStoragePath = null }) {
+    const layout = prepareSheet(rawData, activityType, mapping);
+    const uploadBatchId = newUploadBatchId();
+    const context = { tenantId, activityType, pYear, pMonth, uploadDate, uploadBatchId, fileName, sheetName, umaCatalog };
+
+    // ── PHASES 1-2: Format + legal validation, EBR risk, rolling accumulation ──
+    const outcome = await validateRows(layout.dataRows, 0, layout, context);
+    const tally = tallyRows(createSheetTally(), outcome);
+
+    // ── PHASE 3: Save to Firestore ──
+    const BATCH_SIZE = 400;
+
+    for (let i = 0; i < outcome.validRows.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        const chunk = outcome.validRows.slice(i, i + BATCH_SIZE);
+        for (const rowData of chunk) {
+            const docRef = db.collection('tenants').doc(tenantId).collection('operations').doc();
+            batch.set(docRef, {
+                ...rowData,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+        }
+        await batch.commit();
+    }
+
+    const duplicatesRef = db.collection('tenants').doc(tenantId).collection('possibleDuplicates');
+    for (let i = 0; i < outcome.possibleDuplicates.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        outcome.possibleDuplicates.slice(i, i + BATCH_SIZE).forEach(entry => {
+            batch.set(duplicatesRef.doc(entry.id), possibleDuplicateDoc(entry));
+        });
+        await batch.commit();
+    }
+
+    const draftsRef = db.collection('tenants').doc(tenantId).collection('uploadDrafts');
+    for (let i = 0; i < outcome.drafts.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        outcome.drafts.slice(i, i + BATCH_SIZE).forEach(draft => {
+            batch.set(draftsRef.doc(draft.id), uploadDraftDoc(draft, context));
+        });
+        await batch.commit();
+    }
+
+    // Problems of every row, read back by downloadAnnotatedWorkbook
+    const issuesRef = db.collection('tenants').doc(tenantId).collection('uploadIssues');
+    for (let i = 0; i < outcome.rowIssues.length; i += BATCH_SIZE) {
+        await issuesRef.doc(`${uploadBatchId}_${i}`).set(uploadIssuesDoc(uploadBatchId, outcome.rowIssues.slice(i, i + BATCH_SIZE)));
+    }
+
+    // ── PHASE 3a: Client master registry (identity / address / beneficiary versions) ──
+    await registerClients(tenantId, outcome.validRows, { uploadBatchId, userId });
+
+    // ── PHASE 3b: Refresh rolling accumulation per client (flags the operation that tipped a threshold) ──
+    const crossings = [];
+    const savedClients = [...new Set(outcome.validRows.map(r => r.clientId).filter(Boolean))];
+    for (const clientId of savedClients) {
+        crossings.push(...await refreshClientCrossings(tenantId, clientId, activityType, umaCatalog, uploadBatchId));
+    }
+
+    return finishSheet({
+        tenantId, userId, fileName, sheetName, activityType, pYear, pMonth, umaCatalog,
+        uploadBatchId,
+        mapping,
+        layout,
+        totalRows: layout.dataRows.length,
+        tally,
+        thresholdCrossings: { count: crossings.length, sample: crossings.slice(0, CROSSING_SAMPLE_SIZE) },
+        sourceStoragePath,
+    });
+}
+
+
+/**
+ * Per-sheet breakdown returned to the client
+ */
+function summarizeSheet(result) {
+    return {
+        sheetName: result.sheetName,
+        activityType: result.activityType,
+        uploadBatchId: result.uploadBatchId,
+        recordsProcessed: result.recordsProcessed,
+        recordsRejected: result.recordsRejected,
+        recordsWithWarnings: result.recordsWithWarnings,
+        recordsWithErrors: result.recordsWithErrors,
+        recordsDuplicated: result.recordsDuplicated,
+        possibleDuplicatesCount: result.possibleDuplicatesCount,
+        recordsBlocked: result.recordsBlocked,
+        totalRecords: result.totalRecords,
+        riskSummary: result.riskSummary,
+        mappingProfile: result.mappingProfile,
+        unmappedHeaders: result.unmappedHeaders,
+        missingColumns: result.missingColumns,
+    };
+}
+
+/**
+ * Column mapping of a sheet: explicit (mapping step) → chosen profile → profile matching its header set
+ */
+async function resolveSheetMapping(tenantId, sheet, sheetCount, { mapping, mappingProfileId }) {
+    if (sheetCount === 1 && mapping) return sanitizeMapping(mapping, sheet.activityType);
+    return findMappingProfile(tenantId, {
+        profileId: sheetCount === 1 ? mappingProfileId : null,
+        headerSignature: getHeaderSignature(sheet.rawData[0] || []),
+        activityType: sheet.activityType,
+    });
+}
+
+/**
+ * Upload result: a single sheet keeps the per-sheet shape, several sheets are totalled
+ */
+function buildUploadResult(upload, sheetResults) {
+    // Single sheet / CSV: same shape as before
+    if (sheetResults.length === 1) {
+        return {
+            success: true,
+            ...sheetResults[0],
+            fileFormat: upload.format,
+            encoding: upload.encoding || null,
+            delimiter: upload.delimiter || null,
+            sheets: sheetResults.map(summarizeSheet),
+        };
+    }
+
+    // Multi-sheet: totals across sheets, details tagged with their sheet
+    const sum = (field) => sheetResults.reduce((total, r) => total + r[field], 0);
+    const tagged = (field) => sheetResults.flatMap(r => r[field].map(item => ({ ...item, sheet: r.sheetName })));
+    const errors = tagged('errors');
+    const warnings = tagged('warnings');
+
+    return {
+        success: true,
+        // Counts
+        recordsProcessed: sum('recordsProcessed'),
+        recordsRejected: sum('recordsRejected'),
+        recordsWithWarnings: sum('recordsWithWarnings'),
+        recordsWithErrors: sum('recordsWithErrors'),
+        recordsDuplicated: sum('recordsDuplicated'),
+        totalRecords: sum('totalRecords'),
+        // Risk summary
+        riskSummary: {
+            HIGH: sheetResults.reduce((total, r) => total + r.riskSummary.HIGH, 0),
+            MEDIUM: sheetResults.reduce((total, r) => total + r.riskSummary.MEDIUM, 0),
+            LOW: sheetResults.reduce((total, r) => total + r.riskSummary.LOW, 0),
+        },
+        // Detailed errors / warnings (first of each sheet, tagged)
+        errors: errors.slice(0, 50),
+        hasMoreErrors: errors.length > 50 || sheetResults.some(r => r.hasMoreErrors),
+        warnings: warnings.slice(0, 30),
+        hasMoreWarnings: warnings.length > 30 || sheetResults.some(r => r.hasMoreWarnings),
+        thresholdCrossings: tagged('thresholdCrossings').slice(0, 30),
+        possibleDuplicates: tagged('possibleDuplicates').slice(0, 30),
+        possibleDuplicatesCount: sum('possibleDuplicatesCount'),
+        hasMorePossibleDuplicates: sum('possibleDuplicatesCount') > 30,
+        recordsBlocked: sum('recordsBlocked'),
+        blockedOperations: tagged('blockedOperations').slice(0, 30),
+        // Metadata
+        uploadBatchIds: sheetResults.map(r => r.uploadBatchId),
+        fileFormat: upload.format,
+        sheets: sheetResults.map(summarizeSheet),
+        // Legal reference info per activity
+        legalContexts: Object.fromEntries(sheetResults.map(r => [r.activityType, r.legalContext])),
+    };
+}
+
+
+// ============================================================================
+// CLOUD FUNCTION: processUpload
+// Acepta Excel (una o varias hojas por actividad), CSV y TXT
+// ============================================================================
+
+export const processUpload = onCall(
+    { region: 'us-central1', memory: '1GiB', timeoutSeconds: 180 },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Debes iniciar sesión');
+        }
+
+        const { fileBase64, fileName, activityType, periodYear, periodMonth, mappingProfileId, mapping } = request.data;
+
+        if (!fileBase64) throw new HttpsError('invalid-argument', 'El archivo es requerido');
+        if (!activityType) throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
+        if (!periodYear || !periodMonth) throw new HttpsError('invalid-argument', 'El periodo es requerido');
+
+        try {
+            const userId = request.auth.uid;
+            let tenantId = request.auth.token.tenantId || userId;
+
+            const tenantDoc = await db.collection('tenants').doc(tenantId).get();
+            if (!tenantDoc.exists) {
+                throw new HttpsError('permission-denied', 'No tienes un tenant asociado');
+            }
+
+            // Parse file (Excel sheets or delimited text)
+            const buffer = Buffer.from(fileBase64, 'base64');
+            const upload = readUploadSheets(buffer, fileName, activityType);
+            const sheets = upload.sheets.filter(sheet => sheet.rawData.length >= 2);
+
+            if (sheets.length === 0) {
+                throw new HttpsError('invalid-argument', 'El archivo no contiene datos');
+            }
+
+            // UMA catalog (applied per operation date)
+            const umaCatalog = await loadUmaCatalog();
+            const uploadDate = new Date().toISOString();
+
+            // Keep the original next to the background uploads so the history can annotate it later
+            const sourceStoragePath = `tenants/${tenantId}/uploads/${Date.now()}_${storageFileName(fileName)}`;
+            await getStorage().bucket().file(sourceStoragePath).save(buffer);
+
+            const sheetResults = [];
+            for (const sheet of sheets) {
+                sheetResults.push(await processSheet({
+                    tenantId,
+                    userId,
+                    fileName,
+                    sheetName: sheet.sheetName,
+                    activityType: sheet.activityType,
+                    rawData: sheet.rawData,
+                    pYear: parseInt(periodYear),
+                    pMonth: parseInt(periodMonth),
+                    umaCatalog,
+                    uploadDate,
+                    mapping: await resolveSheetMapping(tenantId, sheet, sheets.length, { mapping, mappingProfileId }),
+                    sourceStoragePath,
+                }));
+            }
+
+            return buildUploadResult(upload, sheetResults);
         } catch (error) {
             if (error instanceof HttpsError) throw error;
             logger.error('Error processing upload:', error);
@@ -1354,3 +2416,1625 @@ export const processUpload = onCall(
         }
     }
 );
+
+
+// ============================================================================
+// CLOUD FUNCTIONS: Perfiles de mapeo de columnas
+// ============================================================================
+
+/**
+ * Column definitions sent to the browser (mapping step, draft editor), with catalog options
+ */
+function describeColumns(activityType) {
+    const tiposOp = TIPOS_OPERACION[activityType] || TIPOS_OPERACION.DEFAULT;
+    return getAllColumns(activityType).map(c => ({
+        key: c.key,
+        label: c.label,
+        required: c.required,
+        type: c.type,
+        section: c.section,
+        lenient: Boolean(c.lenient),
+        options: c.type === 'catalog'
+            ? (c.catalog === 'tipoOp' ? tiposOp : CATALOGS[c.catalog] || []).map(o => o.label)
+            : undefined,
+    }));
+}
+
+/**
+ * Resolve the caller's tenant (same rule as processUpload)
+ */
+async function requireTenant(request) {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Debes iniciar sesión');
+    }
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const tenantDoc = await db.collection('tenants').doc(tenantId).get();
+    if (!tenantDoc.exists) {
+        throw new HttpsError('permission-denied', 'No tienes un tenant asociado');
+    }
+    return tenantId;
+}
+
+/**
+ * Read the headers of an upload (before processing) so the user can map them.
+ * Returns the activity columns, a suggested mapping by template label and the
+ * saved profile that matches the header set, if any.
+ */
+export const previewUpload = onCall(
+    { region: 'us-central1', memory: '1GiB' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { fileBase64, storagePath, fileName, activityType } = request.data || {};
+
+        if (!fileBase64 && !storagePath) throw new HttpsError('invalid-argument', 'El archivo es requerido');
+        if (!activityType) throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
+        if (storagePath && !storagePath.startsWith(`tenants/${tenantId}/uploads/`)) {
+            throw new HttpsError('permission-denied', 'El archivo no pertenece a tu cuenta');
+        }
+
+        try {
+            // Large files are already in Storage for the background job
+            const [buffer] = storagePath
+                ? await getStorage().bucket().file(storagePath).download()
+                : [Buffer.from(fileBase64, 'base64')];
+            const upload = readUploadSheets(buffer, fileName, activityType);
+
+            const sheets = await Promise.all(upload.sheets.map(async (sheet) => {
+                const columns = getAllColumns(sheet.activityType);
+                const headers = (sheet.rawData[0] || []).map(normalizeHeader);
+                const headerSignature = getHeaderSignature(headers);
+                const dataRows = sheet.rawData.slice(1, 201);
+
+                const suggestedColumns = {};
+                headers.forEach((header) => {
+                    const colDef = resolveHeaderColumn(header, columns);
+                    if (colDef) suggestedColumns[header] = colDef.key;
+                });
+
+                // Distinct values per header (for catalog aliases)
+                const distinctValues = {};
+                headers.forEach((header, index) => {
+                    if (!header) return;
+                    const values = new Set();
+                    dataRows.forEach(row => {
+                        const v = row[index];
+                        if (v !== null && v !== undefined && v !== '' && values.size < 30) values.add(String(v).trim());
+                    });
+                    distinctValues[header] = [...values];
+                });
+
+                const profile = await findMappingProfile(tenantId, { headerSignature, activityType: sheet.activityType });
+
+                return {
+                    sheetName: sheet.sheetName,
+                    activityType: sheet.activityType,
+                    headers,
+                    headerSignature,
+                    sampleRows: sheet.rawData.slice(1, 6).map(row => headers.map((_, i) => {
+                        const v = row[i];
+                        return v instanceof Date ? v.toISOString().split('T')[0] : (v ?? '');
+                    })),
+                    totalRows: Math.max(sheet.rawData.length - 1, 0),
+                    distinctValues,
+                    suggestedColumns,
+                    matchedProfile: profile,
+                };
+            }));
+
+            const activityTypes = [...new Set(upload.sheets.map(s => s.activityType))];
+            const columnsByActivity = Object.fromEntries(activityTypes.map(type => [type, describeColumns(type)]));
+
+            return {
+                success: true,
+                fileFormat: upload.format,
+                encoding: upload.encoding || null,
+                delimiter: upload.delimiter || null,
+                sheets,
+                columnsByActivity,
+                dateFormats: DATE_FORMATS,
+                decimalSeparators: DECIMAL_SEPARATORS,
+            };
+        } catch (error) {
+            if (error instanceof HttpsError) throw error;
+            logger.error('Error previewing upload:', error);
+            throw new HttpsError('internal', 'Error al leer el archivo: ' + error.message);
+        }
+    }
+);
+
+/**
+ * List the tenant's mapping profiles (optionally for one activity)
+ */
+export const getMappingProfiles = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { activityType } = request.data || {};
+
+        try {
+            const snapshot = await db.collection('tenants').doc(tenantId).collection('mappingProfiles').get();
+            const profiles = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(p => !activityType || !p.activityType || p.activityType === activityType)
+                .map(p => ({
+                    ...p,
+                    createdAt: p.createdAt?.toDate?.()?.toISOString() || p.createdAt || null,
+                    updatedAt: p.updatedAt?.toDate?.()?.toISOString() || p.updatedAt || null,
+                }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            return { success: true, profiles };
+        } catch (error) {
+            logger.error('Error listing mapping profiles:', error);
+            throw new HttpsError('internal', 'Error al obtener los perfiles de mapeo');
+        }
+    }
+);
+
+/**
+ * Create or update a named mapping profile for the tenant
+ */
+export const saveMappingProfile = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { profileId, name, activityType, headers, columns, transforms } = request.data || {};
+
+        if (!name || !String(name).trim()) throw new HttpsError('invalid-argument', 'El nombre del perfil es requerido');
+        if (!activityType) throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
+        if (!Array.isArray(headers) || headers.length === 0) {
+            throw new HttpsError('invalid-argument', 'Los encabezados del archivo son requeridos');
+        }
+
+        const mapping = sanitizeMapping({ columns, transforms }, activityType);
+        if (Object.keys(mapping.columns).length === 0) {
+            throw new HttpsError('invalid-argument', 'Asigna al menos una columna');
+        }
+
+        try {
+            const profilesRef = db.collection('tenants').doc(tenantId).collection('mappingProfiles');
+            const profileRef = profileId ? profilesRef.doc(profileId) : profilesRef.doc();
+            const cleanHeaders = headers.map(normalizeHeader).filter(Boolean);
+
+            const data = {
+                tenantId,
+                name: String(name).trim(),
+                activityType,
+                headers: cleanHeaders,
+                headerSignature: getHeaderSignature(cleanHeaders),
+                columns: mapping.columns,
+                transforms: mapping.transforms,
+                updatedBy: request.auth.uid,
+                updatedAt: FieldValue.serverTimestamp(),
+            };
+            if (!profileId) {
+                data.createdBy = request.auth.uid;
+                data.createdAt = FieldValue.serverTimestamp();
+            }
+
+            await profileRef.set(data, { merge: true });
+
+            logger.log('Mapping profile saved:', { tenantId, profileId: profileRef.id, activityType, user: request.auth.uid });
+
+            return { success: true, profileId: profileRef.id };
+        } catch (error) {
+            logger.error('Error saving mapping profile:', error);
+            throw new HttpsError('internal', 'Error al guardar el perfil de mapeo');
+        }
+    }
+);
+
+/**
+ * Delete a mapping profile
+ */
+export const deleteMappingProfile = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { profileId } = request.data || {};
+
+        if (!profileId) throw new HttpsError('invalid-argument', 'El perfil es requerido');
+
+        try {
+            await db.collection('tenants').doc(tenantId).collection('mappingProfiles').doc(profileId).delete();
+            return { success: true };
+        } catch (error) {
+            logger.error('Error deleting mapping profile:', error);
+            throw new HttpsError('internal', 'Error al eliminar el perfil de mapeo');
+        }
+    }
+);
+
+
+// ============================================================================
+// CLOUD FUNCTION: rollbackUpload
+// Revierte una carga completa (periodo o actividad equivocados) por uploadBatchId
+// ============================================================================
+
+export const rollbackUpload = onCall(
+    { region: 'us-central1', memory: '1GiB', timeoutSeconds: 540 },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { uploadBatchId } = request.data || {};
+
+        if (!uploadBatchId) throw new HttpsError('invalid-argument', 'El lote de carga es requerido');
+
+        const tenantRef = db.collection('tenants').doc(tenantId);
+        const historySnapshot = await tenantRef.collection('uploadHistory')
+            .where('uploadBatchId', '==', uploadBatchId)
+            .limit(1)
+            .get();
+
+        if (historySnapshot.empty) {
+            throw new HttpsError('not-found', 'La carga no existe en el historial');
+        }
+
+        const historyDoc = historySnapshot.docs[0];
+        const history = historyDoc.data();
+        if (history.rolledBackAt) {
+            throw new HttpsError('failed-precondition', 'Esta carga ya fue revertida');
+        }
+        if (history.status === 'PROCESSING') {
+            throw new HttpsError('failed-precondition', 'La carga sigue en proceso: espera a que termine o falle para revertirla');
+        }
+        // Nothing is deleted while an authority visit has the retention periods suspended
+        if (await getLegalHold(tenantId)) {
+            throw new HttpsError('failed-precondition', 'Los plazos de conservación están suspendidos: no se pueden revertir cargas');
+        }
+
+        const opsSnapshot = await tenantRef.collection('operations')
+            .where('uploadBatchId', '==', uploadBatchId)
+            .get();
+        const operations = opsSnapshot.docs.map(doc => doc.data());
+
+        // Operaciones ya presentadas ante el SAT no se pueden borrar
+        const reported = operations.filter(op => op.status === 'REPORTED');
+        if (reported.length > 0) {
+            throw new HttpsError(
+                'failed-precondition',
+                `No se puede revertir: ${reported.length} operaciones de esta carga ya fueron reportadas al SAT`
+            );
+        }
+
+        // Operaciones bloqueadas por la Lista de Personas Bloqueadas: su aviso de 24 horas sigue pendiente
+        const blocked = operations.filter(op => op.status === 'BLOCKED');
+        const lpbAlertsSnapshot = await tenantRef.collection('alerts')
+            .where('uploadBatchId', '==', uploadBatchId)
+            .get();
+        const openLpbAlerts = lpbAlertsSnapshot.docs
+            .map(doc => doc.data())
+            .filter(alert => alert.type === 'LPB_MATCH' && alert.status !== 'RESOLVED');
+        if (blocked.length > 0 || openLpbAlerts.length > 0) {
+            throw new HttpsError(
+                'failed-precondition',
+                blocked.length > 0
+                    ? `No se puede revertir: ${blocked.length} operaciones de esta carga están bloqueadas por la Lista de Personas Bloqueadas`
+                    : 'No se puede revertir: la carga tiene una alerta de la Lista de Personas Bloqueadas abierta'
+            );
+        }
+
+        try {
+            // Operations still inside their five-year retention period are archived, not deleted
+            const removed = await removeOperations(tenantId, opsSnapshot.docs, {
+                reason: 'UPLOAD_ROLLED_BACK',
+                uploadBatchId,
+                userId: request.auth.uid,
+            });
+
+            const BATCH_SIZE = 400;
+
+            // Possible duplicates and drafts still held for this batch go with it
+            for (const collectionName of ['possibleDuplicates', 'uploadDrafts']) {
+                const heldSnapshot = await tenantRef.collection(collectionName)
+                    .where('uploadBatchId', '==', uploadBatchId)
+                    .get();
+                for (let i = 0; i < heldSnapshot.docs.length; i += BATCH_SIZE) {
+                    const batch = db.batch();
+                    heldSnapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+                    await batch.commit();
+                }
+            }
+
+            // stats/dashboard counters go down in onOperationWrite for each deleted (counted) operation
+
+            // Rolling accumulation of the affected clients without this batch
+            const umaCatalog = await loadUmaCatalog();
+            const clientIds = [...new Set(operations.map(op => op.clientId).filter(Boolean))];
+            for (const clientId of clientIds) {
+                try {
+                    await recomputeClientAccumulation(tenantId, clientId, history.activityType, umaCatalog);
+                } catch (accErr) {
+                    logger.warn('Failed to refresh accumulation after rollback:', { clientId, error: accErr.message });
+                }
+            }
+
+            // Client counters and risk scores without the removed operations
+            await enqueueClientsRefresh(tenantId, clientIds, { trigger: 'OPERATIONS', userId: request.auth.uid });
+
+            // The history entry stays as the record of the rollback
+            await historyDoc.ref.update({
+                status: 'ROLLED_BACK',
+                rolledBackAt: new Date().toISOString(),
+                rolledBackBy: request.auth.uid,
+                operationsDeleted: operations.length,
+                operationsArchived: removed.archived,
+            });
+
+            await logAuditAction({
+                tenantId,
+                userId: request.auth.uid,
+                userEmail: request.auth.token.email,
+                action: 'UPLOAD_ROLLED_BACK',
+                details: {
+                    uploadBatchId,
+                    fileName: history.fileName,
+                    sheetName: history.sheetName || null,
+                    activityType: history.activityType,
+                    periodYear: history.periodYear,
+                    periodMonth: history.periodMonth,
+                    operationsDeleted: operations.length,
+                    operationsArchived: removed.archived,
+                },
+            });
+
+            logger.log('Upload rolled back:', { tenantId, uploadBatchId, operationsDeleted: operations.length, ...removed, user: request.auth.uid });
+
+            return {
+                success: true,
+                operationsDeleted: operations.length,
+                operationsArchived: removed.archived,
+                message: `Carga revertida: ${operations.length} operaciones quitadas` +
+                    (removed.archived > 0 ? ` (${removed.archived} archivadas hasta que venza su plazo de conservación)` : '') + '.',
+            };
+        } catch (error) {
+            logger.error('Error rolling back upload:', error);
+            throw new HttpsError('internal', 'Error al revertir la carga: ' + error.message);
+        }
+    }
+);
+
+// ============================================================================
+// CLOUD FUNCTION: resolvePossibleDuplicates
+// Aceptar (guardar como operación) o descartar filas retenidas como posible duplicado
+// ============================================================================
+
+export const resolvePossibleDuplicates = onCall(
+    { region: 'us-central1', timeoutSeconds: 300 },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { action, ids, uploadBatchIds } = request.data || {};
+
+        if (!['ACCEPT', 'DISMISS'].includes(action)) {
+            throw new HttpsError('invalid-argument', 'La acción debe ser ACCEPT o DISMISS');
+        }
+        if (!Array.isArray(ids) && !Array.isArray(uploadBatchIds)) {
+            throw new HttpsError('invalid-argument', 'Indica las filas o los lotes a resolver');
+        }
+
+        const tenantRef = db.collection('tenants').doc(tenantId);
+        const duplicatesRef = tenantRef.collection('possibleDuplicates');
+
+        try {
+            // Selected rows, or every pending row of the given batches
+            let docs;
+            if (Array.isArray(ids)) {
+                const snapshots = await Promise.all(ids.slice(0, 500).map(id => duplicatesRef.doc(String(id)).get()));
+                docs = snapshots.filter(doc => doc.exists);
+            } else {
+                const snapshot = await duplicatesRef.where('uploadBatchId', 'in', uploadBatchIds.slice(0, 30)).get();
+                docs = snapshot.docs;
+            }
+            docs = docs.filter(doc => doc.data().status === 'PENDING');
+
+            const now = new Date().toISOString();
+            const accepted = [];
+            const BATCH_SIZE = 200; // two writes per row
+
+            for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+                const batch = db.batch();
+                docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+                    const entry = doc.data();
+                    if (action === 'ACCEPT') {
+                        const opRef = tenantRef.collection('operations').doc();
+                        batch.set(opRef, {
+                            ...entry.operation,
+                            duplicateReview: {
+                                status: 'ACCEPTED',
+                                reason: entry.reason,
+                                matches: entry.matches,
+                                acceptedBy: request.auth.uid,
+                                acceptedAt: now,
+                            },
+                            createdAt: FieldValue.serverTimestamp(),
+                        });
+                        batch.update(doc.ref, { status: 'ACCEPTED', operationId: opRef.id, resolvedBy: request.auth.uid, resolvedAt: now });
+                        accepted.push(entry);
+                    } else {
+                        batch.update(doc.ref, { status: 'DISMISSED', resolvedBy: request.auth.uid, resolvedAt: now });
+                    }
+                });
+                await batch.commit();
+            }
+
+            if (accepted.length > 0) {
+                await registerClients(tenantId, accepted.map(e => e.operation), { userId: request.auth.uid });
+
+                // Accepted rows now count towards their client's rolling accumulation
+                const umaCatalog = await loadUmaCatalog();
+                const pairs = new Map(accepted
+                    .filter(e => e.operation.clientId)
+                    .map(e => [`${e.activityType}_${e.operation.clientId}`, { clientId: e.operation.clientId, activityType: e.activityType }]));
+                for (const { clientId, activityType } of pairs.values()) {
+                    try {
+                        await recomputeClientAccumulation(tenantId, clientId, activityType, umaCatalog);
+                    } catch (accErr) {
+                        logger.warn('Failed to refresh accumulation after accepting duplicates:', { clientId, error: accErr.message });
+                    }
+                }
+
+                // Per-batch count in the upload history
+                const perBatch = {};
+                accepted.forEach(e => { perBatch[e.uploadBatchId] = (perBatch[e.uploadBatchId] || 0) + 1; });
+                for (const [uploadBatchId, count] of Object.entries(perBatch)) {
+                    const historySnapshot = await tenantRef.collection('uploadHistory')
+                        .where('uploadBatchId', '==', uploadBatchId)
+                        .limit(1)
+                        .get();
+                    if (!historySnapshot.empty) {
+                        await historySnapshot.docs[0].ref.update({ acceptedDuplicates: FieldValue.increment(count) });
+                    }
+                }
+
+                await logAuditAction({
+                    tenantId,
+                    userId: request.auth.uid,
+                    userEmail: request.auth.token.email,
+                    action: 'DUPLICATES_ACCEPTED',
+                    details: {
+                        uploadBatchIds: Object.keys(perBatch),
+                        operationsAccepted: accepted.length,
+                    },
+                });
+            }
+
+            return {
+                success: true,
+                resolved: docs.length,
+                message: action === 'ACCEPT'
+                    ? `${docs.length} operaciones aceptadas a pesar de parecer duplicadas.`
+                    : `${docs.length} posibles duplicados descartados.`,
+            };
+        } catch (error) {
+            logger.error('Error resolving possible duplicates:', error);
+            throw new HttpsError('internal', 'Error al resolver los posibles duplicados: ' + error.message);
+        }
+    }
+);
+
+// ============================================================================
+// CLOUD FUNCTIONS: Borradores de filas rechazadas
+// Filas con error de formato o rechazo legal que el usuario corrige en la
+// aplicación y reenvía al mismo lote (sin volver a cargar el archivo)
+// ============================================================================
+
+const DRAFT_RESUBMIT_MAX = 400;
+
+/**
+ * Layout for draft rows: one column per field key, rows numbered as in the original file
+ */
+function draftLayout(activityType, drafts) {
+    const columns = getAllColumns(activityType);
+    const headerToCol = {};
+    const fieldToCol = {};
+    columns.forEach((colDef, index) => {
+        headerToCol[index] = colDef;
+        fieldToCol[colDef.key] = index;
+    });
+    return {
+        columns,
+        tiposOp: TIPOS_OPERACION[activityType] || TIPOS_OPERACION.DEFAULT,
+        headers: columns.map(c => c.label),
+        dataRows: drafts.map(d => columns.map(c => d.values?.[c.key] ?? '')),
+        rowNumbers: drafts.map(d => d.row),
+        headerToCol,
+        fieldToCol,
+        unmappedHeaders: [],
+        missingColumns: [],
+        transforms: {},
+    };
+}
+
+/**
+ * Pending drafts of the given batches + column definitions for the editor
+ */
+export const getUploadDrafts = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { uploadBatchIds } = request.data || {};
+
+        if (!Array.isArray(uploadBatchIds) || uploadBatchIds.length === 0) {
+            throw new HttpsError('invalid-argument', 'La carga es requerida');
+        }
+
+        try {
+            const snapshot = await db.collection('tenants').doc(tenantId).collection('uploadDrafts')
+                .where('uploadBatchId', 'in', uploadBatchIds.slice(0, 30))
+                .where('status', '==', 'PENDING')
+                .get();
+
+            const drafts = snapshot.docs
+                .map(doc => {
+                    const draft = doc.data();
+                    return {
+                        id: doc.id,
+                        uploadBatchId: draft.uploadBatchId,
+                        activityType: draft.activityType,
+                        sourceFile: draft.sourceFile,
+                        sourceSheet: draft.sourceSheet,
+                        row: draft.row,
+                        type: draft.type,
+                        values: draft.values,
+                        errors: draft.errors,
+                        fieldErrors: draft.fieldErrors,
+                    };
+                })
+                .sort((a, b) => a.uploadBatchId.localeCompare(b.uploadBatchId) || a.row - b.row);
+
+            const activityTypes = [...new Set(drafts.map(d => d.activityType))];
+            return {
+                success: true,
+                drafts,
+                columnsByActivity: Object.fromEntries(activityTypes.map(type => [type, describeColumns(type)])),
+            };
+        } catch (error) {
+            logger.error('Error loading upload drafts:', error);
+            throw new HttpsError('internal', 'Error al cargar las filas rechazadas: ' + error.message);
+        }
+    }
+);
+
+/**
+ * Re-validate corrected drafts of one batch with the upload pipeline
+ * (format, legal rules, duplicates, accumulation) and append the valid ones to the batch
+ */
+export const resubmitUploadDrafts = onCall(
+    { region: 'us-central1', timeoutSeconds: 300 },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { uploadBatchId, drafts: edits } = request.data || {};
+
+        if (!uploadBatchId || !Array.isArray(edits) || edits.length === 0) {
+            throw new HttpsError('invalid-argument', 'Indica las filas a reenviar');
+        }
+        if (edits.length > DRAFT_RESUBMIT_MAX) {
+            throw new HttpsError('invalid-argument', `Reenvía como máximo ${DRAFT_RESUBMIT_MAX} filas a la vez`);
+        }
+
+        const tenantRef = db.collection('tenants').doc(tenantId);
+        const historySnapshot = await tenantRef.collection('uploadHistory')
+            .where('uploadBatchId', '==', uploadBatchId)
+            .limit(1)
+            .get();
+        if (historySnapshot.empty) {
+            throw new HttpsError('not-found', 'No se encontró la carga');
+        }
+        const historyDoc = historySnapshot.docs[0];
+        const history = historyDoc.data();
+        if (history.rolledBackAt) {
+            throw new HttpsError('failed-precondition', 'La carga fue revertida');
+        }
+
+        try {
+            const validKeys = new Set(getAllColumns(history.activityType).map(c => c.key));
+            const drafts = await loadResubmittedDrafts(tenantId, uploadBatchId, edits, validKeys);
+            if (drafts.length === 0) {
+                throw new HttpsError('failed-precondition', 'Las filas ya fueron reenviadas o descartadas');
+            }
+
+            const umaCatalog = await loadUmaCatalog();
+            const layout = draftLayout(history.activityType, drafts);
+            const context = {
+                tenantId,
+                activityType: history.activityType,
+                pYear: history.periodYear,
+                pMonth: history.periodMonth,
+                uploadDate: new Date().toISOString(),
+                uploadBatchId,
+                fileName: history.fileName,
+                sheetName: history.sheetName,
+                umaCatalog,
+            };
+            const outcome = await validateRows(layout.dataRows, 0, layout, context);
+
+            const now = new Date().toISOString();
+            const stillRejected = new Map(outcome.drafts.map(d => [d.row, d]));
+            const exactDuplicates = new Map(outcome.rejectedRows
+                .filter(r => r.type === 'DUPLICATE')
+                .map(r => [r.row, r.errors]));
+            const heldRows = new Set(outcome.possibleDuplicates.map(e => e.row));
+
+            const batch = db.batch();
+            const savedByRow = new Map();
+            outcome.validRows.forEach(rowData => {
+                const opRef = tenantRef.collection('operations').doc();
+                batch.set(opRef, {
+                    ...rowData,
+                    resubmittedAt: now,
+                    resubmittedBy: request.auth.uid,
+                    createdAt: FieldValue.serverTimestamp(),
+                });
+                savedByRow.set(rowData.sourceRow, opRef.id);
+            });
+            outcome.possibleDuplicates.forEach(entry => {
+                batch.set(tenantRef.collection('possibleDuplicates').doc(entry.id), possibleDuplicateDoc(entry));
+            });
+
+            // Drafts: resolved ones leave the queue, the rest keep the edits and the new errors.
+            // Each update requires the draft unchanged since it was read, so a concurrent
+            // resubmit of the same rows fails as a whole instead of saving them twice.
+            const resolved = resolveResubmittedDrafts(batch, drafts,
+                { stillRejected, exactDuplicates, heldRows, savedByRow }, request.auth, now);
+
+            const resolvedCount = resolved.FORMAT + resolved.LEGAL_REJECT;
+            batch.update(historyDoc.ref, {
+                validRows: FieldValue.increment(outcome.validRows.length),
+                formatErrors: FieldValue.increment(-resolved.FORMAT),
+                rejectedRows: FieldValue.increment(-resolved.LEGAL_REJECT),
+                possibleDuplicates: FieldValue.increment(outcome.possibleDuplicates.length),
+                pendingDrafts: FieldValue.increment(-resolvedCount),
+                resubmittedRows: FieldValue.increment(outcome.validRows.length),
+            });
+            try {
+                await batch.commit();
+            } catch (error) {
+                if (isDraftConflict(error)) {
+                    throw new HttpsError('failed-precondition', 'Las filas ya fueron reenviadas o descartadas');
+                }
+                throw error;
+            }
+            // The annotated workbook shows the result of the resubmit, not the original rejection
+            await replaceRowIssues(tenantId, uploadBatchId, drafts.map(d => d.row), outcome.rowIssues);
+            await registerClients(tenantId, outcome.validRows, { uploadBatchId, userId: request.auth.uid });
+
+            // Saved rows count towards their client's rolling accumulation
+            const crossings = [];
+            const savedClients = [...new Set(outcome.validRows.map(r => r.clientId).filter(Boolean))];
+            for (const clientId of savedClients) {
+                crossings.push(...await refreshClientCrossings(tenantId, clientId, history.activityType, umaCatalog, uploadBatchId));
+            }
+
+            await logAuditAction({
+                tenantId,
+                userId: request.auth.uid,
+                userEmail: request.auth.token.email,
+                action: 'UPLOAD_ROWS_RESUBMITTED',
+                details: {
+                    uploadBatchId,
+                    fileName: history.fileName,
+                    rowsSubmitted: drafts.length,
+                    operationsSaved: outcome.validRows.length,
+                    heldAsDuplicate: outcome.possibleDuplicates.length,
+                    stillRejected: drafts.length - resolvedCount,
+                },
+            });
+
+            return {
+                success: true,
+                saved: outcome.validRows.length,
+                heldAsDuplicate: outcome.possibleDuplicates.length,
+                stillRejected: drafts.length - resolvedCount,
+                thresholdCrossings: crossings.slice(0, CROSSING_SAMPLE_SIZE),
+                message: `${outcome.validRows.length} filas guardadas en la carga original` +
+                    (outcome.possibleDuplicates.length > 0 ? `, ${outcome.possibleDuplicates.length} retenidas como posible duplicado` : '') +
+                    (drafts.length - resolvedCount > 0 ? `, ${drafts.length - resolvedCount} siguen con errores` : '') + '.',
+            };
+        } catch (error) {
+            if (error instanceof HttpsError) throw error;
+            logger.error('Error resubmitting upload drafts:', error);
+            throw new HttpsError('internal', 'Error al reenviar las filas: ' + error.message);
+        }
+    }
+);
+
+/**
+ * Discard drafts the user won't correct (the rows stay out of the batch)
+ */
+export const discardUploadDrafts = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { ids } = request.data || {};
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new HttpsError('invalid-argument', 'Indica las filas a descartar');
+        }
+
+        try {
+            const tenantRef = db.collection('tenants').doc(tenantId);
+            const snapshots = await Promise.all(ids.slice(0, 500).map(id => tenantRef.collection('uploadDrafts').doc(String(id)).get()));
+            const pending = snapshots.filter(doc => doc.exists && doc.data().status === 'PENDING');
+
+            const now = new Date().toISOString();
+            const perBatch = {};
+            const batch = db.batch();
+            pending.forEach(doc => {
+                batch.update(doc.ref, { status: 'DISCARDED', resolvedBy: request.auth.uid, resolvedAt: now });
+                const { uploadBatchId } = doc.data();
+                perBatch[uploadBatchId] = (perBatch[uploadBatchId] || 0) + 1;
+            });
+            await batch.commit();
+
+            for (const [uploadBatchId, count] of Object.entries(perBatch)) {
+                const historySnapshot = await tenantRef.collection('uploadHistory')
+                    .where('uploadBatchId', '==', uploadBatchId)
+                    .limit(1)
+                    .get();
+                if (!historySnapshot.empty) {
+                    await historySnapshot.docs[0].ref.update({ pendingDrafts: FieldValue.increment(-count) });
+                }
+            }
+
+            return {
+                success: true,
+                discarded: pending.length,
+                message: `${pending.length} filas descartadas.`,
+            };
+        } catch (error) {
+            logger.error('Error discarding upload drafts:', error);
+            throw new HttpsError('internal', 'Error al descartar las filas: ' + error.message);
+        }
+    }
+);
+
+// ============================================================================
+// CLOUD FUNCTIONS: Captura manual de una operación
+// Mismas columnas y mismo pipeline que la carga (formato, reglas legales,
+// duplicados, acumulación); el semáforo se muestra antes de guardar
+// ============================================================================
+
+const MANUAL_CAPTURE_FILE = 'Captura manual';
+
+/**
+ * Validate one operation captured in the form → outcome shown to the user
+ * ({ result: OK | POSSIBLE_DUPLICATE | FORMAT | LEGAL_REJECT | DUPLICATE, ... })
+ */
+async function evaluateCapture(tenantId, { activityType, pYear, pMonth, values, uploadBatchId, umaCatalog }) {
+    const layout = draftLayout(activityType, [{ row: 1, values }]);
+    const context = {
+        tenantId,
+        activityType,
+        pYear,
+        pMonth,
+        uploadDate: new Date().toISOString(),
+        uploadBatchId,
+        fileName: MANUAL_CAPTURE_FILE,
+        sheetName: null,
+        umaCatalog,
+    };
+    const outcome = await validateRows(layout.dataRows, 0, layout, context);
+
+    const [draft] = outcome.drafts;
+    const [rejected] = [...outcome.formatErrors, ...outcome.rejectedRows];
+    const [held] = outcome.possibleDuplicates;
+    const operation = outcome.validRows[0] || held?.operation || null;
+
+    const evaluation = {
+        result: rejected?.type || (held ? 'POSSIBLE_DUPLICATE' : 'OK'),
+        errors: rejected?.errors || [],
+        fieldErrors: draft?.fieldErrors || {},
+        duplicate: held ? { reason: held.reason, matches: held.matches } : null,
+    };
+    if (operation) {
+        const { umbralIdentMXN, umbralAvisoMXN } = getThresholdsMXN(activityType, operation.umaReference);
+        Object.assign(evaluation, {
+            riskLevel: operation.riskLevel,
+            riskReason: operation.riskReason,
+            riskScore: operation.riskScore,
+            status: operation.status,
+            warnings: operation.warnings,
+            montoMXN: operation.montoMXN,
+            tipoCambio: operation.tipoCambio,
+            fechaTipoCambio: operation.fechaTipoCambio,
+            rollingAccumulated: operation.rollingAccumulated,
+            previousAccumulated: operation.previousAccumulated,
+            umaDaily: operation.umaReference,
+            umaYear: operation.umaYear,
+            umbralIdentMXN,
+            umbralAvisoMXN,
+            limiteEfectivoMXN: operation.limiteEfectivoMXN,
+        });
+    }
+    return { evaluation, outcome, layout, context, operation };
+}
+
+/**
+ * Column definitions of an activity for the capture form
+ */
+export const getCaptureColumns = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        await requireTenant(request);
+        const { activityType } = request.data || {};
+        if (!activityType) {
+            throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
+        }
+        return { success: true, columns: describeColumns(activityType) };
+    }
+);
+
+/**
+ * Validate (save: false) or validate and save (save: true) one manually captured operation.
+ * Saving re-runs the validation; possible duplicates need confirmDuplicate.
+ */
+export const captureOperation = onCall(
+    { region: 'us-central1', timeoutSeconds: 120 },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { activityType, periodYear, periodMonth, values, save = false, confirmDuplicate = false } = request.data || {};
+
+        if (!activityType) throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
+        if (!periodYear || !periodMonth) throw new HttpsError('invalid-argument', 'El periodo es requerido');
+        if (!values || typeof values !== 'object') throw new HttpsError('invalid-argument', 'Los datos de la operación son requeridos');
+
+        try {
+            const umaCatalog = await loadUmaCatalog();
+            const pYear = parseInt(periodYear);
+            const pMonth = parseInt(periodMonth);
+            const uploadBatchId = save ? newUploadBatchId() : 'manual_preview';
+
+            const { evaluation, outcome, layout, operation } = await evaluateCapture(tenantId, {
+                activityType, pYear, pMonth, values, uploadBatchId, umaCatalog,
+            });
+
+            if (!save) return { success: true, saved: false, ...evaluation };
+
+            const canSave = evaluation.result === 'OK' || (evaluation.result === 'POSSIBLE_DUPLICATE' && confirmDuplicate);
+            if (!canSave) return { success: true, saved: false, ...evaluation };
+
+            const opRef = db.collection('tenants').doc(tenantId).collection('operations').doc();
+            await opRef.set({
+                ...operation,
+                captureMethod: 'MANUAL',
+                capturedBy: request.auth.uid,
+                ...(evaluation.result === 'POSSIBLE_DUPLICATE' && {
+                    duplicateReview: {
+                        status: 'ACCEPTED',
+                        reason: evaluation.duplicate.reason,
+                        matches: evaluation.duplicate.matches,
+                        acceptedBy: request.auth.uid,
+                        acceptedAt: new Date().toISOString(),
+                    },
+                }),
+                createdAt: FieldValue.serverTimestamp(),
+            });
+
+            await registerClients(tenantId, [operation], { uploadBatchId, userId: request.auth.uid });
+
+            // Counted as a one-row upload: listed in the history and reversible by uploadBatchId
+            const tally = tallyRows(createSheetTally(), { ...outcome, validRows: [operation], possibleDuplicates: [] });
+            const crossings = operation.clientId
+                ? await refreshClientCrossings(tenantId, operation.clientId, activityType, umaCatalog, uploadBatchId)
+                : [];
+            await finishSheet({
+                tenantId,
+                userId: request.auth.uid,
+                fileName: MANUAL_CAPTURE_FILE,
+                sheetName: null,
+                activityType,
+                pYear,
+                pMonth,
+                umaCatalog,
+                uploadBatchId,
+                mapping: null,
+                layout,
+                totalRows: 1,
+                tally,
+                thresholdCrossings: { count: crossings.length, sample: crossings },
+            });
+
+            await logAuditAction({
+                tenantId,
+                userId: request.auth.uid,
+                userEmail: request.auth.token.email,
+                action: 'OPERATION_CAPTURED',
+                details: {
+                    operationId: opRef.id,
+                    uploadBatchId,
+                    activityType,
+                    rfc: operation.rfcCliente,
+                    monto: operation.monto,
+                    riskLevel: operation.riskLevel,
+                },
+            });
+
+            return {
+                success: true,
+                saved: true,
+                operationId: opRef.id,
+                uploadBatchId,
+                thresholdCrossings: crossings,
+                ...evaluation,
+            };
+        } catch (error) {
+            if (error instanceof HttpsError) throw error;
+            logger.error('Error capturing operation:', error);
+            throw new HttpsError('internal', 'Error al capturar la operación: ' + error.message);
+        }
+    }
+);
+
+// ============================================================================
+// CLOUD FUNCTION: downloadAnnotatedWorkbook
+// Copia del archivo cargado con cada problema marcado: estatus por fila,
+// comentario en cada celda con error y hoja de resumen
+// ============================================================================
+
+const ROW_STATUSES = {
+    OK: { label: 'Correcta', fill: null },
+    WARNING: { label: 'Guardada con advertencias', fill: 'FFFEF3C7' },
+    BLOCKED: { label: 'Bloqueada — Lista de Personas Bloqueadas (aviso en 24 horas)', fill: 'FFFECACA' },
+    POSSIBLE_DUPLICATE: { label: 'Posible duplicado (en revisión)', fill: 'FFFFEDD5' },
+    FORMAT: { label: 'Error de formato — no se guardó', fill: 'FFFEE2E2' },
+    LEGAL_REJECT: { label: 'Rechazo legal (Art. 32 / identidad) — no se guardó', fill: 'FFFEE2E2' },
+    DUPLICATE: { label: 'Duplicada de una carga anterior — no se guardó', fill: 'FFFEE2E2' },
+};
+const OFFENDING_CELL_FILL = 'FFFCA5A5';
+const ANNOTATED_INLINE_MAX_BYTES = 6 * 1024 * 1024; // larger copies are returned through Storage
+
+const solidFill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } });
+
+/**
+ * Uploaded file as an editable ExcelJS workbook. XLSX keeps its formatting;
+ * CSV/TXT/XLS are rebuilt from the parsed rows (same row numbers as the upload)
+ */
+async function loadAnnotatableWorkbook(buffer, fileName) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+
+    if (extension === 'xlsx') {
+        await workbook.xlsx.load(buffer);
+        return workbook;
+    }
+
+    const upload = readUploadSheets(buffer, fileName, null);
+    if (upload.format === 'XLSX') {
+        // .xls: every sheet, so activity sheets keep their names
+        const legacy = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+        legacy.SheetNames.forEach(name => {
+            workbook.addWorksheet(name).addRows(XLSX.utils.sheet_to_json(legacy.Sheets[name], { header: 1 }));
+        });
+    } else {
+        workbook.addWorksheet('Operaciones').addRows(upload.sheets[0].rawData);
+    }
+    return workbook;
+}
+
+/**
+ * Mark every data row of a sheet: fill + status/detail columns, comment on each offending cell.
+ * Returns the row count per status.
+ */
+function annotateWorksheet(worksheet, issuesByRow) {
+    const counts = Object.fromEntries(Object.keys(ROW_STATUSES).map(status => [status, 0]));
+    const statusCol = worksheet.columnCount + 1;
+    const detailCol = statusCol + 1;
+
+    [['Estatus validación', statusCol], ['Detalle', detailCol]].forEach(([title, col]) => {
+        const cell = worksheet.getCell(1, col);
+        cell.value = title;
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = solidFill('FF1E3A8A');
+    });
+    worksheet.getColumn(statusCol).width = 22;
+    worksheet.getColumn(detailCol).width = 80;
+
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1 || !row.values.some(v => v !== null && v !== undefined && v !== '')) return;
+
+        const issue = issuesByRow.get(rowNumber);
+        const status = issue?.status || 'OK';
+        counts[status]++;
+        row.getCell(statusCol).value = status;
+        if (!issue) return;
+
+        const { fill } = ROW_STATUSES[status];
+        for (let col = 1; col <= detailCol; col++) {
+            row.getCell(col).fill = solidFill(fill);
+        }
+
+        const notes = {};
+        issue.cells.forEach(({ col, message }) => {
+            if (col === null || col === undefined) return;
+            notes[col] = notes[col] ? `${notes[col]}\n${message}` : message;
+        });
+        Object.entries(notes).forEach(([col, note]) => {
+            const cell = row.getCell(Number(col) + 1);
+            cell.note = note;
+            cell.fill = solidFill(OFFENDING_CELL_FILL);
+        });
+
+        const detail = row.getCell(detailCol);
+        detail.value = issue.cells.map(c => c.message).join('\n');
+        detail.alignment = { wrapText: true, vertical: 'top' };
+    });
+
+    return counts;
+}
+
+/**
+ * Summary sheet: counts per sheet and status, plus what each status means
+ */
+function addSummarySheet(workbook, fileName, sheetSummaries) {
+    const existing = workbook.getWorksheet('Resumen validación');
+    if (existing) workbook.removeWorksheet(existing.id);
+    const ws = workbook.addWorksheet('Resumen validación');
+    const statuses = Object.keys(ROW_STATUSES);
+
+    ws.getCell('A1').value = 'Resumen de validación';
+    ws.getCell('A1').font = { bold: true, size: 14 };
+    ws.getCell('A2').value = `Archivo: ${fileName}`;
+    ws.getCell('A3').value = `Generado: ${new Date().toLocaleString('es-MX', { timeZone: 'America/Mexico_City' })}`;
+
+    const header = ws.getRow(5);
+    header.values = ['Hoja', 'Actividad', 'Filas', ...statuses];
+    header.font = { bold: true };
+    sheetSummaries.forEach(({ sheetName, activityType, counts }, i) => {
+        const total = statuses.reduce((sum, status) => sum + counts[status], 0);
+        ws.getRow(6 + i).values = [sheetName, activityType, total, ...statuses.map(status => counts[status])];
+    });
+
+    const legendStart = 8 + sheetSummaries.length;
+    ws.getCell(legendStart, 1).value = 'Estatus';
+    ws.getCell(legendStart, 1).font = { bold: true };
+    statuses.forEach((status, i) => {
+        const cell = ws.getCell(legendStart + 1 + i, 1);
+        cell.value = status;
+        if (ROW_STATUSES[status].fill) cell.fill = solidFill(ROW_STATUSES[status].fill);
+        ws.getCell(legendStart + 1 + i, 2).value = ROW_STATUSES[status].label;
+    });
+    ws.getCell(legendStart + statuses.length + 2, 1).value =
+        'Corrige las filas marcadas (cada celda con error tiene un comentario) y vuelve a cargar solo esas filas.';
+
+    ws.getColumn(1).width = 24;
+    ws.getColumn(2).width = 50;
+}
+
+export const downloadAnnotatedWorkbook = onCall(
+    { region: 'us-central1', memory: '2GiB', timeoutSeconds: 300 },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { uploadBatchIds } = request.data || {};
+
+        if (!Array.isArray(uploadBatchIds) || uploadBatchIds.length === 0) {
+            throw new HttpsError('invalid-argument', 'La carga es requerida');
+        }
+
+        const tenantRef = db.collection('tenants').doc(tenantId);
+        const historySnapshot = await tenantRef.collection('uploadHistory')
+            .where('uploadBatchId', 'in', uploadBatchIds.slice(0, 30))
+            .get();
+        if (historySnapshot.empty) {
+            throw new HttpsError('not-found', 'No se encontró la carga');
+        }
+        const entries = historySnapshot.docs.map(doc => doc.data());
+        const { fileName, uploadJobId } = entries[0];
+
+        try {
+            // Original file kept in Storage by processUpload or the background job
+            let { sourceStoragePath } = entries[0];
+            if (!sourceStoragePath && uploadJobId) {
+                const jobSnapshot = await tenantRef.collection('uploadJobs').doc(uploadJobId).get();
+                sourceStoragePath = jobSnapshot.data()?.storagePath;
+            }
+            if (!sourceStoragePath) {
+                throw new HttpsError('failed-precondition', 'El archivo original de esta carga no se conservó');
+            }
+            const [buffer] = await getStorage().bucket().file(sourceStoragePath).download();
+
+            const workbook = await loadAnnotatableWorkbook(buffer, fileName);
+            const sheetSummaries = [];
+
+            for (const entry of entries) {
+                const issuesSnapshot = await tenantRef.collection('uploadIssues')
+                    .where('uploadBatchId', '==', entry.uploadBatchId)
+                    .get();
+                const issuesByRow = new Map();
+                issuesSnapshot.docs.forEach(doc => {
+                    doc.data().rows.forEach(issue => issuesByRow.set(issue.row, issue));
+                });
+
+                // CSV/TXT: single sheet named after the file
+                const worksheet = workbook.getWorksheet(entry.sheetName) || workbook.worksheets[0];
+                sheetSummaries.push({
+                    sheetName: worksheet.name,
+                    activityType: entry.activityType,
+                    counts: annotateWorksheet(worksheet, issuesByRow),
+                });
+            }
+
+            addSummarySheet(workbook, fileName, sheetSummaries);
+
+            const output = Buffer.from(await workbook.xlsx.writeBuffer());
+            const annotatedName = `${String(fileName).replace(/\.[^.]+$/, '')}_revision.xlsx`;
+            const mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+            logger.log('Annotated workbook generated:', { tenantId, uploadBatchIds, bytes: output.length, user: request.auth.uid });
+
+            if (output.length > ANNOTATED_INLINE_MAX_BYTES) {
+                const storagePath = `tenants/${tenantId}/uploads/${uploadBatchIds[0]}_revision.xlsx`;
+                await getStorage().bucket().file(storagePath).save(output, { contentType: mimeType });
+                return { success: true, storagePath, fileName: annotatedName, mimeType };
+            }
+
+            return {
+                success: true,
+                fileBase64: output.toString('base64'),
+                fileName: annotatedName,
+                mimeType,
+            };
+        } catch (error) {
+            if (error instanceof HttpsError) throw error;
+            logger.error('Error generating annotated workbook:', error);
+            throw new HttpsError('internal', 'Error al generar el archivo con observaciones: ' + error.message);
+        }
+    }
+);
+
+// ============================================================================
+// CARGA EN SEGUNDO PLANO (uploadJobs)
+// Archivos grandes: el cliente sube a Storage y una tarea procesa por bloques
+//
+//   tenants/{tenantId}/uploads/{file}       → archivo original
+//   tenants/{tenantId}/uploadJobs/{jobId}   → progreso en vivo + resultado
+//
+// Each chunk of operations is committed in the same batch as the job cursor,
+// so a worker that dies mid-way resumes exactly where the last commit left off.
+// Clients are registered after the commit; registeredRow trails nextRow until
+// the next commit, and a resumed job registers the chunks in between again.
+// ============================================================================
+
+const JOB_CHUNK_SIZE = 400;                   // rows per commit, each saved once (+1 write for the cursor)
+const JOB_CLIENT_CHUNK = 50;                  // clients per accumulation checkpoint
+const JOB_SLICE_MS = 7 * 60 * 1000;           // hand off to a new task before the 9-minute timeout
+const JOB_STALE_MS = 15 * 60 * 1000;          // no heartbeat for this long → worker died
+const JOB_MAX_RESUMES = 5;
+const JOB_MAX_FILE_BYTES = 100 * 1024 * 1024; // 100MB
+const JOB_FINAL_STATUSES = ['COMPLETED', 'FAILED'];
+
+/**
+ * Queue the next slice of an upload job
+ */
+async function enqueueUploadJob(tenantId, jobId) {
+    const queue = getFunctions().taskQueue('locations/us-central1/functions/runUploadJob');
+    await queue.enqueue({ tenantId, jobId }, { dispatchDeadlineSeconds: 60 * 10 });
+}
+
+/**
+ * Commit a batch together with the job progress. The job update only applies if
+ * the document has not changed since this worker last wrote it, so a task retry
+ * and a resumed job can never save the same rows twice.
+ * @returns {Timestamp|null} New update time, or null if another worker owns the job
+ */
+async function commitJobProgress(batch, jobRef, fields, lastUpdateTime) {
+    batch.update(jobRef, { ...fields, heartbeatAt: new Date().toISOString() }, { lastUpdateTime });
+    try {
+        const results = await batch.commit();
+        return results[results.length - 1].writeTime;
+    } catch (error) {
+        if (error.code === 9) { // FAILED_PRECONDITION
+            logger.warn('Upload job changed by another worker, stopping slice:', jobRef.path);
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Clients of an upload batch in the order they first appear in the file
+ */
+async function getBatchClientIds(tenantId, uploadBatchId) {
+    const snapshot = await db.collection('tenants').doc(tenantId).collection('operations')
+        .where('uploadBatchId', '==', uploadBatchId)
+        .select('clientId', 'sourceRow')
+        .get();
+
+    const ops = snapshot.docs.map(doc => doc.data()).sort((a, b) => a.sourceRow - b.sourceRow);
+    return [...new Set(ops.map(op => op.clientId).filter(Boolean))];
+}
+
+/**
+ * Register the clients of the chunks a job saved but did not mark as registered
+ * (the worker stopped between the chunk commit and the client registry)
+ */
+async function registerPendingJobClients(tenantId, jobSheet, layout, userId) {
+    const fromRow = layout.rowNumbers[jobSheet.registeredRow || 0];
+    const toRow = layout.rowNumbers[jobSheet.nextRow] ?? Infinity;
+    const snapshot = await db.collection('tenants').doc(tenantId).collection('operations')
+        .where('uploadBatchId', '==', jobSheet.uploadBatchId)
+        .get();
+
+    const operations = snapshot.docs
+        .map(doc => doc.data())
+        .filter(op => op.sourceRow >= fromRow && op.sourceRow < toRow)
+        .sort((a, b) => a.sourceRow - b.sourceRow);
+    await registerClients(tenantId, operations, { uploadBatchId: jobSheet.uploadBatchId, userId }, { strict: true });
+    jobSheet.registeredRow = jobSheet.nextRow;
+}
+
+/**
+ * uploadHistory entry of a job sheet, created before its first chunk is saved so
+ * every committed operation belongs to a batch rollbackUpload can find.
+ * Keyed by uploadBatchId: finishSheet replaces it, a failed job marks it FAILED.
+ */
+async function startJobSheetHistory(tenantId, job, jobSheet, jobId) {
+    const historyRef = db.collection('tenants').doc(tenantId).collection('uploadHistory').doc(jobSheet.uploadBatchId);
+    try {
+        await historyRef.create({
+            uploadBatchId: jobSheet.uploadBatchId,
+            activityType: jobSheet.activityType,
+            periodYear: job.periodYear,
+            periodMonth: job.periodMonth,
+            fileName: job.fileName,
+            sheetName: jobSheet.sheetName,
+            totalRows: jobSheet.totalRows,
+            validRows: 0,
+            rejectedRows: 0,
+            formatErrors: 0,
+            mappingProfileId: jobSheet.mapping?.id || null,
+            uploadJobId: jobId,
+            sourceStoragePath: job.storagePath,
+            status: 'PROCESSING',
+            uploadedBy: job.createdBy,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+    } catch (error) {
+        if (error.code !== 6) throw error; // ALREADY_EXISTS: created by an earlier slice
+    }
+}
+
+/**
+ * Close the history entries of the sheets a failed job left unfinished,
+ * with the counts of the chunks it did commit
+ */
+async function failJobSheetHistory(tenantId, job) {
+    const historyCollection = db.collection('tenants').doc(tenantId).collection('uploadHistory');
+    for (const jobSheet of (job.sheets || []).filter(s => !s.result)) {
+        const { tally } = jobSheet;
+        await historyCollection.doc(jobSheet.uploadBatchId).update({
+            validRows: tally.validRows,
+            rejectedRows: tally.rejectedRows,
+            formatErrors: tally.formatErrors,
+            warningRows: tally.warningRows,
+            duplicateRows: tally.duplicateRows,
+            possibleDuplicates: tally.possibleDuplicateRows,
+            blockedRows: tally.blockedRows,
+            pendingDrafts: tally.formatErrors + tally.rejectedRows - tally.duplicateRows,
+            riskSummary: tally.riskSummary,
+            processedRows: jobSheet.nextRow,
+            status: 'FAILED',
+            failedAt: new Date().toISOString(),
+        }).catch((error) => {
+            if (error.code !== 5) throw error; // NOT_FOUND: the sheet never started
+        });
+    }
+}
+
+/**
+ * Process an upload job until it finishes or the slice runs out of time.
+ * The file is re-read on every slice; only the cursor lives in the job document.
+ */
+async function runUploadJobSlice(tenantId, jobId) {
+    const sliceStart = Date.now();
+    const outOfTime = () => Date.now() - sliceStart > JOB_SLICE_MS;
+
+    const jobRef = db.collection('tenants').doc(tenantId).collection('uploadJobs').doc(jobId);
+    const snapshot = await jobRef.get();
+    if (!snapshot.exists) return;
+
+    const job = snapshot.data();
+    if (JOB_FINAL_STATUSES.includes(job.status)) return;
+    let updateTime = snapshot.updateTime;
+
+    const [buffer] = await getStorage().bucket().file(job.storagePath).download();
+    const upload = readUploadSheets(buffer, job.fileName, job.activityType);
+    const sheets = upload.sheets.filter(sheet => sheet.rawData.length >= 2);
+    const umaCatalog = await loadUmaCatalog();
+
+    // ── First slice: sheets, mappings and row totals ──
+    if (!job.sheets) {
+        if (sheets.length === 0) {
+            await jobRef.update({
+                status: 'FAILED',
+                stage: 'DONE',
+                error: 'El archivo no contiene datos',
+                completedAt: new Date().toISOString(),
+            });
+            return;
+        }
+
+        job.sheets = [];
+        for (const sheet of sheets) {
+            const mapping = await resolveSheetMapping(tenantId, sheet, sheets.length, job);
+            job.sheets.push({
+                sheetName: sheet.sheetName,
+                activityType: sheet.activityType,
+                uploadBatchId: newUploadBatchId(),
+                mapping,
+                totalRows: prepareSheet(sheet.rawData, sheet.activityType, mapping).dataRows.length,
+                nextRow: 0,
+                registeredRow: 0,
+                tally: createSheetTally(),
+                accumulationCursor: 0,
+                crossingCount: 0,
+                crossingSample: [],
+                result: null,
+            });
+        }
+        job.totalRows = job.sheets.reduce((total, s) => total + s.totalRows, 0);
+        job.processedRows = 0;
+
+        updateTime = await commitJobProgress(db.batch(), jobRef, {
+            status: 'RUNNING',
+            stage: 'VALIDATING',
+            startedAt: new Date().toISOString(),
+            sheets: job.sheets,
+            totalRows: job.totalRows,
+            processedRows: 0,
+            fileFormat: upload.format,
+            encoding: upload.encoding || null,
+            delimiter: upload.delimiter || null,
+        }, updateTime);
+        if (!updateTime) return;
+    }
+
+    const opsRef = db.collection('tenants').doc(tenantId).collection('operations');
+    const duplicatesRef = db.collection('tenants').doc(tenantId).collection('possibleDuplicates');
+    const issuesRef = db.collection('tenants').doc(tenantId).collection('uploadIssues');
+    const draftsRef = db.collection('tenants').doc(tenantId).collection('uploadDrafts');
+
+    for (const jobSheet of job.sheets) {
+        if (jobSheet.result) continue;
+
+        const sheet = sheets.find(s => s.sheetName === jobSheet.sheetName);
+        const layout = prepareSheet(sheet.rawData, jobSheet.activityType, jobSheet.mapping);
+        const context = {
+            tenantId,
+            activityType: jobSheet.activityType,
+            pYear: job.periodYear,
+            pMonth: job.periodMonth,
+            uploadDate: job.uploadDate,
+            uploadBatchId: jobSheet.uploadBatchId,
+            fileName: job.fileName,
+            sheetName: jobSheet.sheetName,
+            umaCatalog,
+        };
+
+        await startJobSheetHistory(tenantId, job, jobSheet, jobId);
+
+        if ((jobSheet.registeredRow || 0) < jobSheet.nextRow) {
+            await registerPendingJobClients(tenantId, jobSheet, layout, job.createdBy);
+        }
+
+        // ── Validate + save chunk by chunk (same steps as processSheet) ──
+        while (jobSheet.nextRow < layout.dataRows.length) {
+            if (outOfTime()) return enqueueUploadJob(tenantId, jobId);
+
+            const firstIndex = jobSheet.nextRow;
+            const rows = layout.dataRows.slice(firstIndex, firstIndex + JOB_CHUNK_SIZE);
+            const outcome = await validateRows(rows, firstIndex, layout, context);
+            tallyRows(jobSheet.tally, outcome);
+            jobSheet.nextRow += rows.length;
+            job.processedRows += rows.length;
+
+            const batch = db.batch();
+            outcome.validRows.forEach(rowData => {
+                batch.set(opsRef.doc(), {
+                    ...rowData,
+                    uploadJobId: jobId,
+                    createdAt: FieldValue.serverTimestamp(),
+                });
+            });
+            outcome.possibleDuplicates.forEach(entry => {
+                batch.set(duplicatesRef.doc(entry.id), possibleDuplicateDoc(entry));
+            });
+            outcome.drafts.forEach(draft => {
+                batch.set(draftsRef.doc(draft.id), uploadDraftDoc(draft, context));
+            });
+            if (outcome.rowIssues.length > 0) {
+                batch.set(issuesRef.doc(`${jobSheet.uploadBatchId}_${firstIndex}`), uploadIssuesDoc(jobSheet.uploadBatchId, outcome.rowIssues));
+            }
+            updateTime = await commitJobProgress(batch, jobRef, {
+                stage: 'VALIDATING',
+                sheets: job.sheets,
+                processedRows: job.processedRows,
+                percent: Math.round((job.processedRows / job.totalRows) * 90),
+            }, updateTime);
+            if (!updateTime) return;
+            await registerClients(tenantId, outcome.validRows, { uploadBatchId: jobSheet.uploadBatchId, userId: job.createdBy }, { strict: true });
+            jobSheet.registeredRow = jobSheet.nextRow; // saved with the next commit
+        }
+
+        // ── Refresh accumulation per client, checkpointing every few clients ──
+        const clientIds = await getBatchClientIds(tenantId, jobSheet.uploadBatchId);
+        while (jobSheet.accumulationCursor < clientIds.length) {
+            if (outOfTime()) return enqueueUploadJob(tenantId, jobId);
+
+            for (const clientId of clientIds.slice(jobSheet.accumulationCursor, jobSheet.accumulationCursor + JOB_CLIENT_CHUNK)) {
+                const crossings = await refreshClientCrossings(tenantId, clientId, jobSheet.activityType, umaCatalog, jobSheet.uploadBatchId);
+                jobSheet.crossingCount += crossings.length;
+                jobSheet.crossingSample.push(...crossings.slice(0, CROSSING_SAMPLE_SIZE - jobSheet.crossingSample.length));
+                jobSheet.accumulationCursor++;
+            }
+            updateTime = await commitJobProgress(db.batch(), jobRef, {
+                stage: 'ACCUMULATING',
+                sheets: job.sheets,
+                percent: 90 + Math.round((jobSheet.accumulationCursor / clientIds.length) * 9),
+            }, updateTime);
+            if (!updateTime) return;
+        }
+
+        // uploadHistory keyed by uploadBatchId: re-running this step overwrites the same entry
+        jobSheet.result = await finishSheet({
+            tenantId,
+            userId: job.createdBy,
+            fileName: job.fileName,
+            sheetName: jobSheet.sheetName,
+            activityType: jobSheet.activityType,
+            pYear: job.periodYear,
+            pMonth: job.periodMonth,
+            umaCatalog,
+            uploadBatchId: jobSheet.uploadBatchId,
+            mapping: jobSheet.mapping,
+            layout,
+            totalRows: jobSheet.totalRows,
+            tally: jobSheet.tally,
+            thresholdCrossings: { count: jobSheet.crossingCount, sample: jobSheet.crossingSample },
+            historyId: jobSheet.uploadBatchId,
+            uploadJobId: jobId,
+            sourceStoragePath: job.storagePath,
+        });
+        updateTime = await commitJobProgress(db.batch(), jobRef, { sheets: job.sheets }, updateTime);
+        if (!updateTime) return;
+    }
+
+    await commitJobProgress(db.batch(), jobRef, {
+        status: 'COMPLETED',
+        stage: 'DONE',
+        percent: 100,
+        result: buildUploadResult(upload, job.sheets.map(s => s.result)),
+        completedAt: new Date().toISOString(),
+    }, updateTime);
+}
+
+/**
+ * Start a background upload job for a file already in Storage
+ */
+export const startUploadJob = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        const tenantId = await requireTenant(request);
+        const { storagePath, fileName, activityType, periodYear, periodMonth, mappingProfileId, mapping } = request.data || {};
+
+        if (!storagePath || !fileName) throw new HttpsError('invalid-argument', 'El archivo es requerido');
+        if (!activityType) throw new HttpsError('invalid-argument', 'El tipo de actividad es requerido');
+        if (!periodYear || !periodMonth) throw new HttpsError('invalid-argument', 'El periodo es requerido');
+        if (!storagePath.startsWith(`tenants/${tenantId}/uploads/`)) {
+            throw new HttpsError('permission-denied', 'El archivo no pertenece a tu cuenta');
+        }
+
+        const [exists] = await getStorage().bucket().file(storagePath).exists();
+        if (!exists) throw new HttpsError('not-found', 'El archivo no se encontró en Storage');
+
+        const [metadata] = await getStorage().bucket().file(storagePath).getMetadata();
+        if (Number(metadata.size) > JOB_MAX_FILE_BYTES) {
+            throw new HttpsError('invalid-argument', 'El archivo excede el tamaño máximo de 100MB');
+        }
+
+        try {
+            const jobRef = db.collection('tenants').doc(tenantId).collection('uploadJobs').doc();
+            const now = new Date().toISOString();
+
+            await jobRef.set({
+                status: 'QUEUED',
+                stage: 'QUEUED',
+                storagePath,
+                fileName,
+                fileSize: Number(metadata.size),
+                activityType,
+                periodYear: parseInt(periodYear),
+                periodMonth: parseInt(periodMonth),
+                mappingProfileId: mappingProfileId || null,
+                mapping: mapping ? sanitizeMapping(mapping, activityType) : null,
+                uploadDate: now,
+                totalRows: null,
+                processedRows: 0,
+                percent: 0,
+                resumeCount: 0,
+                createdBy: request.auth.uid,
+                createdAt: FieldValue.serverTimestamp(),
+                heartbeatAt: now,
+            });
+
+            await enqueueUploadJob(tenantId, jobRef.id);
+
+            logger.log('Upload job queued:', { tenantId, jobId: jobRef.id, fileName, activityType, user: request.auth.uid });
+
+            return { success: true, jobId: jobRef.id };
+        } catch (error) {
+            logger.error('Error starting upload job:', error);
+            throw new HttpsError('internal', 'Error al iniciar el procesamiento: ' + error.message);
+        }
+    }
+);
+
+/**
+ * Task worker: one slice of an upload job (Cloud Tasks retries on error)
+ */
+export const runUploadJob = onTaskDispatched(
+    {
+        region: 'us-central1',
+        memory: '2GiB',
+        timeoutSeconds: 540,
+        retryConfig: { maxAttempts: 3, minBackoffSeconds: 60 },
+        rateLimits: { maxConcurrentDispatches: 5 },
+    },
+    async (request) => {
+        const { tenantId, jobId } = request.data;
+
+        try {
+            await runUploadJobSlice(tenantId, jobId);
+        } catch (error) {
+            logger.error('Error in upload job slice:', { tenantId, jobId, error: error.message });
+            throw error; // Retried task resumes from the last committed chunk
+        }
+    }
+);
+
+/**
+ * Resume jobs whose worker stopped sending heartbeats (crash, exhausted retries)
+ */
+export const resumeStalledUploadJobs = onSchedule(
+    {
+        schedule: 'every 15 minutes',
+        region: 'us-central1',
+        timeZone: 'America/Mexico_City',
+    },
+    async () => {
+        const staleBefore = new Date(Date.now() - JOB_STALE_MS).toISOString();
+        const tenantsSnapshot = await db.collection('tenants').where('status', '!=', 'SUSPENDED').get();
+
+        for (const tenantDoc of tenantsSnapshot.docs) {
+            try {
+                const jobsSnapshot = await tenantDoc.ref.collection('uploadJobs')
+                    .where('status', 'in', ['QUEUED', 'RUNNING'])
+                    .get();
+
+                for (const jobDoc of jobsSnapshot.docs) {
+                    const job = jobDoc.data();
+                    if (job.heartbeatAt > staleBefore) continue;
+
+                    if ((job.resumeCount || 0) >= JOB_MAX_RESUMES) {
+                        await jobDoc.ref.update({
+                            status: 'FAILED',
+                            stage: 'DONE',
+                            error: 'El procesamiento se detuvo repetidamente. Vuelve a cargar el archivo o contacta a soporte.',
+                            completedAt: new Date().toISOString(),
+                        });
+                        // The chunks already saved stay reversible from the upload history
+                        await failJobSheetHistory(tenantDoc.id, job);
+                        continue;
+                    }
+
+                    await jobDoc.ref.update({
+                        resumeCount: FieldValue.increment(1),
+                        heartbeatAt: new Date().toISOString(),
+                    });
+                    await enqueueUploadJob(tenantDoc.id, jobDoc.id);
+                    logger.log('Stalled upload job resumed:', { tenantId: tenantDoc.id, jobId: jobDoc.id, processedRows: job.processedRows });
+                }
+            } catch (error) {
+                logger.error(`Error resuming upload jobs for tenant ${tenantDoc.id}:`, error);
+            }
+        }
+    }
+);
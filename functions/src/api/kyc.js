@@ -0,0 +1,159 @@
+/**
+ * KYC API
+ * Datos de los documentos del expediente (fechas, número, verificación) y
+ * alertas diarias de documentos vencidos
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { KYC_DOCUMENT_TYPES, saveClientDocument, checkTenantKycExpirations } from '../services/kyc.js';
+import { updateClientRisk, updateClientsRisk } from '../services/client-risk.js';
+import { registerVaultObject } from '../services/retention.js';
+import { logAuditAction } from '../triggers/audit.js';
+
+const db = getFirestore();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Registrar el archivo subido de un documento o actualizar sus datos
+ * Recalcula el resumen KYC y la calificación de riesgo del cliente.
+ */
+export const saveClientDocumentData = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { clientId, docType, filePath, fileName, issueDate, expiryDate, documentNumber, verified } = request.data || {};
+
+    if (!clientId || !docType) {
+      throw new HttpsError('invalid-argument', 'Se requiere el cliente y el tipo de documento');
+    }
+    if (!KYC_DOCUMENT_TYPES.some(d => d.id === docType)) {
+      throw new HttpsError('invalid-argument', 'Tipo de documento no válido');
+    }
+    if (filePath && !filePath.startsWith(`tenants/${tenantId}/clients/${clientId}/docs/`)) {
+      throw new HttpsError('invalid-argument', 'El archivo no pertenece al expediente del cliente');
+    }
+    for (const [label, value] of [['emisión', issueDate], ['vencimiento', expiryDate]]) {
+      if (value && !DATE_PATTERN.test(value)) {
+        throw new HttpsError('invalid-argument', `La fecha de ${label} debe tener formato YYYY-MM-DD`);
+      }
+    }
+    if (issueDate && issueDate > new Date().toISOString().substring(0, 10)) {
+      throw new HttpsError('invalid-argument', 'La fecha de emisión no puede ser futura');
+    }
+    if (issueDate && expiryDate && expiryDate <= issueDate) {
+      throw new HttpsError('invalid-argument', 'La fecha de vencimiento debe ser posterior a la de emisión');
+    }
+
+    const clientDoc = await db.collection('tenants').doc(tenantId).collection('clients').doc(clientId).get();
+    if (!clientDoc.exists) {
+      throw new HttpsError('not-found', 'El cliente no existe en el registro');
+    }
+
+    try {
+      const document = await saveClientDocument(tenantId, clientId, {
+        docType,
+        filePath,
+        fileName,
+        issueDate,
+        expiryDate,
+        documentNumber: documentNumber !== undefined ? String(documentNumber || '').trim() : undefined,
+        verified,
+      }, { uid: request.auth.uid, email: request.auth.token.email });
+
+      // El archivo forma parte del expediente: cinco años de conservación
+      if (filePath) {
+        await registerVaultObject(tenantId, { filePath, category: 'KYC', clientId });
+      }
+
+      const risk = await updateClientRisk(tenantId, clientId, { trigger: 'KYC', userId: request.auth.uid });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'KYC_DOCUMENT_UPDATED',
+        details: {
+          clientId,
+          docType,
+          newFile: !!filePath,
+          expiresAt: document.expiresAt,
+          verified: !!document.verifiedAt,
+        },
+      });
+
+      return {
+        success: true,
+        document,
+        kyc: risk?.kyc || null,
+      };
+    } catch (error) {
+      logger.error('Error saving client document:', error);
+      throw new HttpsError('internal', 'Error al guardar los datos del documento');
+    }
+  }
+);
+
+/**
+ * Alertas de documentos vencidos - Ejecución programada diaria
+ * INE vencida o comprobante de domicilio con más de 3 meses
+ */
+export const scheduledKycExpiryCheck = onSchedule(
+  {
+    schedule: '0 4 * * *', // Todos los días a las 4 AM
+    region: 'us-central1',
+    timeZone: 'America/Mexico_City',
+  },
+  async () => {
+    logger.info('Starting scheduled KYC expiry check');
+
+    try {
+      const tenantsSnapshot = await db
+        .collection('tenants')
+        .where('status', '!=', 'SUSPENDED')
+        .get();
+
+      let totalAlerts = 0;
+
+      for (const tenantDoc of tenantsSnapshot.docs) {
+        try {
+          const result = await checkTenantKycExpirations(tenantDoc.id);
+          if (result.alerts === 0) continue;
+          totalAlerts += result.alerts;
+
+          // Un expediente vencido cuenta en la calificación de riesgo
+          await updateClientsRisk(tenantDoc.id, result.clientIds, { trigger: 'KYC' });
+
+          await db.collection('tenants').doc(tenantDoc.id).collection('notifications').add({
+            type: 'KYC_EXPIRY_ALERT',
+            title: 'Documentos de clientes vencidos',
+            message: `${result.alerts} documentos de ${result.clients} clientes vencieron. Actualiza los expedientes en la Bóveda Digital.`,
+            read: false,
+            createdAt: new Date().toISOString(),
+          });
+        } catch (error) {
+          logger.error(`Error checking KYC expirations for tenant ${tenantDoc.id}:`, error);
+        }
+      }
+
+      logger.info('KYC expiry check completed', {
+        tenantsProcessed: tenantsSnapshot.size,
+        totalAlerts,
+      });
+    } catch (error) {
+      logger.error('Error in scheduled KYC expiry check:', error);
+    }
+  }
+);
+
+export default {
+  saveClientDocumentData,
+  scheduledKycExpiryCheck,
+};
@@ -0,0 +1,115 @@
+/**
+ * Legal Rules API
+ * Expone la tabla de umbrales LFPIORPI por actividad y el catálogo UMA
+ * versionado (editable solo por super admins)
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { ACTIVITY_RULES, loadUmaCatalog, resolveUma } from '../services/legal-rules.js';
+
+const db = getFirestore();
+
+/**
+ * Obtener umbrales por actividad, catálogo UMA y UMA vigente hoy
+ */
+export const getLegalRules = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    try {
+      const umaCatalog = await loadUmaCatalog();
+      const currentUma = resolveUma(umaCatalog);
+
+      return {
+        success: true,
+        umaDiario: currentUma.valorDiario,
+        umaYear: currentUma.year,
+        umaCatalog,
+        rules: ACTIVITY_RULES,
+      };
+    } catch (error) {
+      logger.error('Error getting legal rules:', error);
+      throw new HttpsError('internal', 'Error al obtener reglas legales');
+    }
+  }
+);
+
+/**
+ * Crear o actualizar el valor UMA de un año (SUPER ADMIN ONLY)
+ */
+export const upsertUmaValue = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const role = request.auth.token.role;
+    if (role !== 'superadmin') {
+      logger.warn('Unauthorized UMA catalog update attempt:', {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+      throw new HttpsError('permission-denied', 'Solo super administradores pueden editar el catálogo UMA');
+    }
+
+    const { year, valorDiario, vigenteDesde } = request.data || {};
+    const yearNum = parseInt(year);
+    const valor = Number(valorDiario);
+
+    if (!yearNum || yearNum < 2016 || yearNum > 2100) {
+      throw new HttpsError('invalid-argument', 'Año inválido');
+    }
+    if (!valor || valor <= 0) {
+      throw new HttpsError('invalid-argument', 'El valor diario de la UMA debe ser mayor a cero');
+    }
+    if (!vigenteDesde || !/^\d{4}-\d{2}-\d{2}$/.test(vigenteDesde)) {
+      throw new HttpsError('invalid-argument', 'La fecha de entrada en vigor debe tener formato YYYY-MM-DD');
+    }
+
+    try {
+      const umaRef = db.collection('umaCatalog').doc(String(yearNum));
+      const previous = await umaRef.get();
+
+      await umaRef.set({
+        year: yearNum,
+        valorDiario: valor,
+        vigenteDesde,
+        updatedBy: request.auth.uid,
+        updatedAt: new Date().toISOString(),
+      });
+
+      // Registrar en audit log
+      await db.collection('auditLog').add({
+        action: 'UMA_CATALOG_UPDATED',
+        adminId: request.auth.uid,
+        adminEmail: request.auth.token.email,
+        year: yearNum,
+        valorDiario: valor,
+        vigenteDesde,
+        previousValue: previous.exists ? previous.data().valorDiario : null,
+        timestamp: new Date().toISOString(),
+      });
+
+      logger.log('UMA catalog updated:', { year: yearNum, valorDiario: valor, by: request.auth.uid });
+
+      return {
+        success: true,
+        umaCatalog: await loadUmaCatalog(),
+      };
+    } catch (error) {
+      logger.error('Error updating UMA catalog:', error);
+      throw new HttpsError('internal', 'Error al actualizar el catálogo UMA');
+    }
+  }
+);
+
+export default {
+  getLegalRules,
+  upsertUmaValue,
+};
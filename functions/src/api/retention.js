@@ -0,0 +1,235 @@
+/**
+ * Retention API
+ * Suspensión de plazos (legal hold) y depuración supervisada de registros
+ * con más de cinco años
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { getLegalHold, listExpiredItems, purgeItems } from '../services/retention.js';
+import { logAuditAction } from '../triggers/audit.js';
+
+const db = getFirestore();
+
+// Solo el administrador del tenant (o de la plataforma) suspende plazos o aprueba depuraciones
+const RETENTION_ADMIN_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Verificar que el usuario puede administrar la conservación del tenant
+ */
+const requireRetentionAdmin = (request, attemptedAction) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+  }
+
+  const role = request.auth.token.role;
+  if (!RETENTION_ADMIN_ROLES.includes(role)) {
+    logger.warn('Unauthorized retention action attempt:', {
+      uid: request.auth.uid,
+      email: request.auth.token.email,
+      attemptedAction,
+    });
+    throw new HttpsError('permission-denied', 'Solo un administrador puede realizar esta acción');
+  }
+};
+
+/**
+ * Activar o levantar la suspensión de plazos del tenant (p. ej. durante una
+ * visita de verificación de la autoridad)
+ */
+export const setLegalHold = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    requireRetentionAdmin(request, 'setLegalHold');
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { active, reason } = request.data || {};
+
+    if (active && !String(reason || '').trim()) {
+      throw new HttpsError('invalid-argument', 'Indica el motivo de la suspensión (p. ej. número de oficio de la visita)');
+    }
+
+    try {
+      const tenantRef = db.collection('tenants').doc(tenantId);
+      const tenantDoc = await tenantRef.get();
+      const current = tenantDoc.data()?.legalHold;
+      const now = new Date().toISOString();
+
+      const legalHold = active
+        ? {
+          active: true,
+          reason: String(reason).trim(),
+          startedAt: now,
+          startedBy: request.auth.uid,
+          startedByEmail: request.auth.token.email || null,
+        }
+        : {
+          ...current,
+          active: false,
+          releasedAt: now,
+          releasedBy: request.auth.uid,
+          releasedByEmail: request.auth.token.email || null,
+        };
+
+      await tenantRef.update({ legalHold });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: active ? 'LEGAL_HOLD_SET' : 'LEGAL_HOLD_RELEASED',
+        details: { reason: legalHold.reason || null, startedAt: legalHold.startedAt || null },
+      });
+
+      return { success: true, legalHold };
+    } catch (error) {
+      logger.error('Error setting legal hold:', error);
+      throw new HttpsError('internal', 'Error al actualizar la suspensión de plazos');
+    }
+  }
+);
+
+/**
+ * Aprobar o rechazar una solicitud de depuración
+ * Al aprobar se borran los elementos cuyo plazo sigue vencido.
+ */
+export const reviewRetentionPurge = onCall(
+  { region: 'us-central1', timeoutSeconds: 540 },
+  async (request) => {
+    requireRetentionAdmin(request, 'reviewRetentionPurge');
+
+    const tenantId = request.auth.token.tenantId || request.auth.uid;
+    const { requestId, decision, notes } = request.data || {};
+
+    if (!requestId || !['APPROVE', 'REJECT'].includes(decision)) {
+      throw new HttpsError('invalid-argument', 'Se requiere la solicitud y una decisión válida');
+    }
+
+    const requestRef = db.collection('tenants').doc(tenantId).collection('purgeRequests').doc(requestId);
+    const purgeRequest = (await requestRef.get()).data();
+    if (!purgeRequest) {
+      throw new HttpsError('not-found', 'La solicitud de depuración no existe');
+    }
+    if (purgeRequest.status !== 'PENDING_APPROVAL') {
+      throw new HttpsError('failed-precondition', 'La solicitud ya fue revisada');
+    }
+    // Quien propone una depuración no puede aprobarla (las del job mensual no tienen solicitante)
+    if (decision === 'APPROVE' && purgeRequest.requestedBy && purgeRequest.requestedBy === request.auth.uid) {
+      throw new HttpsError('permission-denied', 'La depuración debe aprobarla un usuario distinto a quien la solicitó');
+    }
+    if (decision === 'APPROVE' && await getLegalHold(tenantId)) {
+      throw new HttpsError('failed-precondition', 'Los plazos están suspendidos: no se puede depurar durante la suspensión');
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const result = decision === 'APPROVE' ? await purgeItems(tenantId, purgeRequest.items) : null;
+
+      await requestRef.update({
+        status: decision === 'APPROVE' ? 'PURGED' : 'REJECTED',
+        reviewedBy: request.auth.uid,
+        reviewedByEmail: request.auth.token.email || null,
+        reviewedAt: now,
+        reviewNotes: notes || null,
+        ...(result && { result }),
+      });
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: decision === 'APPROVE' ? 'RETENTION_PURGE_APPROVED' : 'RETENTION_PURGE_REJECTED',
+        details: {
+          requestId,
+          counts: purgeRequest.counts,
+          ...(result && result),
+          notes: notes || null,
+        },
+      });
+
+      return {
+        success: true,
+        ...(result && result),
+        message: result
+          ? `${result.deleted} registros depurados, ${result.skipped} conservados.`
+          : 'Solicitud rechazada. Los registros se conservan.',
+      };
+    } catch (error) {
+      logger.error('Error reviewing retention purge:', error);
+      throw new HttpsError('internal', 'Error al revisar la solicitud de depuración');
+    }
+  }
+);
+
+/**
+ * Revisión de plazos de conservación - Ejecución programada mensual
+ * Propone una solicitud de depuración por tenant; nada se borra sin aprobación.
+ */
+export const scheduledRetentionReview = onSchedule(
+  {
+    schedule: '0 5 1 * *', // Día 1 de cada mes a las 5 AM
+    region: 'us-central1',
+    timeZone: 'America/Mexico_City',
+  },
+  async () => {
+    logger.info('Starting scheduled retention review');
+
+    try {
+      const tenantsSnapshot = await db
+        .collection('tenants')
+        .where('status', '!=', 'SUSPENDED')
+        .get();
+
+      let requestsCreated = 0;
+
+      for (const tenantDoc of tenantsSnapshot.docs) {
+        try {
+          if (tenantDoc.data().legalHold?.active) continue;
+
+          const requestsRef = tenantDoc.ref.collection('purgeRequests');
+          const pendingSnapshot = await requestsRef.where('status', '==', 'PENDING_APPROVAL').limit(1).get();
+          if (!pendingSnapshot.empty) continue;
+
+          const items = await listExpiredItems(tenantDoc.id);
+          if (items.length === 0) continue;
+
+          const counts = items.reduce((acc, item) => ({ ...acc, [item.kind]: (acc[item.kind] || 0) + 1 }), {});
+          await requestsRef.add({
+            status: 'PENDING_APPROVAL',
+            items,
+            counts,
+            total: items.length,
+            requestedBy: null, // job mensual
+            createdAt: new Date().toISOString(),
+          });
+
+          await tenantDoc.ref.collection('notifications').add({
+            type: 'RETENTION_PURGE_PENDING',
+            title: 'Registros con plazo de conservación vencido',
+            message: `${items.length} registros cumplieron cinco años. Revisa y aprueba su depuración en la Bóveda Digital.`,
+            read: false,
+            createdAt: new Date().toISOString(),
+          });
+          requestsCreated++;
+        } catch (error) {
+          logger.error(`Error reviewing retention for tenant ${tenantDoc.id}:`, error);
+        }
+      }
+
+      logger.info('Retention review completed', {
+        tenantsProcessed: tenantsSnapshot.size,
+        requestsCreated,
+      });
+    } catch (error) {
+      logger.error('Error in scheduled retention review:', error);
+    }
+  }
+);
+
+export default {
+  setLegalHold,
+  reviewRetentionPurge,
+  scheduledRetentionReview,
+};
@@ -5,9 +5,14 @@
 
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
 import { getFirestore } from 'firebase-admin/firestore';
 import { logger } from 'firebase-functions';
-import { searchBlacklists, screenClient, batchScreenTenant } from '../services/screening.js';
+import {
+  searchBlacklists, screenClient, batchScreenTenant, dismissBlockedPersonMatch, enqueueTenantRescreen,
+} from '../services/screening.js';
+import { getClientId } from '../services/clients.js';
+import { updateClientRisk } from '../services/client-risk.js';
 import { logAuditAction } from '../triggers/audit.js';
 
 const db = getFirestore();
@@ -22,14 +27,14 @@ export const checkBlacklists = onCall(
       throw new HttpsError('unauthenticated', 'Usuario no autenticado');
     }
 
-    const { name, rfc } = request.data;
+    const { name, rfc, tipo, dateOfBirth, nationality } = request.data;
 
     if (!name && !rfc) {
       throw new HttpsError('invalid-argument', 'Se requiere nombre o RFC para la búsqueda');
     }
 
     try {
-      const result = searchBlacklists(name, rfc);
+      const result = await searchBlacklists(name, rfc, '', { dateOfBirth, nationality, tipo });
 
       // Registrar en audit log
       await logAuditAction({
@@ -66,7 +71,7 @@ export const screenClientManual = onCall(
       throw new HttpsError('unauthenticated', 'Usuario no autenticado');
     }
 
-    const { clientId, name, rfc, tipo } = request.data;
+    const { clientId, name, rfc, tipo, curp, dateOfBirth, nationality } = request.data;
     const tenantId = request.auth.uid;
 
     if (!name) {
@@ -74,10 +79,15 @@ export const screenClientManual = onCall(
     }
 
     try {
-      const result = await screenClient(tenantId, clientId || 'manual', {
+      // Sin clientId: el del registro maestro si el RFC ya es cliente
+      const resolvedClientId = clientId || (rfc ? getClientId({ rfcCliente: rfc }) : null);
+      const result = await screenClient(tenantId, resolvedClientId || 'manual', {
         name,
         rfc,
         tipo,
+        curp,
+        dateOfBirth,
+        nationality,
       });
 
       // Registrar en audit log
@@ -87,7 +97,7 @@ export const screenClientManual = onCall(
         userEmail: request.auth.token.email,
         action: 'CLIENT_SCREENED',
         details: {
-          clientId,
+          clientId: resolvedClientId,
           clientName: name,
           matchFound: result.matchFound,
           matchCount: result.matches.length,
@@ -235,7 +245,6 @@ export const reviewScreeningResult = onCall(
           .collection('clients')
           .doc(screeningData.clientId)
           .update({
-            riskLevel: 'CRITICAL',
             screeningStatus: 'CONFIRMED_RISK',
             riskNotes: `Confirmado en lista negra: ${screeningData.matches?.[0]?.sourceLabel || 'Lista negra'}`,
             updatedAt: new Date().toISOString(),
@@ -259,6 +268,34 @@ export const reviewScreeningResult = onCall(
         }
       }
 
+      // Homónimo en la LPB: levantar la suspensión de las operaciones del cliente
+      const releasedOperationIds = [];
+      if (action === 'DISMISS') {
+        const lpbAlertsSnapshot = await db
+          .collection('tenants')
+          .doc(tenantId)
+          .collection('alerts')
+          .where('screeningId', '==', screeningId)
+          .get();
+        const openLpbAlerts = lpbAlertsSnapshot.docs
+          .filter(doc => doc.data().type === 'LPB_MATCH' && doc.data().status !== 'RESOLVED');
+        for (const alertDoc of openLpbAlerts) {
+          const { operationIds } = await dismissBlockedPersonMatch(tenantId, alertDoc.id, {
+            userId: request.auth.uid,
+            notes: notes || '',
+          });
+          releasedOperationIds.push(...operationIds);
+        }
+      }
+
+      // La calificación EBR del cliente toma el resultado revisado (confirmado o descartado)
+      if (screeningData.clientId) {
+        await updateClientRisk(tenantId, screeningData.clientId, {
+          trigger: 'SCREENING_REVIEW',
+          userId: request.auth.uid,
+        });
+      }
+
       // Registrar en audit log
       await logAuditAction({
         tenantId,
@@ -269,6 +306,7 @@ export const reviewScreeningResult = onCall(
           screeningId,
           clientName: screeningData.clientName,
           notes,
+          releasedOperations: releasedOperationIds.length,
         },
       });
 
@@ -288,9 +326,89 @@ export const reviewScreeningResult = onCall(
   }
 );
 
+/**
+ * Descartar una alerta de la Lista de Personas Bloqueadas como falso positivo
+ * Cubre también las alertas abiertas por una carga, que no tienen screeningId:
+ * las operaciones suspendidas vuelven a su estatus anterior al bloqueo.
+ */
+export const dismissBlockedPersonAlert = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const { alertId, notes } = request.data;
+    const tenantId = request.auth.uid;
+
+    if (!alertId) {
+      throw new HttpsError('invalid-argument', 'Se requiere alertId');
+    }
+
+    try {
+      const alertDoc = await db.collection('tenants').doc(tenantId).collection('alerts').doc(alertId).get();
+
+      if (!alertDoc.exists || alertDoc.data().type !== 'LPB_MATCH') {
+        throw new HttpsError('not-found', 'Alerta de la Lista de Personas Bloqueadas no encontrada');
+      }
+      if (alertDoc.data().status === 'RESOLVED') {
+        throw new HttpsError('failed-precondition', 'La alerta ya fue resuelta');
+      }
+
+      const { alert, operationIds } = await dismissBlockedPersonMatch(tenantId, alertId, {
+        userId: request.auth.uid,
+        notes: notes || '',
+      });
+
+      // El resultado de screening que abrió la alerta queda descartado
+      if (alert.screeningId) {
+        await db.collection('screening_results').doc(alert.screeningId).update({
+          status: 'DISMISSED',
+          reviewedAt: new Date().toISOString(),
+          reviewedBy: request.auth.uid,
+          reviewerEmail: request.auth.token.email,
+          reviewNotes: notes || '',
+        });
+      }
+
+      if (alert.clientId) {
+        await updateClientRisk(tenantId, alert.clientId, {
+          trigger: 'SCREENING_REVIEW',
+          userId: request.auth.uid,
+        });
+      }
+
+      await logAuditAction({
+        tenantId,
+        userId: request.auth.uid,
+        userEmail: request.auth.token.email,
+        action: 'LPB_MATCH_DISMISSED',
+        details: {
+          alertId,
+          clientId: alert.clientId,
+          uploadBatchId: alert.uploadBatchId || null,
+          matchedName: alert.match?.matchedName || null,
+          releasedOperations: operationIds.length,
+          notes,
+        },
+      });
+
+      return {
+        success: true,
+        releasedOperations: operationIds.length,
+        message: `Falso positivo descartado. ${operationIds.length} operaciones dejaron de estar bloqueadas.`,
+      };
+    } catch (error) {
+      if (error instanceof HttpsError) throw error;
+      logger.error('Error dismissing LPB alert:', error);
+      throw new HttpsError('internal', 'Error al descartar la alerta');
+    }
+  }
+);
+
 /**
  * Batch Screening - Ejecución programada diaria
- * Procesa nuevos clientes de todos los tenants
+ * Procesa nuevos clientes de todos los tenants y los revisados antes de la última importación de listas
  */
 export const scheduledBatchScreening = onSchedule(
   {
@@ -347,6 +465,37 @@ export const scheduledBatchScreening = onSchedule(
   }
 );
 
+/**
+ * Re-screening de un tenant tras importar una versión de lista (Cloud Tasks)
+ * Revisa un lote y se vuelve a encolar mientras queden clientes revisados contra
+ * una versión anterior; si el lote no avanzó, el job diario retoma los pendientes.
+ */
+export const rescreenTenant = onTaskDispatched(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 540,
+    retryConfig: { maxAttempts: 3, minBackoffSeconds: 60 },
+    rateLimits: { maxConcurrentDispatches: 5 },
+  },
+  async (request) => {
+    const { tenantId } = request.data;
+
+    const result = await batchScreenTenant(tenantId);
+    if (result.flagged > 0) {
+      await db.collection('tenants').doc(tenantId).collection('notifications').add({
+        type: 'SCREENING_ALERT',
+        title: 'Coincidencias detectadas en screening',
+        message: `Se encontraron ${result.flagged} nuevas coincidencias en listas negras tras actualizar las listas. Revisa el módulo de Screening.`,
+        read: false,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    if (result.remaining && result.processed > 0) {
+      await enqueueTenantRescreen(tenantId);
+    }
+  }
+);
+
 /**
  * Ejecutar batch screening manual para un tenant (Admin)
  */
@@ -394,4 +543,5 @@ export default {
   reviewScreeningResult,
   scheduledBatchScreening,
   runBatchScreening,
+  rescreenTenant,
 };
@@ -0,0 +1,128 @@
+/**
+ * Watchlists API
+ * Consulta e importación de las listas oficiales de screening
+ * (importación solo super admins)
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { logger } from 'firebase-functions';
+import { WATCHLISTS, decodeListFile, importWatchlist, getWatchlistsInfo } from '../services/watchlists.js';
+import { enqueueTenantRescreens } from '../services/screening.js';
+
+const db = getFirestore();
+
+const WATCHLISTS_PREFIX = 'catalogs/watchlists/';
+
+/**
+ * Listas administradas con su versión activa y las importaciones recientes
+ */
+export const getWatchlists = onCall(
+  { region: 'us-central1' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    try {
+      return { success: true, lists: await getWatchlistsInfo() };
+    } catch (error) {
+      logger.error('Error getting watchlists:', error);
+      throw new HttpsError('internal', 'Error al obtener las listas');
+    }
+  }
+);
+
+/**
+ * Importar una versión de una lista subida a Storage (SUPER ADMIN ONLY)
+ * La nueva versión queda activa y registra la diferencia contra la anterior.
+ */
+export const importWatchlistFile = onCall(
+  // sdn.xml pesa decenas de MB y se lee completo en memoria
+  { region: 'us-central1', timeoutSeconds: 540, memory: '2GiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const role = request.auth.token.role;
+    if (role !== 'superadmin') {
+      logger.warn('Unauthorized watchlist import attempt:', {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+      throw new HttpsError('permission-denied', 'Solo super administradores pueden importar listas');
+    }
+
+    const { listId, storagePath, publishedAt } = request.data || {};
+    if (!WATCHLISTS[listId]) {
+      throw new HttpsError('invalid-argument', `Lista desconocida: ${listId}`);
+    }
+    const listPrefix = `${WATCHLISTS_PREFIX}${listId}/`;
+    if (!storagePath || !String(storagePath).startsWith(listPrefix)) {
+      throw new HttpsError('invalid-argument', `El archivo debe estar en ${listPrefix}`);
+    }
+    if (publishedAt && !/^\d{4}-\d{2}-\d{2}$/.test(publishedAt)) {
+      throw new HttpsError('invalid-argument', 'La fecha de publicación debe tener formato YYYY-MM-DD');
+    }
+
+    let content;
+    try {
+      const [buffer] = await getStorage().bucket().file(storagePath).download();
+      content = WATCHLISTS[listId].format === 'spreadsheet' ? buffer : decodeListFile(buffer);
+    } catch (error) {
+      logger.error('Error downloading watchlist file:', error);
+      throw new HttpsError('not-found', 'No se pudo leer el archivo subido');
+    }
+
+    let version;
+    try {
+      version = await importWatchlist(listId, content, {
+        publishedAt,
+        sourceFile: storagePath,
+        user: { uid: request.auth.uid, email: request.auth.token.email },
+      });
+    } catch (error) {
+      logger.error(`Error importing watchlist ${listId}:`, error);
+      throw new HttpsError('invalid-argument', error.message);
+    }
+
+    const summary = {
+      listId,
+      versionId: version.versionId,
+      publishedAt: version.publishedAt,
+      total: version.total,
+      skipped: version.skipped,
+      added: version.diff?.added ?? version.total,
+      removed: version.diff?.removed ?? 0,
+      changed: version.diff?.changed ?? 0,
+    };
+
+    // Registrar en audit log
+    await db.collection('auditLog').add({
+      action: 'WATCHLIST_IMPORTED',
+      adminId: request.auth.uid,
+      adminEmail: request.auth.token.email,
+      storagePath,
+      ...summary,
+      timestamp: version.importedAt,
+    });
+
+    // Los clientes ya revisados se comparan contra la nueva versión
+    let rescreenedTenants = 0;
+    try {
+      rescreenedTenants = await enqueueTenantRescreens();
+    } catch (error) {
+      // El job diario también revisa a los clientes anteriores a la importación
+      logger.error('Error enqueueing tenant re-screening:', error);
+    }
+
+    return { success: true, ...summary, rescreenedTenants };
+  }
+);
+
+export default {
+  getWatchlists,
+  importWatchlistFile,
+};
@@ -8,7 +8,8 @@
  * - Sanitización SAT: MAYÚSCULAS sin acentos
  * - Agrupación por persona (persona_aviso con múltiples detalle_operaciones)
  * - Mapeo de códigos numéricos (tipo_operacion, moneda, instrumento_monetario)
- * - Nodo beneficiario_controlador cuando actua_nombre_propio = NO
+ * - Nodo beneficiario_controlador cuando actua_nombre_propio = NO, o los
+ *   beneficiarios controladores de la estructura accionaria de personas morales
  * - Informe en Ceros (sin operaciones)
  * - JUEGOS_APUESTAS → 2 XMLs: depósitos + retiros/premios
  */
@@ -18,6 +19,9 @@ import { db } from '../firebase.js';
 import { FieldValue } from 'firebase-admin/firestore';
 import { logger } from 'firebase-functions';
 import { create } from 'xmlbuilder2';
+import { getActivityRule, classifyAmount, resolveUma } from '../services/legal-rules.js';
+import { amountMXN } from '../services/exchange-rates.js';
+import { getRetentionUntil } from '../services/retention.js';
 
 // ============================================================================
 // CONFIGURACIÓN DE SCHEMAS XSD POR ACTIVIDAD (SAT/UIF)
@@ -177,12 +181,12 @@ function formatMonto(value) {
 }
 
 /**
- * Extract numeric code from catalog value like "1-Efectivo" → "1"
+ * Extract code from catalog value like "1-Efectivo" → "1", "MX-México" → "MX"
  */
 function extractCatalogCode(value) {
     if (!value) return '';
     const str = String(value).trim();
-    const match = str.match(/^(\d+)/);
+    const match = str.match(/^(\d+)/) || str.match(/^([A-Z]{2,3})-/);
     return match ? match[1] : str;
 }
 
@@ -294,7 +298,20 @@ export const generateXML = onCall(
                 throw new HttpsError('not-found', 'No hay operaciones para el periodo seleccionado. Usa "Informe en Ceros" si no hubo operaciones.');
             }
 
-            const allOperations = opsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            // Solo operaciones que alcanzan el umbral de aviso de la actividad (individual o acumulado)
+            const periodOperations = opsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const allOperations = periodOperations.filter(op => requiresAviso(activityType, op));
+
+            if (allOperations.length === 0) {
+                const rule = getActivityRule(activityType);
+                throw new HttpsError(
+                    'not-found',
+                    `Ninguna de las ${periodOperations.length} operaciones del periodo alcanza el umbral de aviso ` +
+                    `(${rule.umbralAvisoUMA} UMA, fracción ${rule.fraccion}). Usa "Informe en Ceros".`
+                );
+            }
+
+            const beneficialOwners = await loadBeneficialOwners(tenantId, allOperations);
 
             // Para JUEGOS_APUESTAS generar 2 reportes separados
             if (activityType === 'JUEGOS_APUESTAS') {
@@ -313,7 +330,7 @@ export const generateXML = onCall(
                 const results = [];
 
                 if (depositos.length > 0) {
-                    const xmlDepositos = buildXMLDocument(activityType, schema, tenantData, depositos, periodYear, periodMonth);
+                    const xmlDepositos = buildXMLDocument(activityType, schema, tenantData, depositos, periodYear, periodMonth, beneficialOwners);
                     results.push({
                         type: 'DEPOSITOS',
                         label: 'Depositos / Apuestas',
@@ -325,7 +342,7 @@ export const generateXML = onCall(
                 }
 
                 if (retiros.length > 0) {
-                    const xmlRetiros = buildXMLDocument(activityType, schema, tenantData, retiros, periodYear, periodMonth);
+                    const xmlRetiros = buildXMLDocument(activityType, schema, tenantData, retiros, periodYear, periodMonth, beneficialOwners);
                     results.push({
                         type: 'RETIROS',
                         label: 'Retiros / Premios',
@@ -352,7 +369,7 @@ export const generateXML = onCall(
             }
 
             // ── Actividades normales: 1 solo XML ──
-            const xmlContent = buildXMLDocument(activityType, schema, tenantData, allOperations, periodYear, periodMonth);
+            const xmlContent = buildXMLDocument(activityType, schema, tenantData, allOperations, periodYear, periodMonth, beneficialOwners);
             const fileName = `${sanitizeRFC(tenantData.rfc)}_${schema.sat_code}_${periodYear}${String(periodMonth).padStart(2, '0')}.xml`;
 
             await markOperationsReported(tenantId, allOperations.map(o => o.id));
@@ -425,9 +442,41 @@ export const getXMLHistory = onCall(
 
 
 // ============================================================================
-// HELPERS: Mark operations + save history
+// HELPERS: Aviso threshold + mark operations + save history
 // ============================================================================
 
+/**
+ * Determine if an operation must be included in the aviso, using ACTIVITY_RULES:
+ * always-report activities, HIGH risk from ingest (individual or accumulated),
+ * operations blocked by the Lista de Personas Bloqueadas
+ * or individual amount at/above the aviso threshold
+ */
+function requiresAviso(activityType, op) {
+    if (getActivityRule(activityType).siempreAvisar) return true;
+    if (op.riskLevel === 'HIGH' || op.status === 'PENDING_REPORT' || op.status === 'BLOCKED') return true;
+    const umaDiario = op.umaReference || resolveUma(null, op.fechaOperacion).valorDiario;
+    return classifyAmount(activityType, amountMXN(op), umaDiario) === 'HIGH';
+}
+
+/**
+ * Beneficiarios controladores de los clientes persona moral del aviso → { clientId: controllers }
+ */
+async function loadBeneficialOwners(tenantId, operations) {
+    const clientsRef = db.collection('tenants').doc(tenantId).collection('clients');
+    const clientIds = [...new Set(operations.map(op => op.clientId).filter(Boolean))];
+    const owners = {};
+    for (let i = 0; i < clientIds.length; i += 100) {
+        const docs = await db.getAll(...clientIds.slice(i, i + 100).map(id => clientsRef.doc(id)));
+        docs.forEach(doc => {
+            const client = doc.data();
+            if (client?.tipo === 'MORAL' && client.ownership?.controllers?.length) {
+                owners[doc.id] = client.ownership.controllers;
+            }
+        });
+    }
+    return owners;
+}
+
 async function markOperationsReported(tenantId, operationIds) {
     const chunks = [];
     for (let i = 0; i < operationIds.length; i += 400) {
@@ -456,6 +505,7 @@ async function saveGenerationHistory(tenantId, userId, activityType, periodYear,
         informeEnCeros: !!informeEnCeros,
         generatedBy: userId,
         generatedAt: FieldValue.serverTimestamp(),
+        retentionUntil: getRetentionUntil(new Date()),
     });
     return docRef.id;
 }
@@ -500,7 +550,7 @@ function buildXMLEnCeros(schema, tenantData, periodYear, periodMonth) {
 // <detalle_operaciones> nodes
 // ============================================================================
 
-function buildXMLDocument(activityType, schema, tenantData, operations, periodYear, periodMonth) {
+function buildXMLDocument(activityType, schema, tenantData, operations, periodYear, periodMonth, beneficialOwners = {}) {
     const doc = create({ version: '1.0', encoding: 'UTF-8' })
         .ele('archivo', {
             'xmlns': schema.namespace,
@@ -534,7 +584,7 @@ function buildXMLDocument(activityType, schema, tenantData, operations, periodYe
 
         // ── Persona del Aviso ──
         const firstOp = group.operations[0]; // Use first operation for person data
-        buildPersonaAviso(avisoDoc, firstOp);
+        buildPersonaAviso(avisoDoc, firstOp, beneficialOwners[firstOp.clientId] || []);
 
         // ── Multiple detalle_operaciones ──
         for (const op of group.operations) {
@@ -575,7 +625,7 @@ function groupOperationsByPerson(operations) {
 // PERSONA DEL AVISO (Client + optional Beneficiary Controller)
 // ============================================================================
 
-function buildPersonaAviso(avisoDoc, op) {
+function buildPersonaAviso(avisoDoc, op, controllers = []) {
     const personaDoc = avisoDoc.ele('persona_aviso');
 
     const rfc = sanitizeRFC(op.rfcCliente);
@@ -624,8 +674,8 @@ function buildPersonaAviso(avisoDoc, op) {
         personaDoc.ele('actividad_economica').txt(sanitizeTextSAT(op.actividadEconomica, 200));
     }
 
-    // Nacionalidad (default MX)
-    personaDoc.ele('pais_nacionalidad').txt(extractCatalogCode(op.pais) || 'MX');
+    // Nacionalidad (default: país del domicilio, MX)
+    personaDoc.ele('pais_nacionalidad').txt(extractCatalogCode(op.nacionalidad || op.pais) || 'MX');
 
     // ── Domicilio ──
     if (op.calle || op.colonia || op.codigoPostal) {
@@ -636,7 +686,7 @@ function buildPersonaAviso(avisoDoc, op) {
         if (op.colonia) domDoc.ele('colonia').txt(sanitizeTextSAT(op.colonia, 100));
         if (op.codigoPostal) domDoc.ele('codigo_postal').txt(sanitizeTextSAT(op.codigoPostal, 5));
         if (op.ciudad) domDoc.ele('ciudad_poblacion').txt(sanitizeTextSAT(op.ciudad, 100));
-        if (op.estado) domDoc.ele('entidad_federativa').txt(sanitizeTextSAT(op.estado, 50));
+        if (op.estado) domDoc.ele('entidad_federativa').txt(sanitizeTextSAT(extractCatalogCode(op.estado), 50));
         domDoc.ele('pais').txt(extractCatalogCode(op.pais) || 'MX');
     }
 
@@ -656,6 +706,24 @@ function buildPersonaAviso(avisoDoc, op) {
         if (op.rfcBeneficiario) {
             benefDoc.ele('rfc').txt(sanitizeRFC(op.rfcBeneficiario));
         }
+    } else if (tipoPersonaCode === '2') {
+        // Persona moral: controllers identified in its ownership structure (services/ownership.js)
+        for (const controller of controllers) {
+            const benefDoc = personaDoc.ele('beneficiario_controlador');
+            benefDoc.ele('nombre').txt(sanitizeTextSAT(controller.nombre, 100));
+            if (controller.apellidoPaterno) {
+                benefDoc.ele('apellido_paterno').txt(sanitizeTextSAT(controller.apellidoPaterno, 100));
+            }
+            if (controller.apellidoMaterno) {
+                benefDoc.ele('apellido_materno').txt(sanitizeTextSAT(controller.apellidoMaterno, 100));
+            }
+            if (controller.rfc) {
+                benefDoc.ele('rfc').txt(sanitizeRFC(controller.rfc));
+            }
+            if (controller.curp) {
+                benefDoc.ele('curp').txt(sanitizeTextSAT(controller.curp, 18));
+            }
+        }
     }
 }
 
@@ -6,15 +6,14 @@
 
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { logger } from 'firebase-functions';
+import { validateRfc, validateCurp, isGenericRfc, GENERIC_RFCS, checkIdentityConsistency } from '../services/identity.js';
 
 // ============================================================================
 // PATRONES DE VALIDACIÓN SAT
 // ============================================================================
 
+// RFC y CURP (formato + dígito verificador): services/identity.js
 const PATTERNS = {
-    RFC_PF: /^[A-ZÑ&]{4}[0-9]{6}[A-Z0-9]{3}$/,
-    RFC_PM: /^[A-ZÑ&]{3}[0-9]{6}[A-Z0-9]{3}$/,
-    CURP: /^[A-Z]{4}[0-9]{6}[HM][A-Z]{5}[0-9A-Z]{2}$/,
     FECHA_SAT: /^[0-9]{8}$/,
     CODIGO_POSTAL: /^[0-9]{5}$/,
     MONTO: /^[0-9]+(\.[0-9]{1,2})?$/,
@@ -117,13 +116,18 @@ export const validateXML = onCall(
                     type: 'CAMPO',
                     message: 'Falta el RFC del sujeto obligado.',
                 });
-            } else if (!PATTERNS.RFC_PM.test(rfcSujeto) && !PATTERNS.RFC_PF.test(rfcSujeto)) {
-                result.errors.push({
-                    code: 'E011',
-                    type: 'FORMATO',
-                    message: `RFC del sujeto obligado inválido: "${rfcSujeto}". Debe tener 12 (PM) o 13 (PF) caracteres con formato SAT.`,
-                    value: rfcSujeto,
-                });
+            } else {
+                const rfcCheck = validateRfc(rfcSujeto);
+                if (!rfcCheck.valid || rfcCheck.generic) {
+                    result.errors.push({
+                        code: 'E011',
+                        type: 'FORMATO',
+                        message: rfcCheck.generic
+                            ? `RFC del sujeto obligado inválido: "${rfcSujeto}" es un ${GENERIC_RFCS[rfcCheck.rfc]}.`
+                            : `RFC del sujeto obligado inválido: "${rfcSujeto}". ${rfcCheck.errors.join(' ')}`,
+                        value: rfcSujeto,
+                    });
+                }
             }
 
             const razonSocial = extractTag(xmlString, 'sujeto_obligado', 'razon_social');
@@ -284,15 +288,56 @@ export const validateXML = onCall(
                             aviso: avisoNum,
                             message: `${prefix}: Falta el RFC del cliente.`,
                         });
-                    } else if (!PATTERNS.RFC_PF.test(rfcCliente) && !PATTERNS.RFC_PM.test(rfcCliente)) {
-                        result.errors.push({
-                            code: 'E132',
-                            type: 'FORMATO',
+                    } else {
+                        const rfcCheck = validateRfc(rfcCliente);
+                        if (!rfcCheck.valid) {
+                            result.errors.push({
+                                code: 'E132',
+                                type: 'FORMATO',
+                                aviso: avisoNum,
+                                message: `${prefix}: RFC del cliente inválido: "${rfcCliente}". ${rfcCheck.errors.join(' ')}`,
+                                value: rfcCliente,
+                            });
+                        } else if (isGenericRfc(rfcCliente)) {
+                            result.warnings.push({
+                                code: 'W111',
+                                type: 'CAMPO',
+                                aviso: avisoNum,
+                                message: `${prefix}: ${GENERIC_RFCS[rfcCheck.rfc]} (${rfcCliente}); no identifica al cliente.`,
+                                value: rfcCliente,
+                            });
+                        }
+                    }
+
+                    // CURP del cliente y coherencia con RFC, nombre y fecha de nacimiento
+                    const curpCliente = extractSimpleTag(personaBlock, 'curp');
+                    if (curpCliente) {
+                        const curpCheck = validateCurp(curpCliente);
+                        if (!curpCheck.valid) {
+                            result.errors.push({
+                                code: 'E134',
+                                type: 'FORMATO',
+                                aviso: avisoNum,
+                                message: `${prefix}: CURP del cliente inválida: "${curpCliente}". ${curpCheck.errors.join(' ')}`,
+                                value: curpCliente,
+                            });
+                        }
+                    }
+                    checkIdentityConsistency({
+                        rfc: rfcCliente,
+                        curp: curpCliente,
+                        nombre: extractSimpleTag(personaBlock, 'nombre'),
+                        apellidoPaterno: extractSimpleTag(personaBlock, 'apellido_paterno'),
+                        apellidoMaterno: extractSimpleTag(personaBlock, 'apellido_materno'),
+                        fechaNacimiento: extractSimpleTag(personaBlock, 'fecha_nacimiento'),
+                    }).forEach(issue => {
+                        result.warnings.push({
+                            code: 'W112',
+                            type: 'CAMPO',
                             aviso: avisoNum,
-                            message: `${prefix}: RFC del cliente inválido: "${rfcCliente}".`,
-                            value: rfcCliente,
+                            message: `${prefix}: ${issue.message}`,
                         });
-                    }
+                    });
 
                     // Tipo persona
                     const tipoPersona = extractSimpleTag(personaBlock, 'tipo_persona');
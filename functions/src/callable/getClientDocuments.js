@@ -4,25 +4,19 @@
  */
 
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
-import { getFirestore } from 'firebase-admin/firestore';
 import { getStorage } from 'firebase-admin/storage';
 import { logger } from 'firebase-functions';
+import { findClient } from '../services/clients.js';
+import {
+  KYC_DOCUMENT_TYPES,
+  getRequiredDocuments,
+  getDocumentStatus,
+  evaluateKyc,
+  loadClientDocuments,
+} from '../services/kyc.js';
 
-const db = getFirestore();
 const storage = getStorage();
 
-// Tipos de documentos KYC requeridos
-const DOCUMENT_TYPES = [
-  { id: 'INE_FRONT', name: 'INE (Frente)', required: true },
-  { id: 'INE_BACK', name: 'INE (Reverso)', required: true },
-  { id: 'PROOF_OF_ADDRESS', name: 'Comprobante de Domicilio', required: true },
-  { id: 'CURP', name: 'CURP', required: false },
-  { id: 'TAX_ID', name: 'Cédula Fiscal (CSF)', required: false },
-  { id: 'INCORPORATION', name: 'Acta Constitutiva', required: false },
-  { id: 'POWER_OF_ATTORNEY', name: 'Poder Notarial', required: false },
-  { id: 'OTHER', name: 'Otro Documento', required: false },
-];
-
 export const getClientDocuments = onCall(
   {
     region: 'us-central1',
@@ -34,76 +28,81 @@ export const getClientDocuments = onCall(
       throw new HttpsError('unauthenticated', 'Usuario no autenticado');
     }
 
-    const { clientRfc } = request.data;
+    const { clientId: requestedId, clientRfc } = request.data;
     const tenantId = request.auth.token.tenantId || request.auth.uid;
 
-    if (!clientRfc) {
-      throw new HttpsError('invalid-argument', 'Se requiere el RFC del cliente');
+    if (!requestedId && !clientRfc) {
+      throw new HttpsError('invalid-argument', 'Se requiere el clientId o el RFC del cliente');
     }
 
     try {
-      // Buscar el cliente en Firestore
-      const clientsQuery = await db
-        .collection('clients')
-        .where('tenantId', '==', tenantId)
-        .where('rfc', '==', clientRfc.toUpperCase())
-        .limit(1)
-        .get();
-
-      let clientData = null;
-      let clientId = null;
-
-      if (!clientsQuery.empty) {
-        const clientDoc = clientsQuery.docs[0];
-        clientId = clientDoc.id;
-        clientData = clientDoc.data();
-      }
+      // Buscar el cliente en el registro maestro del tenant
+      const clientData = await findClient(tenantId, { clientId: requestedId, rfc: clientRfc });
+      const clientId = clientData?.id || requestedId || clientRfc.toUpperCase();
 
-      // Obtener documentos del Storage
+      // Obtener documentos del Storage (expediente por clientId)
       const bucket = storage.bucket();
-      const basePath = `tenants/${tenantId}/clients/${clientRfc.toUpperCase()}/docs/`;
+      const basePath = `tenants/${tenantId}/clients/${clientId}/docs/`;
 
       const [files] = await bucket.getFiles({
         prefix: basePath,
       });
 
-      // Mapear archivos a tipos de documento
+      // Metadatos capturados (archivo vigente, fechas, verificación)
+      const metadataByType = clientData ? await loadClientDocuments(tenantId, clientId) : {};
+
+      // Mapear archivos a tipos de documento. El archivo vigente es el registrado
+      // en los metadatos; sin metadatos (cargas anteriores) el más reciente.
       const uploadedDocs = {};
+      const documents = { ...metadataByType };
       for (const file of files) {
         const fileName = file.name.replace(basePath, '');
-        const docType = fileName.split('_')[0]; // Ej: INE_FRONT_timestamp.pdf
-
-        if (docType && DOCUMENT_TYPES.find(d => d.id === docType)) {
-          const [metadata] = await file.getMetadata();
-          const [signedUrl] = await file.getSignedUrl({
-            action: 'read',
-            expires: Date.now() + 24 * 60 * 60 * 1000, // 24 horas
-          });
-
-          uploadedDocs[docType] = {
-            fileName: fileName,
-            filePath: file.name,
-            downloadUrl: signedUrl,
-            uploadedAt: metadata.timeCreated,
-            size: metadata.size,
-            contentType: metadata.contentType,
-          };
-        }
+        const [metadata] = await file.getMetadata();
+        const docType = metadata.metadata?.docType
+          || KYC_DOCUMENT_TYPES.find(d => fileName.startsWith(`${d.id}_`))?.id; // Ej: INE_FRONT_timestamp.pdf
+        if (!docType || !KYC_DOCUMENT_TYPES.find(d => d.id === docType)) continue;
+
+        const currentPath = metadataByType[docType]?.filePath;
+        if (currentPath && currentPath !== file.name) continue;
+        if (!currentPath && uploadedDocs[docType] && uploadedDocs[docType].uploadedAt > metadata.timeCreated) continue;
+
+        const [signedUrl] = await file.getSignedUrl({
+          action: 'read',
+          expires: Date.now() + 24 * 60 * 60 * 1000, // 24 horas
+        });
+
+        uploadedDocs[docType] = {
+          fileName: fileName,
+          filePath: file.name,
+          downloadUrl: signedUrl,
+          uploadedAt: metadata.timeCreated,
+          size: metadata.size,
+          contentType: metadata.contentType,
+        };
+        if (!currentPath) documents[docType] = { filePath: file.name };
       }
 
       // Construir respuesta con checklist de documentos
-      const documentChecklist = DOCUMENT_TYPES.map(docType => ({
-        ...docType,
-        uploaded: !!uploadedDocs[docType.id],
-        file: uploadedDocs[docType.id] || null,
-      }));
-
-      // Calcular porcentaje de completitud
-      const requiredDocs = DOCUMENT_TYPES.filter(d => d.required);
-      const uploadedRequiredDocs = requiredDocs.filter(d => uploadedDocs[d.id]);
-      const completionPercentage = Math.round(
-        (uploadedRequiredDocs.length / requiredDocs.length) * 100
-      );
+      const required = getRequiredDocuments(clientData?.tipo, clientData?.activityTypes || []);
+      const documentChecklist = KYC_DOCUMENT_TYPES.map(docType => {
+        const metadata = metadataByType[docType.id] || {};
+        return {
+          ...docType,
+          required: required.includes(docType.id),
+          uploaded: !!uploadedDocs[docType.id],
+          file: uploadedDocs[docType.id] || null,
+          status: getDocumentStatus(docType.id, uploadedDocs[docType.id] ? documents[docType.id] : null),
+          issueDate: metadata.issueDate || null,
+          expiryDate: metadata.expiryDate || null,
+          expiresAt: metadata.expiresAt || null,
+          documentNumber: metadata.documentNumber || null,
+          verifiedByEmail: metadata.verifiedByEmail || null,
+          verifiedAt: metadata.verifiedAt || null,
+        };
+      });
+
+      // Completitud: documentos requeridos presentes y vigentes
+      const kyc = evaluateKyc({ tipo: clientData?.tipo, activityTypes: clientData?.activityTypes }, documents);
 
       return {
         success: true,
@@ -115,13 +114,18 @@ export const getClientDocuments = onCall(
               tipo: clientData.tipo, // 'FISICA' o 'MORAL'
             }
           : null,
+        clientId,
         documents: documentChecklist,
         stats: {
-          total: DOCUMENT_TYPES.length,
+          total: KYC_DOCUMENT_TYPES.length,
           uploaded: Object.keys(uploadedDocs).length,
-          required: requiredDocs.length,
-          requiredUploaded: uploadedRequiredDocs.length,
-          completionPercentage,
+          required: required.length,
+          requiredUploaded: required.filter(id => uploadedDocs[id]).length,
+          completionPercentage: kyc.completion,
+          missing: kyc.missing,
+          expired: kyc.expired,
+          expiring: kyc.expiring,
+          noDates: kyc.noDates,
         },
       };
 
@@ -7,6 +7,7 @@ import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore } from 'firebase-admin/firestore';
 import { getStorage } from 'firebase-admin/storage';
 import { logger } from 'firebase-functions';
+import { registerVaultObject } from '../services/retention.js';
 
 const db = getFirestore();
 const storage = getStorage();
@@ -83,6 +84,9 @@ export const linkAcknowledgment = onCall(
         updatedAt: new Date().toISOString(),
       });
 
+      // El acuse se conserva cinco años
+      await registerVaultObject(tenantId, { filePath: pdfPath, category: 'ACUSE' });
+
       // Registrar en audit log
       await db.collection('auditLog').add({
         tenantId: tenantId,
@@ -42,6 +42,7 @@ export {
 export {
   onOperationWrite,
   getDashboardStats,
+  rebuildStats,
 } from './triggers/stats.js';
 
 // Import and re-export Services/Marketplace functions
@@ -68,8 +69,10 @@ export {
   screenClientManual,
   getScreeningResults,
   reviewScreeningResult,
+  dismissBlockedPersonAlert,
   scheduledBatchScreening,
   runBatchScreening,
+  rescreenTenant,
 } from './api/screening.js';
 
 // Import and re-export LMS functions
@@ -94,8 +97,78 @@ export {
 export {
   getTemplate,
   processUpload,
+  previewUpload,
+  getMappingProfiles,
+  saveMappingProfile,
+  deleteMappingProfile,
+  startUploadJob,
+  runUploadJob,
+  resumeStalledUploadJobs,
+  rollbackUpload,
+  resolvePossibleDuplicates,
+  downloadAnnotatedWorkbook,
+  getUploadDrafts,
+  resubmitUploadDrafts,
+  discardUploadDrafts,
+  getCaptureColumns,
+  captureOperation,
 } from './api/ingest.js';
 
+// Import and re-export Accumulation functions
+export {
+  scheduledAccumulationRecompute,
+  runAccumulationRecompute,
+} from './api/accumulation.js';
+
+// Import and re-export Client registry functions
+export {
+  rebuildClientRegistry,
+  recalculateClientRisk,
+  saveClientOwnership,
+  scanDuplicateClients,
+  mergeDuplicateClients,
+  undoClientMerge,
+  dismissDuplicateClients,
+  refreshClients,
+} from './api/clients.js';
+
+// Import and re-export KYC functions
+export {
+  saveClientDocumentData,
+  scheduledKycExpiryCheck,
+} from './api/kyc.js';
+
+// Import and re-export Retention functions
+export {
+  setLegalHold,
+  reviewRetentionPurge,
+  scheduledRetentionReview,
+} from './api/retention.js';
+
+// Import and re-export Legal Rules functions
+export {
+  getLegalRules,
+  upsertUmaValue,
+} from './api/legal-rules.js';
+
+// Import and re-export Exchange Rate functions
+export {
+  getExchangeRates,
+  importExchangeRates,
+} from './api/exchange-rates.js';
+
+// Import and re-export Catalog functions
+export {
+  getCatalogInfo,
+  importPostalCodes,
+} from './api/catalogs.js';
+
+// Import and re-export Watchlist functions
+export {
+  getWatchlists,
+  importWatchlistFile,
+} from './api/watchlists.js';
+
 // Import and re-export XML Generator functions
 export {
   generateXML,
@@ -0,0 +1,444 @@
+/**
+ * Accumulation Service
+ * Acumulación móvil de seis meses por cliente y actividad vulnerable
+ *
+ * LFPIORPI Art. 17 (último párrafo) y Reglamento Art. 7: los actos u operaciones
+ * que se realicen por una cantidad inferior al umbral se acumulan durante un
+ * periodo de seis meses; si la suma alcanza el umbral, nace la obligación.
+ *
+ * - Ventana móvil que termina en la fecha de cada operación (no mes calendario)
+ * - Fecha en que el cliente cruzó el umbral de identificación y de aviso
+ * - Operación que provocó el cruce (accumulationTrigger)
+ * - Resumen por cliente en tenants/{tenantId}/accumulations/{activityType}_{clientId}
+ * - El cliente es el clientId del registro maestro (services/clients.js): con RFC
+ *   genérico (XAXX/XEXX) cada cliente del público en general acumula por separado
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { loadUmaCatalog, resolveUma, getActivityRule, getThresholdsMXN, classifyAmount } from './legal-rules.js';
+import { amountMXN } from './exchange-rates.js';
+import { backfillTenantClients } from './clients.js';
+
+const db = getFirestore();
+
+// Operaciones ya presentadas ante el SAT o suspendidas por la LPB: no se les cambia el semáforo
+const LOCKED_STATUSES = ['REPORTED', 'BLOCKED'];
+
+const RISK_ORDER = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+const BATCH_SIZE = 400;
+
+// ============================================================
+// VENTANA MÓVIL
+// ============================================================
+
+/**
+ * Normalizar una fecha a YYYY-MM-DD
+ */
+const toDateKey = (fecha) => {
+  if (!fecha) return null;
+  if (fecha instanceof Date) return fecha.toISOString().split('T')[0];
+  if (typeof fecha.toDate === 'function') return fecha.toDate().toISOString().split('T')[0];
+  return String(fecha).substring(0, 10);
+};
+
+/**
+ * Inicio (exclusivo) de la ventana de acumulación que termina en `fecha`
+ * Ej. 2026-08-31 con 6 meses → 2026-02-28: cuentan operaciones del 2026-03-01 al 2026-08-31
+ * @param {string|Date} fecha - Fecha final de la ventana
+ * @param {number} months - Meses de la ventana
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWindowStart = (fecha, months = 6) => {
+  const [year, month, day] = toDateKey(fecha).split('-').map(Number);
+  const targetMonth = month - 1 - months;
+  // Ajustar al último día si el mes destino es más corto
+  const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, targetMonth, Math.min(day, lastDay))).toISOString().split('T')[0];
+};
+
+/**
+ * Sumar los montos dentro de la ventana móvil que termina en `fecha`
+ * @param {Array} operations - Operaciones con { fechaOperacion, monto, montoMXN }
+ * @param {string} fecha - Fecha final de la ventana (inclusive)
+ * @param {number} months - Meses de la ventana
+ * @returns {number} Total acumulado en MXN
+ */
+export const sumRollingWindow = (operations, fecha, months = 6) => {
+  const end = toDateKey(fecha);
+  if (!end) return 0;
+  const start = getWindowStart(end, months);
+
+  return operations.reduce((total, op) => {
+    const opDate = toDateKey(op.fechaOperacion);
+    if (!opDate || opDate <= start || opDate > end) return total;
+    return total + amountMXN(op);
+  }, 0);
+};
+
+/**
+ * Obtener todas las operaciones guardadas de un cliente (clientId) en una actividad
+ * (el filtro por fecha se hace en memoria para no depender de índices compuestos)
+ */
+export const getClientOperations = async (tenantId, clientId, activityType) => {
+  if (!clientId) return [];
+
+  const snapshot = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('operations')
+    .where('clientId', '==', clientId)
+    .where('activityType', '==', activityType)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+// ============================================================
+// SEMÁFORO POR ACUMULACIÓN
+// ============================================================
+
+/**
+ * Elevar el semáforo de una operación según el acumulado móvil
+ * ≥ umbral de aviso → HIGH, ≥ umbral de identificación → MEDIUM (nunca baja el nivel)
+ *
+ * @param {Object} risk - { riskLevel, riskReason, riskScore } actuales
+ * @param {Object} params - { rollingTotal, activityType, umaDiario, rfc }
+ * @returns {Object} { riskLevel, riskReason, riskScore, upgraded }
+ */
+export const applyAccumulationRisk = (risk, { rollingTotal, activityType, umaDiario, rfc }) => {
+  const rule = getActivityRule(activityType);
+  const { umbralIdentMXN, umbralAvisoMXN } = getThresholdsMXN(activityType, umaDiario);
+  const meses = rule.periodoAcumulacionMeses;
+  const { riskLevel, riskReason, riskScore } = risk;
+
+  if (umbralAvisoMXN > 0 && rollingTotal >= umbralAvisoMXN && riskLevel !== 'HIGH') {
+    return {
+      riskLevel: 'HIGH',
+      riskReason: `Acumulado ${meses} meses RFC ${rfc}: $${rollingTotal.toLocaleString('es-MX')} ` +
+        `≥ ${rule.umbralAvisoUMA} UMA ($${umbralAvisoMXN.toLocaleString('es-MX')}). ` +
+        `Aviso automático SAT por acumulación.`,
+      riskScore: 100,
+      upgraded: true,
+    };
+  }
+  if (umbralIdentMXN > 0 && rollingTotal >= umbralIdentMXN && riskLevel === 'LOW') {
+    return {
+      riskLevel: 'MEDIUM',
+      riskReason: `Acumulado ${meses} meses RFC ${rfc}: $${rollingTotal.toLocaleString('es-MX')} ` +
+        `≥ ${rule.umbralIdentificacionUMA} UMA ($${umbralIdentMXN.toLocaleString('es-MX')}). ` +
+        `Identificación obligatoria por acumulación.`,
+      riskScore: Math.max(riskScore || 0, 60),
+      upgraded: true,
+    };
+  }
+  return { riskLevel, riskReason, riskScore, upgraded: false };
+};
+
+/**
+ * Semáforo de la operación por sí sola, antes de la acumulación
+ * Las operaciones guardan el del motor legal en baseRisk*; las anteriores a ese
+ * campo lo toman del semáforo actual, salvo que éste venga de la acumulación.
+ *
+ * @param {Object} op - Operación guardada
+ * @param {string} activityType - Clave de actividad
+ * @param {number} umaDiario - UMA vigente en la fecha de la operación
+ * @returns {Object} { riskLevel, riskReason, riskScore }
+ */
+export const getBaseRisk = (op, activityType, umaDiario) => {
+  if (op.baseRiskLevel) {
+    return { riskLevel: op.baseRiskLevel, riskReason: op.baseRiskReason || '', riskScore: op.baseRiskScore || 0 };
+  }
+  if (!String(op.riskReason || '').startsWith('Acumulado')) {
+    return { riskLevel: op.riskLevel || 'LOW', riskReason: op.riskReason || '', riskScore: op.riskScore || 0 };
+  }
+  const riskLevel = classifyAmount(activityType, amountMXN(op), umaDiario);
+  return {
+    riskLevel,
+    riskReason: riskLevel === 'LOW' ? 'Monto por debajo de umbrales LFPIORPI.' : `Monto de la operación: semáforo ${riskLevel}.`,
+    riskScore: { LOW: 10, MEDIUM: 60, HIGH: 100 }[riskLevel],
+  };
+};
+
+/**
+ * Estatus de trabajo correspondiente a un nivel de riesgo
+ */
+export const statusForRisk = (riskLevel) => {
+  if (riskLevel === 'HIGH') return 'PENDING_REPORT';
+  if (riskLevel === 'MEDIUM') return 'PENDING_REVIEW';
+  return 'PENDING';
+};
+
+// ============================================================
+// LÍNEA DE TIEMPO POR CLIENTE
+// ============================================================
+
+/**
+ * Recorrer las operaciones de un cliente en orden cronológico y calcular,
+ * para cada una, el acumulado móvil y si provocó el cruce de un umbral.
+ * Un umbral se "cruza" cuando el acumulado pasa de estar por debajo a ≥ umbral;
+ * si la ventana se vacía y se vuelve a alcanzar, se registra un nuevo cruce.
+ * Actividades con "siempre identificar/avisar" (umbral 0) no generan cruces.
+ *
+ * @param {Array} operations - Operaciones del cliente (con id)
+ * @param {string} activityType - Clave de actividad
+ * @param {Array} umaCatalog - Catálogo UMA (loadUmaCatalog)
+ * @returns {Object} { entries: [{ id, rollingAccumulated, previousAccumulated, trigger }], crossings: [] }
+ */
+export const buildAccumulationTimeline = (operations, activityType, umaCatalog) => {
+  const rule = getActivityRule(activityType);
+  const months = rule.periodoAcumulacionMeses;
+
+  const sorted = operations
+    .filter(op => toDateKey(op.fechaOperacion))
+    .sort((a, b) =>
+      toDateKey(a.fechaOperacion).localeCompare(toDateKey(b.fechaOperacion)) ||
+      String(a.uploadDate || '').localeCompare(String(b.uploadDate || '')) ||
+      (a.sourceRow || 0) - (b.sourceRow || 0)
+    );
+
+  const entries = [];
+  const crossings = [];
+  let windowStartIndex = 0;
+  let rollingTotal = 0;
+
+  sorted.forEach((op, index) => {
+    const fecha = toDateKey(op.fechaOperacion);
+    const start = getWindowStart(fecha, months);
+
+    // Sacar de la ventana las operaciones anteriores a su inicio
+    while (windowStartIndex < index && toDateKey(sorted[windowStartIndex].fechaOperacion) <= start) {
+      rollingTotal -= amountMXN(sorted[windowStartIndex]);
+      windowStartIndex++;
+    }
+
+    const previous = rollingTotal;
+    rollingTotal += amountMXN(op);
+
+    const uma = op.umaReference || resolveUma(umaCatalog, fecha).valorDiario;
+    const { umbralIdentMXN, umbralAvisoMXN } = getThresholdsMXN(activityType, uma);
+
+    let trigger = null;
+    const crossed = [];
+    if (umbralIdentMXN > 0 && previous < umbralIdentMXN && rollingTotal >= umbralIdentMXN) {
+      crossed.push({ type: 'IDENTIFICACION', thresholdMXN: umbralIdentMXN });
+      trigger = 'IDENTIFICACION';
+    }
+    if (umbralAvisoMXN > 0 && previous < umbralAvisoMXN && rollingTotal >= umbralAvisoMXN) {
+      crossed.push({ type: 'AVISO', thresholdMXN: umbralAvisoMXN });
+      trigger = 'AVISO';
+    }
+
+    crossed.forEach(({ type, thresholdMXN }) => {
+      crossings.push({
+        type,
+        date: fecha,
+        operationId: op.id,
+        sourceRow: op.sourceRow || null,
+        uploadBatchId: op.uploadBatchId || null,
+        rollingTotal,
+        thresholdMXN,
+        umaReference: uma,
+      });
+    });
+
+    entries.push({
+      id: op.id,
+      fechaOperacion: fecha,
+      umaReference: uma,
+      rollingAccumulated: rollingTotal,
+      previousAccumulated: previous,
+      trigger,
+    });
+  });
+
+  return { entries, crossings };
+};
+
+/**
+ * Recalcular la acumulación de un cliente/actividad, marcar las operaciones
+ * que cruzaron umbrales y guardar el resumen en tenants/{tenantId}/accumulations
+ *
+ * @param {string} tenantId - ID del tenant
+ * @param {string} clientId - clientId del registro maestro (services/clients.js)
+ * @param {string} activityType - Clave de actividad
+ * @param {Array} umaCatalog - Catálogo UMA (se carga si se omite)
+ * @returns {Promise<Object|null>} Resumen guardado + { operationsUpdated, riskUpgrades }, o null sin operaciones
+ */
+export const recomputeClientAccumulation = async (tenantId, clientId, activityType, umaCatalog = null) => {
+  if (!clientId) return null;
+
+  const catalog = umaCatalog || await loadUmaCatalog();
+  const rule = getActivityRule(activityType);
+  const operations = await getClientOperations(tenantId, clientId, activityType);
+
+  // Sin operaciones (p. ej. carga revertida): el cliente ya no tiene acumulado
+  if (operations.length === 0) {
+    await db
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('accumulations')
+      .doc(`${activityType}_${clientId}`)
+      .delete();
+    return null;
+  }
+
+  const { entries, crossings } = buildAccumulationTimeline(operations, activityType, catalog);
+  const opsById = new Map(operations.map(op => [op.id, op]));
+
+  // ── Actualizar operaciones cuyo acumulado, marca de cruce o semáforo cambió ──
+  const updates = [];
+  let riskUpgrades = 0;
+
+  for (const entry of entries) {
+    const op = opsById.get(entry.id);
+    const update = {};
+
+    if (op.rollingAccumulated !== entry.rollingAccumulated) update.rollingAccumulated = entry.rollingAccumulated;
+    if (op.previousAccumulated !== entry.previousAccumulated) update.previousAccumulated = entry.previousAccumulated;
+    if ((op.accumulationTrigger || null) !== entry.trigger) update.accumulationTrigger = entry.trigger;
+
+    // El semáforo se calcula desde el de la operación por sí sola: si el acumulado
+    // baja (carga revertida) la operación deja de estar elevada por acumulación.
+    // Las escaladas a mano por el oficial conservan su semáforo.
+    if (!LOCKED_STATUSES.includes(op.status) && !op.escalatedAt) {
+      const risk = applyAccumulationRisk(
+        getBaseRisk(op, activityType, entry.umaReference),
+        { rollingTotal: entry.rollingAccumulated, activityType, umaDiario: entry.umaReference, rfc: op.rfcCliente }
+      );
+      const currentLevel = op.riskLevel || 'LOW';
+      if (risk.riskLevel !== currentLevel || risk.riskReason !== (op.riskReason || '')) {
+        update.riskLevel = risk.riskLevel;
+        update.riskReason = risk.riskReason;
+        update.riskScore = risk.riskScore;
+        // Solo el estatus de trabajo sigue al semáforo; las decisiones de revisión se conservan
+        if (!op.status || op.status.startsWith('PENDING')) {
+          update.status = statusForRisk(risk.riskLevel);
+        }
+        if (RISK_ORDER[risk.riskLevel] > RISK_ORDER[currentLevel]) riskUpgrades++;
+      }
+    }
+
+    if (Object.keys(update).length > 0) {
+      update.accumulationUpdatedAt = new Date().toISOString();
+      updates.push({ id: entry.id, update });
+    }
+  }
+
+  const opsRef = db.collection('tenants').doc(tenantId).collection('operations');
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ id, update }) => {
+      batch.update(opsRef.doc(id), update);
+    });
+    await batch.commit();
+  }
+
+  // ── Resumen del cliente: ventana vigente al día de hoy ──
+  const today = new Date().toISOString().split('T')[0];
+  const currentUma = resolveUma(catalog, today).valorDiario;
+  const { umbralIdentMXN, umbralAvisoMXN } = getThresholdsMXN(activityType, currentUma);
+  const currentTotal = sumRollingWindow(operations, today, rule.periodoAcumulacionMeses);
+  const lastIdent = [...crossings].reverse().find(c => c.type === 'IDENTIFICACION') || null;
+  const lastAviso = [...crossings].reverse().find(c => c.type === 'AVISO') || null;
+  const first = operations.find(op => op.id === entries[0]?.id);
+  const last = operations.find(op => op.id === entries[entries.length - 1]?.id);
+
+  const summary = {
+    tenantId,
+    clientId,
+    rfcCliente: last?.rfcCliente || first?.rfcCliente || '',
+    nombreCliente: first?.nombreCliente || '',
+    activityType,
+    periodoAcumulacionMeses: rule.periodoAcumulacionMeses,
+    windowStart: getWindowStart(today, rule.periodoAcumulacionMeses),
+    windowEnd: today,
+    rollingTotal: currentTotal,
+    umbralIdentMXN,
+    umbralAvisoMXN,
+    umaReference: currentUma,
+    operationCount: entries.length,
+    firstOperationDate: entries[0]?.fechaOperacion || null,
+    lastOperationDate: entries[entries.length - 1]?.fechaOperacion || null,
+    identificationCrossedAt: lastIdent?.date || null,
+    identificationTriggerOperationId: lastIdent?.operationId || null,
+    avisoCrossedAt: lastAviso?.date || null,
+    avisoTriggerOperationId: lastAviso?.operationId || null,
+    crossings,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('accumulations')
+    .doc(`${activityType}_${clientId}`)
+    .set(summary);
+
+  return { ...summary, operationsUpdated: updates.length, riskUpgrades };
+};
+
+/**
+ * Recalcular la acumulación de todos los clientes de un tenant
+ * Las operaciones guardadas antes del registro de clientes reciben primero su
+ * clientId; los resúmenes de clientes sin operaciones (p. ej. los anteriores,
+ * por RFC) se eliminan
+ * @param {string} tenantId - ID del tenant
+ * @returns {Promise<Object>} { clients, operationsUpdated, riskUpgrades }
+ */
+export const recomputeTenantAccumulations = async (tenantId) => {
+  const umaCatalog = await loadUmaCatalog();
+  await backfillTenantClients(tenantId);
+
+  const tenantRef = db.collection('tenants').doc(tenantId);
+
+  // Pares cliente/actividad del tenant (solo los campos necesarios)
+  const snapshot = await tenantRef
+    .collection('operations')
+    .select('clientId', 'activityType')
+    .get();
+
+  const pairs = new Map();
+  snapshot.forEach(doc => {
+    const { clientId, activityType } = doc.data();
+    if (clientId && activityType) {
+      pairs.set(`${activityType}_${clientId}`, { clientId, activityType });
+    }
+  });
+
+  const results = { clients: 0, operationsUpdated: 0, riskUpgrades: 0 };
+
+  for (const { clientId, activityType } of pairs.values()) {
+    try {
+      const summary = await recomputeClientAccumulation(tenantId, clientId, activityType, umaCatalog);
+      results.clients++;
+      results.operationsUpdated += summary?.operationsUpdated || 0;
+      results.riskUpgrades += summary?.riskUpgrades || 0;
+    } catch (error) {
+      logger.error(`Error recomputing accumulation ${tenantId}/${activityType}_${clientId}:`, error);
+    }
+  }
+
+  const summaries = await tenantRef.collection('accumulations').select().get();
+  const stale = summaries.docs.filter(doc => !pairs.has(doc.id));
+  for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    stale.slice(i, i + BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return results;
+};
+
+export default {
+  getWindowStart,
+  sumRollingWindow,
+  getClientOperations,
+  applyAccumulationRisk,
+  getBaseRisk,
+  statusForRisk,
+  buildAccumulationTimeline,
+  recomputeClientAccumulation,
+  recomputeTenantAccumulations,
+};
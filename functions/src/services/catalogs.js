@@ -0,0 +1,191 @@
+/**
+ * Catalogs Service
+ * Catálogos del SAT/INEGI usados en plantillas, validación de cargas y XML
+ *
+ * - Catálogos estáticos versionados en functions/src/catalogs/{catalogo}/{version}.json
+ *   ({ catalog, version, source, entries: [{ value, label, aliases? }] }); se usa
+ *   la versión más reciente de cada carpeta
+ * - Códigos postales (SEPOMEX): demasiado grandes para la plantilla; se importan
+ *   por super admins a postalCodes/{cp} y se consultan al validar cada carga
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+
+const db = getFirestore();
+
+const CATALOGS_DIR = new URL('../catalogs/', import.meta.url);
+
+// Carpeta → nombre del catálogo en la plantilla
+const CATALOG_FOLDERS = {
+  pais: 'paises',
+  entidadFederativa: 'entidades',
+  actividadEconomica: 'actividad-economica',
+};
+
+// Límite de documentos por getAll
+const POSTAL_CODE_CHUNK = 300;
+
+const loadLatestCatalog = (folder) => {
+  const dir = new URL(`${folder}/`, CATALOGS_DIR);
+  const files = readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  if (files.length === 0) {
+    throw new Error(`Catálogo sin versiones: ${folder}`);
+  }
+  return JSON.parse(readFileSync(new URL(files[files.length - 1], dir), 'utf8'));
+};
+
+const loaded = Object.fromEntries(
+  Object.entries(CATALOG_FOLDERS).map(([name, folder]) => [name, loadLatestCatalog(folder)])
+);
+
+/**
+ * Etiquetas de cada catálogo ("MX-México", "09-Ciudad de México", ...)
+ */
+export const SAT_CATALOGS = Object.fromEntries(
+  Object.entries(loaded).map(([name, catalog]) => [name, catalog.entries.map(entry => entry.label)])
+);
+
+/**
+ * Versión y fuente vigentes de cada catálogo (se guardan con las operaciones validadas)
+ */
+export const CATALOG_VERSIONS = Object.fromEntries(
+  Object.entries(loaded).map(([name, catalog]) => [
+    name,
+    { version: catalog.version, source: catalog.source, entries: catalog.entries.length },
+  ])
+);
+
+/**
+ * Normalizar texto para comparar: mayúsculas, sin acentos ni puntuación
+ */
+export const normalizeCatalogText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Índice por clave, etiqueta, nombre y alias normalizados
+const indexes = Object.fromEntries(Object.entries(loaded).map(([name, catalog]) => {
+  const index = new Map();
+  catalog.entries.forEach(entry => {
+    const nameOnly = entry.label.substring(entry.value.length + 1);
+    [entry.value, entry.label, nameOnly, ...(entry.aliases || [])].forEach(key => {
+      const normalized = normalizeCatalogText(key);
+      if (normalized && !index.has(normalized)) index.set(normalized, entry);
+    });
+  });
+  return [name, index];
+}));
+
+/**
+ * Buscar un valor capturado en un catálogo
+ * Acepta la etiqueta de la lista ("09-Ciudad de México"), la clave ("09", "MX"),
+ * el nombre sin acentos ("ciudad de mexico") o un alias ("CDMX")
+ * @param {string} catalog - pais | entidadFederativa | actividadEconomica
+ * @param {string} value
+ * @returns {Object|null} { value, label }
+ */
+export const findCatalogEntry = (catalog, value) => {
+  const index = indexes[catalog];
+  const normalized = normalizeCatalogText(value);
+  if (!index || !normalized) return null;
+  const entry = index.get(normalized);
+  return entry ? { value: entry.value, label: entry.label } : null;
+};
+
+// ============================================================
+// Códigos postales (SEPOMEX)
+// ============================================================
+
+const SEPOMEX_COLUMNS = ['d_codigo', 'd_asenta', 'D_mnpio', 'd_estado', 'd_ciudad', 'c_estado', 'c_mnpio'];
+
+/**
+ * Leer el archivo CPdescarga.txt de SEPOMEX (delimitado por "|")
+ * Agrupa los asentamientos por código postal.
+ * @param {string} text - Contenido del archivo (ya decodificado)
+ * @returns {Object} { postalCodes: [{ cp, estadoClave, estado, municipio, municipioClave, ciudad, colonias }], rows, skipped }
+ */
+export const parseSepomexFile = (text) => {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.startsWith('d_codigo|'));
+  if (headerIndex === -1) {
+    throw new Error('No se encontró el encabezado "d_codigo|..." del catálogo de SEPOMEX');
+  }
+
+  const headers = lines[headerIndex].split('|').map(header => header.trim());
+  const missing = SEPOMEX_COLUMNS.filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Faltan columnas en el archivo de SEPOMEX: ${missing.join(', ')}`);
+  }
+  const col = Object.fromEntries(SEPOMEX_COLUMNS.map(column => [column, headers.indexOf(column)]));
+
+  const byCode = new Map();
+  let rows = 0;
+  let skipped = 0;
+  lines.slice(headerIndex + 1).forEach(line => {
+    if (!line.trim()) return;
+    const cells = line.split('|').map(cell => cell.trim());
+    const cp = cells[col.d_codigo];
+    if (!/^\d{5}$/.test(cp)) {
+      skipped++;
+      return;
+    }
+    rows++;
+    const entry = byCode.get(cp) || {
+      cp,
+      estadoClave: cells[col.c_estado].padStart(2, '0'),
+      estado: cells[col.d_estado],
+      municipio: cells[col.D_mnpio],
+      municipioClave: cells[col.c_mnpio],
+      ciudad: cells[col.d_ciudad] || null,
+      colonias: [],
+    };
+    const colonia = cells[col.d_asenta];
+    if (colonia && !entry.colonias.includes(colonia)) entry.colonias.push(colonia);
+    byCode.set(cp, entry);
+  });
+
+  return { postalCodes: [...byCode.values()], rows, skipped };
+};
+
+/**
+ * Consultar los códigos postales de una carga
+ * @param {Array<string>} codes - Códigos postales capturados
+ * @returns {Promise<Object>} { version: string|null, entries: Map cp → datos }
+ *   version null = el catálogo de SEPOMEX no se ha importado
+ */
+export const loadPostalCodes = async (codes) => {
+  const entries = new Map();
+  try {
+    const versionDoc = await db.collection('catalogVersions').doc('sepomex').get();
+    if (!versionDoc.exists) {
+      return { version: null, entries };
+    }
+
+    const unique = [...new Set(codes.map(cp => String(cp || '').trim()).filter(cp => /^\d{5}$/.test(cp)))];
+    for (let i = 0; i < unique.length; i += POSTAL_CODE_CHUNK) {
+      const refs = unique.slice(i, i + POSTAL_CODE_CHUNK).map(cp => db.collection('postalCodes').doc(cp));
+      const docs = await db.getAll(...refs);
+      docs.forEach(doc => {
+        if (doc.exists) entries.set(doc.id, doc.data());
+      });
+    }
+    return { version: versionDoc.data().version, entries };
+  } catch (error) {
+    logger.warn('Error loading postal codes:', error.message);
+    return { version: null, entries };
+  }
+};
+
+export default {
+  SAT_CATALOGS,
+  CATALOG_VERSIONS,
+  normalizeCatalogText,
+  findCatalogEntry,
+  parseSepomexFile,
+  loadPostalCodes,
+};
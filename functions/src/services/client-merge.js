@@ -0,0 +1,641 @@
+/**
+ * Client Merge Service
+ * Detección y fusión de clientes duplicados del registro maestro
+ *
+ * - Un mismo cliente aparece con RFC mal capturado, sin homoclave o con
+ *   variantes del nombre: cada variante crea un clientId distinto y parte la
+ *   acumulación, el monitoreo y el expediente
+ * - Los pares candidatos se califican por distancia del RFC, CURP, nombre
+ *   normalizado y domicilio y se guardan en tenants/{tenantId}/duplicateCandidates
+ * - Fusionar mueve al cliente que permanece las operaciones (con su RFC,
+ *   salvo las ya reportadas), los resultados de screening, las alertas y una copia de los documentos
+ *   del expediente; el cliente absorbido queda con status MERGED
+ * - Cada fusión guarda en clientMerges/{mergeId}/changes el valor anterior
+ *   de todo lo que movió, de modo que puede deshacerse
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { logger } from 'firebase-functions';
+import { normalizeIdentifier, isGenericRfc } from './identity.js';
+import { refreshClientStats } from './clients.js';
+import { loadClientDocuments } from './kyc.js';
+import { registerVaultObject, unregisterVaultObject } from './retention.js';
+import { recomputeClientAccumulation } from './accumulation.js';
+import { loadUmaCatalog } from './legal-rules.js';
+import { updateClientRisk } from './client-risk.js';
+
+const db = getFirestore();
+
+// Calificación mínima para proponer un par como duplicado
+export const DUPLICATE_THRESHOLD = 50;
+
+// Resultados de screening que el cliente que permanece hereda del absorbido
+// (el más grave de los dos queda en el cliente)
+const SCREENING_SEVERITY = { FLAGGED: 1, CONFIRMED_RISK: 2, BLOCKED: 3 };
+
+const BATCH_SIZE = 400;
+const GETALL_CHUNK = 300;
+// Bloques más grandes (apellidos muy comunes) no se comparan por completo
+const MAX_BLOCK_SIZE = 200;
+
+// Palabras que no distinguen a un cliente (formas de sociedad, preposiciones)
+const NAME_STOPWORDS = new Set([
+  'SA', 'DE', 'CV', 'SAB', 'SAPI', 'S', 'RL', 'SC', 'AC', 'SPR', 'RI', 'LA', 'DEL', 'LOS', 'LAS', 'Y',
+]);
+
+// ============================================================
+// CALIFICACIÓN DE PARES
+// ============================================================
+
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/\./g, '')
+  .replace(/[^A-Z0-9Ñ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const nameTokens = (value) => normalizeText(value).split(' ').filter(token => token && !NAME_STOPWORDS.has(token));
+
+// RFC útil para comparar (los genéricos los comparten clientes distintos)
+const usableRfc = (rfc) => {
+  const clean = normalizeIdentifier(rfc);
+  return clean && !isGenericRfc(clean) ? clean : null;
+};
+
+// Letras + fecha del RFC, sin homoclave
+const rfcBase = (rfc) => rfc?.match(/^[A-ZÑ&]{3,4}\d{6}/)?.[0] || null;
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Coeficiente de Dice sobre pares de letras
+const diceSimilarity = (a, b) => {
+  const bigrams = (text) => {
+    const grams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const gram = text.substring(i, i + 2);
+      grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+  };
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+  });
+  const total = a.length - 1 + b.length - 1;
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+/**
+ * Similitud de dos nombres normalizados (0 a 1), sin importar el orden de las palabras
+ */
+export const nameSimilarity = (nameA, nameB) => {
+  const tokensA = nameTokens(nameA);
+  const tokensB = nameTokens(nameB);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const joinedA = tokensA.join('');
+  const joinedB = tokensB.join('');
+  if (joinedA === joinedB) return 1;
+  return Math.max(
+    diceSimilarity(joinedA, joinedB),
+    diceSimilarity([...tokensA].sort().join(''), [...tokensB].sort().join(''))
+  );
+};
+
+/**
+ * Calificar un par de clientes
+ * @param {Object} a - Cliente del registro (rfc, curp, nombre, tipo, address)
+ * @param {Object} b
+ * @returns {Object} { score (0-100), reasons }
+ */
+export const scoreClientPair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const rfcA = usableRfc(a.rfc);
+  const rfcB = usableRfc(b.rfc);
+  if (rfcA && rfcB && rfcA !== rfcB) {
+    const distance = editDistance(rfcA, rfcB);
+    if (rfcBase(rfcA) && rfcBase(rfcA) === rfcBase(rfcB)) {
+      score += 45;
+      reasons.push('RFC igual salvo la homoclave');
+    } else if (distance === 1) {
+      score += 40;
+      reasons.push('RFC con un carácter distinto');
+    } else if (distance === 2) {
+      score += 20;
+      reasons.push('RFC con dos caracteres distintos');
+    }
+  }
+
+  const curpA = normalizeIdentifier(a.curp);
+  const curpB = normalizeIdentifier(b.curp);
+  if (curpA && curpB) {
+    if (curpA === curpB) {
+      score += 45;
+      reasons.push('Misma CURP');
+    } else if (editDistance(curpA, curpB) === 1) {
+      score += 25;
+      reasons.push('CURP con un carácter distinto');
+    }
+  }
+
+  const similarity = nameSimilarity(a.nombre, b.nombre);
+  if (similarity >= 0.6) {
+    score += Math.round(40 * similarity);
+    reasons.push(similarity === 1 ? 'Mismo nombre' : `Nombre similar (${Math.round(similarity * 100)}%)`);
+  }
+
+  const addressA = a.address || {};
+  const addressB = b.address || {};
+  if (addressA.codigoPostal && addressA.codigoPostal === addressB.codigoPostal) {
+    const sameStreet = addressA.calle && addressB.calle
+      && diceSimilarity(normalizeText(addressA.calle), normalizeText(addressB.calle)) >= 0.8
+      && normalizeText(addressA.noExterior) === normalizeText(addressB.noExterior);
+    score += sameStreet ? 15 : 5;
+    reasons.push(sameStreet ? 'Mismo domicilio' : 'Mismo código postal');
+  }
+
+  return { score: Math.min(100, score), reasons };
+};
+
+// Claves de agrupación: solo se comparan clientes que comparten alguna
+const blockingKeys = (client) => {
+  const keys = new Set();
+  const rfc = usableRfc(client.rfc);
+  const base = rfcBase(rfc);
+  if (rfc) keys.add(`R${rfc.substring(0, 4)}`);
+  if (base) keys.add(`D${base.substring(base.length - 6)}`);
+  const curp = normalizeIdentifier(client.curp);
+  if (curp) keys.add(`C${curp.substring(0, 10)}`);
+  nameTokens(client.nombre).filter(token => token.length >= 4).forEach(token => keys.add(`N${token}`));
+  return keys;
+};
+
+export const candidatePairId = (clientIdA, clientIdB) => [clientIdA, clientIdB].sort().join('__');
+
+const clientSummary = (clientId, client) => ({
+  clientId,
+  nombre: client.nombre || clientId,
+  rfc: client.rfc || null,
+  curp: client.curp || null,
+  tipo: client.tipo || null,
+  codigoPostal: client.address?.codigoPostal || null,
+  calle: [client.address?.calle, client.address?.noExterior].filter(Boolean).join(' ') || null,
+  operationsCount: client.operationsCount || 0,
+  lastOperationAt: client.lastOperationAt || null,
+});
+
+const commitWrites = async (writes) => {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(([type, ref, data]) => {
+      if (type === 'delete') batch.delete(ref);
+      else if (type === 'update') batch.update(ref, data);
+      else batch.set(ref, data);
+    });
+    await batch.commit();
+  }
+};
+
+// ============================================================
+// BÚSQUEDA DE DUPLICADOS
+// ============================================================
+
+/**
+ * Buscar pares de clientes duplicados y actualizar la lista de candidatos
+ * Los pares descartados o ya fusionados no se vuelven a proponer; los
+ * pendientes que dejaron de calificar se quitan.
+ * @param {string} tenantId
+ * @returns {Promise<Object>} { clients, candidates, added }
+ */
+export const findDuplicateClients = async (tenantId) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const [clientsSnapshot, candidatesSnapshot] = await Promise.all([
+    tenantRef.collection('clients')
+      .select('rfc', 'curp', 'nombre', 'tipo', 'status', 'address', 'operationsCount', 'lastOperationAt')
+      .get(),
+    tenantRef.collection('duplicateCandidates').get(),
+  ]);
+
+  const clients = new Map();
+  clientsSnapshot.docs.forEach(doc => {
+    if (doc.data().status !== 'MERGED') clients.set(doc.id, doc.data());
+  });
+
+  const blocks = new Map();
+  clients.forEach((client, clientId) => {
+    blockingKeys(client).forEach(key => blocks.set(key, [...(blocks.get(key) || []), clientId]));
+  });
+
+  const found = new Map();
+  blocks.forEach(members => {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) return;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairId = candidatePairId(members[i], members[j]);
+        if (found.has(pairId)) continue;
+        const a = clients.get(members[i]);
+        const b = clients.get(members[j]);
+        if (a.tipo && b.tipo && a.tipo !== b.tipo) continue;
+        const { score, reasons } = scoreClientPair(a, b);
+        if (score >= DUPLICATE_THRESHOLD) {
+          found.set(pairId, { ids: [members[i], members[j]].sort(), score, reasons });
+        }
+      }
+    }
+  });
+
+  const existing = new Map(candidatesSnapshot.docs.map(doc => [doc.id, doc.data()]));
+  const now = new Date().toISOString();
+  const writes = [];
+  let added = 0;
+
+  found.forEach(({ ids, score, reasons }, pairId) => {
+    const previous = existing.get(pairId);
+    if (previous && previous.status !== 'PENDING') return;
+    if (!previous) added++;
+    writes.push(['set', tenantRef.collection('duplicateCandidates').doc(pairId), {
+      clientIds: ids,
+      clients: ids.map(id => clientSummary(id, clients.get(id))),
+      score,
+      reasons,
+      status: 'PENDING',
+      detectedAt: previous?.detectedAt || now,
+      updatedAt: now,
+    }]);
+  });
+  existing.forEach((candidate, pairId) => {
+    if (candidate.status === 'PENDING' && !found.has(pairId)) {
+      writes.push(['delete', tenantRef.collection('duplicateCandidates').doc(pairId)]);
+    }
+  });
+  await commitWrites(writes);
+
+  const result = { clients: clients.size, candidates: found.size, added };
+  logger.log('Duplicate clients scanned:', { tenantId, ...result });
+  return result;
+};
+
+// ============================================================
+// FUSIÓN
+// ============================================================
+
+// Acumulaciones (cliente + actividad) afectadas por mover operaciones
+const addAccumulationKey = (keys, activityType, clientId) => {
+  if (activityType && clientId) keys.add(`${activityType}|${clientId}`);
+};
+
+const recomputeAccumulations = async (tenantId, keys) => {
+  if (keys.size === 0) return;
+  const umaCatalog = await loadUmaCatalog();
+  for (const key of keys) {
+    const [activityType, clientId] = key.split('|');
+    try {
+      await recomputeClientAccumulation(tenantId, clientId, activityType, umaCatalog);
+    } catch (error) {
+      logger.error(`Error recomputing accumulation ${tenantId}/${activityType}_${clientId}:`, error);
+    }
+  }
+};
+
+/**
+ * Fusionar un cliente duplicado en el que permanece
+ * @param {string} tenantId
+ * @param {string} survivorId - Cliente que permanece
+ * @param {string} mergedId - Cliente que se absorbe
+ * @param {Object} user - { uid, email }
+ * @returns {Promise<Object>} { mergeId, operations, screenings, alerts, documents }
+ */
+export const mergeClients = async (tenantId, survivorId, mergedId, user) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const clientsRef = tenantRef.collection('clients');
+  const [survivorDoc, mergedDoc] = await db.getAll(clientsRef.doc(survivorId), clientsRef.doc(mergedId));
+  const survivor = survivorDoc.data();
+  const merged = mergedDoc.data();
+
+  const mergeRef = tenantRef.collection('clientMerges').doc();
+  const now = new Date().toISOString();
+  const survivorRfc = usableRfc(survivor.rfc);
+  const counts = { operations: 0, screenings: 0, alerts: 0, documents: 0 };
+  const accumulationKeys = new Set();
+  const writes = [];
+  const recordChange = (kind, ref, previous) => {
+    writes.push(['set', mergeRef.collection('changes').doc(`${kind}_${ref}`.replace(/\//g, '_')), { kind, ref, previous }]);
+  };
+
+  // ── Operaciones: clientId y RFC del cliente que permanece ──
+  // Las ya presentadas en un aviso conservan el RFC del XML enviado
+  const opsSnapshot = await tenantRef.collection('operations').where('clientId', '==', mergedId).get();
+  opsSnapshot.docs.forEach(doc => {
+    const op = doc.data();
+    const update = { clientId: survivorId, mergeId: mergeRef.id };
+    if (survivorRfc && op.rfcCliente !== survivorRfc && op.status !== 'REPORTED') update.rfcCliente = survivorRfc;
+    writes.push(['update', doc.ref, update]);
+    recordChange('OPERATION', doc.id, { clientId: mergedId, rfcCliente: op.rfcCliente || null });
+    addAccumulationKey(accumulationKeys, op.activityType, mergedId);
+    addAccumulationKey(accumulationKeys, op.activityType, survivorId);
+    counts.operations++;
+  });
+
+  // ── Screening y alertas ──
+  const [screeningSnapshot, alertsSnapshot] = await Promise.all([
+    db.collection('screening_results').where('tenantId', '==', tenantId).where('clientId', '==', mergedId).get(),
+    tenantRef.collection('alerts').where('clientId', '==', mergedId).get(),
+  ]);
+  screeningSnapshot.docs.forEach(doc => {
+    writes.push(['update', doc.ref, { clientId: survivorId }]);
+    recordChange('SCREENING', doc.id, { clientId: mergedId });
+    counts.screenings++;
+  });
+  alertsSnapshot.docs.forEach(doc => {
+    writes.push(['update', doc.ref, { clientId: survivorId }]);
+    recordChange('ALERT', doc.id, { clientId: mergedId });
+    counts.alerts++;
+  });
+
+  // ── Expediente: copia de los archivos (los originales no se borran de la Bóveda) ──
+  const bucket = getStorage().bucket();
+  const mergedPrefix = `tenants/${tenantId}/clients/${mergedId}/docs/`;
+  const survivorPrefix = `tenants/${tenantId}/clients/${survivorId}/docs/`;
+  const [files] = await bucket.getFiles({ prefix: mergedPrefix });
+  const copiedPaths = new Map();
+  for (const file of files) {
+    const destPath = survivorPrefix + file.name.replace(mergedPrefix, '');
+    const dest = bucket.file(destPath);
+    const [exists] = await dest.exists();
+    if (exists) continue;
+    await file.copy(dest);
+    await registerVaultObject(tenantId, { filePath: destPath, category: 'KYC', clientId: survivorId });
+    copiedPaths.set(file.name, destPath);
+    recordChange('DOCUMENT', destPath, { filePath: file.name });
+    counts.documents++;
+  }
+
+  // Datos de los documentos que el cliente que permanece no tiene
+  const [mergedKyc, survivorKyc] = await Promise.all([
+    loadClientDocuments(tenantId, mergedId),
+    loadClientDocuments(tenantId, survivorId),
+  ]);
+  Object.entries(mergedKyc).forEach(([docType, metadata]) => {
+    if (survivorKyc[docType]?.filePath || !copiedPaths.has(metadata.filePath)) return;
+    const filePath = copiedPaths.get(metadata.filePath);
+    writes.push(['set', clientsRef.doc(survivorId).collection('kycDocuments').doc(docType), {
+      ...metadata,
+      filePath,
+      mergedFrom: mergedId,
+    }]);
+    recordChange('KYC_METADATA', docType, { filePath });
+  });
+
+  // ── Clientes ──
+  // Una coincidencia en listas del absorbido (señalada, confirmada o LPB) pasa al que permanece
+  const screeningCarried = (SCREENING_SEVERITY[merged.screeningStatus] || 0) >
+    (SCREENING_SEVERITY[survivor.screeningStatus] || 0);
+  const mergeVersion = (survivor.versions?.merge || 0) + 1;
+  writes.push(['update', clientsRef.doc(survivorId), {
+    mergedClientIds: FieldValue.arrayUnion(mergedId),
+    'versions.merge': mergeVersion,
+    ...(screeningCarried && { screeningStatus: merged.screeningStatus, screeningId: merged.screeningId || null }),
+    updatedAt: now,
+  }]);
+  writes.push(['set', clientsRef.doc(survivorId).collection('history').doc(`merge_${mergeRef.id}`), {
+    section: 'merge',
+    version: mergeVersion,
+    changedFields: ['mergedClientIds'],
+    previous: clientSummary(mergedId, merged),
+    current: clientSummary(survivorId, survivor),
+    mergeId: mergeRef.id,
+    undone: false,
+    changedBy: user.uid,
+    changedAt: now,
+  }]);
+  writes.push(['update', clientsRef.doc(mergedId), {
+    status: 'MERGED',
+    mergedInto: survivorId,
+    mergedIntoRfc: survivorRfc,
+    mergeId: mergeRef.id,
+    mergedAt: now,
+    operationsCount: 0,
+    screeningStatus: 'MERGED',
+    'kyc.nextExpiryAt': null,
+    updatedAt: now,
+  }]);
+
+  // ── Candidatos: el par queda fusionado; los demás del absorbido ya no aplican ──
+  const candidatesSnapshot = await tenantRef.collection('duplicateCandidates')
+    .where('clientIds', 'array-contains', mergedId)
+    .get();
+  candidatesSnapshot.docs.forEach(doc => {
+    if (doc.id === candidatePairId(survivorId, mergedId)) {
+      writes.push(['update', doc.ref, { status: 'MERGED', mergeId: mergeRef.id, updatedAt: now }]);
+    } else if (doc.data().status === 'PENDING') {
+      writes.push(['delete', doc.ref]);
+    }
+  });
+
+  writes.push(['set', mergeRef, {
+    survivorId,
+    mergedId,
+    survivor: clientSummary(survivorId, survivor),
+    merged: clientSummary(mergedId, merged),
+    counts,
+    mergedBefore: {
+      screeningStatus: merged.screeningStatus || null,
+      screeningId: merged.screeningId || null,
+      nextExpiryAt: merged.kyc?.nextExpiryAt || null,
+      operationsCount: merged.operationsCount || 0,
+    },
+    survivorBefore: {
+      screeningStatus: survivor.screeningStatus || null,
+      screeningId: survivor.screeningId || null,
+    },
+    screeningCarried,
+    status: 'ACTIVE',
+    mergedAt: now,
+    mergedBy: user.uid,
+    mergedByEmail: user.email || null,
+  }]);
+
+  await commitWrites(writes);
+
+  await refreshClientStats(tenantId, survivorId);
+  await recomputeAccumulations(tenantId, accumulationKeys);
+  try {
+    await updateClientRisk(tenantId, survivorId, { trigger: 'MERGE', userId: user.uid });
+  } catch (error) {
+    logger.warn(`Error updating risk for client ${survivorId}:`, error.message);
+  }
+
+  logger.log('Clients merged:', { tenantId, survivorId, mergedId, mergeId: mergeRef.id, ...counts });
+  return { mergeId: mergeRef.id, ...counts };
+};
+
+/**
+ * Deshacer una fusión
+ * Regresa al cliente absorbido lo que sigue en el que permanece; lo que se
+ * movió después (otra fusión) o se borró (carga revertida) se omite.
+ * @param {string} tenantId
+ * @param {string} mergeId
+ * @param {Object} user - { uid, email }
+ * @returns {Promise<Object>} { operations, screenings, alerts, documents }
+ */
+export const undoClientMerge = async (tenantId, mergeId, user) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const clientsRef = tenantRef.collection('clients');
+  const mergeRef = tenantRef.collection('clientMerges').doc(mergeId);
+  const [mergeDoc, changesSnapshot] = await Promise.all([mergeRef.get(), mergeRef.collection('changes').get()]);
+  const merge = mergeDoc.data();
+  const { survivorId, mergedId } = merge;
+  const survivor = (await clientsRef.doc(survivorId).get()).data();
+
+  const now = new Date().toISOString();
+  const restored = { operations: 0, screenings: 0, alerts: 0, documents: 0 };
+  const accumulationKeys = new Set();
+  const writes = [];
+  const changes = {};
+  changesSnapshot.docs.forEach(doc => {
+    const change = doc.data();
+    changes[change.kind] = [...(changes[change.kind] || []), change];
+  });
+
+  // Documentos que siguen en el cliente que permanece
+  const restore = async (kind, collectionRef, counter, apply) => {
+    const list = changes[kind] || [];
+    for (let i = 0; i < list.length; i += GETALL_CHUNK) {
+      const chunk = list.slice(i, i + GETALL_CHUNK);
+      const docs = await db.getAll(...chunk.map(change => collectionRef.doc(change.ref)));
+      docs.forEach((doc, index) => {
+        if (!doc.exists || doc.data().clientId !== survivorId) return;
+        apply(doc, chunk[index].previous);
+        restored[counter]++;
+      });
+    }
+  };
+
+  await restore('OPERATION', tenantRef.collection('operations'), 'operations', (doc, previous) => {
+    const op = doc.data();
+    writes.push(['update', doc.ref, {
+      clientId: previous.clientId,
+      ...(previous.rfcCliente && { rfcCliente: previous.rfcCliente }),
+      mergeId: FieldValue.delete(),
+    }]);
+    addAccumulationKey(accumulationKeys, op.activityType, op.clientId);
+    addAccumulationKey(accumulationKeys, op.activityType, previous.clientId);
+  });
+  await restore('SCREENING', db.collection('screening_results'), 'screenings', (doc, previous) => {
+    writes.push(['update', doc.ref, { clientId: previous.clientId }]);
+  });
+  await restore('ALERT', tenantRef.collection('alerts'), 'alerts', (doc, previous) => {
+    writes.push(['update', doc.ref, { clientId: previous.clientId }]);
+  });
+
+  // Copias del expediente y sus datos (si no se reemplazaron después)
+  const survivorKyc = await loadClientDocuments(tenantId, survivorId);
+  (changes.KYC_METADATA || []).forEach(change => {
+    if (survivorKyc[change.ref]?.filePath === change.previous.filePath) {
+      writes.push(['delete', clientsRef.doc(survivorId).collection('kycDocuments').doc(change.ref)]);
+    }
+  });
+  const bucket = getStorage().bucket();
+  for (const change of changes.DOCUMENT || []) {
+    await bucket.file(change.ref).delete({ ignoreNotFound: true });
+    await unregisterVaultObject(tenantId, change.ref);
+    restored.documents++;
+  }
+
+  // ── Clientes ──
+  const screeningRestored = merge.screeningCarried && survivor.screeningId === merge.mergedBefore.screeningId;
+  const mergeVersion = (survivor.versions?.merge || 0) + 1;
+  writes.push(['update', clientsRef.doc(survivorId), {
+    mergedClientIds: FieldValue.arrayRemove(mergedId),
+    'versions.merge': mergeVersion,
+    ...(screeningRestored && {
+      screeningStatus: merge.survivorBefore.screeningStatus || 'PENDING',
+      screeningId: merge.survivorBefore.screeningId,
+    }),
+    updatedAt: now,
+  }]);
+  writes.push(['set', clientsRef.doc(survivorId).collection('history').doc(`unmerge_${mergeId}`), {
+    section: 'merge',
+    version: mergeVersion,
+    changedFields: ['mergedClientIds'],
+    previous: merge.merged,
+    current: merge.survivor,
+    mergeId,
+    undone: true,
+    changedBy: user.uid,
+    changedAt: now,
+  }]);
+  writes.push(['update', clientsRef.doc(mergedId), {
+    status: FieldValue.delete(),
+    mergedInto: FieldValue.delete(),
+    mergedIntoRfc: FieldValue.delete(),
+    mergeId: FieldValue.delete(),
+    mergedAt: FieldValue.delete(),
+    screeningStatus: merge.mergedBefore.screeningStatus || 'PENDING',
+    'kyc.nextExpiryAt': merge.mergedBefore.nextExpiryAt,
+    updatedAt: now,
+  }]);
+
+  // El par no se vuelve a proponer
+  writes.push(['set', tenantRef.collection('duplicateCandidates').doc(candidatePairId(survivorId, mergedId)), {
+    clientIds: [survivorId, mergedId].sort(),
+    status: 'DISMISSED',
+    dismissedAt: now,
+    dismissedBy: user.uid,
+    updatedAt: now,
+  }]);
+
+  writes.push(['update', mergeRef, {
+    status: 'UNDONE',
+    restored,
+    undoneAt: now,
+    undoneBy: user.uid,
+    undoneByEmail: user.email || null,
+  }]);
+
+  await commitWrites(writes);
+
+  await refreshClientStats(tenantId, survivorId);
+  await refreshClientStats(tenantId, mergedId);
+  await recomputeAccumulations(tenantId, accumulationKeys);
+  for (const clientId of [survivorId, mergedId]) {
+    try {
+      await updateClientRisk(tenantId, clientId, { trigger: 'MERGE', userId: user.uid });
+    } catch (error) {
+      logger.warn(`Error updating risk for client ${clientId}:`, error.message);
+    }
+  }
+
+  logger.log('Client merge undone:', { tenantId, mergeId, ...restored });
+  return restored;
+};
+
+export default {
+  DUPLICATE_THRESHOLD,
+  nameSimilarity,
+  scoreClientPair,
+  candidatePairId,
+  findDuplicateClients,
+  mergeClients,
+  undoClientMerge,
+};
@@ -0,0 +1,414 @@
+/**
+ * Client Risk Service
+ * Calificación de riesgo por cliente (EBR) con una matriz de factores ponderados
+ *
+ * - Matriz: riskTemplates/{templateId} en Firestore sobre los valores de respaldo
+ *   (DEFAULT_RISK_TEMPLATE, basada en la ENR 2023). El tenant puede usar otra
+ *   matriz con tenants/{tenantId}.riskTemplateId.
+ * - El resultado (score, nivel y desglose por factor) se guarda en el registro
+ *   maestro del cliente; cada cambio de score o nivel queda en
+ *   clients/{clientId}/riskHistory.
+ * - Se recalcula al registrar operaciones, al hacer screening (o revisarlo) y al
+ *   cambiar el expediente KYC.
+ */
+
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { findCatalogEntry } from './catalogs.js';
+import { evaluateKyc, loadClientDocuments } from './kyc.js';
+
+const db = getFirestore();
+
+const PAGE_SIZE = 200;
+
+/**
+ * Matriz de respaldo. En Firestore cada factor puede sobrescribir su peso,
+ * desactivarse (enabled: false) o cambiar sus parámetros.
+ */
+export const DEFAULT_RISK_TEMPLATE = {
+  id: 'default',
+  version: '2023-ENR',
+  source: 'Evaluación Nacional de Riesgos 2023 (UIF)',
+  maxScore: 100,
+  // Score mínimo de cada nivel; los factores críticos llevan al nivel CRITICAL
+  levels: { MEDIUM: 31, HIGH: 61 },
+  factors: {
+    sanctions_list: {
+      label: 'Coincidencia en listas de sanciones / 69-B',
+      weight: 100,
+      critical: true,
+      sources: ['SAT_69B', 'OFAC_SDN', 'ONU_SANCTIONS', 'LPB'],
+    },
+    pep: {
+      label: 'Persona Políticamente Expuesta (PEP)',
+      weight: 40,
+      sources: ['PEP'],
+    },
+    high_risk_state: {
+      label: 'Domicilio en entidad de alto riesgo',
+      weight: 30,
+      // SIN, CHIH, TAMPS, GRO, MICH, BC, JAL, MEX, SON, QROO
+      states: ['25', '08', '28', '12', '16', '02', '14', '15', '26', '23'],
+    },
+    border_state: {
+      label: 'Domicilio en entidad fronteriza',
+      weight: 20,
+      // BC, SON, CHIH, COAH, NL, TAMPS, CHIS, TAB, CAMP, QROO
+      states: ['02', '26', '08', '05', '19', '28', '07', '27', '04', '23'],
+    },
+    cash_usage: {
+      label: 'Uso de efectivo',
+      weight: 25,
+      // Proporción de operaciones en efectivo a partir de la cual aplica el peso completo
+      fullShare: 0.5,
+    },
+    person_type: {
+      label: 'Tipo de persona',
+      weights: { FISICA: 0, MORAL: 15 },
+    },
+    foreign_national: {
+      label: 'Nacionalidad extranjera',
+      weight: 15,
+    },
+    high_risk_country: {
+      label: 'Nacionalidad o domicilio en país de alto riesgo',
+      weight: 35,
+      // Lista negra GAFI y jurisdicciones de la matriz anterior
+      countries: ['KP', 'IR', 'MM', 'SY', 'VE', 'NI', 'CU'],
+    },
+    activity: {
+      label: 'Actividad vulnerable',
+      weights: {
+        ACTIVOS_VIRTUALES: 35,
+        INMUEBLES: 30,
+        JUEGOS_APUESTAS: 25,
+        VEHICULOS: 25,
+        METALES_PIEDRAS: 25,
+        CONSTITUCION_PERSONAS: 20,
+        SERVICIOS_FE_PUBLICA: 20,
+        TRASLADO_VALORES: 20,
+        OPERACIONES_MUTUO: 20,
+        OBRAS_ARTE: 20,
+        TARJETAS_PREPAGO: 15,
+        CHEQUES_VIAJERO: 15,
+        BLINDAJE: 15,
+        SERVICIOS_PROFESIONALES: 15,
+        ARRENDAMIENTO: 10,
+      },
+    },
+    reportable_amounts: {
+      label: 'Operaciones en umbral de aviso',
+      weight: 20,
+    },
+    third_party: {
+      label: 'Actúa por cuenta de un tercero',
+      weight: 20,
+    },
+    beneficial_owner: {
+      label: 'Persona moral sin beneficiario controlador identificado',
+      weight: 20,
+    },
+    kyc_incomplete: {
+      // Proporcional a los documentos requeridos faltantes o vencidos (services/kyc.js)
+      label: 'Expediente KYC incompleto o vencido',
+      weight: 15,
+    },
+  },
+};
+
+const OWNERSHIP_STATUS_LABELS = {
+  IDENTIFIED: 'Beneficiario controlador identificado',
+  INCOMPLETE: 'Estructura accionaria con más del 25% sin identificar',
+  NO_CONTROLLER: 'Ninguna persona física supera el 25% ni ejerce el control',
+  MISSING: 'Sin estructura accionaria capturada',
+};
+
+/**
+ * Cargar la matriz del tenant (o la default) combinada con los valores de respaldo
+ * @param {string} tenantId
+ * @returns {Promise<Object>}
+ */
+export const loadRiskTemplate = async (tenantId) => {
+  let templateId = 'default';
+  try {
+    const tenantDoc = await db.collection('tenants').doc(tenantId).get();
+    templateId = tenantDoc.exists && tenantDoc.data().riskTemplateId ? tenantDoc.data().riskTemplateId : 'default';
+
+    const templateDoc = await db.collection('riskTemplates').doc(templateId).get();
+    if (!templateDoc.exists) {
+      return { ...DEFAULT_RISK_TEMPLATE, id: templateId };
+    }
+
+    const stored = templateDoc.data();
+    const factors = { ...DEFAULT_RISK_TEMPLATE.factors };
+    Object.entries(stored.factors || {}).forEach(([factorId, factor]) => {
+      factors[factorId] = { ...(factors[factorId] || {}), ...factor };
+    });
+
+    return {
+      ...DEFAULT_RISK_TEMPLATE,
+      ...stored,
+      id: templateId,
+      levels: { ...DEFAULT_RISK_TEMPLATE.levels, ...(stored.levels || {}) },
+      factors,
+    };
+  } catch (error) {
+    logger.warn('Error loading risk template, using defaults:', { tenantId, templateId, error: error.message });
+    return DEFAULT_RISK_TEMPLATE;
+  }
+};
+
+// Clave de catálogo de un valor capturado ('25-Sinaloa', 'Sinaloa', 'SIN' → '25')
+const catalogCode = (catalog, value) => findCatalogEntry(catalog, value)?.value || null;
+
+const isCash = (instrumento) => {
+  const text = String(instrumento || '').trim().toLowerCase();
+  return text === '1' || text.startsWith('1-') || text.includes('efectivo');
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Evaluar los factores de la matriz para un cliente
+ * @param {Object} client - Registro maestro del cliente
+ * @param {Object} context - { operations, screening, kyc }
+ * @param {Object} template - Matriz (loadRiskTemplate)
+ * @returns {Object} { score, level, critical, factors: [{ factorId, label, weight, points, detail }] }
+ */
+export const evaluateClientRisk = (client, context, template = DEFAULT_RISK_TEMPLATE) => {
+  const { operations = [], screening = null, kyc = null } = context;
+  const identity = client.identity || {};
+  const address = client.address || {};
+  const factors = [];
+
+  const add = (factorId, points, detail) => {
+    const factor = template.factors[factorId];
+    if (!factor || factor.enabled === false) return;
+    const weight = factor.weight ?? Math.max(0, ...Object.values(factor.weights || {}));
+    factors.push({
+      factorId,
+      label: factor.label || factorId,
+      weight,
+      points: Math.round(Math.min(points, weight)),
+      critical: !!factor.critical && points > 0,
+      detail,
+    });
+  };
+  const cfg = (factorId) => template.factors[factorId] || {};
+
+  // Screening: un resultado descartado como falso positivo no suma
+  const screeningMatches = screening && screening.status !== 'DISMISSED' ? (screening.matches || []) : [];
+  const matchesFor = (factorId) => screeningMatches.filter(m => (cfg(factorId).sources || []).includes(m.source));
+
+  const sanctions = matchesFor('sanctions_list');
+  add('sanctions_list', sanctions.length > 0 ? cfg('sanctions_list').weight : 0,
+    sanctions.length > 0
+      ? `${sanctions[0].sourceLabel || sanctions[0].source}: ${sanctions[0].matchedName}${screening.status === 'CONFIRMED_RISK' ? ' (confirmado)' : ''}`
+      : 'Sin coincidencias');
+
+  // Una PEP fuera del periodo posterior al cargo (FORMER) ya no suma
+  const peps = matchesFor('pep').filter(m => m.pepStatus !== 'FORMER');
+  const pepDetail = (m) => [
+    m.matchedName,
+    m.category && m.category !== 'PEP' ? ` (${m.category.toLowerCase()} de ${m.pepName})` : '',
+    m.position ? ` — ${m.position}` : '',
+    m.pepStatus === 'POST_OFFICE' ? ` (dejó el cargo, PEP hasta ${m.postOfficeUntil})` : '',
+  ].join('');
+  add('pep', peps.length > 0 ? cfg('pep').weight : 0,
+    peps.length > 0 ? pepDetail(peps[0]) : 'Sin coincidencias');
+
+  // Geografía (domicilio vigente del cliente)
+  const stateCode = address.estado ? catalogCode('entidadFederativa', address.estado) : null;
+  const stateLabel = address.estado || 'Sin estado';
+  add('high_risk_state', stateCode && (cfg('high_risk_state').states || []).includes(stateCode) ? cfg('high_risk_state').weight : 0, stateLabel);
+  add('border_state', stateCode && (cfg('border_state').states || []).includes(stateCode) ? cfg('border_state').weight : 0, stateLabel);
+
+  // Nacionalidad y país
+  const nationality = catalogCode('pais', identity.nacionalidad);
+  const country = catalogCode('pais', address.pais);
+  add('foreign_national', nationality && nationality !== 'MX' ? cfg('foreign_national').weight : 0,
+    identity.nacionalidad || 'Sin nacionalidad');
+  const riskCountries = cfg('high_risk_country').countries || [];
+  const riskCountry = [nationality, country].find(code => code && riskCountries.includes(code));
+  add('high_risk_country', riskCountry ? cfg('high_risk_country').weight : 0, riskCountry || 'Ninguno');
+
+  // Tipo de persona y actividad
+  const tipo = client.tipo || 'FISICA';
+  add('person_type', (cfg('person_type').weights || {})[tipo] || 0, tipo === 'MORAL' ? 'Persona moral' : 'Persona física');
+
+  // Personas morales sin beneficiario controlador identificado (services/ownership.js)
+  if (tipo === 'MORAL') {
+    const ownershipStatus = client.ownership?.status || 'MISSING';
+    add('beneficial_owner', ownershipStatus === 'IDENTIFIED' ? 0 : cfg('beneficial_owner').weight,
+      OWNERSHIP_STATUS_LABELS[ownershipStatus] || ownershipStatus);
+  }
+
+  const activityWeights = cfg('activity').weights || {};
+  const activities = [...new Set([...(client.activityTypes || []), ...operations.map(op => op.activityType)].filter(Boolean))];
+  const riskiest = activities.reduce((max, activity) => ((activityWeights[activity] || 0) > (activityWeights[max] || 0) ? activity : max), activities[0]);
+  add('activity', riskiest ? activityWeights[riskiest] || 0 : 0, riskiest || 'Sin operaciones');
+
+  // Operaciones
+  if (operations.length > 0) {
+    const cashShare = operations.filter(op => isCash(op.instrumentoMonetario)).length / operations.length;
+    const fullShare = cfg('cash_usage').fullShare || 1;
+    add('cash_usage', (cfg('cash_usage').weight || 0) * Math.min(1, cashShare / fullShare),
+      `${percent(cashShare)} de las operaciones en efectivo`);
+
+    const reportable = operations.filter(op => op.riskLevel === 'HIGH').length;
+    add('reportable_amounts', reportable > 0 ? cfg('reportable_amounts').weight : 0,
+      `${reportable} de ${operations.length} operaciones`);
+
+    const thirdParty = operations.filter(op => String(op.actuaNombrePropio || '').toUpperCase() === 'NO').length;
+    add('third_party', thirdParty > 0 ? cfg('third_party').weight : 0,
+      thirdParty > 0 ? `${thirdParty} operaciones con beneficiario distinto` : 'Actúa por cuenta propia');
+  }
+
+  // Expediente KYC
+  if (kyc) {
+    const pending = [];
+    if (kyc.missing.length > 0) pending.push(`faltan: ${kyc.missing.join(', ')}`);
+    const expired = kyc.expired.filter(id => kyc.required.includes(id));
+    if (expired.length > 0) pending.push(`vencidos: ${expired.join(', ')}`);
+    add('kyc_incomplete', (cfg('kyc_incomplete').weight || 0) * ((100 - kyc.completion) / 100),
+      pending.length > 0 ? `${kyc.completion}% completo — ${pending.join('; ')}` : 'Completo');
+  }
+
+  const score = Math.min(factors.reduce((sum, f) => sum + f.points, 0), template.maxScore || 100);
+  const critical = factors.some(f => f.critical);
+  let level = 'LOW';
+  if (critical) level = 'CRITICAL';
+  else if (score >= template.levels.HIGH) level = 'HIGH';
+  else if (score >= template.levels.MEDIUM) level = 'MEDIUM';
+
+  return { score, level, critical, factors };
+};
+
+/**
+ * Recalcular y guardar la calificación de un cliente
+ * @param {string} tenantId
+ * @param {string} clientId
+ * @param {Object} options - { trigger, userId, template }
+ * @returns {Promise<Object|null>} { score, level, previousScore, previousLevel, changed, kyc } o null si no existe
+ */
+export const updateClientRisk = async (tenantId, clientId, options = {}) => {
+  const { trigger = 'MANUAL', userId = null } = options;
+  const clientRef = db.collection('tenants').doc(tenantId).collection('clients').doc(clientId);
+  const clientDoc = await clientRef.get();
+  if (!clientDoc.exists) return null;
+  const client = clientDoc.data();
+
+  const template = options.template || await loadRiskTemplate(tenantId);
+  const [opsSnapshot, screeningDoc, documents] = await Promise.all([
+    db.collection('tenants').doc(tenantId).collection('operations').where('clientId', '==', clientId).get(),
+    client.screeningId ? db.collection('screening_results').doc(client.screeningId).get() : null,
+    loadClientDocuments(tenantId, clientId),
+  ]);
+
+  // Los documentos requeridos dependen de las actividades, así que el resumen KYC se refresca aquí
+  const kyc = evaluateKyc(client, documents);
+  const result = evaluateClientRisk(client, {
+    operations: opsSnapshot.docs.map(doc => doc.data()),
+    screening: screeningDoc?.exists ? screeningDoc.data() : null,
+    kyc,
+  }, template);
+
+  const now = new Date().toISOString();
+  const previousScore = client.riskScore ?? null;
+  const previousLevel = client.riskLevel ?? null;
+  const changed = previousScore !== result.score || previousLevel !== result.level;
+
+  const batch = db.batch();
+  batch.update(clientRef, {
+    riskScore: result.score,
+    riskLevel: result.level,
+    riskFactors: result.factors,
+    riskTemplateId: template.id,
+    riskTemplateVersion: template.version,
+    riskUpdatedAt: now,
+    kyc,
+  });
+  if (changed) {
+    batch.set(clientRef.collection('riskHistory').doc(), {
+      score: result.score,
+      level: result.level,
+      previousScore,
+      previousLevel,
+      factors: result.factors,
+      trigger,
+      templateId: template.id,
+      templateVersion: template.version,
+      computedBy: userId,
+      computedAt: now,
+    });
+  }
+  await batch.commit();
+
+  return { clientId, score: result.score, level: result.level, previousScore, previousLevel, changed, kyc };
+};
+
+/**
+ * Recalcular varios clientes con la misma matriz (los errores no detienen el resto)
+ * @param {string} tenantId
+ * @param {Array<string>} clientIds
+ * @param {Object} options - { trigger, userId }
+ * @returns {Promise<Object>} { processed, changed, errors }
+ */
+export const updateClientsRisk = async (tenantId, clientIds, options = {}) => {
+  const summary = { processed: 0, changed: 0, errors: 0 };
+  const ids = [...new Set(clientIds.filter(Boolean))];
+  if (ids.length === 0) return summary;
+
+  const template = await loadRiskTemplate(tenantId);
+  for (const clientId of ids) {
+    try {
+      const result = await updateClientRisk(tenantId, clientId, { ...options, template });
+      if (!result) continue;
+      summary.processed++;
+      if (result.changed) summary.changed++;
+    } catch (error) {
+      logger.error(`Error updating risk for client ${clientId}:`, error);
+      summary.errors++;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Recalcular todos los clientes del tenant (p. ej. tras cambiar la matriz)
+ * @param {string} tenantId
+ * @param {Object} options - { trigger, userId }
+ * @returns {Promise<Object>} { processed, changed, errors }
+ */
+export const updateTenantClientsRisk = async (tenantId, options = {}) => {
+  const summary = { processed: 0, changed: 0, errors: 0 };
+  const clientsRef = db.collection('tenants').doc(tenantId).collection('clients');
+
+  let lastDoc = null;
+  for (;;) {
+    let query = clientsRef.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    // Los clientes fusionados en otro ya no tienen operaciones propias
+    const clientIds = snapshot.docs.filter(doc => doc.data().status !== 'MERGED').map(doc => doc.id);
+    const result = await updateClientsRisk(tenantId, clientIds, options);
+    summary.processed += result.processed;
+    summary.changed += result.changed;
+    summary.errors += result.errors;
+  }
+
+  logger.log('Tenant client risk updated:', { tenantId, ...summary });
+  return summary;
+};
+
+export default {
+  DEFAULT_RISK_TEMPLATE,
+  loadRiskTemplate,
+  evaluateClientRisk,
+  updateClientRisk,
+  updateClientsRisk,
+  updateTenantClientsRisk,
+};
@@ -0,0 +1,424 @@
+/**
+ * Clients Service
+ * Registro maestro de clientes del tenant (tenants/{tenantId}/clients/{clientId})
+ * construido a partir de las operaciones guardadas
+ *
+ * - clientId: RFC; con RFC genérico (XAXX/XEXX) la CURP o, sin ella, una huella
+ *   del nombre y la fecha de nacimiento
+ * - El cliente guarda la versión vigente de identidad, domicilio y beneficiario
+ *   controlador (datos de su operación más reciente)
+ * - Cada cambio de una sección se registra en clients/{clientId}/history con los
+ *   valores anteriores y la operación que lo originó
+ * - Operaciones, screening, expediente (KYC) y monitoreo usan el mismo clientId
+ * - Un cliente fusionado en otro queda con status MERGED y mergedInto; sus
+ *   operaciones nuevas se registran en el cliente que lo absorbió
+ * - Contadores y calificación EBR de los clientes de una carga se recalculan en
+ *   tareas (api/clients.js refreshClients), fuera del tiempo de la carga
+ */
+
+import { getFirestore, FieldValue, FieldPath } from 'firebase-admin/firestore';
+import { getFunctions } from 'firebase-admin/functions';
+import { logger } from 'firebase-functions';
+import { createHash } from 'crypto';
+import { normalizeIdentifier, isGenericRfc, validateCurp } from './identity.js';
+import { updateClientsRisk } from './client-risk.js';
+
+const db = getFirestore();
+
+const BATCH_SIZE = 400;
+const GETALL_CHUNK = 300;
+
+// Clientes por tarea de recálculo
+const REFRESH_TASK_SIZE = 50;
+
+/**
+ * Secciones versionadas: campo del cliente → columna de la operación
+ */
+export const CLIENT_SECTIONS = {
+  identity: {
+    tipoPersona: 'tipoPersona',
+    rfc: 'rfcCliente',
+    curp: 'curp',
+    nombre: 'nombreCliente',
+    apellidoPaterno: 'apellidoPaterno',
+    apellidoMaterno: 'apellidoMaterno',
+    fechaNacimiento: 'fechaNacimiento',
+    nacionalidad: 'nacionalidad',
+    actividadEconomica: 'actividadEconomica',
+    telefono: 'telefono',
+  },
+  address: {
+    calle: 'calle',
+    noExterior: 'noExterior',
+    noInterior: 'noInterior',
+    colonia: 'colonia',
+    codigoPostal: 'codigoPostal',
+    ciudad: 'ciudad',
+    municipio: 'municipio',
+    estado: 'estado',
+    pais: 'pais',
+  },
+  beneficiary: {
+    actuaNombrePropio: 'actuaNombrePropio',
+    nombre: 'nombreBeneficiario',
+    apellidoPaterno: 'apellidoPaternoBeneficiario',
+    apellidoMaterno: 'apellidoMaternoBeneficiario',
+    rfc: 'rfcBeneficiario',
+  },
+};
+
+const normalizeName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * clientId de una operación (o de { rfcCliente, curp, nombreCliente, ... })
+ * @param {Object} op
+ * @returns {string|null} null si no hay RFC ni CURP
+ */
+export const getClientId = (op) => {
+  const rfc = normalizeIdentifier(op.rfcCliente);
+  if (rfc && !isGenericRfc(rfc)) return rfc;
+
+  const curp = normalizeIdentifier(op.curp);
+  if (curp && validateCurp(curp).valid) return curp;
+  if (!rfc) return null;
+
+  // RFC genérico sin CURP: varios clientes comparten el RFC, se distinguen por nombre
+  const key = [op.nombreCliente, op.apellidoPaterno, op.apellidoMaterno, op.fechaNacimiento]
+    .map(normalizeName)
+    .join('|');
+  return `${rfc}-${createHash('sha256').update(key).digest('hex').substring(0, 12).toUpperCase()}`;
+};
+
+/**
+ * Persona física / moral del cliente (mismo criterio que la bóveda: 'FISICA' | 'MORAL')
+ */
+const clientType = (op) => {
+  const tipo = String(op.tipoPersona || '').toLowerCase();
+  if (tipo.startsWith('1') || tipo.includes('física') || tipo.includes('fisica')) return 'FISICA';
+  if (tipo.startsWith('2') || tipo.includes('moral')) return 'MORAL';
+  return normalizeIdentifier(op.rfcCliente).length === 12 ? 'MORAL' : 'FISICA';
+};
+
+const displayName = (identity) => [identity.nombre, identity.apellidoPaterno, identity.apellidoMaterno]
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Datos capturados de una sección (los campos vacíos no borran la versión vigente)
+ */
+const sectionSnapshot = (section, op) => {
+  const snapshot = {};
+  Object.entries(CLIENT_SECTIONS[section]).forEach(([field, column]) => {
+    const value = op[column];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      snapshot[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  return snapshot;
+};
+
+/**
+ * Registrar en el maestro de clientes las operaciones guardadas
+ * Crea los clientes nuevos y versiona los cambios de identidad, domicilio y
+ * beneficiario. Una operación anterior a la última del cliente no modifica la
+ * versión vigente (cargas atrasadas).
+ * @param {string} tenantId
+ * @param {Array} operations - Operaciones guardadas (con clientId)
+ * @param {Object} source - { uploadBatchId, fileName, userId }
+ * @returns {Promise<Object>} { created, updated, versions }
+ */
+export const upsertClientsFromOperations = async (tenantId, operations, source = {}) => {
+  const summary = { created: 0, updated: 0, versions: 0 };
+  const byClient = new Map();
+  operations.forEach(op => {
+    const clientId = op.clientId || getClientId(op);
+    if (!clientId) return;
+    byClient.set(clientId, [...(byClient.get(clientId) || []), op]);
+  });
+  if (byClient.size === 0) return summary;
+
+  const clientsRef = db.collection('tenants').doc(tenantId).collection('clients');
+  const existing = new Map();
+  const clientIds = [...byClient.keys()];
+  for (let i = 0; i < clientIds.length; i += GETALL_CHUNK) {
+    const docs = await db.getAll(...clientIds.slice(i, i + GETALL_CHUNK).map(id => clientsRef.doc(id)));
+    docs.forEach(doc => {
+      if (doc.exists) existing.set(doc.id, doc.data());
+    });
+  }
+
+  const now = new Date().toISOString();
+  const writes = [];  // [ref, data, options]
+
+  byClient.forEach((ops, clientId) => {
+    const previous = existing.get(clientId);
+    const clientRef = clientsRef.doc(clientId);
+    const client = {
+      identity: { ...(previous?.identity || {}) },
+      address: { ...(previous?.address || {}) },
+      beneficiary: { ...(previous?.beneficiary || {}) },
+      versions: { identity: 0, address: 0, beneficiary: 0, ...(previous?.versions || {}) },
+      lastOperationAt: previous?.lastOperationAt || null,
+      firstOperationAt: previous?.firstOperationAt || null,
+    };
+
+    const sorted = [...ops].sort((a, b) => String(a.fechaOperacion || '').localeCompare(String(b.fechaOperacion || '')));
+    sorted.forEach(op => {
+      const fecha = String(op.fechaOperacion || '').substring(0, 10) || null;
+      if (fecha && (!client.firstOperationAt || fecha < client.firstOperationAt)) client.firstOperationAt = fecha;
+      if (client.lastOperationAt && fecha && fecha < client.lastOperationAt) return;
+      if (fecha) client.lastOperationAt = fecha;
+
+      Object.keys(CLIENT_SECTIONS).forEach(section => {
+        const snapshot = sectionSnapshot(section, op);
+        const changedFields = Object.keys(snapshot).filter(field => snapshot[field] !== client[section][field]);
+        if (changedFields.length === 0) return;
+
+        const before = client[section];
+        client[section] = { ...before, ...snapshot };
+        client.versions[section]++;
+        summary.versions++;
+        writes.push([clientRef.collection('history').doc(`${op.uploadBatchId}_${op.sourceRow}_${section}`), {
+          section,
+          version: client.versions[section],
+          changedFields,
+          previous: Object.fromEntries(changedFields.map(field => [field, before[field] ?? null])),
+          current: client[section],
+          operation: {
+            uploadBatchId: op.uploadBatchId || null,
+            sourceFile: op.sourceFile || null,
+            sourceRow: op.sourceRow ?? null,
+            fechaOperacion: fecha,
+            activityType: op.activityType || null,
+          },
+          changedBy: source.userId || null,
+          changedAt: now,
+        }]);
+      });
+    });
+
+    const latest = sorted[sorted.length - 1];
+    const activityTypes = [...new Set(ops.map(op => op.activityType).filter(Boolean))];
+    writes.push([clientRef, {
+      clientId,
+      rfc: client.identity.rfc || normalizeIdentifier(latest.rfcCliente),
+      curp: client.identity.curp || null,
+      tipo: clientType({ ...latest, tipoPersona: client.identity.tipoPersona }),
+      nombre: displayName(client.identity) || previous?.nombre || clientId,
+      identity: client.identity,
+      address: client.address,
+      beneficiary: client.beneficiary,
+      versions: client.versions,
+      firstOperationAt: client.firstOperationAt,
+      lastOperationAt: client.lastOperationAt,
+      ...(activityTypes.length > 0 && { activityTypes: FieldValue.arrayUnion(...activityTypes) }),
+      lastUploadBatchId: source.uploadBatchId || latest.uploadBatchId || null,
+      updatedAt: now,
+      ...(!previous && {
+        screeningStatus: 'PENDING',
+        createdAt: now,
+      }),
+    }, { merge: true }]);
+
+    if (previous) summary.updated++;
+    else summary.created++;
+  });
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(([ref, data, options]) => {
+      if (options) batch.set(ref, data, options);
+      else batch.set(ref, data);
+    });
+    await batch.commit();
+  }
+
+  logger.log('Client registry updated:', { tenantId, ...summary, source: source.uploadBatchId || null });
+  return summary;
+};
+
+/**
+ * Obtener un cliente del registro por clientId o por RFC
+ * @param {string} tenantId
+ * @param {Object} ref - { clientId } o { rfc }
+ * @returns {Promise<Object|null>} { id, ...datos }
+ */
+export const findClient = async (tenantId, { clientId, rfc }) => {
+  const clientsRef = db.collection('tenants').doc(tenantId).collection('clients');
+  if (clientId) {
+    const doc = await clientsRef.doc(clientId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+  const clean = normalizeIdentifier(rfc);
+  if (!clean) return null;
+  const snapshot = await clientsRef.where('rfc', '==', clean).limit(1).get();
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+/**
+ * Asignar clientId y registrar en el maestro las operaciones guardadas antes
+ * de que existiera el registro (las que ya tienen clientId se omiten, así que
+ * puede ejecutarse más de una vez)
+ * @param {string} tenantId
+ * @param {string} userId
+ * @returns {Promise<Object>} { operations, created, updated, versions }
+ */
+export const backfillTenantClients = async (tenantId, userId = null) => {
+  const opsRef = db.collection('tenants').doc(tenantId).collection('operations');
+  const result = { operations: 0, created: 0, updated: 0, versions: 0 };
+
+  let lastDoc = null;
+  for (;;) {
+    let query = opsRef.orderBy(FieldPath.documentId()).limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    const pending = snapshot.docs
+      .filter(doc => !doc.data().clientId)
+      .map(doc => ({ ref: doc.ref, op: { ...doc.data(), clientId: getClientId(doc.data()) } }))
+      .filter(({ op }) => op.clientId);
+    if (pending.length === 0) continue;
+
+    const summary = await upsertClientsFromOperations(tenantId, pending.map(({ op }) => op), { userId });
+    const batch = db.batch();
+    pending.forEach(({ ref, op }) => batch.update(ref, { clientId: op.clientId }));
+    await batch.commit();
+    await enqueueClientsRefresh(tenantId, pending.map(({ op }) => op.clientId), { trigger: 'OPERATIONS', userId });
+
+    result.operations += pending.length;
+    result.created += summary.created;
+    result.updated += summary.updated;
+    result.versions += summary.versions;
+  }
+
+  return result;
+};
+
+/**
+ * Recalcular los contadores del cliente a partir de sus operaciones
+ * (al registrar operaciones, al revertir una carga y al fusionar duplicados)
+ * @param {string} tenantId
+ * @param {string} clientId
+ * @returns {Promise<Object>} { operationsCount, firstOperationAt, lastOperationAt, activityTypes }
+ */
+export const refreshClientStats = async (tenantId, clientId) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const snapshot = await tenantRef.collection('operations')
+    .where('clientId', '==', clientId)
+    .select('fechaOperacion', 'activityType')
+    .get();
+
+  const fechas = snapshot.docs
+    .map(doc => String(doc.data().fechaOperacion || '').substring(0, 10))
+    .filter(Boolean)
+    .sort();
+  const stats = {
+    operationsCount: snapshot.size,
+    firstOperationAt: fechas[0] || null,
+    lastOperationAt: fechas[fechas.length - 1] || null,
+    activityTypes: [...new Set(snapshot.docs.map(doc => doc.data().activityType).filter(Boolean))],
+  };
+
+  await tenantRef.collection('clients').doc(clientId).update({ ...stats, updatedAt: new Date().toISOString() });
+  return stats;
+};
+
+/**
+ * Recalcular contadores y calificación EBR de varios clientes
+ * El contador se toma de las operaciones guardadas: registrar de nuevo las
+ * mismas operaciones (carga reanudada) no lo altera.
+ * @param {string} tenantId
+ * @param {Array<string>} clientIds
+ * @param {Object} options - { trigger, userId }
+ * @returns {Promise<Object>} Resumen de updateClientsRisk
+ */
+export const refreshClients = async (tenantId, clientIds, options = {}) => {
+  for (const clientId of clientIds) {
+    try {
+      await refreshClientStats(tenantId, clientId);
+    } catch (error) {
+      logger.warn(`Error refreshing stats for client ${clientId}:`, error.message);
+    }
+  }
+  return updateClientsRisk(tenantId, clientIds, options);
+};
+
+/**
+ * Encolar el recálculo de los clientes de una carga (una tarea por cada 50)
+ * Si la cola no está disponible se recalculan aquí mismo.
+ * @param {string} tenantId
+ * @param {Array<string>} clientIds
+ * @param {Object} options - { trigger, userId }
+ */
+export const enqueueClientsRefresh = async (tenantId, clientIds, options = {}) => {
+  const ids = [...new Set(clientIds.filter(Boolean))];
+  const queue = getFunctions().taskQueue('locations/us-central1/functions/refreshClients');
+  for (let i = 0; i < ids.length; i += REFRESH_TASK_SIZE) {
+    const chunk = ids.slice(i, i + REFRESH_TASK_SIZE);
+    try {
+      await queue.enqueue(
+        { tenantId, clientIds: chunk, trigger: options.trigger || 'OPERATIONS', userId: options.userId || null },
+        { dispatchDeadlineSeconds: 60 * 10 }
+      );
+    } catch (error) {
+      logger.warn('Client refresh queue unavailable, refreshing inline:', error.message);
+      await refreshClients(tenantId, chunk, options);
+    }
+  }
+};
+
+/**
+ * Clientes fusionados en otro (services/client-merge.js)
+ * @param {string} tenantId
+ * @returns {Promise<Map>} clientId fusionado → { clientId, rfc } del cliente que lo absorbió
+ */
+export const loadMergedClients = async (tenantId) => {
+  const snapshot = await db.collection('tenants').doc(tenantId).collection('clients')
+    .where('status', '==', 'MERGED')
+    .select('mergedInto', 'mergedIntoRfc')
+    .get();
+  return new Map(snapshot.docs.map(doc => [doc.id, {
+    clientId: doc.data().mergedInto,
+    rfc: doc.data().mergedIntoRfc || null,
+  }]));
+};
+
+/**
+ * clientId vigente de una operación: si su cliente se fusionó, el que lo absorbió
+ * (siguiendo fusiones encadenadas) y el RFC con el que debe registrarse
+ * @param {Object} op
+ * @param {Map} mergedClients - loadMergedClients()
+ * @returns {Object} { clientId, rfc } (rfc null si no cambia)
+ */
+export const resolveMergedClient = (op, mergedClients) => {
+  let clientId = op.clientId || getClientId(op);
+  let rfc = null;
+  const seen = new Set();
+  while (mergedClients.has(clientId) && !seen.has(clientId)) {
+    seen.add(clientId);
+    const target = mergedClients.get(clientId);
+    clientId = target.clientId;
+    rfc = target.rfc || rfc;
+  }
+  return { clientId, rfc };
+};
+
+export default {
+  CLIENT_SECTIONS,
+  getClientId,
+  upsertClientsFromOperations,
+  refreshClients,
+  enqueueClientsRefresh,
+  findClient,
+  backfillTenantClients,
+  refreshClientStats,
+  loadMergedClients,
+  resolveMergedClient,
+};
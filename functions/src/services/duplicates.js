@@ -0,0 +1,95 @@
+/**
+ * Duplicates Service
+ * Detección de operaciones duplicadas al cargar un archivo (api/ingest.js)
+ *
+ * Huella por fila: actividad + cliente (clientId) + fecha + monto + tipo de operación + folio
+ * - Idéntica a una operación de otra carga → rechazo (archivo cargado dos veces)
+ * - Fila repetida en el mismo archivo, o mismo cliente y monto con fecha a ±1 día
+ *   y folio compatible → "posible duplicado", se guarda aparte hasta que el
+ *   usuario lo acepte o lo descarte
+ * - El cliente es el clientId del registro maestro (services/clients.js): con RFC
+ *   genérico (XAXX/XEXX) dos clientes del público en general con el mismo monto
+ *   el mismo día no son duplicados entre sí
+ */
+
+import { createHash } from 'crypto';
+
+export const NEAR_DUPLICATE_DAYS = 1;
+
+/**
+ * Folio de la operación (boleto de casino, folio real del registro público)
+ */
+export const getOperationFolio = (op) => String(op.folioOperacion || op.folioReal || '').toUpperCase().trim();
+
+// Cliente de la operación; el RFC solo para operaciones sin clientId
+const operationClient = (op) => op.clientId || String(op.rfcCliente || '').toUpperCase().trim();
+
+/**
+ * Huella de una operación (sha256 de sus campos identificadores)
+ * @param {Object} op - Operación con clientId (api/ingest.js validateRows)
+ * @returns {string}
+ */
+export const getOperationFingerprint = (op) => {
+  const parts = [
+    op.activityType || '',
+    operationClient(op),
+    String(op.fechaOperacion || '').substring(0, 10),
+    (Number(op.monto) || 0).toFixed(2),
+    String(op.tipoOperacion || '').toLowerCase().trim(),
+    getOperationFolio(op),
+  ];
+  return createHash('sha256').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Mismo cliente y monto, fechas a lo más NEAR_DUPLICATE_DAYS días de distancia y
+ * sin folios en conflicto (dos folios distintos son dos operaciones distintas)
+ */
+export const isNearDuplicate = (row, op) => {
+  if (operationClient(row) !== operationClient(op)) return false;
+  if ((Number(row.monto) || 0).toFixed(2) !== (Number(op.monto) || 0).toFixed(2)) return false;
+
+  const rowFolio = getOperationFolio(row);
+  const opFolio = getOperationFolio(op);
+  if (rowFolio && opFolio && rowFolio !== opFolio) return false;
+
+  const days = Math.abs(
+    new Date(String(row.fechaOperacion).substring(0, 10)) - new Date(String(op.fechaOperacion).substring(0, 10))
+  ) / 86400000;
+  return days <= NEAR_DUPLICATE_DAYS;
+};
+
+/**
+ * Clasificar una fila contra las operaciones guardadas del cliente y las filas
+ * anteriores de la misma carga
+ * @param {Object} rowData - Fila con fingerprint (getOperationFingerprint)
+ * @param {Array} candidates - Operaciones con fingerprint
+ * @returns {Object|null} { type: 'EXACT'|'POSSIBLE', reason, matches }
+ */
+export const findDuplicate = (rowData, candidates) => {
+  const sameFingerprint = candidates.filter(op => op.fingerprint === rowData.fingerprint);
+  const fromOtherUpload = sameFingerprint.find(op => op.uploadBatchId !== rowData.uploadBatchId);
+  if (fromOtherUpload) {
+    return { type: 'EXACT', matches: [fromOtherUpload] };
+  }
+  if (sameFingerprint.length > 0) {
+    return { type: 'POSSIBLE', reason: 'Fila repetida en el mismo archivo', matches: sameFingerprint.slice(0, 3) };
+  }
+
+  const near = candidates.filter(op => isNearDuplicate(rowData, op));
+  if (near.length > 0) {
+    return {
+      type: 'POSSIBLE',
+      reason: `Mismo cliente y monto con fecha a ±${NEAR_DUPLICATE_DAYS} día`,
+      matches: near.slice(0, 3),
+    };
+  }
+  return null;
+};
+
+export default {
+  getOperationFolio,
+  getOperationFingerprint,
+  isNearDuplicate,
+  findDuplicate,
+};
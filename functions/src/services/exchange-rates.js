@@ -0,0 +1,245 @@
+/**
+ * Exchange Rates Service
+ * Tipos de cambio por fecha y moneda (colección exchangeRates) para convertir
+ * a MXN las operaciones en moneda extranjera antes de compararlas con umbrales
+ *
+ * - Documento exchangeRates/{MONEDA}_{YYYY-MM-DD}: { currency, date, rate, source }
+ * - Fuente: tipo de cambio FIX de Banxico (CSV del SIE), importado por super admins
+ * - Cada operación usa el tipo de cambio de su fecha de operación o, en fines de
+ *   semana y días inhábiles, el último publicado antes de ella
+ */
+
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+
+const db = getFirestore();
+
+/**
+ * Monedas del catálogo de la plantilla ("2-USD") → código ISO
+ */
+export const CURRENCY_CODES = { '1': 'MXN', '2': 'USD', '3': 'EUR', '4': 'OTRO' };
+
+// Días hacia atrás que se busca un tipo de cambio (fines de semana, días festivos)
+export const MAX_RATE_AGE_DAYS = 7;
+
+/**
+ * Series del SIE de Banxico reconocidas en el encabezado del CSV
+ */
+const BANXICO_SERIES = {
+  SF43718: 'USD', // Pesos por dólar E.U.A. — FIX
+  SF46410: 'EUR', // Pesos por euro
+};
+
+/**
+ * Código ISO de la moneda de una operación
+ * @param {string} moneda - "2-USD", "USD", "2"; vacío se toma como MXN
+ * @returns {string} 'MXN' | 'USD' | 'EUR' | 'OTRO' | código de 3 letras
+ */
+export const currencyCode = (moneda) => {
+  const clean = String(moneda || '').toUpperCase().trim();
+  if (!clean) return 'MXN';
+  const [code, label] = clean.split('-').map(part => part.trim());
+  if (CURRENCY_CODES[code]) return CURRENCY_CODES[code];
+  return label || code;
+};
+
+/**
+ * Monto de una operación en MXN (operaciones anteriores a la conversión no tienen montoMXN)
+ * @param {Object} op
+ * @returns {number}
+ */
+export const amountMXN = (op) => Number(op.montoMXN ?? op.monto) || 0;
+
+const shiftDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Cargar los tipos de cambio que necesitan un conjunto de operaciones
+ * (un rango por moneda; se consulta por ID de documento para no requerir índices)
+ * @param {Array} rows - Operaciones con { moneda, fechaOperacion }
+ * @returns {Map} moneda → [{ date, rate }] ordenado por fecha
+ */
+export const loadExchangeRates = async (rows) => {
+  const ranges = new Map();
+  rows.forEach(row => {
+    const currency = currencyCode(row.moneda);
+    const date = String(row.fechaOperacion || '').substring(0, 10);
+    if (currency === 'MXN' || currency === 'OTRO' || !date) return;
+    const range = ranges.get(currency) || { from: date, to: date };
+    if (date < range.from) range.from = date;
+    if (date > range.to) range.to = date;
+    ranges.set(currency, range);
+  });
+
+  const table = new Map();
+  await Promise.all([...ranges.entries()].map(async ([currency, { from, to }]) => {
+    try {
+      const snapshot = await db.collection('exchangeRates')
+        .where(FieldPath.documentId(), '>=', `${currency}_${shiftDays(from, -MAX_RATE_AGE_DAYS)}`)
+        .where(FieldPath.documentId(), '<=', `${currency}_${to}`)
+        .get();
+      table.set(currency, snapshot.docs
+        .map(doc => ({ date: doc.data().date, rate: Number(doc.data().rate) }))
+        .sort((a, b) => a.date.localeCompare(b.date)));
+    } catch (error) {
+      logger.warn(`Error loading ${currency} exchange rates:`, error.message);
+      table.set(currency, []);
+    }
+  }));
+  return table;
+};
+
+/**
+ * Tipo de cambio aplicable a una fecha: el de esa fecha o el último publicado
+ * dentro de MAX_RATE_AGE_DAYS
+ * @param {Map} table - loadExchangeRates
+ * @param {string} currency - Código ISO
+ * @param {string} fecha - YYYY-MM-DD
+ * @returns {Object|null} { date, rate }
+ */
+export const resolveExchangeRate = (table, currency, fecha) => {
+  const dateKey = String(fecha || '').substring(0, 10);
+  const oldest = shiftDays(dateKey, -MAX_RATE_AGE_DAYS);
+  let applied = null;
+  for (const entry of table.get(currency) || []) {
+    if (entry.date > dateKey) break;
+    if (entry.date >= oldest) applied = entry;
+  }
+  return applied;
+};
+
+/**
+ * Convertir el monto de una operación a MXN
+ * @param {Map} table - loadExchangeRates
+ * @param {Object} row - { moneda, monto, fechaOperacion }
+ * @returns {Object} { currency, montoMXN, tipoCambio, fechaTipoCambio } o { currency, error }
+ */
+export const convertToMXN = (table, { moneda, monto, fechaOperacion }) => {
+  const currency = currencyCode(moneda);
+  const amount = Number(monto) || 0;
+
+  if (currency === 'MXN') {
+    return { currency, montoMXN: amount, tipoCambio: 1, fechaTipoCambio: null };
+  }
+  if (currency === 'OTRO') {
+    return {
+      currency,
+      error: `Moneda "${moneda}" sin tipo de cambio: registra la operación en MXN, USD o EUR para evaluar umbrales.`,
+    };
+  }
+
+  const applied = resolveExchangeRate(table, currency, fechaOperacion);
+  if (!applied) {
+    return {
+      currency,
+      error: `Sin tipo de cambio ${currency} para el ${fechaOperacion} (ni en los ${MAX_RATE_AGE_DAYS} días previos). ` +
+        `El administrador debe importar el FIX de Banxico (Tipos de Cambio).`,
+    };
+  }
+
+  return {
+    currency,
+    montoMXN: Math.round(amount * applied.rate * 100) / 100,
+    tipoCambio: applied.rate,
+    fechaTipoCambio: applied.date,
+  };
+};
+
+// ============================================================
+// Importación del CSV de Banxico (SIE)
+// ============================================================
+
+const splitCsvLine = (line) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+const parseCsvDate = (value) => {
+  const dmy = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return iso ? value : null;
+};
+
+const headerCurrency = (header) => {
+  const clean = header.toUpperCase();
+  const series = Object.keys(BANXICO_SERIES).find(id => clean.includes(id));
+  if (series) return BANXICO_SERIES[series];
+  if (/D[OÓ]LAR|USD/.test(clean)) return 'USD';
+  if (/EURO|EUR/.test(clean)) return 'EUR';
+  return null;
+};
+
+/**
+ * Leer un CSV de tipos de cambio de Banxico
+ * Acepta la descarga del SIE (renglones de título, encabezado "Fecha" + series
+ * SF43718 / SF46410) o un CSV simple Fecha,Tipo de cambio con `currency` indicada.
+ * Los valores "N/E" (sin cotización) se omiten.
+ * @param {string} csv - Contenido del archivo
+ * @param {string} currency - Moneda por omisión para columnas no reconocidas
+ * @returns {Object} { rates: [{ currency, date, rate }], skipped, columns }
+ */
+export const parseBanxicoCsv = (csv, currency = null) => {
+  const lines = String(csv || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => /^"?fecha"?\s*,/i.test(line.trim()));
+  if (headerIndex === -1) {
+    throw new Error('No se encontró el encabezado "Fecha" en el archivo');
+  }
+
+  const headers = splitCsvLine(lines[headerIndex]);
+  const columns = headers
+    .map((header, index) => ({ index, currency: index === 0 ? null : headerCurrency(header) || currency }))
+    .filter(col => col.currency);
+  if (columns.length === 0) {
+    throw new Error('No se reconoció ninguna serie de tipo de cambio (SF43718 dólar FIX, SF46410 euro)');
+  }
+
+  const rates = [];
+  let skipped = 0;
+  lines.slice(headerIndex + 1).forEach(line => {
+    if (!line.trim()) return;
+    const cells = splitCsvLine(line);
+    const date = parseCsvDate(cells[0]);
+    if (!date) {
+      skipped++;
+      return;
+    }
+    columns.forEach(col => {
+      const rate = Number(String(cells[col.index] || '').replace(/,/g, ''));
+      if (!rate || rate <= 0) {
+        skipped++;
+        return;
+      }
+      rates.push({ currency: col.currency, date, rate });
+    });
+  });
+
+  return { rates, skipped, columns: columns.map(col => col.currency) };
+};
+
+export default {
+  CURRENCY_CODES,
+  MAX_RATE_AGE_DAYS,
+  currencyCode,
+  amountMXN,
+  loadExchangeRates,
+  resolveExchangeRate,
+  convertToMXN,
+  parseBanxicoCsv,
+};
@@ -0,0 +1,281 @@
+/**
+ * KYC Service
+ * Expediente de identificación del cliente: tipos de documento, documentos
+ * requeridos por tipo de persona y actividad, vigencias y completitud
+ *
+ * - Metadatos de cada documento en clients/{clientId}/kycDocuments/{docType}
+ *   (archivo vigente, fechas de emisión y vencimiento, número y verificación)
+ * - Resumen en el registro maestro del cliente (client.kyc): completitud,
+ *   faltantes, vencidos y la próxima fecha de vencimiento sin alertar
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+
+const db = getFirestore();
+
+/**
+ * Tipos de documento del expediente
+ * - expires: vence en la fecha de vencimiento capturada (INE)
+ * - maxAgeMonths: deja de ser válido N meses después de su emisión (comprobante de domicilio)
+ */
+export const KYC_DOCUMENT_TYPES = [
+  { id: 'INE_FRONT', name: 'INE (Frente)', expires: true },
+  { id: 'INE_BACK', name: 'INE (Reverso)', expires: true },
+  { id: 'PROOF_OF_ADDRESS', name: 'Comprobante de Domicilio', maxAgeMonths: 3 },
+  { id: 'CURP', name: 'CURP' },
+  { id: 'TAX_ID', name: 'Cédula Fiscal (CSF)' },
+  { id: 'INCORPORATION', name: 'Acta Constitutiva' },
+  { id: 'POWER_OF_ATTORNEY', name: 'Poder Notarial' },
+  { id: 'BENEFICIAL_OWNER', name: 'Declaración de Beneficiario Controlador' },
+  { id: 'OTHER', name: 'Otro Documento' },
+];
+
+// Requeridos para toda actividad (Art. 18 LFPIORPI, Anexos 3 y 4 de las Reglas)
+const BASE_REQUIREMENTS = {
+  FISICA: ['INE_FRONT', 'INE_BACK', 'PROOF_OF_ADDRESS', 'CURP'],
+  // INE del representante legal
+  MORAL: ['INCORPORATION', 'TAX_ID', 'PROOF_OF_ADDRESS', 'POWER_OF_ATTORNEY', 'INE_FRONT', 'INE_BACK'],
+};
+
+// Adicionales por actividad vulnerable
+const ACTIVITY_REQUIREMENTS = {
+  INMUEBLES: { FISICA: ['TAX_ID', 'BENEFICIAL_OWNER'], MORAL: ['BENEFICIAL_OWNER'] },
+  ACTIVOS_VIRTUALES: { FISICA: ['TAX_ID', 'BENEFICIAL_OWNER'], MORAL: ['BENEFICIAL_OWNER'] },
+  CONSTITUCION_PERSONAS: { FISICA: ['TAX_ID', 'BENEFICIAL_OWNER'], MORAL: ['BENEFICIAL_OWNER'] },
+  SERVICIOS_FE_PUBLICA: { FISICA: ['TAX_ID'], MORAL: ['BENEFICIAL_OWNER'] },
+  OPERACIONES_MUTUO: { FISICA: ['TAX_ID'], MORAL: ['BENEFICIAL_OWNER'] },
+  VEHICULOS: { FISICA: ['TAX_ID'] },
+  METALES_PIEDRAS: { FISICA: ['TAX_ID'] },
+  OBRAS_ARTE: { FISICA: ['TAX_ID'] },
+  BLINDAJE: { FISICA: ['TAX_ID'] },
+  TRASLADO_VALORES: { MORAL: ['BENEFICIAL_OWNER'] },
+};
+
+// Días de anticipación para marcar un documento "por vencer"
+const EXPIRING_SOON_DAYS = 30;
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+const addDays = (fecha, days) => {
+  const date = new Date(`${fecha}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+const addMonths = (fecha, months) => {
+  const date = new Date(`${fecha}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().substring(0, 10);
+};
+
+/**
+ * Documentos requeridos según tipo de persona y actividades del cliente
+ * @param {string} tipo - 'FISICA' | 'MORAL'
+ * @param {Array<string>} activityTypes
+ * @returns {Array<string>} ids de KYC_DOCUMENT_TYPES
+ */
+export const getRequiredDocuments = (tipo, activityTypes = []) => {
+  const personType = tipo === 'MORAL' ? 'MORAL' : 'FISICA';
+  const required = new Set(BASE_REQUIREMENTS[personType]);
+  activityTypes.forEach(activity => {
+    (ACTIVITY_REQUIREMENTS[activity]?.[personType] || []).forEach(docType => required.add(docType));
+  });
+  return KYC_DOCUMENT_TYPES.map(d => d.id).filter(id => required.has(id));
+};
+
+/**
+ * Fecha en que el documento deja de ser válido (null si no vence o faltan fechas)
+ * @param {string} docType
+ * @param {Object} metadata - { issueDate, expiryDate }
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const getExpiresAt = (docType, { issueDate, expiryDate } = {}) => {
+  const config = KYC_DOCUMENT_TYPES.find(d => d.id === docType);
+  if (!config) return null;
+  if (config.expires) return expiryDate || null;
+  if (config.maxAgeMonths) return issueDate ? addMonths(issueDate, config.maxAgeMonths) : null;
+  return null;
+};
+
+/**
+ * Estado de un documento a una fecha
+ * @returns {string} MISSING | EXPIRED | EXPIRING | NO_DATES | VALID
+ */
+export const getDocumentStatus = (docType, metadata, fecha = today()) => {
+  if (!metadata?.filePath) return 'MISSING';
+  const config = KYC_DOCUMENT_TYPES.find(d => d.id === docType);
+  const expiresAt = getExpiresAt(docType, metadata);
+  if ((config?.expires || config?.maxAgeMonths) && !expiresAt) return 'NO_DATES';
+  if (expiresAt && expiresAt <= fecha) return 'EXPIRED';
+  if (expiresAt && expiresAt <= addDays(fecha, EXPIRING_SOON_DAYS)) return 'EXPIRING';
+  return 'VALID';
+};
+
+/**
+ * Evaluar el expediente del cliente
+ * Un documento vencido no cuenta para la completitud; uno sin fechas sí (se
+ * reporta aparte para que se capturen).
+ * @param {Object} client - { tipo, activityTypes }
+ * @param {Object} documents - { [docType]: metadata }
+ * @param {string} fecha - YYYY-MM-DD
+ * @returns {Object} { required, completion, missing, expired, expiring, noDates, nextExpiryAt }
+ */
+export const evaluateKyc = (client, documents, fecha = today()) => {
+  const required = getRequiredDocuments(client.tipo, client.activityTypes || []);
+  const statuses = Object.fromEntries(
+    KYC_DOCUMENT_TYPES.map(d => [d.id, getDocumentStatus(d.id, documents[d.id], fecha)])
+  );
+
+  const valid = required.filter(id => ['VALID', 'EXPIRING', 'NO_DATES'].includes(statuses[id]));
+  const byStatus = (status) => Object.keys(statuses).filter(id => statuses[id] === status);
+
+  // Próximo vencimiento aún sin alerta (el job diario busca por este campo)
+  const pending = Object.entries(documents)
+    .map(([docType, metadata]) => ({ metadata, expiresAt: getExpiresAt(docType, metadata) }))
+    .filter(({ metadata, expiresAt }) => metadata.filePath && expiresAt && metadata.alertedExpiresAt !== expiresAt)
+    .map(({ expiresAt }) => expiresAt)
+    .sort();
+
+  return {
+    required,
+    completion: required.length > 0 ? Math.round((valid.length / required.length) * 100) : 100,
+    missing: required.filter(id => statuses[id] === 'MISSING'),
+    expired: byStatus('EXPIRED'),
+    expiring: byStatus('EXPIRING'),
+    noDates: byStatus('NO_DATES'),
+    nextExpiryAt: pending[0] || null,
+    evaluatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Metadatos de los documentos del cliente
+ * @returns {Promise<Object>} { [docType]: metadata }
+ */
+export const loadClientDocuments = async (tenantId, clientId) => {
+  const snapshot = await db.collection('tenants').doc(tenantId)
+    .collection('clients').doc(clientId)
+    .collection('kycDocuments')
+    .get();
+  return Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()]));
+};
+
+/**
+ * Registrar un archivo nuevo o actualizar los datos de un documento
+ * Un archivo nuevo reemplaza las fechas, el número y la verificación del anterior.
+ * @param {string} tenantId
+ * @param {string} clientId
+ * @param {Object} data - { docType, filePath, fileName, issueDate, expiryDate, documentNumber, verified }
+ * @param {Object} user - { uid, email }
+ * @returns {Promise<Object>} metadatos guardados
+ */
+export const saveClientDocument = async (tenantId, clientId, data, user) => {
+  const docRef = db.collection('tenants').doc(tenantId)
+    .collection('clients').doc(clientId)
+    .collection('kycDocuments').doc(data.docType);
+  const previous = (await docRef.get()).data() || {};
+  const now = new Date().toISOString();
+
+  const base = data.filePath
+    ? {
+      docType: data.docType,
+      filePath: data.filePath,
+      fileName: data.fileName || data.filePath.split('/').pop(),
+      uploadedBy: user.uid,
+      uploadedAt: now,
+      issueDate: null,
+      expiryDate: null,
+      documentNumber: null,
+      verifiedBy: null,
+      verifiedByEmail: null,
+      verifiedAt: null,
+    }
+    : { ...previous };
+
+  const metadata = { ...base };
+  ['issueDate', 'expiryDate', 'documentNumber'].forEach(field => {
+    if (data[field] !== undefined) metadata[field] = data[field] || null;
+  });
+  if (data.verified === true && !metadata.verifiedAt) {
+    metadata.verifiedBy = user.uid;
+    metadata.verifiedByEmail = user.email || null;
+    metadata.verifiedAt = now;
+  } else if (data.verified === false) {
+    metadata.verifiedBy = null;
+    metadata.verifiedByEmail = null;
+    metadata.verifiedAt = null;
+  }
+  metadata.expiresAt = getExpiresAt(data.docType, metadata);
+  metadata.updatedAt = now;
+  metadata.updatedBy = user.uid;
+
+  await docRef.set(metadata);
+  return metadata;
+};
+
+/**
+ * Generar alertas por documentos vencidos de un tenant (INE vencida,
+ * comprobante de domicilio con más de 3 meses). Cada vencimiento alerta una vez.
+ * @param {string} tenantId
+ * @returns {Promise<Object>} { clients, alerts, clientIds }
+ */
+export const checkTenantKycExpirations = async (tenantId) => {
+  const fecha = today();
+  const result = { clients: 0, alerts: 0, clientIds: [] };
+  const tenantRef = db.collection('tenants').doc(tenantId);
+
+  const clientsSnapshot = await tenantRef.collection('clients')
+    .where('kyc.nextExpiryAt', '<=', fecha)
+    .get();
+
+  for (const clientDoc of clientsSnapshot.docs) {
+    const client = clientDoc.data();
+    const documents = await loadClientDocuments(tenantId, clientDoc.id);
+
+    for (const [docType, metadata] of Object.entries(documents)) {
+      const expiresAt = getExpiresAt(docType, metadata);
+      if (!metadata.filePath || !expiresAt || expiresAt > fecha || metadata.alertedExpiresAt === expiresAt) continue;
+
+      const config = KYC_DOCUMENT_TYPES.find(d => d.id === docType);
+      const reason = config.maxAgeMonths
+        ? `tiene más de ${config.maxAgeMonths} meses (emitido el ${metadata.issueDate})`
+        : `venció el ${expiresAt}`;
+
+      await tenantRef.collection('alerts').add({
+        type: 'KYC_DOCUMENT_EXPIRED',
+        severity: config.expires ? 'HIGH' : 'MEDIUM',
+        title: `Documento vencido: ${config.name}`,
+        description: `${config.name} de ${client.nombre || clientDoc.id} ${reason}`,
+        clientId: clientDoc.id,
+        docType,
+        expiresAt,
+        status: 'PENDING',
+        createdAt: new Date().toISOString(),
+      });
+      await clientDoc.ref.collection('kycDocuments').doc(docType).update({ alertedExpiresAt: expiresAt });
+      documents[docType] = { ...metadata, alertedExpiresAt: expiresAt };
+      result.alerts++;
+    }
+
+    await clientDoc.ref.update({ kyc: evaluateKyc(client, documents, fecha) });
+    result.clients++;
+    result.clientIds.push(clientDoc.id);
+  }
+
+  if (result.alerts > 0) {
+    logger.info(`KYC expirations for tenant ${tenantId}:`, { clients: result.clients, alerts: result.alerts });
+  }
+  return result;
+};
+
+export default {
+  KYC_DOCUMENT_TYPES,
+  getRequiredDocuments,
+  getExpiresAt,
+  getDocumentStatus,
+  evaluateKyc,
+  loadClientDocuments,
+  saveClientDocument,
+  checkTenantKycExpirations,
+};
@@ -0,0 +1,318 @@
+/**
+ * Legal Rules Service
+ * Tabla única de umbrales LFPIORPI por actividad vulnerable
+ *
+ * Fuente de verdad para ingesta, monitoreo, estadísticas y generación XML:
+ * - Fracción del Art. 17
+ * - Umbral de identificación y de aviso (en UMA)
+ * - Límite de efectivo Art. 32 (en UMA, null si la actividad no tiene restricción)
+ * - Banderas "siempre identificar" / "siempre avisar"
+ *
+ * Catálogo UMA versionado por año (colección umaCatalog), aplicado según la
+ * fecha de cada operación
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+
+const db = getFirestore();
+
+// ============================================================
+// UMA (Unidad de Medida y Actualización) — Catálogo por año
+// ============================================================
+
+/**
+ * Valores UMA publicados en DOF por INEGI. Cada valor entra en vigor el
+ * 1 de febrero de su año; umaCatalog en Firestore puede corregirlos o agregar años.
+ */
+export const DEFAULT_UMA_CATALOG = [
+  { year: 2022, valorDiario: 96.22, vigenteDesde: '2022-02-01' },
+  { year: 2023, valorDiario: 103.74, vigenteDesde: '2023-02-01' },
+  { year: 2024, valorDiario: 108.57, vigenteDesde: '2024-02-01' },
+  { year: 2025, valorDiario: 113.14, vigenteDesde: '2025-02-01' },
+  { year: 2026, valorDiario: 117.31, vigenteDesde: '2026-02-01' },
+];
+
+/**
+ * Cargar el catálogo UMA: valores de respaldo + umaCatalog/{year} en Firestore
+ * (Firestore prevalece para el mismo año)
+ * @returns {Promise<Array>} Entradas ordenadas por vigenteDesde ascendente
+ */
+export const loadUmaCatalog = async () => {
+  const byYear = new Map(DEFAULT_UMA_CATALOG.map(entry => [entry.year, entry]));
+
+  try {
+    const snapshot = await db.collection('umaCatalog').get();
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      byYear.set(Number(data.year), {
+        year: Number(data.year),
+        valorDiario: Number(data.valorDiario),
+        vigenteDesde: data.vigenteDesde,
+      });
+    });
+  } catch (error) {
+    logger.warn('Error loading UMA catalog, using defaults:', error.message);
+  }
+
+  return [...byYear.values()].sort((a, b) => a.vigenteDesde.localeCompare(b.vigenteDesde));
+};
+
+/**
+ * Resolver la UMA vigente en una fecha
+ * @param {Array} catalog - Catálogo ordenado por vigenteDesde
+ * @param {string|Date} fecha - Fecha de operación (YYYY-MM-DD); hoy si se omite
+ * @returns {Object} { year, valorDiario, vigenteDesde }
+ */
+export const resolveUma = (catalog, fecha) => {
+  const entries = catalog && catalog.length > 0 ? catalog : DEFAULT_UMA_CATALOG;
+  let dateKey;
+  if (fecha instanceof Date) {
+    dateKey = fecha.toISOString().split('T')[0];
+  } else if (typeof fecha === 'string' && fecha) {
+    dateKey = fecha.substring(0, 10);
+  } else {
+    dateKey = new Date().toISOString().split('T')[0];
+  }
+
+  // Operaciones anteriores al catálogo usan el primer valor disponible
+  let applied = entries[0];
+  for (const entry of entries) {
+    if (entry.vigenteDesde <= dateKey) applied = entry;
+  }
+  return applied;
+};
+
+/**
+ * UMA diaria vigente hoy según el catálogo de respaldo
+ */
+const currentDefaultUma = () => resolveUma(DEFAULT_UMA_CATALOG).valorDiario;
+
+// ============================================================
+// REGLAS POR ACTIVIDAD — LFPIORPI Art. 17 y 32, Reglamento Art. 7
+// ============================================================
+
+export const ACTIVITY_RULES = {
+  JUEGOS_APUESTAS: {
+    fraccion: 'I',
+    descripcion: 'Juegos con apuestas, concursos o sorteos',
+    umbralIdentificacionUMA: 325,
+    umbralAvisoUMA: 645,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  TARJETAS_PREPAGO: {
+    fraccion: 'II',
+    descripcion: 'Tarjetas de servicios, crédito o prepago',
+    umbralIdentificacionUMA: 805,
+    umbralAvisoUMA: 1285,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  CHEQUES_VIAJERO: {
+    fraccion: 'III',
+    descripcion: 'Cheques de viajero',
+    umbralIdentificacionUMA: 645,
+    umbralAvisoUMA: 645,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  OPERACIONES_MUTUO: {
+    fraccion: 'IV',
+    descripcion: 'Mutuo, préstamos o créditos',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 1605,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: true,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  INMUEBLES: {
+    fraccion: 'V',
+    descripcion: 'Compraventa de inmuebles',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 8025,
+    limiteEfectivoUMA: 8025,
+    siempreIdentificar: true,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  METALES_PIEDRAS: {
+    fraccion: 'VI',
+    descripcion: 'Metales preciosos, piedras, joyería',
+    umbralIdentificacionUMA: 325,
+    umbralAvisoUMA: 645,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  OBRAS_ARTE: {
+    fraccion: 'VII',
+    descripcion: 'Obras de arte',
+    umbralIdentificacionUMA: 2410,
+    umbralAvisoUMA: 4815,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  VEHICULOS: {
+    fraccion: 'VIII',
+    descripcion: 'Vehículos aéreos, marítimos y terrestres',
+    umbralIdentificacionUMA: 3210,
+    umbralAvisoUMA: 6420,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  BLINDAJE: {
+    fraccion: 'IX',
+    descripcion: 'Servicios de blindaje',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 2410,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: true,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  TRASLADO_VALORES: {
+    fraccion: 'X',
+    descripcion: 'Traslado o custodia de valores',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 3210,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: true,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  SERVICIOS_PROFESIONALES: {
+    fraccion: 'XI',
+    descripcion: 'Servicios profesionales independientes',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 3210,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: true,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  SERVICIOS_FE_PUBLICA: {
+    fraccion: 'XII',
+    descripcion: 'Fe pública (notarios, corredores)',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 0,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: true,
+    siempreAvisar: true,
+    periodoAcumulacionMeses: 6,
+  },
+  CONSTITUCION_PERSONAS: {
+    fraccion: 'XIII-XIV',
+    descripcion: 'Constitución de personas morales',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 0,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: true,
+    siempreAvisar: true,
+    periodoAcumulacionMeses: 6,
+  },
+  ARRENDAMIENTO: {
+    fraccion: 'XV',
+    descripcion: 'Arrendamiento de inmuebles',
+    umbralIdentificacionUMA: 1605,
+    umbralAvisoUMA: 3210,
+    limiteEfectivoUMA: 3210,
+    siempreIdentificar: false,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+  ACTIVOS_VIRTUALES: {
+    fraccion: 'XVI',
+    descripcion: 'Operaciones con activos virtuales',
+    umbralIdentificacionUMA: 0,
+    umbralAvisoUMA: 210,
+    limiteEfectivoUMA: null,
+    siempreIdentificar: true,
+    siempreAvisar: false,
+    periodoAcumulacionMeses: 6,
+  },
+};
+
+/**
+ * Regla genérica para actividades no catalogadas (umbrales históricos de la plataforma)
+ */
+const DEFAULT_RULE = {
+  fraccion: '',
+  descripcion: 'Actividad no catalogada',
+  umbralIdentificacionUMA: 325,
+  umbralAvisoUMA: 645,
+  limiteEfectivoUMA: 3210,
+  siempreIdentificar: false,
+  siempreAvisar: false,
+  periodoAcumulacionMeses: 6,
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Obtener la regla de una actividad
+ * @param {string} activityType - Clave de actividad (ej. VEHICULOS)
+ * @returns {Object} Regla de la actividad o la regla genérica
+ */
+export const getActivityRule = (activityType) => {
+  return ACTIVITY_RULES[activityType] || DEFAULT_RULE;
+};
+
+/**
+ * Convertir los umbrales UMA de una actividad a MXN
+ * @param {string} activityType - Clave de actividad
+ * @param {number} umaDiario - Valor UMA a aplicar (vigente hoy si se omite)
+ * @returns {Object} { umbralIdentMXN, umbralAvisoMXN, limiteEfectivoMXN }
+ */
+export const getThresholdsMXN = (activityType, umaDiario = currentDefaultUma()) => {
+  const rule = getActivityRule(activityType);
+  return {
+    umbralIdentMXN: rule.umbralIdentificacionUMA * umaDiario,
+    umbralAvisoMXN: rule.umbralAvisoUMA * umaDiario,
+    limiteEfectivoMXN: rule.limiteEfectivoUMA !== null ? rule.limiteEfectivoUMA * umaDiario : null,
+  };
+};
+
+/**
+ * Semáforo EBR por monto en MXN para una actividad
+ * HIGH   = Siempre avisar, o monto ≥ umbral de aviso
+ * MEDIUM = Siempre identificar, o monto ≥ umbral de identificación
+ * LOW    = Por debajo de umbrales
+ *
+ * @param {string} activityType - Clave de actividad
+ * @param {number} montoMXN - Monto (individual o acumulado) en MXN
+ * @param {number} umaDiario - Valor UMA a aplicar
+ * @returns {string} 'HIGH' | 'MEDIUM' | 'LOW'
+ */
+export const classifyAmount = (activityType, montoMXN, umaDiario = currentDefaultUma()) => {
+  const rule = getActivityRule(activityType);
+  const { umbralIdentMXN, umbralAvisoMXN } = getThresholdsMXN(activityType, umaDiario);
+
+  if (rule.siempreAvisar || (montoMXN > 0 && montoMXN >= umbralAvisoMXN)) return 'HIGH';
+  if (rule.siempreIdentificar || (montoMXN > 0 && montoMXN >= umbralIdentMXN)) return 'MEDIUM';
+  return 'LOW';
+};
+
+export default {
+  DEFAULT_UMA_CATALOG,
+  loadUmaCatalog,
+  resolveUma,
+  ACTIVITY_RULES,
+  getActivityRule,
+  getThresholdsMXN,
+  classifyAmount,
+};
@@ -0,0 +1,313 @@
+/**
+ * Name Matching Service
+ * Comparación de nombres en español para el screening de listas
+ *
+ * - Normaliza: sin acentos ni puntuación, abreviaturas comunes expandidas
+ *   (MA. → MARIA, FCO. → FRANCISCO), sin partículas (DE, DEL, LA…)
+ *   y, en personas morales, sin la forma societaria final (SA DE CV, S DE RL, SC…)
+ * - Compara por tokens sin importar el orden; al nombre más corto le puede
+ *   faltar un token del más largo (el segundo apellido)
+ * - Cada token coincide exacto, por clave fonética en español (Z = S, V = B,
+ *   LL = Y, H muda…), como inicial (J. = JOSE, JUAN, JORGE…) o por similitud
+ *   Jaro-Winkler (errores de captura); MARIA y MARIO no son el mismo nombre
+ * - La fecha de nacimiento y la nacionalidad suman cuando coinciden
+ *
+ * Cada resultado trae sus sub-puntajes para explicar la coincidencia.
+ */
+
+// Abreviaturas frecuentes en nombres capturados (una sola letra queda como inicial)
+const ABBREVIATIONS = {
+  MA: 'MARIA',
+  MRA: 'MARIA',
+  JE: 'JOSE',
+  FCO: 'FRANCISCO',
+  FCA: 'FRANCISCA',
+  GPE: 'GUADALUPE',
+  GMO: 'GUILLERMO',
+  FDO: 'FERNANDO',
+  RDO: 'RICARDO',
+  ANT: 'ANTONIO',
+  STA: 'SANTA',
+  STO: 'SANTO',
+};
+
+// Partículas que no distinguen a una persona (MARIA DE LA LUZ = MARIA LUZ)
+const PARTICLES = new Set(['DE', 'DEL', 'LA', 'LAS', 'LOS', 'EL', 'Y', 'E']);
+
+// Formas societarias completas, sin espacios (S.A. DE C.V. → SADECV); solo se
+// quitan del final del nombre de una persona moral
+const LEGAL_FORMS = new Set([
+  'SA', 'SADECV', 'SAB', 'SABDECV', 'SAPI', 'SAPIDECV', 'SAS', 'SASDECV',
+  'SDERL', 'SDERLDECV', 'SRL', 'SPR', 'SPRDERL', 'SPRDERI', 'SPRDERLDECV',
+  'SC', 'SCP', 'SCL', 'SCDERL', 'SCDERLDECV', 'AC', 'IAP', 'ABP',
+  'SADECVSOFOMENR', 'SADECVSOFOMER', 'SAPIDECVSOFOMENR', 'SAPIDECVSOFOMER', 'SOFOMENR', 'SOFOMER',
+]);
+const LEGAL_FORM_MAX_TOKENS = 12;
+
+// Un token cuenta como coincidencia a partir de este puntaje
+const TOKEN_MIN_SCORE = 0.85;
+const TOKEN_SCORES = { EXACT: 1, PHONETIC: 0.95, INITIAL: 0.85, FUZZY_MAX: 0.93 };
+
+// Nombres que solo cambian en la vocal final (MARIA / MARIO, JULIO / JULIA) son
+// personas distintas: en tokens de hasta este largo no cuentan como error de captura
+const GENDER_VOWEL_MAX_LENGTH = 8;
+const VOWELS = 'AEIOU';
+
+// Penalización por tokens del nombre más largo que quedaron sin pareja
+const MISSING_ONE_TOKEN = 0.92;
+const MISSING_EXTRA_TOKEN = 0.2;
+const SINGLE_TOKEN_FACTOR = 0.6;
+
+// Bonos por datos que coinciden; solo aplican a nombres ya parecidos
+const BOOSTS = { DATE_OF_BIRTH: 0.05, YEAR_OF_BIRTH: 0.03, NATIONALITY: 0.03 };
+const BOOST_MIN_NAME_SCORE = 0.7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Texto sin acentos, en mayúsculas y sin puntuación
+ */
+export const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Quitar la forma societaria final (S.A. DE C.V., S. DE R.L., S.C., SOFOM ENR…)
+ * cuando los últimos tokens forman una completa; se quita la más larga.
+ * legalEntity: true (persona moral) quita cualquier forma; false (persona física)
+ * ninguna; sin dato solo las que no pueden ser iniciales (S.A. DE C.V. sí,
+ * A. C. no: JUAN PEREZ A C conserva sus iniciales)
+ */
+const stripLegalSuffix = (tokens, legalEntity) => {
+  if (legalEntity === false) return tokens;
+  for (let start = Math.max(1, tokens.length - LEGAL_FORM_MAX_TOKENS); start < tokens.length; start++) {
+    const suffix = tokens.slice(start);
+    if (!LEGAL_FORMS.has(suffix.join(''))) continue;
+    const onlyInitials = suffix.every(token => token.length === 1);
+    if (legalEntity || !onlyInitials) return tokens.slice(0, start);
+  }
+  return tokens;
+};
+
+/**
+ * Clave fonética de un token en español de México
+ * @param {string} token - Token normalizado (normalizeText)
+ * @returns {string} Clave
+ */
+export const phoneticKey = (token) => token
+  .replace(/PH/g, 'F')
+  .replace(/CH/g, '#')
+  .replace(/LL/g, 'Y')
+  .replace(/QU?/g, 'K')
+  // GUE / GUI conservan la G fuerte; GE / GI suenan como J
+  .replace(/GU([EI])/g, '%$1')
+  .replace(/G([EI])/g, 'J$1')
+  .replace(/%/g, 'G')
+  .replace(/C([EI])/g, 'S$1')
+  .replace(/C/g, 'K')
+  .replace(/Z/g, 'S')
+  // XAVIER = JAVIER, XIMENA = JIMENA
+  .replace(/^X/, 'J')
+  .replace(/X/g, 'KS')
+  .replace(/[VW]/g, 'B')
+  .replace(/H/g, '')
+  .replace(/Y$/, 'I')
+  .replace(/Y([^AEIOU])/g, 'I$1')
+  .replace(/#/g, 'CH')
+  .replace(/(.)\1+/g, '$1');
+
+/**
+ * Preparar un nombre para compararlo (conviene prepararlo una vez por registro de lista)
+ * @param {string} name - Nombre tal cual
+ * @param {Object} options - { legalEntity }: true persona moral, false persona física,
+ *   sin dato si no se sabe (decide qué formas societarias se quitan)
+ * @returns {Object} { normalized, tokens: [{ text, phonetic }] }
+ */
+export const prepareName = (name, { legalEntity } = {}) => {
+  const raw = normalizeText(name).split(' ').filter(Boolean);
+  const expanded = stripLegalSuffix(raw, legalEntity).map(token => ABBREVIATIONS[token] || token);
+  const significant = expanded.filter(token => !PARTICLES.has(token));
+  const tokens = significant.length > 0 ? significant : expanded;
+  return {
+    normalized: tokens.join(' '),
+    tokens: tokens.map(text => ({ text, phonetic: phoneticKey(text) })),
+  };
+};
+
+/**
+ * Similitud Jaro-Winkler entre dos textos (0 a 1)
+ */
+export const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < Math.min(a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Mismo token salvo la vocal final (variante masculina / femenina de un nombre)
+ */
+const differsInFinalVowel = (a, b) => a.length === b.length
+  && a.length <= GENDER_VOWEL_MAX_LENGTH
+  && a.slice(0, -1) === b.slice(0, -1)
+  && VOWELS.includes(a.slice(-1))
+  && VOWELS.includes(b.slice(-1));
+
+/**
+ * Comparar dos tokens preparados
+ * @returns {Object} { score, method: EXACT | PHONETIC | INITIAL | FUZZY | null }
+ */
+const compareTokens = (a, b) => {
+  if (a.text === b.text) return { score: TOKEN_SCORES.EXACT, method: 'EXACT' };
+  if (a.phonetic === b.phonetic) return { score: TOKEN_SCORES.PHONETIC, method: 'PHONETIC' };
+  if ((a.text.length === 1 && b.text.startsWith(a.text)) || (b.text.length === 1 && a.text.startsWith(b.text))) {
+    return { score: TOKEN_SCORES.INITIAL, method: 'INITIAL' };
+  }
+  if (differsInFinalVowel(a.text, b.text)) return { score: 0, method: null };
+  const similarity = jaroWinkler(a.text, b.text);
+  return similarity >= TOKEN_MIN_SCORE
+    ? { score: Math.min(similarity, TOKEN_SCORES.FUZZY_MAX), method: 'FUZZY' }
+    : { score: 0, method: null };
+};
+
+// Fecha de nacimiento de una lista (YYYY-MM-DD, dd/mm/aaaa, "01 Jan 1970" o solo año)
+const parseBirthDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  let match = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return { date: match[0], year: match[1] };
+  match = text.match(/(\d{1,2})[/-](\d{1,2})[/-](\d{4})/);
+  if (match) return { date: `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`, year: match[3] };
+  const year = text.match(/\b(1[89]|20)\d{2}\b/)?.[0] || null;
+  if (!year) return null;
+  const parsed = /[A-Z]{3}/i.test(text) ? new Date(`${text} UTC`) : null;
+  return {
+    date: parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString().substring(0, 10) : null,
+    year,
+  };
+};
+
+const birthDateBoost = (dateOfBirth, candidateDates = []) => {
+  const own = parseBirthDate(dateOfBirth);
+  if (!own) return 0;
+  const listed = candidateDates.map(parseBirthDate).filter(Boolean);
+  if (listed.some(date => own.date && date.date === own.date)) return BOOSTS.DATE_OF_BIRTH;
+  if (listed.some(date => date.year === own.year)) return BOOSTS.YEAR_OF_BIRTH;
+  return 0;
+};
+
+const nationalityBoost = (nationalities = [], candidateNationalities = []) => {
+  const own = nationalities.map(normalizeText).filter(Boolean);
+  const listed = candidateNationalities.map(normalizeText);
+  return own.some(value => listed.includes(value)) ? BOOSTS.NATIONALITY : 0;
+};
+
+/**
+ * Comparar un nombre buscado contra un nombre de lista
+ * @param {string|Object} query - Nombre buscado (texto o prepareName)
+ * @param {string|Object} candidate - Nombre en la lista (texto o prepareName)
+ * @param {Object} details - { dateOfBirth, nationalities, candidateDatesOfBirth, candidateNationalities }
+ *   nationalities: formas aceptadas de la nacionalidad buscada (clave y nombre del país)
+ * @returns {Object} { score, nameScore, coverage, tokens, unmatched, boosts } — tokens: pareja
+ *   de cada token con su método y puntaje
+ */
+export const matchNames = (query, candidate, details = {}) => {
+  const q = typeof query === 'string' ? prepareName(query) : query;
+  const c = typeof candidate === 'string' ? prepareName(candidate) : candidate;
+  const empty = { score: 0, nameScore: 0, coverage: 0, tokens: [], unmatched: { query: [], candidate: [] }, boosts: {} };
+  if (q.tokens.length === 0 || c.tokens.length === 0) return empty;
+
+  // Mejor pareja de cada token sin importar el orden (asignación voraz por puntaje)
+  const pairs = [];
+  q.tokens.forEach((qt, i) => c.tokens.forEach((ct, j) => {
+    const result = compareTokens(qt, ct);
+    if (result.score >= TOKEN_MIN_SCORE) pairs.push({ i, j, ...result });
+  }));
+  pairs.sort((a, b) => b.score - a.score);
+  const usedQuery = new Set();
+  const usedCandidate = new Set();
+  const tokens = [];
+  pairs.forEach(({ i, j, score, method }) => {
+    if (usedQuery.has(i) || usedCandidate.has(j)) return;
+    usedQuery.add(i);
+    usedCandidate.add(j);
+    tokens.push({ query: q.tokens[i].text, candidate: c.tokens[j].text, method, score: round(score) });
+  });
+
+  const shorter = Math.min(q.tokens.length, c.tokens.length);
+  const longer = Math.max(q.tokens.length, c.tokens.length);
+  const tokenScore = tokens.reduce((sum, token) => sum + token.score, 0) / shorter;
+  const missing = longer - tokens.length;
+  let coverage = missing === 0 ? 1 : Math.max(0, MISSING_ONE_TOKEN - MISSING_EXTRA_TOKEN * (missing - 1));
+  if (shorter === 1 && longer > 1) coverage *= SINGLE_TOKEN_FACTOR;
+  const nameScore = tokenScore * coverage;
+
+  const boosts = { dateOfBirth: 0, nationality: 0 };
+  if (nameScore >= BOOST_MIN_NAME_SCORE) {
+    boosts.dateOfBirth = birthDateBoost(details.dateOfBirth, details.candidateDatesOfBirth);
+    boosts.nationality = nationalityBoost(details.nationalities, details.candidateNationalities);
+  }
+
+  return {
+    score: round(Math.min(1, nameScore + boosts.dateOfBirth + boosts.nationality)),
+    nameScore: round(nameScore),
+    coverage: round(coverage),
+    tokens,
+    unmatched: {
+      query: q.tokens.filter((_, i) => !usedQuery.has(i)).map(token => token.text),
+      candidate: c.tokens.filter((_, j) => !usedCandidate.has(j)).map(token => token.text),
+    },
+    boosts,
+  };
+};
+
+/**
+ * Coincidencia casi exacta: todos los tokens de ambos nombres tienen pareja y
+ * el puntaje del nombre, sin bonos por fecha de nacimiento ni nacionalidad,
+ * alcanza el mínimo
+ * @param {Object} match - Resultado de matchNames
+ * @param {number} minNameScore - Puntaje mínimo del nombre (0 a 1)
+ * @returns {boolean}
+ */
+export const isNearExactMatch = (match, minNameScore) => match.coverage === 1 && match.nameScore >= minNameScore;
+
+export default {
+  normalizeText,
+  phoneticKey,
+  prepareName,
+  jaroWinkler,
+  matchNames,
+  isNearExactMatch,
+};
@@ -0,0 +1,261 @@
+/**
+ * Ownership Service
+ * Estructura accionaria y beneficiario controlador de personas morales
+ *
+ * - El árbol se guarda en el registro maestro (client.ownership.shareholders):
+ *   accionistas PF o PM con su porcentaje; una PM puede tener sus propios accionistas
+ * - La participación efectiva de cada persona física se obtiene multiplicando
+ *   los porcentajes de la cadena y sumando todas las cadenas en que aparece
+ * - Beneficiario controlador: persona física con más del 25% efectivo o que
+ *   ejerce el control por otros medios (Art. 3 fr. III RCG LFPIORPI)
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { validateRfc, validateCurp, normalizeIdentifier, isGenericRfc } from './identity.js';
+
+const db = getFirestore();
+
+export const CONTROL_THRESHOLD = 25;
+
+const MAX_DEPTH = 5;
+const MAX_NODES = 200;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Nombre completo de un accionista
+ */
+export const shareholderName = (node) => [node.nombre, node.apellidoPaterno, node.apellidoMaterno]
+  .filter(Boolean)
+  .join(' ')
+  .trim();
+
+// Una misma persona puede aparecer en varias cadenas: se identifica por RFC, CURP o nombre
+const personKey = (node) => {
+  const rfc = normalizeIdentifier(node.rfc);
+  if (rfc && !isGenericRfc(rfc)) return rfc;
+  const curp = normalizeIdentifier(node.curp);
+  if (curp) return curp;
+  return normalizeName(shareholderName(node));
+};
+
+// Solo los campos del árbol; los identificadores se normalizan
+const cleanShareholders = (nodes = []) => nodes.map(node => ({
+  id: String(node.id || ''),
+  tipo: node.tipo,
+  nombre: String(node.nombre || '').trim(),
+  apellidoPaterno: node.tipo === 'FISICA' ? String(node.apellidoPaterno || '').trim() : '',
+  apellidoMaterno: node.tipo === 'FISICA' ? String(node.apellidoMaterno || '').trim() : '',
+  rfc: normalizeIdentifier(node.rfc) || null,
+  curp: node.tipo === 'FISICA' ? normalizeIdentifier(node.curp) || null : null,
+  nacionalidad: node.nacionalidad || null,
+  percentage: round(Number(node.percentage) || 0),
+  control: node.tipo === 'FISICA' && !!node.control,
+  shareholders: node.tipo === 'MORAL' ? cleanShareholders(node.shareholders) : [],
+}));
+
+/**
+ * Validar el árbol capturado
+ * @param {Array} shareholders
+ * @returns {Array<string>} errores (vacío si es válido)
+ */
+export const validateOwnership = (shareholders) => {
+  const errors = [];
+  let count = 0;
+
+  const check = (nodes, depth, owner) => {
+    if (!Array.isArray(nodes)) {
+      errors.push(`${owner}: lista de accionistas inválida`);
+      return;
+    }
+    if (depth > MAX_DEPTH) {
+      errors.push(`${owner}: la estructura no puede tener más de ${MAX_DEPTH} niveles`);
+      return;
+    }
+
+    const total = nodes.reduce((sum, node) => sum + (Number(node.percentage) || 0), 0);
+    if (total > 100.01) {
+      errors.push(`${owner}: los porcentajes suman ${round(total)}%`);
+    }
+
+    nodes.forEach(node => {
+      count++;
+      const name = shareholderName(node) || 'Accionista sin nombre';
+      const percentage = Number(node.percentage);
+
+      if (!['FISICA', 'MORAL'].includes(node.tipo)) {
+        errors.push(`${name}: tipo de persona inválido`);
+      }
+      if (!String(node.nombre || '').trim()) {
+        errors.push(`${owner}: hay un accionista sin nombre o razón social`);
+      }
+      if (node.tipo === 'FISICA' && !String(node.apellidoPaterno || '').trim()) {
+        errors.push(`${name}: falta el apellido paterno`);
+      }
+      if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+        errors.push(`${name}: el porcentaje debe estar entre 0 y 100`);
+      }
+      if (node.rfc) {
+        const rfcCheck = validateRfc(node.rfc);
+        if (!rfcCheck.valid) errors.push(`${name}: ${rfcCheck.errors[0]}`);
+      }
+      if (node.curp && node.tipo === 'FISICA' && !validateCurp(node.curp).valid) {
+        errors.push(`${name}: CURP inválida`);
+      }
+      if (node.tipo === 'FISICA' && node.shareholders?.length) {
+        errors.push(`${name}: una persona física no puede tener accionistas`);
+      }
+      if (node.tipo === 'MORAL' && node.shareholders?.length) {
+        check(node.shareholders, depth + 1, name);
+      }
+    });
+  };
+
+  check(shareholders, 1, 'Cliente');
+  if (count > MAX_NODES) {
+    errors.push(`La estructura no puede tener más de ${MAX_NODES} accionistas`);
+  }
+  return [...new Set(errors)];
+};
+
+/**
+ * Participación efectiva y beneficiarios controladores
+ * @param {Array} shareholders
+ * @returns {Object} { status, controllers, owners, unresolved, identifiedPercentage }
+ *   status: MISSING | IDENTIFIED | INCOMPLETE (porción sin identificar > 25%) | NO_CONTROLLER
+ */
+export const evaluateOwnership = (shareholders = []) => {
+  const persons = new Map();
+  const unresolved = [];
+
+  const walk = (nodes, factor, path) => {
+    nodes.forEach(node => {
+      const effective = factor * (Number(node.percentage) || 0) / 100;
+      const name = shareholderName(node);
+
+      if (node.tipo === 'FISICA') {
+        const key = personKey(node);
+        const person = persons.get(key) || {
+          key,
+          nombre: node.nombre || '',
+          apellidoPaterno: node.apellidoPaterno || '',
+          apellidoMaterno: node.apellidoMaterno || '',
+          rfc: normalizeIdentifier(node.rfc) || null,
+          curp: normalizeIdentifier(node.curp) || null,
+          nacionalidad: node.nacionalidad || null,
+          effectivePercentage: 0,
+          control: false,
+          paths: [],
+        };
+        person.effectivePercentage += effective;
+        person.control = person.control || !!node.control;
+        person.paths.push([...path, name].join(' → '));
+        persons.set(key, person);
+        return;
+      }
+
+      const children = node.shareholders || [];
+      const childTotal = children.reduce((sum, child) => sum + (Number(child.percentage) || 0), 0);
+      if (children.length > 0) walk(children, effective, [...path, name]);
+
+      // Participación de la PM cuyos accionistas no se identificaron
+      const missing = effective * Math.max(0, 100 - childTotal) / 100;
+      if (missing > 0.005) {
+        unresolved.push({
+          nombre: name,
+          rfc: normalizeIdentifier(node.rfc) || null,
+          effectivePercentage: round(missing),
+          path: [...path, name].join(' → '),
+        });
+      }
+    });
+  };
+
+  walk(shareholders, 100, []);
+
+  const rootTotal = shareholders.reduce((sum, node) => sum + (Number(node.percentage) || 0), 0);
+  if (shareholders.length > 0 && rootTotal < 99.995) {
+    unresolved.push({
+      nombre: 'Accionistas no identificados',
+      rfc: null,
+      effectivePercentage: round(100 - rootTotal),
+      path: '',
+    });
+  }
+
+  const owners = [...persons.values()]
+    .map(person => ({ ...person, effectivePercentage: round(person.effectivePercentage) }))
+    .sort((a, b) => b.effectivePercentage - a.effectivePercentage);
+  const controllers = owners.filter(person => person.effectivePercentage > CONTROL_THRESHOLD || person.control);
+  const identifiedPercentage = round(owners.reduce((sum, person) => sum + person.effectivePercentage, 0));
+
+  let status = 'IDENTIFIED';
+  if (shareholders.length === 0) status = 'MISSING';
+  // Más del 25% sin identificar puede esconder al controlador: no se concluye que no lo hay
+  else if (unresolved.some(entry => entry.effectivePercentage > CONTROL_THRESHOLD)) status = 'INCOMPLETE';
+  else if (controllers.length === 0) status = 'NO_CONTROLLER';
+
+  return { status, controllers, owners, unresolved, identifiedPercentage };
+};
+
+/**
+ * Guardar la estructura accionaria del cliente con su versión en el historial
+ * @param {string} tenantId
+ * @param {string} clientId
+ * @param {Array} shareholders
+ * @param {Object} user - { uid, email }
+ * @returns {Promise<Object>} ownership guardado
+ */
+export const saveClientOwnership = async (tenantId, clientId, shareholders, user) => {
+  const clientRef = db.collection('tenants').doc(tenantId).collection('clients').doc(clientId);
+  const client = (await clientRef.get()).data();
+  const tree = cleanShareholders(shareholders);
+  const evaluation = evaluateOwnership(tree);
+  const now = new Date().toISOString();
+  const version = (client.versions?.ownership || 0) + 1;
+
+  const ownership = {
+    shareholders: tree,
+    ...evaluation,
+    updatedAt: now,
+    updatedBy: user.uid,
+    updatedByEmail: user.email || null,
+  };
+
+  const previousControllers = (client.ownership?.controllers || []).map(c => `${shareholderName(c)} (${c.effectivePercentage}%)`);
+  const currentControllers = evaluation.controllers.map(c => `${shareholderName(c)} (${c.effectivePercentage}%)`);
+
+  const batch = db.batch();
+  batch.update(clientRef, {
+    ownership,
+    'versions.ownership': version,
+    updatedAt: now,
+  });
+  batch.set(clientRef.collection('history').doc(), {
+    section: 'ownership',
+    version,
+    changedFields: ['shareholders'],
+    previous: { controllers: previousControllers, status: client.ownership?.status || null },
+    current: { controllers: currentControllers, status: evaluation.status },
+    changedBy: user.uid,
+    changedAt: now,
+  });
+  await batch.commit();
+
+  return ownership;
+};
+
+export default {
+  CONTROL_THRESHOLD,
+  shareholderName,
+  validateOwnership,
+  evaluateOwnership,
+  saveClientOwnership,
+};
@@ -0,0 +1,309 @@
+/**
+ * Retention Service
+ * Conservación de expedientes, operaciones y avisos por cinco años
+ * (Art. 18 fr. IV LFPIORPI)
+ *
+ * - Operaciones y generaciones de XML llevan su fecha `retentionUntil`
+ * - Los archivos de la Bóveda (expedientes KYC, acuses) se registran en
+ *   tenants/{tenantId}/retention/{recordId}; las reglas de Storage no permiten borrarlos
+ * - Suspensión por visita de la autoridad en tenants/{tenantId}.legalHold:
+ *   mientras esté activa ningún plazo se da por vencido
+ * - Depuración supervisada: el job mensual propone los vencidos en
+ *   tenants/{tenantId}/purgeRequests y solo se borran cuando un usuario aprueba
+ * - Las operaciones de una carga revertida que siguen en plazo pasan a
+ *   tenants/{tenantId}/archivedOperations y se depuran al vencer
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { logger } from 'firebase-functions';
+import { createHash } from 'crypto';
+
+const db = getFirestore();
+
+export const RETENTION_YEARS = 5;
+
+// Máximo de elementos por solicitud de depuración (tamaño del documento)
+const MAX_PURGE_ITEMS = 500;
+
+// Operaciones por lote al archivar (dos escrituras cada una)
+const ARCHIVE_BATCH_SIZE = 200;
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+/**
+ * Fecha hasta la que debe conservarse un registro
+ * @param {string|Date|Object} fecha - YYYY-MM-DD, ISO, Date o Timestamp de Firestore
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const getRetentionUntil = (fecha) => {
+  const value = fecha?.toDate ? fecha.toDate() : fecha;
+  const date = typeof value === 'string' ? new Date(`${value.substring(0, 10)}T00:00:00Z`) : value;
+  if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+  const until = new Date(Date.UTC(date.getUTCFullYear() + RETENTION_YEARS, date.getUTCMonth(), date.getUTCDate()));
+  return until.toISOString().substring(0, 10);
+};
+
+const vaultRecordId = (filePath) => createHash('sha256').update(filePath).digest('hex').substring(0, 32);
+
+/**
+ * Registrar un archivo de la Bóveda con su plazo de conservación
+ * Si ya estaba registrado conserva el plazo más largo.
+ * @param {string} tenantId
+ * @param {Object} data - { filePath, category: 'KYC' | 'ACUSE', clientId, retentionFrom }
+ * @returns {Promise<string>} retentionUntil
+ */
+export const registerVaultObject = async (tenantId, { filePath, category, clientId = null, retentionFrom = new Date() }) => {
+  const recordRef = db.collection('tenants').doc(tenantId).collection('retention').doc(vaultRecordId(filePath));
+  const previous = (await recordRef.get()).data();
+  const retentionUntil = getRetentionUntil(retentionFrom);
+
+  if (previous?.retentionUntil && previous.retentionUntil >= retentionUntil) {
+    return previous.retentionUntil;
+  }
+
+  await recordRef.set({
+    kind: 'VAULT_OBJECT',
+    filePath,
+    category,
+    clientId,
+    retentionUntil,
+    status: 'ACTIVE',
+    registeredAt: previous?.registeredAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+  return retentionUntil;
+};
+
+/**
+ * Quitar del registro una copia de archivo de la Bóveda
+ * Solo para copias que dejan de existir (fusión de clientes deshecha); los
+ * originales se borran únicamente con la depuración supervisada (purgeItems)
+ * @param {string} tenantId
+ * @param {string} filePath
+ */
+export const unregisterVaultObject = async (tenantId, filePath) => {
+  await db.collection('tenants').doc(tenantId).collection('retention').doc(vaultRecordId(filePath)).delete();
+};
+
+/**
+ * Suspensión vigente del tenant (null si no hay)
+ * @returns {Promise<Object|null>} { active, reason, startedAt, startedBy }
+ */
+export const getLegalHold = async (tenantId) => {
+  const tenantDoc = await db.collection('tenants').doc(tenantId).get();
+  const legalHold = tenantDoc.data()?.legalHold;
+  return legalHold?.active ? legalHold : null;
+};
+
+/**
+ * Quitar operaciones del tenant (reversión de una carga)
+ * Las que siguen dentro de su plazo de conservación, o sin fecha para calcularlo,
+ * se archivan en tenants/{tenantId}/archivedOperations; solo las vencidas se borran.
+ * Con la suspensión de plazos activa no se quita nada.
+ * @param {string} tenantId
+ * @param {Array} docs - Documentos de las operaciones
+ * @param {Object} context - { reason, uploadBatchId, userId }
+ * @returns {Promise<Object>} { archived, deleted }
+ */
+export const removeOperations = async (tenantId, docs, { reason, uploadBatchId = null, userId }) => {
+  if (await getLegalHold(tenantId)) {
+    throw new Error('Los plazos de conservación están suspendidos: no se pueden quitar operaciones');
+  }
+
+  const archiveRef = db.collection('tenants').doc(tenantId).collection('archivedOperations');
+  const fecha = today();
+  const now = new Date().toISOString();
+  const result = { archived: 0, deleted: 0 };
+
+  for (let i = 0; i < docs.length; i += ARCHIVE_BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(i, i + ARCHIVE_BATCH_SIZE).forEach(doc => {
+      const op = doc.data();
+      const retentionUntil = op.retentionUntil || getRetentionUntil(op.fechaOperacion);
+      if (!retentionUntil || retentionUntil > fecha) {
+        batch.set(archiveRef.doc(doc.id), {
+          ...op,
+          retentionUntil: retentionUntil || null,
+          archivedAt: now,
+          archivedBy: userId,
+          archiveReason: reason,
+          archivedFromBatch: uploadBatchId,
+        });
+        result.archived++;
+      } else {
+        result.deleted++;
+      }
+      batch.delete(doc.ref);
+    });
+    await batch.commit();
+  }
+
+  return result;
+};
+
+/**
+ * Plazo vigente de un expediente KYC: cinco años desde la carga o desde la
+ * última operación del cliente, lo que sea posterior
+ */
+const kycRetentionUntil = (record, client) => {
+  const fromOperations = client?.lastOperationAt ? getRetentionUntil(client.lastOperationAt) : null;
+  return fromOperations && fromOperations > record.retentionUntil ? fromOperations : record.retentionUntil;
+};
+
+/**
+ * Elementos con plazo de conservación vencido
+ * Los registros sin `retentionUntil` (cargados antes de esta política) se conservan.
+ * @param {string} tenantId
+ * @param {string} fecha - YYYY-MM-DD
+ * @returns {Promise<Array>} [{ kind, ref, retentionUntil, label }]
+ */
+export const listExpiredItems = async (tenantId, fecha = today()) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const items = [];
+
+  const [opsSnapshot, archivedSnapshot, xmlSnapshot, vaultSnapshot] = await Promise.all([
+    tenantRef.collection('operations').where('retentionUntil', '<=', fecha).limit(MAX_PURGE_ITEMS).get(),
+    tenantRef.collection('archivedOperations').where('retentionUntil', '<=', fecha).limit(MAX_PURGE_ITEMS).get(),
+    tenantRef.collection('xml_generations').where('retentionUntil', '<=', fecha).limit(MAX_PURGE_ITEMS).get(),
+    // Los registros ya purgados conservan su fecha: sin el filtro llenarían la página
+    tenantRef.collection('retention')
+      .where('status', '==', 'ACTIVE')
+      .where('retentionUntil', '<=', fecha)
+      .limit(MAX_PURGE_ITEMS)
+      .get(),
+  ]);
+
+  opsSnapshot.docs.forEach(doc => {
+    const op = doc.data();
+    items.push({
+      kind: 'OPERATION',
+      ref: doc.id,
+      retentionUntil: op.retentionUntil,
+      label: `${op.rfcCliente || op.clientId || ''} · ${op.fechaOperacion || ''} · ${op.sourceFile || op.captureMethod || ''}`,
+    });
+  });
+
+  archivedSnapshot.docs.forEach(doc => {
+    const op = doc.data();
+    items.push({
+      kind: 'ARCHIVED_OPERATION',
+      ref: doc.id,
+      retentionUntil: op.retentionUntil,
+      label: `${op.rfcCliente || op.clientId || ''} · ${op.fechaOperacion || ''} · ${op.sourceFile || op.captureMethod || ''} (revertida)`,
+    });
+  });
+
+  xmlSnapshot.docs.forEach(doc => {
+    const generation = doc.data();
+    items.push({
+      kind: 'XML_GENERATION',
+      ref: doc.id,
+      retentionUntil: generation.retentionUntil,
+      label: `${generation.activityType} ${generation.periodYear}-${String(generation.periodMonth).padStart(2, '0')}`,
+    });
+  });
+
+  for (const doc of vaultSnapshot.docs) {
+    const record = doc.data();
+
+    // El expediente sigue vigente mientras el cliente opere
+    if (record.category === 'KYC' && record.clientId) {
+      const clientDoc = await tenantRef.collection('clients').doc(record.clientId).get();
+      const retentionUntil = kycRetentionUntil(record, clientDoc.data());
+      if (retentionUntil > fecha) {
+        await doc.ref.update({ retentionUntil, updatedAt: new Date().toISOString() });
+        continue;
+      }
+    }
+
+    items.push({
+      kind: 'VAULT_OBJECT',
+      ref: doc.id,
+      retentionUntil: record.retentionUntil,
+      label: record.filePath.split('/').slice(2).join('/'),
+    });
+  }
+
+  return items.slice(0, MAX_PURGE_ITEMS);
+};
+
+// Colección de cada tipo de elemento guardado como documento
+const ITEM_COLLECTIONS = {
+  OPERATION: 'operations',
+  ARCHIVED_OPERATION: 'archivedOperations',
+  XML_GENERATION: 'xml_generations',
+};
+
+/**
+ * Borrar los elementos aprobados de una solicitud de depuración
+ * Cada elemento se vuelve a verificar: si su plazo se extendió se omite, y con
+ * la suspensión de plazos activa no se borra nada.
+ * @param {string} tenantId
+ * @param {Array} items - [{ kind, ref }]
+ * @returns {Promise<Object>} { deleted, skipped }
+ */
+export const purgeItems = async (tenantId, items) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const result = { deleted: 0, skipped: 0 };
+  if (await getLegalHold(tenantId)) {
+    return { ...result, skipped: items.length };
+  }
+
+  const bucket = getStorage().bucket();
+  const fecha = today();
+
+  for (const item of items) {
+    try {
+      if (ITEM_COLLECTIONS[item.kind]) {
+        const docRef = tenantRef.collection(ITEM_COLLECTIONS[item.kind]).doc(item.ref);
+        const doc = await docRef.get();
+        if (!doc.exists || !doc.data().retentionUntil || doc.data().retentionUntil > fecha) {
+          result.skipped++;
+          continue;
+        }
+        await docRef.delete();
+        result.deleted++;
+        continue;
+      }
+
+      const recordRef = tenantRef.collection('retention').doc(item.ref);
+      const record = (await recordRef.get()).data();
+      const client = record?.category === 'KYC' && record.clientId
+        ? (await tenantRef.collection('clients').doc(record.clientId).get()).data()
+        : null;
+      if (!record || record.status !== 'ACTIVE' || kycRetentionUntil(record, client) > fecha) {
+        result.skipped++;
+        continue;
+      }
+
+      await bucket.file(record.filePath).delete({ ignoreNotFound: true });
+      if (record.category === 'KYC' && record.clientId) {
+        const kycSnapshot = await tenantRef.collection('clients').doc(record.clientId)
+          .collection('kycDocuments')
+          .where('filePath', '==', record.filePath)
+          .get();
+        await Promise.all(kycSnapshot.docs.map(doc => doc.ref.delete()));
+      }
+      // El registro queda como constancia de la depuración
+      await recordRef.update({ status: 'PURGED', purgedAt: new Date().toISOString() });
+      result.deleted++;
+    } catch (error) {
+      logger.error(`Error purging ${item.kind} ${item.ref} for tenant ${tenantId}:`, error);
+      result.skipped++;
+    }
+  }
+
+  return result;
+};
+
+export default {
+  RETENTION_YEARS,
+  getRetentionUntil,
+  registerVaultObject,
+  unregisterVaultObject,
+  removeOperations,
+  getLegalHold,
+  listExpiredItems,
+  purgeItems,
+};
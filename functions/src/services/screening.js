@@ -1,62 +1,218 @@
 /**
  * Screening Service
- * Motor de búsqueda en listas negras (SAT 69-B, PEPS, ONU)
+ * Motor de búsqueda en listas negras (SAT 69-B, OFAC SDN, ONU, LPB UIF, PEPS)
+ *
+ * Una coincidencia en la Lista de Personas Bloqueadas (LPB) de la UIF obliga a
+ * suspender la operación y presentar el aviso dentro de las 24 horas siguientes:
+ * las operaciones del cliente quedan en estatus BLOCKED y se abre una alerta
+ * urgente con ese plazo.
  */
 
-import Fuse from 'fuse.js';
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getFunctions } from 'firebase-admin/functions';
 import { logger } from 'firebase-functions';
+import { updateClientRisk } from './client-risk.js';
+import { WATCHLISTS, loadWatchlist, getLatestImportedAt } from './watchlists.js';
+import { isGenericRfc } from './identity.js';
+import { findCatalogEntry } from './catalogs.js';
+import { normalizeText, prepareName, matchNames, isNearExactMatch } from './name-matching.js';
 
 const db = getFirestore();
 
 // ============================================================
-// MOCK DATA - Listas Negras (En producción usar base de datos)
+// CONFIGURACIÓN DE COINCIDENCIAS (services/name-matching.js)
 // ============================================================
 
-// Lista 69-B SAT (Contribuyentes con operaciones inexistentes)
-const SAT_69B_LIST = [
-  { rfc: 'AAA010101AAA', name: 'COMERCIALIZADORA FANTASMA SA DE CV', type: 'DEFINITIVO' },
-  { rfc: 'BBB020202BBB', name: 'DISTRIBUIDORA FICTICIA DEL NORTE', type: 'PRESUNTO' },
-  { rfc: 'CCC030303CCC', name: 'IMPORTADORA INEXISTENTE SA', type: 'DEFINITIVO' },
-  { rfc: 'DDD040404DDD', name: 'SERVICIOS SIMULADOS DEL BAJIO', type: 'PRESUNTO' },
-  { rfc: 'EEE050505EEE', name: 'CONSTRUCTORA FALSA SA DE CV', type: 'SENTENCIA' },
-  { rfc: 'FFF060606FFF', name: 'TRANSPORTES IMAGINARIOS SC', type: 'DEFINITIVO' },
-  { rfc: 'GGG070707GGG', name: 'CONSULTORIA IRREAL SA DE CV', type: 'PRESUNTO' },
-  { rfc: 'HHH080808HHH', name: 'ALIMENTOS FRAUDULENTOS SA', type: 'DEFINITIVO' },
-];
-
-// Lista PEPs (Personas Expuestas Políticamente)
-const PEP_LIST = [
-  { name: 'JUAN PEREZ MARTINEZ', position: 'Secretario de Estado', country: 'MX' },
-  { name: 'MARIA GARCIA LOPEZ', position: 'Gobernador', country: 'MX' },
-  { name: 'CARLOS RODRIGUEZ SANCHEZ', position: 'Senador', country: 'MX' },
-  { name: 'ANA FERNANDEZ RUIZ', position: 'Magistrado', country: 'MX' },
-  { name: 'PEDRO GONZALEZ HERRERA', position: 'Director General PEMEX', country: 'MX' },
-];
-
-// Lista ONU Sanciones
-const ONU_SANCTIONS_LIST = [
-  { name: 'AL QAEDA NETWORK', type: 'TERRORIST', reference: 'QDe.004' },
-  { name: 'TALIBAN ORGANIZATION', type: 'TERRORIST', reference: 'TAe.001' },
-  { name: 'NORTH KOREA TRADING CO', type: 'SANCTIONS', reference: 'KPi.001' },
-];
+// Un nombre cuenta como coincidencia a partir de este puntaje (0 a 1)
+const NAME_MATCH_THRESHOLD = 0.8;
 
-// ============================================================
-// FUSE.JS CONFIGURATION
-// ============================================================
+// Situaciones del 69-B que generan coincidencia: desvirtuados y sentencia
+// favorable ya no están en el supuesto, pero se conservan en el dataset para
+// el historial y la diferencia entre versiones
+const SAT_69B_SCREENED_TYPES = ['PRESUNTO', 'DEFINITIVO'];
+
+// Listas de sanciones importadas; coincidir solo con un alias débil (OFAC weak,
+// ONU low) baja el riesgo de CRITICAL a HIGH
+const SANCTIONS_LISTS = ['OFAC_SDN', 'ONU_SANCTIONS'];
+const WEAK_ALIAS_QUALITIES = ['WEAK', 'LOW'];
+
+// La LPB bloquea operaciones: por nombre solo cuenta una coincidencia casi exacta
+// (todos los tokens, a lo más con diferencias fonéticas o de captura); los bonos
+// por fecha de nacimiento o nacionalidad no cuentan para este mínimo
+const LPB_NAME_MIN_SCORE = 0.95;
+const LPB_DEADLINE_HOURS = 24;
+
+// Operaciones que ya no se bloquean (presentadas o ya suspendidas)
+const UNBLOCKABLE_STATUSES = ['REPORTED', 'BLOCKED'];
+
+// Una PEP lo sigue siendo durante este periodo después de dejar el cargo;
+// pasado el periodo la coincidencia se reporta como FORMER con riesgo bajo
+const PEP_POST_OFFICE_YEARS = 1;
+
+// Índice de la versión activa de cada lista; se reconstruye al cambiar de versión
+const listIndexes = new Map();
+
+/**
+ * Persona moral (true), física (false) o sin dato (undefined) por tipo de
+ * cliente o de registro de lista y, en su defecto, por la longitud del RFC;
+ * decide qué forma societaria se quita del nombre antes de compararlo
+ */
+const isLegalEntity = (type, rfc) => {
+  const normalizedType = normalizeText(type);
+  if (normalizedType.includes('MORAL') || normalizedType === 'ENTITY') return true;
+  if (normalizedType.includes('FISICA') || normalizedType === 'INDIVIDUAL') return false;
+  const rfcLength = String(rfc || '').trim().length;
+  if (rfcLength === 12) return true;
+  if (rfcLength === 13) return false;
+  return undefined;
+};
 
-const fuseOptions = {
-  includeScore: true,
-  threshold: 0.4, // 0 = coincidencia exacta, 1 = coincide todo
-  keys: ['name', 'rfc'],
-  ignoreLocation: true,
-  minMatchCharLength: 3,
+const getListIndex = async (listId) => {
+  const list = await loadWatchlist(listId);
+  if (!list.versionId) return null;
+
+  const cached = listIndexes.get(listId);
+  if (cached?.versionId === list.versionId) return cached;
+
+  const entries = listId === 'SAT_69B'
+    ? list.entries.filter(entry => SAT_69B_SCREENED_TYPES.includes(entry.type))
+    : list.entries;
+  // Nombre principal, alias y familiares / asociados (PEP) como registros de búsqueda independientes
+  const names = entries.flatMap(entry => [
+    { entry, name: entry.name, alias: null, relative: null },
+    ...(entry.aliases || []).map(alias => ({ entry, name: alias.name, alias, relative: null })),
+    ...(entry.relatives || []).map(relative => ({ entry, name: relative.name, alias: null, relative })),
+  ]).map(record => ({
+    ...record,
+    // Titulares PEP y sus familiares o asociados son personas físicas
+    prepared: prepareName(record.name, {
+      legalEntity: listId === 'PEP' || record.relative ? false : isLegalEntity(record.entry.type, record.entry.rfc),
+    }),
+  }));
+
+  // Candidatos por clave fonética de cada token: solo se comparan los nombres
+  // que comparten al menos un token con el buscado
+  const byToken = new Map();
+  names.forEach(record => record.prepared.tokens.forEach(({ phonetic }) => {
+    if (!byToken.has(phonetic)) byToken.set(phonetic, new Set());
+    byToken.get(phonetic).add(record);
+  }));
+
+  const index = {
+    versionId: list.versionId,
+    publishedAt: list.publishedAt,
+    byRfc: new Map(entries.filter(entry => entry.rfc).map(entry => [entry.rfc, entry])),
+    byCurp: new Map(entries.filter(entry => entry.curp).map(entry => [entry.curp, entry])),
+    byToken,
+  };
+  listIndexes.set(listId, index);
+  return index;
+};
+
+/**
+ * Mejor coincidencia por nombre de cada entrada de una lista importada
+ * (cada familiar o asociado de una PEP cuenta como persona aparte)
+ * @param {Object} index - getListIndex
+ * @param {string} name - Nombre buscado
+ * @param {Object} options - { threshold, nearExact, dateOfBirth, nationalities, legalEntity }
+ *   nearExact: solo nombres con todos los tokens y threshold sobre el puntaje sin bonos
+ * @returns {Array} [{ entry, alias, relative, score, match }] — match: sub-puntajes de matchNames
+ */
+const searchListByName = (index, name, {
+  threshold = NAME_MATCH_THRESHOLD, nearExact = false, dateOfBirth, nationalities, legalEntity,
+} = {}) => {
+  const query = prepareName(name, { legalEntity });
+  const candidates = new Set(query.tokens.flatMap(({ phonetic }) => [...(index.byToken.get(phonetic) || [])]));
+
+  const best = new Map();
+  candidates.forEach(({ entry, alias, relative, prepared }) => {
+    const match = matchNames(query, prepared, {
+      dateOfBirth,
+      nationalities,
+      candidateDatesOfBirth: entry.datesOfBirth || [entry.birthDate].filter(Boolean),
+      candidateNationalities: entry.nationalities || [],
+    });
+    const accepted = nearExact ? isNearExactMatch(match, threshold) : match.score >= threshold;
+    const score = nearExact ? match.nameScore : match.score;
+    const key = relative ? `${entry.key}|${relative.name}` : entry.key;
+    const current = best.get(key);
+    if (accepted && (!current || score > current.score)) {
+      best.set(key, { entry, alias, relative, score, match });
+    }
+  });
+  return [...best.values()];
 };
 
-// Crear instancias de Fuse para cada lista
-const fuseSAT = new Fuse(SAT_69B_LIST, { ...fuseOptions, keys: ['name', 'rfc'] });
-const fusePEP = new Fuse(PEP_LIST, { ...fuseOptions, keys: ['name'] });
-const fuseONU = new Fuse(ONU_SANCTIONS_LIST, { ...fuseOptions, keys: ['name'] });
+// Formas aceptadas de la nacionalidad buscada: tal cual y nombre del país del catálogo
+const nationalityForms = (nationality) => (nationality
+  ? [nationality, findCatalogEntry('pais', nationality)?.label].filter(Boolean)
+  : []);
+
+/**
+ * Situación de una PEP a una fecha: ACTIVE (en el cargo), POST_OFFICE (dentro
+ * del periodo posterior al cargo) o FORMER
+ * @param {Object} entry - Titular del padrón de PEPs (services/watchlists.js)
+ * @param {string} asOf - Fecha YYYY-MM-DD
+ * @returns {Object} { pepStatus, postOfficeUntil }
+ */
+export const getPepStatus = (entry, asOf = new Date().toISOString().substring(0, 10)) => {
+  if (!entry.endDate) return { pepStatus: 'ACTIVE', postOfficeUntil: null };
+  const until = new Date(`${entry.endDate}T00:00:00Z`);
+  until.setUTCFullYear(until.getUTCFullYear() + PEP_POST_OFFICE_YEARS);
+  const postOfficeUntil = until.toISOString().substring(0, 10);
+
+  if (entry.endDate >= asOf) return { pepStatus: 'ACTIVE', postOfficeUntil };
+  return { pepStatus: postOfficeUntil >= asOf ? 'POST_OFFICE' : 'FORMER', postOfficeUntil };
+};
+
+/**
+ * Coincidencia en la Lista de Personas Bloqueadas de la UIF
+ * @param {Object} person - { name, rfc, curp, dateOfBirth?, nationality?, tipo? }
+ * @returns {Promise<Object|null>} Coincidencia (source LPB, riesgo CRITICAL) o null
+ *   si no hay coincidencia o la lista no se ha importado
+ */
+export const findBlockedPerson = async ({ name, rfc, curp, dateOfBirth, nationality, tipo }) => {
+  const index = await getListIndex('LPB');
+  if (!index) return null;
+
+  const normalizedRfc = String(rfc || '').toUpperCase().trim();
+  const normalizedCurp = String(curp || '').toUpperCase().trim();
+  const normalizedName = String(name || '').toUpperCase().trim();
+
+  let found = null;
+  if (normalizedRfc && !isGenericRfc(normalizedRfc) && index.byRfc.has(normalizedRfc)) {
+    found = { entry: index.byRfc.get(normalizedRfc), alias: null, score: 1, match: null, matchedBy: 'RFC' };
+  } else if (normalizedCurp && index.byCurp.has(normalizedCurp)) {
+    found = { entry: index.byCurp.get(normalizedCurp), alias: null, score: 1, match: null, matchedBy: 'CURP' };
+  } else if (normalizedName) {
+    const [best] = searchListByName(index, normalizedName, {
+      threshold: LPB_NAME_MIN_SCORE,
+      nearExact: true,
+      dateOfBirth,
+      nationalities: nationalityForms(nationality),
+      legalEntity: isLegalEntity(tipo, normalizedRfc),
+    }).sort((a, b) => b.score - a.score);
+    if (best) found = { ...best, matchedBy: 'NAME' };
+  }
+  if (!found) return null;
+
+  return {
+    source: 'LPB',
+    sourceLabel: WATCHLISTS.LPB.label,
+    matchedName: found.entry.name,
+    matchedRfc: found.entry.rfc,
+    matchedCurp: found.entry.curp,
+    matchedAlias: found.alias?.name || null,
+    matchedBy: found.matchedBy,
+    type: found.entry.type,
+    reference: found.entry.reference,
+    listedOn: found.entry.listedOn,
+    listVersionId: index.versionId,
+    score: found.score,
+    matchDetail: found.match,
+    risk: 'CRITICAL',
+  };
+};
 
 // ============================================================
 // SCREENING FUNCTIONS
@@ -66,9 +222,15 @@ const fuseONU = new Fuse(ONU_SANCTIONS_LIST, { ...fuseOptions, keys: ['name'] })
  * Buscar coincidencias en listas negras
  * @param {string} name - Nombre a buscar
  * @param {string} rfc - RFC a buscar (opcional)
- * @returns {Object} Resultados del screening
+ * @param {string} curp - CURP a buscar (opcional, solo LPB)
+ * @param {Object} person - { dateOfBirth, nationality } (opcionales): suman al
+ *   puntaje de los nombres parecidos cuando coinciden con la lista; tipo
+ *   (FISICA / MORAL, opcional) decide si se ignora la forma societaria del nombre
+ * @returns {Promise<Object>} Resultados del screening (listVersions: versión
+ *   de cada lista importada con la que se buscó; null si no se ha importado).
+ *   Las coincidencias por nombre traen matchDetail con los sub-puntajes
  */
-export const searchBlacklists = (name, rfc = '') => {
+export const searchBlacklists = async (name, rfc = '', curp = '', { dateOfBirth, nationality, tipo } = {}) => {
   const results = {
     matchFound: false,
     matches: [],
@@ -77,80 +239,115 @@ export const searchBlacklists = (name, rfc = '') => {
 
   const normalizedName = name?.toUpperCase().trim() || '';
   const normalizedRfc = rfc?.toUpperCase().trim() || '';
+  const nameOptions = {
+    dateOfBirth,
+    nationalities: nationalityForms(nationality),
+    legalEntity: isLegalEntity(tipo, normalizedRfc),
+  };
 
-  // Búsqueda en SAT 69-B
-  if (normalizedName || normalizedRfc) {
-    const satResults = fuseSAT.search(normalizedRfc || normalizedName);
-    satResults.forEach((result) => {
-      if (result.score <= 0.4) {
-        results.matches.push({
-          source: 'SAT_69B',
-          sourceLabel: 'Lista 69-B SAT',
-          matchedName: result.item.name,
-          matchedRfc: result.item.rfc,
-          type: result.item.type,
-          score: Math.round((1 - result.score) * 100) / 100,
-          risk: 'CRITICAL',
-        });
-      }
-    });
+  const listIds = ['SAT_69B', ...SANCTIONS_LISTS, 'LPB', 'PEP'];
+  const loaded = await Promise.all(listIds.map(getListIndex));
+  const indexes = Object.fromEntries(listIds.map((listId, i) => [listId, loaded[i]]));
+  const sat69b = indexes.SAT_69B;
+  results.listVersions = {};
+  Object.entries(indexes).forEach(([listId, index]) => {
+    results.listVersions[listId] = index ? { versionId: index.versionId, publishedAt: index.publishedAt } : null;
+    if (!index) {
+      logger.warn(`Watchlist ${listId} has not been imported; skipping it`);
+    }
+  });
 
-    // También buscar por nombre si el RFC no coincidió
-    if (normalizedName && normalizedRfc) {
-      const satNameResults = fuseSAT.search(normalizedName);
-      satNameResults.forEach((result) => {
-        // Evitar duplicados
-        const isDuplicate = results.matches.some(
-          (m) => m.source === 'SAT_69B' && m.matchedRfc === result.item.rfc
-        );
-        if (result.score <= 0.4 && !isDuplicate) {
-          results.matches.push({
-            source: 'SAT_69B',
-            sourceLabel: 'Lista 69-B SAT',
-            matchedName: result.item.name,
-            matchedRfc: result.item.rfc,
-            type: result.item.type,
-            score: Math.round((1 - result.score) * 100) / 100,
-            risk: 'CRITICAL',
-          });
-        }
-      });
+  // Lista de Personas Bloqueadas UIF: RFC / CURP exactos o nombre casi exacto
+  if (indexes.LPB) {
+    const blockedMatch = await findBlockedPerson({ name: normalizedName, rfc: normalizedRfc, curp, dateOfBirth, nationality, tipo });
+    if (blockedMatch) results.matches.push(blockedMatch);
+  }
+
+  // Búsqueda en SAT 69-B (versión activa): RFC exacto y nombre aproximado
+  if (sat69b && (normalizedName || normalizedRfc)) {
+    const satMatches = [];
+    const rfcEntry = normalizedRfc ? sat69b.byRfc.get(normalizedRfc) : null;
+    if (rfcEntry) {
+      satMatches.push({ entry: rfcEntry, score: 1, match: null });
+    }
+    if (normalizedName) {
+      // Evitar duplicados
+      satMatches.push(...searchListByName(sat69b, normalizedName, nameOptions)
+        .filter((result) => result.entry !== rfcEntry));
     }
+    satMatches.forEach((result) => {
+      results.matches.push({
+        source: 'SAT_69B',
+        sourceLabel: 'Lista 69-B SAT',
+        matchedName: result.entry.name,
+        matchedRfc: result.entry.rfc,
+        type: result.entry.type,
+        statusPublishedAt: result.entry.statusPublishedAt || null,
+        score: result.score,
+        matchDetail: result.match,
+        risk: 'CRITICAL',
+      });
+    });
   }
 
-  // Búsqueda en PEPs
-  if (normalizedName) {
-    const pepResults = fusePEP.search(normalizedName);
-    pepResults.forEach((result) => {
-      if (result.score <= 0.4) {
-        results.matches.push({
-          source: 'PEP',
-          sourceLabel: 'Personas Expuestas Políticamente',
-          matchedName: result.item.name,
-          position: result.item.position,
-          country: result.item.country,
-          score: Math.round((1 - result.score) * 100) / 100,
-          risk: 'HIGH',
-        });
-      }
+  // Búsqueda en PEPs (titulares por RFC exacto y nombre; familiares y asociados por nombre)
+  const pepIndex = indexes.PEP;
+  if (pepIndex && (normalizedName || normalizedRfc)) {
+    const rfcEntry = normalizedRfc ? pepIndex.byRfc.get(normalizedRfc) : null;
+    const pepMatches = rfcEntry ? [{ entry: rfcEntry, relative: null, score: 1, match: null }] : [];
+    if (normalizedName) {
+      pepMatches.push(...searchListByName(pepIndex, normalizedName, nameOptions)
+        .filter((result) => result.relative || result.entry !== rfcEntry));
+    }
+    pepMatches.forEach(({ entry, relative, score, match }) => {
+      const { pepStatus, postOfficeUntil } = getPepStatus(entry);
+      results.matches.push({
+        source: 'PEP',
+        sourceLabel: WATCHLISTS.PEP.label,
+        matchedName: relative ? relative.name : entry.name,
+        matchedRfc: (relative ? relative.rfc : entry.rfc) || null,
+        // PEP (titular), CONYUGE, FAMILIAR o ASOCIADO
+        category: relative ? relative.category : 'PEP',
+        relationship: relative?.relationship || null,
+        pepName: entry.name,
+        position: entry.position,
+        institution: entry.institution,
+        level: entry.level,
+        state: entry.state,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        pepStatus,
+        postOfficeUntil,
+        inPostOfficePeriod: pepStatus === 'POST_OFFICE',
+        score,
+        matchDetail: match,
+        risk: pepStatus === 'FORMER' ? 'LOW' : 'HIGH',
+      });
     });
   }
 
-  // Búsqueda en ONU
+  // Búsqueda en OFAC SDN y Lista Consolidada ONU (nombre y alias)
   if (normalizedName) {
-    const onuResults = fuseONU.search(normalizedName);
-    onuResults.forEach((result) => {
-      if (result.score <= 0.4) {
+    SANCTIONS_LISTS.forEach((listId) => {
+      if (!indexes[listId]) return;
+      searchListByName(indexes[listId], normalizedName, nameOptions).forEach((result) => {
+        const weakAlias = WEAK_ALIAS_QUALITIES.includes(result.alias?.quality);
         results.matches.push({
-          source: 'ONU_SANCTIONS',
-          sourceLabel: 'Lista de Sanciones ONU',
-          matchedName: result.item.name,
-          type: result.item.type,
-          reference: result.item.reference,
-          score: Math.round((1 - result.score) * 100) / 100,
-          risk: 'CRITICAL',
+          source: listId,
+          sourceLabel: WATCHLISTS[listId].label,
+          matchedName: result.entry.name,
+          matchedAlias: result.alias?.name || null,
+          aliasQuality: result.alias?.quality || null,
+          type: result.entry.type,
+          programs: result.entry.programs,
+          reference: result.entry.reference,
+          datesOfBirth: result.entry.datesOfBirth,
+          nationalities: result.entry.nationalities,
+          score: result.score,
+          matchDetail: result.match,
+          risk: weakAlias ? 'HIGH' : 'CRITICAL',
         });
-      }
+      });
     });
   }
 
@@ -162,6 +359,246 @@ export const searchBlacklists = (name, rfc = '') => {
   return results;
 };
 
+/**
+ * Datos del bloqueo que se guardan en la operación (blockedBy)
+ */
+export const blockedOperationInfo = (match) => ({
+  source: match.source,
+  listVersionId: match.listVersionId,
+  matchedName: match.matchedName,
+  matchedRfc: match.matchedRfc || null,
+  matchedCurp: match.matchedCurp || null,
+  matchedBy: match.matchedBy,
+  reference: match.reference || null,
+  score: match.score,
+  blockedAt: new Date().toISOString(),
+});
+
+/**
+ * Alerta urgente por coincidencia en la LPB con el plazo de 24 horas para el aviso
+ * @param {string} tenantId - ID del tenant
+ * @param {Object} data - { clientId, clientName, match, operationIds?, uploadBatchId?, sourceRows?, screeningId?, alertId? }
+ *   alertId: ID fijo para que repetir el paso no abra una segunda alerta
+ * @returns {Promise<string>} ID de la alerta
+ */
+export const openBlockedPersonAlert = async (tenantId, {
+  clientId, clientName, match, operationIds = [], uploadBatchId = null, sourceRows = [], screeningId = null, alertId = null,
+}) => {
+  const now = new Date();
+  const deadline = new Date(now.getTime() + LPB_DEADLINE_HOURS * 60 * 60 * 1000);
+  const deadlineLabel = deadline.toLocaleString('es-MX', { timeZone: 'America/Mexico_City' });
+  const tenantRef = db.collection('tenants').doc(tenantId);
+
+  const alertRef = alertId ? tenantRef.collection('alerts').doc(alertId) : tenantRef.collection('alerts').doc();
+  const alert = {
+    type: 'LPB_MATCH',
+    severity: 'CRITICAL',
+    urgent: true,
+    title: `Persona bloqueada: ${clientName}`,
+    description: `Coincidencia en la ${match.sourceLabel} (${match.matchedName}` +
+      `${match.reference ? `, ${match.reference}` : ''}). Las operaciones quedaron suspendidas; ` +
+      `presenta el aviso antes del ${deadlineLabel}.`,
+    clientId: clientId || null,
+    match,
+    operationIds,
+    uploadBatchId,
+    sourceRows,
+    screeningId,
+    deadlineAt: deadline.toISOString(),
+    status: 'PENDING',
+    createdAt: now.toISOString(),
+  };
+
+  try {
+    await alertRef.create(alert);
+  } catch (error) {
+    if (error.code === 6) return alertRef.id; // ALREADY_EXISTS: alerta ya abierta en un intento anterior
+    throw error;
+  }
+
+  await tenantRef.collection('notifications').add({
+    type: 'LPB_MATCH',
+    title: 'Operación bloqueada: Lista de Personas Bloqueadas',
+    message: `${clientName} coincide con la Lista de Personas Bloqueadas de la UIF. ` +
+      `Presenta el aviso antes del ${deadlineLabel}.`,
+    read: false,
+    createdAt: now.toISOString(),
+  });
+
+  logger.warn(`LPB match for tenant ${tenantId}:`, { clientId, alertId: alertRef.id, operations: operationIds.length });
+  return alertRef.id;
+};
+
+/**
+ * Alertas de las operaciones que una carga guardó bloqueadas (una por cliente)
+ * Con uploadBatchId el ID de la alerta es fijo: volver a registrar las mismas
+ * operaciones (carga en segundo plano reanudada) no la duplica.
+ * @param {string} tenantId - ID del tenant
+ * @param {Array} operations - Operaciones guardadas
+ * @param {Object} source - { uploadBatchId? }
+ * @returns {Promise<number>} Alertas abiertas
+ */
+export const alertBlockedOperations = async (tenantId, operations, source = {}) => {
+  const byClient = new Map();
+  operations.filter(op => op.status === 'BLOCKED').forEach((op) => {
+    const key = op.clientId || op.rfcCliente || `row-${op.sourceRow}`;
+    byClient.set(key, [...(byClient.get(key) || []), op]);
+  });
+
+  for (const ops of byClient.values()) {
+    const [first] = ops;
+    const uploadBatchId = source.uploadBatchId || first.uploadBatchId || null;
+    await openBlockedPersonAlert(tenantId, {
+      clientId: first.clientId || null,
+      clientName: [first.nombreCliente, first.apellidoPaterno, first.apellidoMaterno].filter(Boolean).join(' ')
+        || first.rfcCliente,
+      match: { ...first.blockedBy, sourceLabel: WATCHLISTS.LPB.label },
+      uploadBatchId,
+      sourceRows: ops.map(op => op.sourceRow).filter(Boolean),
+      alertId: uploadBatchId ? `LPB_${uploadBatchId}_${first.sourceRow}` : null,
+    });
+  }
+  return byClient.size;
+};
+
+/**
+ * Suspender las operaciones abiertas de un cliente (coincidencia LPB en screening)
+ * @returns {Promise<Array<string>>} IDs de las operaciones bloqueadas
+ */
+const blockClientOperations = async (tenantId, clientId, match) => {
+  const snapshot = await db.collection('tenants').doc(tenantId).collection('operations')
+    .where('clientId', '==', clientId)
+    .get();
+  const docs = snapshot.docs.filter(doc => !UNBLOCKABLE_STATUSES.includes(doc.data().status));
+  const blockedBy = blockedOperationInfo(match);
+
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((doc) => {
+      batch.update(doc.ref, {
+        status: 'BLOCKED',
+        statusBeforeBlock: doc.data().status || 'PENDING',
+        blockedBy,
+      });
+    });
+    await batch.commit();
+  }
+  return docs.map(doc => doc.id);
+};
+
+/**
+ * Operaciones que una alerta LPB dejó suspendidas
+ * Las alertas del screening guardan sus IDs; las de una carga, el lote y las filas.
+ */
+const getAlertBlockedOperations = async (tenantId, alert) => {
+  const operationsRef = db.collection('tenants').doc(tenantId).collection('operations');
+  let docs = [];
+  if (alert.operationIds?.length > 0) {
+    docs = await db.getAll(...alert.operationIds.map(id => operationsRef.doc(id)));
+  } else if (alert.uploadBatchId) {
+    const sourceRows = new Set(alert.sourceRows || []);
+    const snapshot = await operationsRef.where('uploadBatchId', '==', alert.uploadBatchId).get();
+    docs = snapshot.docs.filter(doc => sourceRows.has(doc.data().sourceRow));
+  }
+  return docs.filter(doc => doc.exists && doc.data().status === 'BLOCKED');
+};
+
+/**
+ * Descartar una coincidencia LPB como falso positivo (homónimo)
+ * Las operaciones suspendidas vuelven al estatus que tenían antes del bloqueo
+ * y la alerta queda resuelta. La calificación EBR la recalcula quien llama.
+ * @param {string} tenantId - ID del tenant
+ * @param {string} alertId - ID de la alerta LPB_MATCH
+ * @param {Object} review - { userId, notes? }
+ * @returns {Promise<Object>} { alert, operationIds }
+ */
+export const dismissBlockedPersonMatch = async (tenantId, alertId, { userId, notes = '' }) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const alertRef = tenantRef.collection('alerts').doc(alertId);
+  const alert = (await alertRef.get()).data();
+
+  const docs = await getAlertBlockedOperations(tenantId, alert);
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((doc) => {
+      batch.update(doc.ref, {
+        status: doc.data().statusBeforeBlock || 'PENDING',
+        statusBeforeBlock: FieldValue.delete(),
+        blockedBy: FieldValue.delete(),
+      });
+    });
+    await batch.commit();
+  }
+  const operationIds = docs.map(doc => doc.id);
+
+  const now = new Date().toISOString();
+  await alertRef.update({
+    status: 'RESOLVED',
+    resolution: 'FALSE_POSITIVE',
+    resolvedAt: now,
+    resolvedBy: userId,
+    resolutionNotes: notes,
+    releasedOperationIds: operationIds,
+  });
+
+  // El cliente deja de estar bloqueado (el resultado del screening queda descartado)
+  if (alert.clientId) {
+    const clientRef = tenantRef.collection('clients').doc(alert.clientId);
+    const clientDoc = await clientRef.get();
+    if (clientDoc.exists && clientDoc.data().screeningStatus === 'BLOCKED') {
+      await clientRef.update({ screeningStatus: 'CLEARED', updatedAt: now });
+    }
+  }
+
+  logger.info(`LPB match dismissed for tenant ${tenantId}:`, { alertId, operations: operationIds.length });
+  return { alert, operationIds };
+};
+
+/**
+ * Guardar el resultado en el registro maestro del cliente
+ * (búsquedas manuales de personas que aún no son clientes no tienen registro)
+ */
+const updateClientScreening = async (tenantId, clientId, data) => {
+  if (!clientId) return;
+  const clientRef = db.collection('tenants').doc(tenantId).collection('clients').doc(clientId);
+  const clientDoc = await clientRef.get();
+  if (clientDoc.exists) {
+    await clientRef.update(data);
+  }
+};
+
+/**
+ * Beneficiarios controladores identificados en el registro maestro
+ */
+const getBeneficialOwners = async (tenantId, clientId) => {
+  if (!clientId) return [];
+  const clientDoc = await db.collection('tenants').doc(tenantId).collection('clients').doc(clientId).get();
+  return clientDoc.exists ? clientDoc.data().ownership?.controllers || [] : [];
+};
+
+/**
+ * ID de la alerta LPB de un cliente para una versión de la lista
+ */
+const lpbAlertId = (clientId, listVersionId) => `LPB_${clientId}_${listVersionId}`;
+
+/**
+ * Alerta LPB ya registrada para el cliente: la de esta versión de la lista
+ * (abierta o descartada) o cualquier otra que siga abierta, p. ej. la de una carga
+ * @returns {Promise<Object|null>} Datos de la alerta
+ */
+const findClientLpbAlert = async (tenantId, clientId, listVersionId) => {
+  const alertsRef = db.collection('tenants').doc(tenantId).collection('alerts');
+  const versionAlert = await alertsRef.doc(lpbAlertId(clientId, listVersionId)).get();
+  if (versionAlert.exists) return versionAlert.data();
+
+  const snapshot = await alertsRef
+    .where('clientId', '==', clientId)
+    .where('type', '==', 'LPB_MATCH')
+    .get();
+  const open = snapshot.docs.find(doc => doc.data().status !== 'RESOLVED');
+  return open ? open.data() : null;
+};
+
 /**
  * Realizar screening de un cliente y guardar resultado
  * @param {string} tenantId - ID del tenant
@@ -170,9 +607,31 @@ export const searchBlacklists = (name, rfc = '') => {
  * @returns {Object} Resultado del screening
  */
 export const screenClient = async (tenantId, clientId, clientData) => {
-  const { name, rfc, tipo } = clientData;
-
-  const screeningResult = searchBlacklists(name, rfc);
+  const { name, rfc, tipo, curp, dateOfBirth, nationality } = clientData;
+
+  const screeningResult = await searchBlacklists(name, rfc, curp || '', { dateOfBirth, nationality, tipo });
+
+  // Beneficiarios controladores de personas morales (services/ownership.js)
+  const beneficialOwners = clientData.beneficialOwners || await getBeneficialOwners(tenantId, clientId);
+  for (const owner of beneficialOwners) {
+    const ownerName = [owner.nombre, owner.apellidoPaterno, owner.apellidoMaterno].filter(Boolean).join(' ');
+    // Los beneficiarios controladores son personas físicas
+    const ownerResult = await searchBlacklists(ownerName, owner.rfc || '', owner.curp || '', {
+      nationality: owner.nacionalidad,
+      tipo: 'FISICA',
+    });
+    ownerResult.matches.forEach((match) => {
+      screeningResult.matches.push({
+        ...match,
+        subject: 'BENEFICIAL_OWNER',
+        subjectName: ownerName,
+        subjectRfc: owner.rfc || null,
+        effectivePercentage: owner.effectivePercentage ?? null,
+      });
+    });
+  }
+  screeningResult.matchFound = screeningResult.matches.length > 0;
+  screeningResult.matches.sort((a, b) => b.score - a.score);
 
   // Guardar resultado en la colección de screening
   const screeningDoc = {
@@ -190,47 +649,76 @@ export const screenClient = async (tenantId, clientId, clientData) => {
 
   const docRef = await db.collection('screening_results').add(screeningDoc);
 
-  // Si hay coincidencias, crear alerta
-  if (screeningResult.matchFound) {
+  // LPB: suspender las operaciones del cliente y abrir la alerta de 24 horas
+  // (una sola vez por cliente y versión de la lista: el re-screening no la repite)
+  let blockedMatch = screeningResult.matches.find((match) => match.source === 'LPB');
+  const lpbAlert = blockedMatch && clientId ? await findClientLpbAlert(tenantId, clientId, blockedMatch.listVersionId) : null;
+  if (lpbAlert?.resolution === 'FALSE_POSITIVE') {
+    // Homónimo ya descartado contra esta versión de la lista
+    blockedMatch = null;
+  }
+  const alertMatches = screeningResult.matches.filter((match) => match.source !== 'LPB' || blockedMatch);
+
+  if (blockedMatch) {
+    if (!lpbAlert) {
+      const operationIds = clientId ? await blockClientOperations(tenantId, clientId, blockedMatch) : [];
+      await openBlockedPersonAlert(tenantId, {
+        clientId,
+        clientName: blockedMatch.subject === 'BENEFICIAL_OWNER'
+          ? `${name} (beneficiario controlador: ${blockedMatch.subjectName})`
+          : name,
+        match: blockedMatch,
+        operationIds,
+        screeningId: docRef.id,
+        alertId: clientId ? lpbAlertId(clientId, blockedMatch.listVersionId) : null,
+      });
+    }
+    await updateClientScreening(tenantId, clientId, {
+      screeningStatus: 'BLOCKED',
+      lastScreeningAt: new Date().toISOString(),
+      screeningId: docRef.id,
+    });
+  } else if (alertMatches.length > 0) {
+    // Si hay coincidencias, crear alerta
     await db
       .collection('tenants')
       .doc(tenantId)
       .collection('alerts')
       .add({
         type: 'SCREENING_MATCH',
-        severity: screeningResult.matches[0]?.risk || 'HIGH',
+        severity: alertMatches[0].risk || 'HIGH',
         title: `Coincidencia en Lista Negra: ${name}`,
-        description: `Se encontró coincidencia en ${screeningResult.matches[0]?.sourceLabel}`,
+        description: `Se encontró coincidencia en ${alertMatches[0].sourceLabel}` +
+          (alertMatches[0].subject === 'BENEFICIAL_OWNER'
+            ? ` (beneficiario controlador: ${alertMatches[0].subjectName})`
+            : ''),
         clientId,
         screeningId: docRef.id,
-        matches: screeningResult.matches,
+        matches: alertMatches,
         status: 'PENDING',
         createdAt: new Date().toISOString(),
       });
 
     // Actualizar cliente con flag de riesgo
-    await db
-      .collection('tenants')
-      .doc(tenantId)
-      .collection('clients')
-      .doc(clientId)
-      .update({
-        screeningStatus: 'FLAGGED',
-        lastScreeningAt: new Date().toISOString(),
-        screeningId: docRef.id,
-      });
+    await updateClientScreening(tenantId, clientId, {
+      screeningStatus: 'FLAGGED',
+      lastScreeningAt: new Date().toISOString(),
+      screeningId: docRef.id,
+    });
   } else {
     // Cliente limpio
-    await db
-      .collection('tenants')
-      .doc(tenantId)
-      .collection('clients')
-      .doc(clientId)
-      .update({
-        screeningStatus: 'CLEARED',
-        lastScreeningAt: new Date().toISOString(),
-        screeningId: docRef.id,
-      });
+    await updateClientScreening(tenantId, clientId, {
+      screeningStatus: 'CLEARED',
+      lastScreeningAt: new Date().toISOString(),
+      screeningId: docRef.id,
+    });
+  }
+
+  // Recalcular la calificación EBR del cliente con el nuevo resultado
+  try {
+    await updateClientRisk(tenantId, clientId, { trigger: 'SCREENING' });
+  } catch (error) {
+    logger.warn(`Error updating risk for client ${clientId}:`, error.message);
   }
 
   return {
@@ -239,10 +727,15 @@ export const screenClient = async (tenantId, clientId, clientData) => {
   };
 };
 
+// Clientes por ejecución de batchScreenTenant
+const BATCH_SCREENING_SIZE = 100;
+
 /**
  * Procesar screening masivo para un tenant
+ * Revisa los clientes nuevos (screeningStatus PENDING) y los que se revisaron
+ * antes de la importación más reciente de alguna lista, empezando por los más antiguos.
  * @param {string} tenantId - ID del tenant
- * @returns {Object} Resumen del batch
+ * @returns {Object} Resumen del batch; remaining indica que quedaron clientes por revisar
  */
 export const batchScreenTenant = async (tenantId) => {
   const results = {
@@ -250,28 +743,41 @@ export const batchScreenTenant = async (tenantId) => {
     flagged: 0,
     cleared: 0,
     errors: 0,
+    remaining: false,
   };
 
   try {
-    // Obtener clientes que no han sido screened o screened hace más de 30 días
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    const clientsSnapshot = await db
-      .collection('tenants')
-      .doc(tenantId)
-      .collection('clients')
-      .where('screeningStatus', 'in', [null, 'PENDING', undefined])
-      .limit(100) // Procesar en batches
+    const clientsRef = db.collection('tenants').doc(tenantId).collection('clients');
+    // Los clientes nuevos del registro maestro se crean con screeningStatus PENDING
+    const pendingSnapshot = await clientsRef
+      .where('screeningStatus', '==', 'PENDING')
+      .limit(BATCH_SCREENING_SIZE)
       .get();
+    const docs = [...pendingSnapshot.docs];
+
+    // Revisados contra una versión anterior de las listas
+    const latestImportedAt = await getLatestImportedAt();
+    if (latestImportedAt && docs.length < BATCH_SCREENING_SIZE) {
+      const staleSnapshot = await clientsRef
+        .where('lastScreeningAt', '<', latestImportedAt)
+        .orderBy('lastScreeningAt')
+        .limit(BATCH_SCREENING_SIZE - docs.length)
+        .get();
+      docs.push(...staleSnapshot.docs.filter(doc => doc.data().screeningStatus !== 'PENDING'));
+    }
+    results.remaining = docs.length === BATCH_SCREENING_SIZE;
 
-    for (const doc of clientsSnapshot.docs) {
+    for (const doc of docs) {
       try {
         const clientData = doc.data();
         const result = await screenClient(tenantId, doc.id, {
           name: clientData.nombre || clientData.razonSocial,
           rfc: clientData.rfc,
           tipo: clientData.tipo,
+          curp: clientData.curp,
+          dateOfBirth: clientData.identity?.fechaNacimiento,
+          nationality: clientData.identity?.nacionalidad,
+          beneficialOwners: clientData.ownership?.controllers || [],
         });
 
         results.processed++;
@@ -295,8 +801,37 @@ export const batchScreenTenant = async (tenantId) => {
   return results;
 };
 
+/**
+ * Encolar el re-screening de todos los tenants activos (tras importar una versión de lista)
+ * Cada tarea revisa un lote con batchScreenTenant y se vuelve a encolar mientras queden clientes.
+ * @returns {Promise<number>} Tenants encolados
+ */
+export const enqueueTenantRescreens = async () => {
+  const tenantsSnapshot = await db.collection('tenants').where('status', '!=', 'SUSPENDED').select().get();
+  for (const tenantDoc of tenantsSnapshot.docs) {
+    await enqueueTenantRescreen(tenantDoc.id);
+  }
+  return tenantsSnapshot.size;
+};
+
+/**
+ * Encolar el siguiente lote de re-screening de un tenant
+ */
+export const enqueueTenantRescreen = async (tenantId) => {
+  const queue = getFunctions().taskQueue('locations/us-central1/functions/rescreenTenant');
+  await queue.enqueue({ tenantId }, { dispatchDeadlineSeconds: 60 * 10 });
+};
+
 export default {
   searchBlacklists,
+  getPepStatus,
+  findBlockedPerson,
+  blockedOperationInfo,
+  openBlockedPersonAlert,
+  alertBlockedOperations,
+  dismissBlockedPersonMatch,
   screenClient,
   batchScreenTenant,
+  enqueueTenantRescreens,
+  enqueueTenantRescreen,
 };
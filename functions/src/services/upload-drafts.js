@@ -0,0 +1,139 @@
+/**
+ * Upload Drafts Service
+ * Filas rechazadas de una carga que el usuario corrige y reenvía
+ *
+ * - Borradores en tenants/{tenantId}/uploadDrafts/{uploadBatchId}_{row}
+ * - Un reenvío solo resuelve borradores que nadie cambió desde que se leyeron:
+ *   cada actualización lleva la fecha de la lectura como precondición y el lote
+ *   completo (operaciones incluidas) falla si otro reenvío ganó la carrera
+ * - Las observaciones de la copia anotada (uploadIssues) se reescriben con el
+ *   resultado del reenvío
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+
+const db = getFirestore();
+
+// Código de Firestore cuando una precondición (lastUpdateTime) no se cumple
+const FAILED_PRECONDITION = 9;
+
+/**
+ * Borradores pendientes de una carga con los valores editados (solo columnas conocidas)
+ * @param {string} tenantId
+ * @param {string} uploadBatchId
+ * @param {Array<Object>} edits - [{ id, values }]
+ * @param {Set<string>} validKeys - Campos de la actividad
+ * @returns {Promise<Array<Object>>} Borradores con ref, updateTime y values
+ */
+export const loadResubmittedDrafts = async (tenantId, uploadBatchId, edits, validKeys) => {
+  const draftsRef = db.collection('tenants').doc(tenantId).collection('uploadDrafts');
+  const snapshots = await db.getAll(...edits.map(edit => draftsRef.doc(String(edit.id))));
+
+  const drafts = [];
+  snapshots.forEach((doc, i) => {
+    if (!doc.exists) return;
+    const draft = doc.data();
+    if (draft.uploadBatchId !== uploadBatchId || draft.status !== 'PENDING') return;
+    const values = { ...draft.values };
+    Object.entries(edits[i].values || {}).forEach(([key, value]) => {
+      if (validKeys.has(key)) values[key] = value;
+    });
+    drafts.push({ ...draft, ref: doc.ref, updateTime: doc.updateTime, values });
+  });
+  return drafts;
+};
+
+/**
+ * Agregar al lote el resultado de cada borrador reenviado
+ * Los resueltos salen de la cola; los demás conservan lo editado y los errores nuevos.
+ * @param {Object} batch - Lote de Firestore (se confirma junto con las operaciones guardadas)
+ * @param {Array<Object>} drafts - De loadResubmittedDrafts
+ * @param {Object} outcome - { stillRejected: Map row→draft, exactDuplicates: Map row→errors, heldRows: Set, savedByRow: Map row→operationId }
+ * @param {Object} user - { uid }
+ * @param {string} now - Fecha ISO
+ * @returns {Object} Resueltos por tipo de origen { FORMAT, LEGAL_REJECT }
+ */
+export const resolveResubmittedDrafts = (batch, drafts, outcome, user, now) => {
+  const { stillRejected, exactDuplicates, heldRows, savedByRow } = outcome;
+  const resolved = { FORMAT: 0, LEGAL_REJECT: 0 };
+
+  drafts.forEach(draft => {
+    const precondition = { lastUpdateTime: draft.updateTime };
+    const rejected = stillRejected.get(draft.row);
+    if (rejected) {
+      batch.update(draft.ref, {
+        values: draft.values,
+        type: rejected.type,
+        errors: rejected.errors,
+        fieldErrors: rejected.fieldErrors,
+        updatedAt: now,
+      }, precondition);
+    } else if (exactDuplicates.has(draft.row)) {
+      batch.update(draft.ref, {
+        values: draft.values,
+        type: 'DUPLICATE',
+        errors: exactDuplicates.get(draft.row),
+        fieldErrors: {},
+        updatedAt: now,
+      }, precondition);
+    } else {
+      batch.update(draft.ref, {
+        values: draft.values,
+        status: heldRows.has(draft.row) ? 'HELD_AS_DUPLICATE' : 'RESUBMITTED',
+        operationId: savedByRow.get(draft.row) || null,
+        resolvedBy: user.uid,
+        resolvedAt: now,
+      }, precondition);
+      if (resolved[draft.originType] !== undefined) resolved[draft.originType]++;
+    }
+  });
+  return resolved;
+};
+
+/**
+ * ¿El lote falló porque otro reenvío cambió los borradores?
+ */
+export const isDraftConflict = (error) => error?.code === FAILED_PRECONDITION;
+
+/**
+ * Reemplazar las observaciones de las filas reenviadas en la copia anotada
+ * Las filas guardadas sin observaciones salen de la lista. Las columnas de las
+ * observaciones nuevas son las del editor y no las del archivo, así que se
+ * conservan solo los mensajes.
+ * @param {string} tenantId
+ * @param {string} uploadBatchId
+ * @param {Array<number>} rows - Filas reenviadas
+ * @param {Array<Object>} rowIssues - Observaciones del reenvío [{ row, status, cells }]
+ * @returns {Promise<number>} Documentos de observaciones reescritos
+ */
+export const replaceRowIssues = async (tenantId, uploadBatchId, rows, rowIssues) => {
+  const resubmitted = new Set(rows);
+  const newIssues = new Map(rowIssues.map(issue => [issue.row, {
+    ...issue,
+    cells: issue.cells.map(cell => ({ col: null, message: cell.message })),
+  }]));
+
+  const snapshot = await db.collection('tenants').doc(tenantId).collection('uploadIssues')
+    .where('uploadBatchId', '==', uploadBatchId)
+    .get();
+  const batch = db.batch();
+  let rewritten = 0;
+  snapshot.docs.forEach(doc => {
+    const current = doc.data().rows || [];
+    if (!current.some(issue => resubmitted.has(issue.row))) return;
+    const next = current
+      .map(issue => (resubmitted.has(issue.row) ? newIssues.get(issue.row) : issue))
+      .filter(Boolean);
+    batch.update(doc.ref, { rows: next, updatedAt: new Date().toISOString() });
+    rewritten++;
+  });
+  if (rewritten > 0) await batch.commit();
+  return rewritten;
+};
+
+export default {
+  loadResubmittedDrafts,
+  resolveResubmittedDrafts,
+  isDraftConflict,
+  replaceRowIssues,
+};
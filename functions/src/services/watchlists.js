@@ -0,0 +1,744 @@
+/**
+ * Watchlists Service
+ * Listas oficiales para screening importadas como datasets versionados
+ *
+ * - Cada importación normaliza el archivo oficial y guarda las entradas en
+ *   Storage (watchlists/{listId}/{versionId}.json); la versión se registra en
+ *   watchlists/{listId}/versions/{versionId} con la fecha de publicación, los
+ *   conteos por tipo y la diferencia contra la versión anterior
+ * - watchlists/{listId} apunta a la versión activa, que es la que consulta
+ *   searchBlacklists (services/screening.js)
+ */
+
+import * as XLSX from 'xlsx';
+import { create } from 'xmlbuilder2';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { logger } from 'firebase-functions';
+
+const db = getFirestore();
+
+// Cada instancia revisa la versión activa como máximo cada 5 minutos
+const CACHE_TTL_MS = 5 * 60 * 1000;
+// Ejemplos de altas, bajas y cambios guardados en la versión
+const DIFF_EXAMPLES = 20;
+
+// listId → { versionId, publishedAt, entries, checkedAt }
+const cache = new Map();
+
+const RFC_PATTERN = /^[A-ZÑ&]{3,4}\d{6}[A-Z\d]{3}$/;
+
+// Situación del contribuyente en el listado completo del 69-B
+const SAT_69B_STATUSES = [
+  { type: 'PRESUNTO', keyword: 'PRESUNTO', publication: 'PRESUNTOS' },
+  { type: 'DESVIRTUADO', keyword: 'DESVIRTUADO', publication: 'DESVIRTUADOS' },
+  { type: 'DEFINITIVO', keyword: 'DEFINITIVO', publication: 'DEFINITIVOS' },
+  { type: 'SENTENCIA_FAVORABLE', keyword: 'SENTENCIA', publication: 'SENTENCIA FAVORABLE' },
+];
+
+const normalizeHeader = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizeName = (value) => String(value || '').toUpperCase().replace(/\s+/g, ' ').trim();
+
+// Elementos hijos con el nombre indicado (sin importar el namespace)
+const childElements = (node, name) => Array.from(node?.childNodes || [])
+  .filter(child => child.nodeType === 1 && child.localName === name);
+
+const childText = (node, name) => childElements(node, name)[0]?.textContent.trim() || '';
+
+// Texto de los nietos: <programList><program>…</program></programList>
+const listTexts = (node, listName, itemName, valueName) => childElements(childElements(node, listName)[0], itemName)
+  .map(item => (valueName ? childText(item, valueName) : item.textContent.trim()))
+  .filter(Boolean);
+
+const parseXmlRoot = (text, rootName, label) => {
+  let root;
+  try {
+    root = create(String(text || '').replace(/^\uFEFF/, '')).root().node;
+  } catch (error) {
+    throw new Error(`El archivo de ${label} no es un XML válido: ${error.message}`);
+  }
+  if (root.localName !== rootName) {
+    throw new Error(`El archivo no corresponde a ${label} (se esperaba <${rootName}>)`);
+  }
+  return root;
+};
+
+// dd/mm/aaaa (o dd-mm-aaaa) → YYYY-MM-DD
+const parseDayMonthYear = (value) => {
+  const match = String(value || '').match(/(\d{1,2})[/-](\d{1,2})[/-](\d{4})/);
+  if (!match) return null;
+  const [, day, month, year] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+// dd/mm/aaaa o YYYY-MM-DD → YYYY-MM-DD
+const parseListDate = (value) => {
+  const iso = String(value || '').match(/(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? iso[0] : parseDayMonthYear(value);
+};
+
+/**
+ * Decodificar el archivo subido: UTF-8 si es válido, si no ISO-8859-1
+ * (el SAT publica el 69-B en ISO-8859-1; OFAC y la ONU en UTF-8)
+ */
+export const decodeListFile = (buffer) => {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+};
+
+// Libros de Excel: xlsx (ZIP) o xls (OLE)
+const isWorkbookBuffer = (buffer) => buffer instanceof Uint8Array
+  && ((buffer[0] === 0x50 && buffer[1] === 0x4B) || (buffer[0] === 0xD0 && buffer[1] === 0xCF));
+
+// Renglones de la primera hoja: texto CSV o, para listas en Excel, el archivo tal cual
+const readSheetRows = (content) => {
+  const workbook = isWorkbookBuffer(content)
+    ? XLSX.read(content, { type: 'buffer' })
+    : XLSX.read(
+      (content instanceof Uint8Array ? decodeListFile(content) : String(content || '')).replace(/^\uFEFF/, ''),
+      { type: 'string', raw: true }
+    );
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+};
+
+/**
+ * Leer el listado completo del artículo 69-B del CFF (Listado_Completo_69-B.csv)
+ * @param {string} text - Contenido del CSV
+ * @returns {Object} { entries, rows, skipped, publishedAt } — publishedAt es la
+ *   publicación más reciente que aparece en el archivo
+ */
+export const parseSat69bFile = (text) => {
+  const rows = readSheetRows(text);
+
+  // El SAT antepone renglones de título al encabezado
+  const headerIndex = rows.findIndex(row => {
+    const headers = row.map(normalizeHeader);
+    return headers.includes('RFC') && headers.some(header => header.startsWith('SITUACION'));
+  });
+  if (headerIndex === -1) {
+    throw new Error('No se encontró el encabezado "RFC / Situación del contribuyente" del listado 69-B');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const col = {
+    rfc: headers.indexOf('RFC'),
+    name: headers.findIndex(header => header.startsWith('NOMBRE')),
+    status: headers.findIndex(header => header.startsWith('SITUACION')),
+  };
+  if (col.name === -1) {
+    throw new Error('Falta la columna "Nombre del Contribuyente" en el listado 69-B');
+  }
+  const publicationCols = Object.fromEntries(SAT_69B_STATUSES.map(status => [
+    status.type,
+    headers.findIndex(header => header === `PUBLICACION PAGINA SAT ${status.publication}`),
+  ]));
+
+  const byRfc = new Map();
+  let skipped = 0;
+  let publishedAt = null;
+  rows.slice(headerIndex + 1).forEach(row => {
+    if (row.every(cell => !String(cell).trim())) return;
+    const rfc = String(row[col.rfc] || '').toUpperCase().replace(/[\s-]/g, '');
+    const situacion = normalizeHeader(row[col.status]);
+    const status = SAT_69B_STATUSES.find(s => situacion.includes(s.keyword));
+    if (!RFC_PATTERN.test(rfc) || !status) {
+      skipped++;
+      return;
+    }
+
+    const statusPublishedAt = publicationCols[status.type] !== -1
+      ? parseDayMonthYear(row[publicationCols[status.type]])
+      : null;
+    Object.values(publicationCols).forEach(index => {
+      const date = index !== -1 ? parseDayMonthYear(row[index]) : null;
+      if (date && (!publishedAt || date > publishedAt)) publishedAt = date;
+    });
+
+    // Un RFC aparece una vez; si se repite prevalece el último renglón
+    byRfc.set(rfc, {
+      key: rfc,
+      rfc,
+      name: normalizeName(row[col.name]),
+      type: status.type,
+      statusPublishedAt,
+    });
+  });
+
+  return { entries: [...byRfc.values()], rows: rows.length - headerIndex - 1, skipped, publishedAt };
+};
+
+/**
+ * Leer la lista SDN de OFAC (sdn.xml)
+ * @param {string} text - Contenido del XML
+ * @returns {Object} { entries, rows, skipped, publishedAt } — publishedAt es
+ *   Publish_Date del archivo
+ */
+export const parseOfacSdnFile = (text) => {
+  const root = parseXmlRoot(text, 'sdnList', 'la lista SDN de OFAC');
+  // Publish_Date viene como MM/DD/YYYY
+  const publishDate = childText(childElements(root, 'publshInformation')[0], 'Publish_Date')
+    .match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+
+  const sdnEntries = childElements(root, 'sdnEntry');
+  const entries = [];
+  let skipped = 0;
+  sdnEntries.forEach(node => {
+    const uid = childText(node, 'uid');
+    const name = normalizeName([childText(node, 'firstName'), childText(node, 'lastName')].filter(Boolean).join(' '));
+    if (!uid || !name) {
+      skipped++;
+      return;
+    }
+    const countries = [
+      ...listTexts(node, 'nationalityList', 'nationality', 'country'),
+      ...listTexts(node, 'citizenshipList', 'citizenship', 'country'),
+    ];
+    entries.push({
+      key: uid,
+      name,
+      type: childText(node, 'sdnType').toUpperCase() || 'ENTITY',
+      programs: listTexts(node, 'programList', 'program'),
+      reference: `SDN-${uid}`,
+      aliases: childElements(childElements(node, 'akaList')[0], 'aka')
+        .map(aka => ({
+          name: normalizeName([childText(aka, 'firstName'), childText(aka, 'lastName')].filter(Boolean).join(' ')),
+          // strong / weak: OFAC no recomienda filtrar solo con alias débiles
+          quality: childText(aka, 'category').toUpperCase() || null,
+        }))
+        .filter(alias => alias.name),
+      datesOfBirth: listTexts(node, 'dateOfBirthList', 'dateOfBirthItem', 'dateOfBirth'),
+      nationalities: [...new Set(countries)],
+    });
+  });
+
+  return {
+    entries,
+    rows: sdnEntries.length,
+    skipped,
+    publishedAt: publishDate
+      ? `${publishDate[3]}-${publishDate[1].padStart(2, '0')}-${publishDate[2].padStart(2, '0')}`
+      : null,
+  };
+};
+
+/**
+ * Leer la Lista Consolidada del Consejo de Seguridad de la ONU (consolidated.xml)
+ * @param {string} text - Contenido del XML
+ * @returns {Object} { entries, rows, skipped, publishedAt } — publishedAt es
+ *   dateGenerated del archivo
+ */
+export const parseUnConsolidatedFile = (text) => {
+  const root = parseXmlRoot(text, 'CONSOLIDATED_LIST', 'la Lista Consolidada de la ONU');
+
+  const records = [
+    ...childElements(childElements(root, 'INDIVIDUALS')[0], 'INDIVIDUAL').map(node => ({ node, type: 'INDIVIDUAL' })),
+    ...childElements(childElements(root, 'ENTITIES')[0], 'ENTITY').map(node => ({ node, type: 'ENTITY' })),
+  ];
+  const entries = [];
+  let skipped = 0;
+  records.forEach(({ node, type }) => {
+    const dataId = childText(node, 'DATAID');
+    const name = normalizeName(['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME']
+      .map(field => childText(node, field))
+      .filter(Boolean)
+      .join(' '));
+    if (!dataId || !name) {
+      skipped++;
+      return;
+    }
+    entries.push({
+      key: dataId,
+      name,
+      type,
+      programs: [childText(node, 'UN_LIST_TYPE')].filter(Boolean),
+      reference: childText(node, 'REFERENCE_NUMBER') || null,
+      listedOn: childText(node, 'LISTED_ON') || null,
+      aliases: childElements(node, `${type}_ALIAS`)
+        .map(alias => ({
+          name: normalizeName(childText(alias, 'ALIAS_NAME')),
+          // Good / Low: la ONU advierte que los alias de baja calidad generan falsos positivos
+          quality: childText(alias, 'QUALITY').toUpperCase() || null,
+        }))
+        .filter(alias => alias.name),
+      datesOfBirth: childElements(node, 'INDIVIDUAL_DATE_OF_BIRTH')
+        .map(date => childText(date, 'DATE') || childText(date, 'YEAR')
+          || [childText(date, 'FROM_YEAR'), childText(date, 'TO_YEAR')].filter(Boolean).join('-'))
+        .filter(Boolean),
+      nationalities: listTexts(node, 'NATIONALITY', 'VALUE'),
+    });
+  });
+
+  return {
+    entries,
+    rows: records.length,
+    skipped,
+    publishedAt: (root.getAttribute('dateGenerated') || '').substring(0, 10) || null,
+  };
+};
+
+const CURP_PATTERN = /^[A-Z][AEIOUX][A-Z]{2}\d{6}[HM][A-Z]{5}[A-Z\d]\d$/;
+
+/**
+ * Leer la Lista de Personas Bloqueadas de la UIF (Excel o CSV entregado a los
+ * sujetos obligados). Los encabezados varían entre entregas, así que las
+ * columnas se reconocen por nombre.
+ * @param {Buffer|string} content - Archivo tal cual (Excel) o su texto (CSV)
+ * @returns {Object} { entries, rows, skipped, publishedAt } — publishedAt es la
+ *   fecha de inclusión más reciente del archivo
+ */
+export const parseLpbFile = (content) => {
+  const rows = readSheetRows(content);
+
+  const headerIndex = rows.findIndex(row => row.map(normalizeHeader)
+    .some(header => header.startsWith('NOMBRE') || header.startsWith('RAZON SOCIAL') || header.startsWith('DENOMINACION')));
+  if (headerIndex === -1) {
+    throw new Error('No se encontró el encabezado "Nombre / Razón social" de la Lista de Personas Bloqueadas');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const find = (test) => headers.findIndex(test);
+  const col = {
+    name: find(header => header.startsWith('NOMBRE') || header.startsWith('RAZON SOCIAL') || header.startsWith('DENOMINACION')),
+    apellidoPaterno: find(header => header.includes('PATERNO')),
+    apellidoMaterno: find(header => header.includes('MATERNO')),
+    rfc: find(header => header.startsWith('RFC')),
+    curp: find(header => header.startsWith('CURP')),
+    tipo: find(header => header.startsWith('TIPO')),
+    birthDate: find(header => header.includes('NACIMIENTO') || header.includes('CONSTITUCION')),
+    reference: find(header => ['OFICIO', 'ACUERDO', 'REFERENCIA', 'FOLIO'].some(word => header.includes(word))),
+    listedOn: find(header => header.includes('INCLUSION') || header.includes('PUBLICACION') || header.includes('ALTA')),
+    aliases: find(header => header.includes('ALIAS')),
+  };
+  const cell = (row, field) => (col[field] !== -1 ? String(row[col[field]] || '').trim() : '');
+
+  const byKey = new Map();
+  let skipped = 0;
+  let publishedAt = null;
+  rows.slice(headerIndex + 1).forEach(row => {
+    if (row.every(value => !String(value).trim())) return;
+    const name = normalizeName([cell(row, 'name'), cell(row, 'apellidoPaterno'), cell(row, 'apellidoMaterno')]
+      .filter(Boolean)
+      .join(' '));
+    if (!name) {
+      skipped++;
+      return;
+    }
+    const rfc = cell(row, 'rfc').toUpperCase().replace(/[\s-]/g, '');
+    const curp = cell(row, 'curp').toUpperCase().replace(/\s/g, '');
+    const tipo = normalizeHeader(cell(row, 'tipo'));
+    const birthDate = parseListDate(cell(row, 'birthDate'));
+    const listedOn = parseListDate(cell(row, 'listedOn'));
+    if (listedOn && (!publishedAt || listedOn > publishedAt)) publishedAt = listedOn;
+
+    const entry = {
+      name,
+      rfc: RFC_PATTERN.test(rfc) ? rfc : null,
+      curp: CURP_PATTERN.test(curp) ? curp : null,
+      type: tipo.includes('MORAL') || (!tipo && rfc.length === 12) ? 'MORAL' : 'FISICA',
+      birthDate,
+      reference: cell(row, 'reference') || null,
+      listedOn,
+      aliases: cell(row, 'aliases').split(/[;|]/)
+        .map(alias => normalizeName(alias))
+        .filter(Boolean)
+        .map(alias => ({ name: alias, quality: null })),
+    };
+    // Sin RFC ni CURP se identifica por nombre y fecha de nacimiento
+    entry.key = entry.rfc || entry.curp || `${name}|${birthDate || ''}`;
+    byKey.set(entry.key, entry);
+  });
+
+  return { entries: [...byKey.values()], rows: rows.length - headerIndex - 1, skipped, publishedAt };
+};
+
+// Orden de gobierno del cargo (PEP); EXTRANJERO para cargos en otro país
+const PEP_LEVELS = [
+  { level: 'FEDERAL', keywords: ['FEDERAL'] },
+  { level: 'ESTATAL', keywords: ['ESTATAL', 'ESTADO', 'ENTIDAD'] },
+  { level: 'MUNICIPAL', keywords: ['MUNICIPAL', 'MUNICIPIO', 'ALCALDIA'] },
+  { level: 'EXTRANJERO', keywords: ['EXTRANJER', 'INTERNACIONAL'] },
+];
+
+// Vínculo de un familiar o asociado con la PEP
+const pepRelationCategory = (relationship) => {
+  const value = normalizeHeader(relationship);
+  if (['CONYUGE', 'ESPOS', 'CONCUBIN', 'PAREJA'].some(word => value.includes(word))) return 'CONYUGE';
+  if (['SOCIO', 'ASOCIAD', 'COLABORADOR', 'CERCANO'].some(word => value.includes(word))) return 'ASOCIADO';
+  return 'FAMILIAR';
+};
+
+/**
+ * Leer el padrón de Personas Expuestas Políticamente (CSV)
+ *
+ * Un renglón por persona. Los titulares llevan cargo, institución, orden de
+ * gobierno (federal / estatal / municipal) y fechas de inicio y fin del cargo;
+ * los cónyuges, familiares y asociados cercanos llevan en "Vinculado a" el ID
+ * (o el nombre) del titular y en "Parentesco" el vínculo.
+ * @param {string} text - Contenido del CSV
+ * @returns {Object} { entries, rows, skipped, publishedAt } — publishedAt es la
+ *   fecha de inicio o fin de cargo más reciente del archivo
+ */
+export const parsePepFile = (text) => {
+  const rows = readSheetRows(text);
+
+  const isPositionHeader = (header) => header.startsWith('CARGO') || header.startsWith('PUESTO');
+  const headerIndex = rows.findIndex(row => {
+    const headers = row.map(normalizeHeader);
+    return headers.some(header => header.startsWith('NOMBRE')) && headers.some(isPositionHeader);
+  });
+  if (headerIndex === -1) {
+    throw new Error('No se encontró el encabezado "Nombre / Cargo" del padrón de PEPs');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const find = (test) => headers.findIndex(test);
+  const col = {
+    id: find(header => ['ID', 'CLAVE', 'FOLIO'].includes(header)),
+    name: find(header => header.startsWith('NOMBRE')),
+    apellidoPaterno: find(header => header.includes('PATERNO')),
+    apellidoMaterno: find(header => header.includes('MATERNO')),
+    rfc: find(header => header.startsWith('RFC')),
+    curp: find(header => header.startsWith('CURP')),
+    position: find(isPositionHeader),
+    institution: find(header => ['INSTITUCION', 'DEPENDENCIA', 'ENTE PUBLICO'].some(word => header.includes(word))),
+    level: find(header => ['NIVEL', 'AMBITO', 'ORDEN DE GOBIERNO'].some(word => header.includes(word))),
+    state: find(header => header.startsWith('ENTIDAD') || header === 'ESTADO'),
+    startDate: find(header => header.includes('INICIO') || header.includes('NOMBRAMIENTO')),
+    endDate: find(header => ['FIN', 'CONCLUSION', 'TERMINO', 'BAJA'].some(word => header.split(' ').includes(word))),
+    linkedTo: find(header => ['VINCULADO', 'RELACIONADO', 'TITULAR'].some(word => header.includes(word))),
+    relationship: find(header => header.includes('PARENTESCO') || header === 'RELACION' || header === 'VINCULO'),
+  };
+  const cell = (row, field) => (col[field] !== -1 ? String(row[col[field]] || '').trim() : '');
+  const personOf = (row) => {
+    const rfc = cell(row, 'rfc').toUpperCase().replace(/[\s-]/g, '');
+    const curp = cell(row, 'curp').toUpperCase().replace(/\s/g, '');
+    return {
+      name: normalizeName([cell(row, 'name'), cell(row, 'apellidoPaterno'), cell(row, 'apellidoMaterno')]
+        .filter(Boolean)
+        .join(' ')),
+      rfc: RFC_PATTERN.test(rfc) ? rfc : null,
+      curp: CURP_PATTERN.test(curp) ? curp : null,
+    };
+  };
+
+  // Primero los titulares, después sus familiares y asociados
+  const dataRows = rows.slice(headerIndex + 1).filter(row => row.some(value => String(value).trim()));
+  const byKey = new Map();
+  const byId = new Map();
+  const byName = new Map();
+  let skipped = 0;
+  let publishedAt = null;
+  dataRows.filter(row => !cell(row, 'linkedTo')).forEach(row => {
+    const person = personOf(row);
+    const position = cell(row, 'position');
+    if (!person.name || !position) {
+      skipped++;
+      return;
+    }
+    const levelText = normalizeHeader(cell(row, 'level'));
+    const level = PEP_LEVELS.find(({ keywords }) => keywords.some(word => levelText.includes(word)))?.level || null;
+    const startDate = parseListDate(cell(row, 'startDate'));
+    const endDate = parseListDate(cell(row, 'endDate'));
+    [startDate, endDate].forEach(date => {
+      if (date && (!publishedAt || date > publishedAt)) publishedAt = date;
+    });
+
+    const id = cell(row, 'id');
+    const entry = {
+      key: id || person.rfc || person.curp || `${person.name}|${normalizeName(position)}`,
+      ...person,
+      type: level || 'SIN_NIVEL',
+      position,
+      institution: cell(row, 'institution') || null,
+      level,
+      state: cell(row, 'state') || null,
+      startDate,
+      endDate,
+      relatives: [],
+    };
+    byKey.set(entry.key, entry);
+    if (id) byId.set(normalizeName(id), entry);
+    byName.set(person.name, entry);
+  });
+
+  dataRows.filter(row => cell(row, 'linkedTo')).forEach(row => {
+    const linkedTo = normalizeName(cell(row, 'linkedTo'));
+    const pep = byId.get(linkedTo) || byName.get(linkedTo);
+    const person = personOf(row);
+    if (!pep || !person.name) {
+      skipped++;
+      return;
+    }
+    const relationship = cell(row, 'relationship') || null;
+    pep.relatives.push({ ...person, relationship, category: pepRelationCategory(relationship) });
+  });
+
+  return { entries: [...byKey.values()], rows: dataRows.length, skipped, publishedAt };
+};
+
+// Las listas de sanciones cambian también de nombre o de programa sin cambiar de tipo
+const sanctionsSignature = (entry) => [entry.type, entry.name, ...entry.programs].join('|');
+
+/**
+ * Listas administradas. Cada parser devuelve entradas con `key` única y `type`;
+ * `signature` decide qué cuenta como cambio entre versiones (por omisión el tipo).
+ */
+export const WATCHLISTS = {
+  SAT_69B: {
+    label: 'Lista 69-B SAT',
+    source: 'SAT — Listado completo de contribuyentes del artículo 69-B del CFF',
+    format: 'csv',
+    parse: parseSat69bFile,
+  },
+  OFAC_SDN: {
+    label: 'Lista SDN OFAC',
+    source: 'U.S. Treasury OFAC — Specially Designated Nationals and Blocked Persons (sdn.xml)',
+    format: 'xml',
+    parse: parseOfacSdnFile,
+    signature: sanctionsSignature,
+  },
+  ONU_SANCTIONS: {
+    label: 'Lista Consolidada ONU',
+    source: 'Consejo de Seguridad de la ONU — Lista Consolidada de Sanciones (consolidated.xml)',
+    format: 'xml',
+    parse: parseUnConsolidatedFile,
+    signature: sanctionsSignature,
+  },
+  // El parser recibe el archivo sin decodificar: puede ser Excel
+  LPB: {
+    label: 'Lista de Personas Bloqueadas UIF',
+    source: 'UIF — Lista de Personas Bloqueadas entregada a los sujetos obligados',
+    format: 'spreadsheet',
+    parse: parseLpbFile,
+    signature: (entry) => [entry.type, entry.name, entry.reference].join('|'),
+  },
+  PEP: {
+    label: 'Personas Expuestas Políticamente',
+    source: 'Padrón de PEPs con cargo, periodo y familiares / asociados cercanos (CSV)',
+    format: 'csv',
+    parse: parsePepFile,
+    // Un cambio de cargo, de fechas o de familiares cuenta como cambio
+    signature: (entry) => [
+      entry.type, entry.name, entry.position, entry.institution, entry.startDate, entry.endDate,
+      ...entry.relatives.map(relative => `${relative.category}:${relative.name}`),
+    ].join('|'),
+  },
+};
+
+const countByType = (entries) => entries.reduce((counts, entry) => {
+  counts[entry.type] = (counts[entry.type] || 0) + 1;
+  return counts;
+}, {});
+
+const summarizeEntry = (entry) => ({ key: entry.key, name: entry.name, type: entry.type });
+
+/**
+ * Diferencia entre dos versiones por `key`: altas, bajas y cambios de firma
+ */
+const diffEntries = (previousEntries, entries, signature = (entry) => entry.type) => {
+  const previous = new Map(previousEntries.map(entry => [entry.key, entry]));
+  const current = new Map(entries.map(entry => [entry.key, entry]));
+
+  const added = entries.filter(entry => !previous.has(entry.key));
+  const removed = previousEntries.filter(entry => !current.has(entry.key));
+  const changed = entries
+    .filter(entry => previous.has(entry.key) && signature(previous.get(entry.key)) !== signature(entry))
+    .map(entry => ({ ...summarizeEntry(entry), previousType: previous.get(entry.key).type }));
+
+  const previousCounts = countByType(previousEntries);
+  const counts = countByType(entries);
+  const byType = {};
+  new Set([...Object.keys(previousCounts), ...Object.keys(counts)]).forEach(type => {
+    byType[type] = (counts[type] || 0) - (previousCounts[type] || 0);
+  });
+
+  return {
+    added: added.length,
+    removed: removed.length,
+    changed: changed.length,
+    totalDelta: entries.length - previousEntries.length,
+    byType,
+    examples: {
+      added: added.slice(0, DIFF_EXAMPLES).map(summarizeEntry),
+      removed: removed.slice(0, DIFF_EXAMPLES).map(summarizeEntry),
+      changed: changed.slice(0, DIFF_EXAMPLES),
+    },
+  };
+};
+
+const readDataset = async (storagePath) => {
+  const [buffer] = await getStorage().bucket().file(storagePath).download();
+  return JSON.parse(buffer.toString('utf8')).entries;
+};
+
+/**
+ * Importar una nueva versión de una lista y activarla
+ * @param {string} listId - Clave en WATCHLISTS
+ * @param {string|Buffer} content - Texto del archivo oficial (Buffer para listas
+ *   con format 'spreadsheet')
+ * @param {Object} options - { publishedAt?, sourceFile, user: { uid, email } }
+ *   publishedAt: fecha de publicación (YYYY-MM-DD); si no se indica se toma la
+ *   publicación más reciente del archivo
+ * @returns {Promise<Object>} Versión registrada
+ */
+export const importWatchlist = async (listId, content, { publishedAt, sourceFile, user }) => {
+  const list = WATCHLISTS[listId];
+  if (!list) {
+    throw new Error(`Lista desconocida: ${listId}`);
+  }
+
+  const parsed = list.parse(content);
+  if (parsed.entries.length === 0) {
+    throw new Error('El archivo no contiene registros válidos');
+  }
+  const versionPublishedAt = publishedAt || parsed.publishedAt;
+  if (!versionPublishedAt) {
+    throw new Error('Indica la fecha de publicación de la lista');
+  }
+
+  const listRef = db.collection('watchlists').doc(listId);
+  const listDoc = await listRef.get();
+  const activeVersion = listDoc.exists ? listDoc.data().activeVersion : null;
+  const previousEntries = activeVersion ? await readDataset(activeVersion.storagePath) : [];
+
+  const versionRef = listRef.collection('versions').doc();
+  const importedAt = new Date().toISOString();
+  const storagePath = `watchlists/${listId}/${versionRef.id}.json`;
+  await getStorage().bucket().file(storagePath).save(
+    JSON.stringify({ listId, versionId: versionRef.id, publishedAt: versionPublishedAt, entries: parsed.entries }),
+    { contentType: 'application/json' }
+  );
+
+  const version = {
+    versionId: versionRef.id,
+    listId,
+    publishedAt: versionPublishedAt,
+    total: parsed.entries.length,
+    countsByType: countByType(parsed.entries),
+    rows: parsed.rows,
+    skipped: parsed.skipped,
+    diff: activeVersion
+      ? {
+        previousVersionId: activeVersion.versionId,
+        previousPublishedAt: activeVersion.publishedAt,
+        ...diffEntries(previousEntries, parsed.entries, list.signature),
+      }
+      : null,
+    storagePath,
+    sourceFile: sourceFile || null,
+    importedBy: user.uid,
+    importedByEmail: user.email || null,
+    importedAt,
+  };
+
+  await versionRef.set(version);
+  await listRef.set({
+    listId,
+    label: list.label,
+    source: list.source,
+    activeVersion: {
+      versionId: version.versionId,
+      publishedAt: version.publishedAt,
+      total: version.total,
+      countsByType: version.countsByType,
+      storagePath,
+      importedAt,
+    },
+    updatedAt: importedAt,
+  });
+
+  cache.delete(listId);
+  logger.log(`Watchlist ${listId} imported:`, {
+    versionId: version.versionId,
+    publishedAt: version.publishedAt,
+    total: version.total,
+    diff: version.diff && { added: version.diff.added, removed: version.diff.removed, changed: version.diff.changed },
+  });
+
+  return version;
+};
+
+/**
+ * Versión activa de una lista (con caché por instancia)
+ * @param {string} listId - Clave en WATCHLISTS
+ * @returns {Promise<Object>} { versionId, publishedAt, entries } — versionId null
+ *   si la lista aún no se ha importado
+ */
+export const loadWatchlist = async (listId) => {
+  const cached = cache.get(listId);
+  if (cached && Date.now() - cached.checkedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const listDoc = await db.collection('watchlists').doc(listId).get();
+  const activeVersion = listDoc.exists ? listDoc.data().activeVersion : null;
+  if (cached && cached.versionId === (activeVersion?.versionId || null)) {
+    cached.checkedAt = Date.now();
+    return cached;
+  }
+
+  const loaded = {
+    versionId: activeVersion?.versionId || null,
+    publishedAt: activeVersion?.publishedAt || null,
+    entries: activeVersion ? await readDataset(activeVersion.storagePath) : [],
+    checkedAt: Date.now(),
+  };
+  cache.set(listId, loaded);
+  return loaded;
+};
+
+/**
+ * Fecha de la importación más reciente entre todas las listas
+ * Un cliente revisado antes de esa fecha no se ha comparado con la versión activa.
+ * @returns {Promise<string|null>} Fecha ISO, o null si no hay listas importadas
+ */
+export const getLatestImportedAt = async () => {
+  const snapshot = await db.collection('watchlists').get();
+  return snapshot.docs
+    .map(doc => doc.data().activeVersion?.importedAt)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+};
+
+/**
+ * Listas administradas con su versión activa y las versiones más recientes
+ */
+export const getWatchlistsInfo = async (versionsLimit = 5) => {
+  return Promise.all(Object.entries(WATCHLISTS).map(async ([listId, list]) => {
+    const listRef = db.collection('watchlists').doc(listId);
+    const [listDoc, versionsSnapshot] = await Promise.all([
+      listRef.get(),
+      listRef.collection('versions').orderBy('importedAt', 'desc').limit(versionsLimit).get(),
+    ]);
+    return {
+      listId,
+      label: list.label,
+      source: list.source,
+      format: list.format,
+      activeVersion: listDoc.exists ? listDoc.data().activeVersion : null,
+      versions: versionsSnapshot.docs.map(doc => doc.data()),
+    };
+  }));
+};
+
+export default {
+  WATCHLISTS,
+  parseSat69bFile,
+  parseOfacSdnFile,
+  parseUnConsolidatedFile,
+  parseLpbFile,
+  parsePepFile,
+  decodeListFile,
+  importWatchlist,
+  loadWatchlist,
+  getLatestImportedAt,
+  getWatchlistsInfo,
+};
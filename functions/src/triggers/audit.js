@@ -26,8 +26,25 @@ export const AUDIT_ACTIONS = {
   CLIENT_CREATED: 'CLIENT_CREATED',
   CLIENT_UPDATED: 'CLIENT_UPDATED',
   CLIENT_DELETED: 'CLIENT_DELETED',
+  CLIENT_REGISTRY_REBUILT: 'CLIENT_REGISTRY_REBUILT',
+  CLIENT_RISK_RECALCULATED: 'CLIENT_RISK_RECALCULATED',
+  CLIENT_OWNERSHIP_UPDATED: 'CLIENT_OWNERSHIP_UPDATED',
+  CLIENT_DUPLICATES_SCANNED: 'CLIENT_DUPLICATES_SCANNED',
+  CLIENT_DUPLICATE_DISMISSED: 'CLIENT_DUPLICATE_DISMISSED',
+  CLIENTS_MERGED: 'CLIENTS_MERGED',
+  CLIENT_MERGE_UNDONE: 'CLIENT_MERGE_UNDONE',
+  KYC_DOCUMENT_UPDATED: 'KYC_DOCUMENT_UPDATED',
+  LEGAL_HOLD_SET: 'LEGAL_HOLD_SET',
+  LEGAL_HOLD_RELEASED: 'LEGAL_HOLD_RELEASED',
+  RETENTION_PURGE_APPROVED: 'RETENTION_PURGE_APPROVED',
+  RETENTION_PURGE_REJECTED: 'RETENTION_PURGE_REJECTED',
   OPERATION_CREATED: 'OPERATION_CREATED',
   OPERATION_DELETED: 'OPERATION_DELETED',
+  ACCUMULATION_RECOMPUTED: 'ACCUMULATION_RECOMPUTED',
+  UPLOAD_ROLLED_BACK: 'UPLOAD_ROLLED_BACK',
+  DUPLICATES_ACCEPTED: 'DUPLICATES_ACCEPTED',
+  UPLOAD_ROWS_RESUBMITTED: 'UPLOAD_ROWS_RESUBMITTED',
+  OPERATION_CAPTURED: 'OPERATION_CAPTURED',
 
   // Reportes y documentos
   REPORT_GENERATED: 'REPORT_GENERATED',
@@ -42,6 +59,7 @@ export const AUDIT_ACTIONS = {
   BATCH_SCREENING_RUN: 'BATCH_SCREENING_RUN',
   SCREENING_CONFIRMED: 'SCREENING_CONFIRMED',
   SCREENING_DISMISSED: 'SCREENING_DISMISSED',
+  LPB_MATCH_DISMISSED: 'LPB_MATCH_DISMISSED',
 
   // LMS
   COURSE_STARTED: 'COURSE_STARTED',
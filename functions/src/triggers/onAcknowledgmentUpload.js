@@ -1,13 +1,15 @@
 /**
  * Trigger: onAcknowledgmentUpload
  * Se ejecuta cuando se sube un archivo PDF de acuse a Storage
- * Ruta esperada: tenants/{tenantId}/compliance/acuses/{reportId}.pdf
+ * Ruta esperada: tenants/{tenantId}/compliance/acuses/{reportId}_{timestamp}.pdf
+ * (o {reportId}.pdf, acuses subidos antes de agregar el timestamp)
  */
 
 import { onObjectFinalized } from 'firebase-functions/v2/storage';
 import { getFirestore } from 'firebase-admin/firestore';
 import { getStorage } from 'firebase-admin/storage';
 import { logger } from 'firebase-functions';
+import { registerVaultObject } from '../services/retention.js';
 
 const db = getFirestore();
 const storage = getStorage();
@@ -34,11 +36,12 @@ export const onAcknowledgmentUpload = onObjectFinalized(
     }
 
     try {
-      // Extraer información de la ruta: tenants/{tenantId}/compliance/acuses/{reportId}.pdf
+      // Extraer información de la ruta: tenants/{tenantId}/compliance/acuses/{reportId}_{timestamp}.pdf
+      // (el frontend también guarda reportId en los metadatos del archivo)
       const pathParts = filePath.split('/');
       const tenantId = pathParts[1];
       const fileName = pathParts[pathParts.length - 1];
-      const reportId = fileName.replace('.pdf', '');
+      const reportId = event.data.metadata?.reportId || fileName.replace(/(_\d+)?\.pdf$/, '');
 
       logger.log('Processing acknowledgment upload:', {
         tenantId,
@@ -88,6 +91,9 @@ export const onAcknowledgmentUpload = onObjectFinalized(
         updatedAt: new Date().toISOString(),
       });
 
+      // El acuse se conserva cinco años
+      await registerVaultObject(tenantId, { filePath, category: 'ACUSE' });
+
       // Registrar en audit log
       await db.collection('auditLog').add({
         tenantId: tenantId,
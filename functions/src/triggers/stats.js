@@ -4,8 +4,10 @@
  */
 
 import { onDocumentWritten } from 'firebase-functions/v2/firestore';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue, FieldPath } from 'firebase-admin/firestore';
 import { logger } from 'firebase-functions';
+import { classifyAmount, resolveUma } from '../services/legal-rules.js';
+import { amountMXN } from '../services/exchange-rates.js';
 
 const db = getFirestore();
 
@@ -76,38 +78,15 @@ function getAgeRange(age) {
 }
 
 /**
- * Determinar nivel de riesgo basado en monto y tipo de operación
+ * Determinar nivel de riesgo con los umbrales de la actividad (ACTIVITY_RULES)
+ * y la UMA aplicada en la ingesta (o la vigente en la fecha de operación)
  */
 function calculateRiskLevel(operation) {
-  const amount = operation.monto || operation.amount || 0;
-  const activityType = operation.actividadVulnerable || operation.tipoOperacion;
-
-  // Umbrales en MXN aproximados
-  const HIGH_RISK_THRESHOLD = 500000;
-  const MEDIUM_RISK_THRESHOLD = 100000;
-
-  // Actividades de alto riesgo inherente
-  const highRiskActivities = [
-    'INMOBILIARIA',
-    'BLINDAJE',
-    'JOYAS_RELOJES',
-    'OBRAS_ARTE',
-    'TRASLADO_VALORES',
-  ];
-
-  // Si la actividad es de alto riesgo inherente y monto considerable
-  if (highRiskActivities.includes(activityType) && amount > MEDIUM_RISK_THRESHOLD) {
-    return 'high';
-  }
-
-  // Por monto
-  if (amount >= HIGH_RISK_THRESHOLD) {
-    return 'high';
-  } else if (amount >= MEDIUM_RISK_THRESHOLD) {
-    return 'medium';
-  }
+  const amount = amountMXN(operation) || operation.amount || 0;
+  const activityType = operation.activityType || operation.actividadVulnerable;
+  const umaDiario = operation.umaReference || resolveUma(null, operation.fechaOperacion).valorDiario;
 
-  return 'low';
+  return classifyAmount(activityType, amount, umaDiario).toLowerCase();
 }
 
 /**
@@ -174,137 +153,150 @@ function normalizeState(state) {
   return stateMap[normalized] || state.substring(0, 4).toUpperCase();
 }
 
+// Los contadores se reparten en varios documentos (dashboard_0…, global_0…):
+// una carga grande escribe miles de operaciones y un solo documento no admite
+// tantas actualizaciones por segundo. getDashboardStats los suma.
+const STATS_SHARDS = 10;
+
 /**
- * Trigger: Actualizar estadísticas cuando se escribe una operación
+ * Documento de contadores de una operación (siempre el mismo para la misma operación)
  */
-export const onOperationWrite = onDocumentWritten(
-  {
-    document: 'operations/{operationId}',
-    region: 'us-central1',
-  },
-  async (event) => {
-    const beforeData = event.data?.before?.data();
-    const afterData = event.data?.after?.data();
-
-    // Si se eliminó el documento
-    if (!afterData) {
-      if (beforeData?.tenantId) {
-        await decrementStats(beforeData.tenantId, beforeData);
-      }
-      return;
-    }
-
-    const tenantId = afterData.tenantId;
-    if (!tenantId) {
-      logger.warn('Operation without tenantId:', event.params.operationId);
-      return;
-    }
-
-    try {
-      // Si es una nueva operación
-      if (!beforeData) {
-        await incrementStats(tenantId, afterData);
-        logger.log('Stats incremented for tenant:', tenantId);
-      }
-      // Si es una actualización, verificar si cambió el nivel de riesgo
-      else if (beforeData.monto !== afterData.monto) {
-        await updateStats(tenantId, beforeData, afterData);
-        logger.log('Stats updated for tenant:', tenantId);
-      }
-    } catch (error) {
-      logger.error('Error updating stats:', error);
-    }
-  }
-);
+const shardIndex = (operationId) => [...String(operationId)]
+  .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % STATS_SHARDS, 0);
 
 /**
- * Incrementar estadísticas para nueva operación
+ * Contadores que una operación suma (delta 1) o resta (delta -1)
+ * @param {Object} operation - Operación guardada
+ * @param {number} delta - 1 o -1
+ * @returns {Object} Contadores anidados { totalOperations, riskLevels: { low }, … }
  */
-async function incrementStats(tenantId, operation) {
-  const statsRef = db.collection('tenants').doc(tenantId).collection('stats').doc('dashboard');
-
+export const getStatsIncrements = (operation, delta) => {
   const riskLevel = calculateRiskLevel(operation);
   const demographics = extractDemographics(operation.clienteRfc, operation.clienteCurp);
-  const state = extractState(operation);
-  const month = getMonthKey(operation.fechaOperacion || operation.createdAt);
-  const activityType = operation.actividadVulnerable || operation.tipoOperacion || 'OTHER';
-
-  const updateData = {
-    totalOperations: FieldValue.increment(1),
-    totalAmount: FieldValue.increment(operation.monto || 0),
-    [`riskLevels.${riskLevel}`]: FieldValue.increment(1),
-    [`operationsByMonth.${month}`]: FieldValue.increment(1),
-    [`operationsByState.${state}`]: FieldValue.increment(1),
-    [`operationsByType.${activityType}`]: FieldValue.increment(1),
-    updatedAt: new Date().toISOString(),
+  const increments = {
+    totalOperations: delta,
+    totalAmount: delta * amountMXN(operation),
+    riskLevels: { [riskLevel]: delta },
+    operationsByMonth: { [getMonthKey(operation.fechaOperacion || operation.createdAt)]: delta },
+    operationsByState: { [extractState(operation)]: delta },
+    operationsByType: { [operation.activityType || 'OTHER']: delta },
   };
 
   // Agregar demografía si está disponible
-  if (demographics.ageRange) {
-    updateData[`demographics.ages.${demographics.ageRange}`] = FieldValue.increment(1);
-  }
-  if (demographics.gender) {
-    updateData[`demographics.gender.${demographics.gender}`] = FieldValue.increment(1);
+  if (demographics.ageRange || demographics.gender) {
+    increments.demographics = {
+      ...(demographics.ageRange && { ages: { [demographics.ageRange]: delta } }),
+      ...(demographics.gender && { gender: { [demographics.gender]: delta } }),
+    };
   }
+  return increments;
+};
 
-  await statsRef.set(updateData, { merge: true });
-
-  // También actualizar stats globales para admin
-  await updateGlobalStats(operation, 1);
-}
+/**
+ * Qué cuenta y qué se descuenta en una escritura de operación
+ * Solo cuentan las operaciones marcadas con statsCounted (las nuevas desde la
+ * ingesta y las anteriores una vez reconstruidas): una baja sin la marca nunca
+ * se sumó y no se descuenta. Marcar una operación existente no cambia nada.
+ * @param {Object|undefined} before - Datos anteriores
+ * @param {Object|undefined} after - Datos nuevos
+ * @returns {Object} { remove, add } operaciones a descontar y a sumar (o null)
+ */
+export const getStatsChange = (before, after) => {
+  const counted = (op) => op?.statsCounted === true;
+  if (!counted(before)) {
+    return { remove: null, add: !before && counted(after) ? after : null };
+  }
+  if (!after) return { remove: before, add: null };
+  const changed = !counted(after)
+    || amountMXN(before) !== amountMXN(after)
+    || before.activityType !== after.activityType
+    || before.fechaOperacion !== after.fechaOperacion;
+  return changed ? { remove: before, add: counted(after) ? after : null } : { remove: null, add: null };
+};
 
 /**
- * Decrementar estadísticas cuando se elimina una operación
+ * Sumar contadores anidados (los de varios documentos o de varias operaciones)
  */
-async function decrementStats(tenantId, operation) {
-  const statsRef = db.collection('tenants').doc(tenantId).collection('stats').doc('dashboard');
+const addCounters = (target, source) => {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      target[key] = addCounters(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+    }
+  });
+  return target;
+};
 
-  const riskLevel = calculateRiskLevel(operation);
-  const demographics = extractDemographics(operation.clienteRfc, operation.clienteCurp);
-  const state = extractState(operation);
-  const month = getMonthKey(operation.fechaOperacion || operation.createdAt);
-
-  const updateData = {
-    totalOperations: FieldValue.increment(-1),
-    totalAmount: FieldValue.increment(-(operation.monto || 0)),
-    [`riskLevels.${riskLevel}`]: FieldValue.increment(-1),
-    [`operationsByMonth.${month}`]: FieldValue.increment(-1),
-    [`operationsByState.${state}`]: FieldValue.increment(-1),
-    updatedAt: new Date().toISOString(),
-  };
+/**
+ * Contadores sin valores negativos (operaciones descontadas que se contaron antes de un reinicio)
+ */
+const clampCounters = (counters) => Object.fromEntries(Object.entries(counters).map(([key, value]) => [
+  key,
+  typeof value === 'number' ? Math.max(0, value) : clampCounters(value),
+]));
 
-  if (demographics.ageRange) {
-    updateData[`demographics.ages.${demographics.ageRange}`] = FieldValue.increment(-1);
-  }
-  if (demographics.gender) {
-    updateData[`demographics.gender.${demographics.gender}`] = FieldValue.increment(-1);
-  }
+/**
+ * Estadísticas de un tenant a partir de sus documentos de contadores
+ * @param {Array<Object>} shards - Datos de dashboard y dashboard_0…
+ * @returns {Object} Contadores sumados, nunca negativos, con la fecha más reciente
+ */
+export const mergeStatsShards = (shards) => {
+  const totals = clampCounters(shards.reduce((sum, shard) => addCounters(sum, shard), {}));
+  const updatedAt = shards.map(shard => shard.updatedAt).filter(Boolean).sort().pop() || null;
+  return { ...totals, updatedAt };
+};
 
-  await statsRef.set(updateData, { merge: true });
-  await updateGlobalStats(operation, -1);
-}
+/**
+ * Contadores anidados → incrementos de Firestore (set con merge combina los mapas)
+ */
+const toFieldIncrements = (counters) => Object.fromEntries(Object.entries(counters).map(([key, value]) => [
+  key,
+  typeof value === 'number' ? FieldValue.increment(value) : toFieldIncrements(value),
+]));
 
 /**
- * Actualizar estadísticas cuando se modifica una operación
+ * Trigger: Actualizar estadísticas cuando se escribe una operación
+ * (incluye las bajas: la reversión de una carga descuenta aquí cada operación eliminada)
  */
-async function updateStats(tenantId, beforeOp, afterOp) {
-  // Decrementar con datos antiguos e incrementar con nuevos
-  await decrementStats(tenantId, beforeOp);
-  await incrementStats(tenantId, afterOp);
-}
+export const onOperationWrite = onDocumentWritten(
+  {
+    document: 'tenants/{tenantId}/operations/{operationId}',
+    region: 'us-central1',
+  },
+  async (event) => {
+    const { tenantId, operationId } = event.params;
+    const { remove, add } = getStatsChange(event.data?.before?.data(), event.data?.after?.data());
+    if (!remove && !add) return;
+
+    try {
+      const counters = addCounters(
+        remove ? getStatsIncrements(remove, -1) : {},
+        add ? getStatsIncrements(add, 1) : {}
+      );
+      const shard = shardIndex(operationId);
+      await db.collection('tenants').doc(tenantId).collection('stats').doc(`dashboard_${shard}`)
+        .set({ ...toFieldIncrements(counters), updatedAt: new Date().toISOString() }, { merge: true });
+
+      // También actualizar stats globales para admin
+      await updateGlobalStats(shard, counters);
+    } catch (error) {
+      logger.error('Error updating stats:', error);
+    }
+  }
+);
 
 /**
  * Actualizar estadísticas globales (para dashboard de admin)
  */
-async function updateGlobalStats(operation, delta) {
+async function updateGlobalStats(shard, counters) {
   try {
-    const globalRef = db.collection('stats').doc('global');
-    const month = getMonthKey(operation.fechaOperacion || operation.createdAt);
-
-    await globalRef.set({
-      totalOperations: FieldValue.increment(delta),
-      totalAmount: FieldValue.increment(delta * (operation.monto || 0)),
-      [`operationsByMonth.${month}`]: FieldValue.increment(delta),
+    await db.collection('stats').doc(`global_${shard}`).set({
+      ...toFieldIncrements({
+        totalOperations: counters.totalOperations,
+        totalAmount: counters.totalAmount,
+        operationsByMonth: counters.operationsByMonth,
+      }),
       updatedAt: new Date().toISOString(),
     }, { merge: true });
   } catch (error) {
@@ -312,6 +304,65 @@ async function updateGlobalStats(operation, delta) {
   }
 }
 
+/**
+ * Documentos de contadores de una colección de estadísticas (prefix_0… y el anterior sin sufijo)
+ */
+const loadStatsShards = async (statsRef, prefix) => {
+  const refs = [statsRef.doc(prefix), ...Array.from({ length: STATS_SHARDS }, (_, i) => statsRef.doc(`${prefix}_${i}`))];
+  const docs = await db.getAll(...refs);
+  return docs.filter(doc => doc.exists).map(doc => doc.data());
+};
+
+/**
+ * Reemplazar los documentos de contadores por un total recalculado
+ */
+const writeStatsTotals = async (statsRef, prefix, totals) => {
+  const batch = db.batch();
+  batch.delete(statsRef.doc(prefix));
+  for (let i = 1; i < STATS_SHARDS; i++) batch.delete(statsRef.doc(`${prefix}_${i}`));
+  batch.set(statsRef.doc(`${prefix}_0`), { ...totals, rebuiltAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  await batch.commit();
+};
+
+/**
+ * Recalcular las estadísticas de un tenant desde sus operaciones y marcar
+ * como contadas (statsCounted) las que aún no lo estaban
+ * Conviene ejecutarlo sin cargas en curso: lo que se escriba durante el recorrido
+ * puede quedar fuera del total.
+ * @param {string} tenantId
+ * @returns {Promise<Object>} Contadores del tenant
+ */
+export const rebuildTenantStats = async (tenantId) => {
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const totals = { totalOperations: 0, totalAmount: 0 };
+  const PAGE_SIZE = 1000;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = tenantRef.collection('operations').orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const unmarked = [];
+    snapshot.docs.forEach((doc) => {
+      addCounters(totals, getStatsIncrements(doc.data(), 1));
+      if (doc.data().statsCounted !== true) unmarked.push(doc.ref);
+    });
+    for (let i = 0; i < unmarked.length; i += 400) {
+      const batch = db.batch();
+      unmarked.slice(i, i + 400).forEach(ref => batch.update(ref, { statsCounted: true }));
+      await batch.commit();
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < PAGE_SIZE) break;
+  }
+
+  await writeStatsTotals(tenantRef.collection('stats'), 'dashboard', totals);
+  return totals;
+};
+
 /**
  * Obtener clave de mes (YYYY-MM)
  */
@@ -342,14 +393,9 @@ export const getDashboardStats = onCall(
     const tenantId = request.auth.token.tenantId || request.auth.uid;
 
     try {
-      const statsDoc = await db
-        .collection('tenants')
-        .doc(tenantId)
-        .collection('stats')
-        .doc('dashboard')
-        .get();
-
-      if (!statsDoc.exists) {
+      const shards = await loadStatsShards(db.collection('tenants').doc(tenantId).collection('stats'), 'dashboard');
+
+      if (shards.length === 0) {
         // Retornar estructura vacía
         return {
           success: true,
@@ -370,7 +416,7 @@ export const getDashboardStats = onCall(
 
       return {
         success: true,
-        stats: statsDoc.data(),
+        stats: mergeStatsShards(shards),
       };
     } catch (error) {
       logger.error('Error getting dashboard stats:', error);
@@ -379,4 +425,52 @@ export const getDashboardStats = onCall(
   }
 );
 
+/**
+ * Callable: Reconstruir estadísticas desde las operaciones (SUPER ADMIN ONLY)
+ * Con tenantId reconstruye ese tenant; sin él, todos los tenants y las globales.
+ */
+export const rebuildStats = onCall(
+  { region: 'us-central1', timeoutSeconds: 540, memory: '1GiB' },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    if (request.auth.token.role !== 'superadmin') {
+      logger.warn('Unauthorized stats rebuild attempt:', {
+        uid: request.auth.uid,
+        email: request.auth.token.email,
+      });
+      throw new HttpsError('permission-denied', 'Solo super administradores pueden reconstruir las estadísticas');
+    }
+
+    const { tenantId } = request.data || {};
+
+    try {
+      if (tenantId) {
+        const totals = await rebuildTenantStats(tenantId);
+        return { success: true, tenants: 1, totalOperations: totals.totalOperations };
+      }
+
+      const global = { totalOperations: 0, totalAmount: 0 };
+      const tenantsSnapshot = await db.collection('tenants').select().get();
+      for (const tenantDoc of tenantsSnapshot.docs) {
+        const totals = await rebuildTenantStats(tenantDoc.id);
+        addCounters(global, {
+          totalOperations: totals.totalOperations,
+          totalAmount: totals.totalAmount,
+          operationsByMonth: totals.operationsByMonth,
+        });
+      }
+      await writeStatsTotals(db.collection('stats'), 'global', global);
+
+      logger.log('Stats rebuilt:', { tenants: tenantsSnapshot.size, totalOperations: global.totalOperations });
+      return { success: true, tenants: tenantsSnapshot.size, totalOperations: global.totalOperations };
+    } catch (error) {
+      logger.error('Error rebuilding stats:', error);
+      throw new HttpsError('internal', 'Error al reconstruir las estadísticas');
+    }
+  }
+);
+
 export default onOperationWrite;
@@ -0,0 +1,109 @@
+/**
+ * Client Merge Service — pruebas
+ * Fusión de un cliente duplicado y su reversión: operaciones, screening,
+ * alertas, expediente y estatus de ambos clientes
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { installFakeFirestore } from './fixtures/firestore.js';
+
+const store = installFakeFirestore();
+const { mergeClients, undoClientMerge } = await import('../src/services/client-merge.js');
+
+const TENANT = 'tenant1';
+const SURVIVOR = 'PEGJ800101AB1';
+const MERGED = 'PEGJ800101AB2';
+const USER = { uid: 'user1', email: 'oficial@example.com' };
+const tenantPath = `tenants/${TENANT}`;
+
+beforeEach(() => {
+  store.reset();
+  store.seed(tenantPath, { status: 'ACTIVE' });
+  store.seed(`${tenantPath}/clients/${SURVIVOR}`, {
+    clientId: SURVIVOR, rfc: SURVIVOR, nombre: 'JUAN PEREZ GOMEZ', tipo: 'FISICA', screeningStatus: 'CLEARED', screeningId: 'scrS',
+  });
+  store.seed(`${tenantPath}/clients/${MERGED}`, {
+    clientId: MERGED, rfc: MERGED, nombre: 'JUAN PERES GOMEZ', tipo: 'FISICA', screeningStatus: 'FLAGGED', screeningId: 'scrM',
+  });
+  store.seed(`${tenantPath}/operations/op1`, {
+    clientId: SURVIVOR, rfcCliente: SURVIVOR, activityType: 'VEHICULOS', fechaOperacion: '2026-01-10', monto: 100000, status: 'PENDING',
+  });
+  store.seed(`${tenantPath}/operations/op2`, {
+    clientId: MERGED, rfcCliente: MERGED, activityType: 'VEHICULOS', fechaOperacion: '2026-02-10', monto: 200000, status: 'PENDING',
+  });
+  store.seed(`${tenantPath}/operations/op3`, {
+    clientId: MERGED, rfcCliente: MERGED, activityType: 'VEHICULOS', fechaOperacion: '2025-12-01', monto: 50000, status: 'REPORTED',
+  });
+  store.seed('screening_results/scrM', { tenantId: TENANT, clientId: MERGED, status: 'PENDING_REVIEW' });
+  store.seed(`${tenantPath}/alerts/alertM`, { clientId: MERGED, type: 'SCREENING_MATCH', status: 'PENDING' });
+  store.seed(`${tenantPath}/duplicateCandidates/${[SURVIVOR, MERGED].sort().join('__')}`, {
+    clientIds: [SURVIVOR, MERGED].sort(), status: 'PENDING',
+  });
+  store.files.set(`${tenantPath}/clients/${MERGED}/docs/INE.pdf`, Buffer.from('ine'));
+});
+
+test('la fusión mueve operaciones, screening, alertas y expediente al cliente que permanece', async () => {
+  const { mergeId, ...moved } = await mergeClients(TENANT, SURVIVOR, MERGED, USER);
+
+  assert.deepEqual(moved, { operations: 2, screenings: 1, alerts: 1, documents: 1 });
+  assert.equal(store.read(`${tenantPath}/clientMerges/${mergeId}`).survivorId, SURVIVOR);
+  assert.equal(store.read(`${tenantPath}/operations/op2`).clientId, SURVIVOR);
+  assert.equal(store.read(`${tenantPath}/operations/op2`).rfcCliente, SURVIVOR);
+  // Una operación ya presentada conserva el RFC del aviso enviado
+  assert.equal(store.read(`${tenantPath}/operations/op3`).rfcCliente, MERGED);
+  assert.equal(store.read('screening_results/scrM').clientId, SURVIVOR);
+  assert.equal(store.read(`${tenantPath}/alerts/alertM`).clientId, SURVIVOR);
+  assert.ok(store.files.has(`${tenantPath}/clients/${SURVIVOR}/docs/INE.pdf`));
+  // El original sigue en la Bóveda
+  assert.ok(store.files.has(`${tenantPath}/clients/${MERGED}/docs/INE.pdf`));
+
+  const survivor = store.read(`${tenantPath}/clients/${SURVIVOR}`);
+  assert.deepEqual(survivor.mergedClientIds, [MERGED]);
+  assert.equal(survivor.operationsCount, 3);
+  // La coincidencia del absorbido pasa al que permanece
+  assert.equal(survivor.screeningStatus, 'FLAGGED');
+
+  const merged = store.read(`${tenantPath}/clients/${MERGED}`);
+  assert.equal(merged.status, 'MERGED');
+  assert.equal(merged.mergedInto, SURVIVOR);
+  assert.equal(store.read(`${tenantPath}/duplicateCandidates/${[SURVIVOR, MERGED].sort().join('__')}`).status, 'MERGED');
+});
+
+test('deshacer la fusión regresa todo al cliente absorbido', async () => {
+  const { mergeId } = await mergeClients(TENANT, SURVIVOR, MERGED, USER);
+  const restored = await undoClientMerge(TENANT, mergeId, USER);
+
+  assert.deepEqual(restored, { operations: 2, screenings: 1, alerts: 1, documents: 1 });
+  assert.equal(store.read(`${tenantPath}/operations/op2`).clientId, MERGED);
+  assert.equal(store.read(`${tenantPath}/operations/op2`).rfcCliente, MERGED);
+  assert.equal(store.read(`${tenantPath}/operations/op2`).mergeId, undefined);
+  assert.equal(store.read(`${tenantPath}/operations/op1`).clientId, SURVIVOR);
+  assert.equal(store.read('screening_results/scrM').clientId, MERGED);
+  assert.equal(store.read(`${tenantPath}/alerts/alertM`).clientId, MERGED);
+  assert.ok(!store.files.has(`${tenantPath}/clients/${SURVIVOR}/docs/INE.pdf`));
+
+  const survivor = store.read(`${tenantPath}/clients/${SURVIVOR}`);
+  assert.deepEqual(survivor.mergedClientIds, []);
+  assert.equal(survivor.screeningStatus, 'CLEARED');
+  assert.equal(survivor.operationsCount, 1);
+
+  const merged = store.read(`${tenantPath}/clients/${MERGED}`);
+  assert.equal(merged.status, undefined);
+  assert.equal(merged.screeningStatus, 'FLAGGED');
+  assert.equal(merged.operationsCount, 2);
+  assert.equal(store.read(`${tenantPath}/clientMerges/${mergeId}`).status, 'UNDONE');
+  // El par no se vuelve a proponer
+  assert.equal(store.read(`${tenantPath}/duplicateCandidates/${[SURVIVOR, MERGED].sort().join('__')}`).status, 'DISMISSED');
+});
+
+test('al deshacer se omiten las operaciones que ya no están en el cliente que permanece', async () => {
+  const { mergeId } = await mergeClients(TENANT, SURVIVOR, MERGED, USER);
+  // Carga revertida después de la fusión
+  await store.db.doc(`${tenantPath}/operations/op2`).delete();
+
+  const restored = await undoClientMerge(TENANT, mergeId, USER);
+  assert.equal(restored.operations, 1);
+  assert.equal(store.read(`${tenantPath}/operations/op3`).clientId, MERGED);
+});
@@ -0,0 +1,41 @@
+/**
+ * Duplicates Service — pruebas
+ * Huella y posibles duplicados por cliente (clientId), no por RFC
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOperationFingerprint, findDuplicate } from '../src/services/duplicates.js';
+
+const operation = (fields) => {
+  const op = {
+    activityType: 'INMUEBLES',
+    rfcCliente: 'XAXX010101000',
+    fechaOperacion: '2026-03-10',
+    monto: 150000,
+    tipoOperacion: 'Compraventa',
+    ...fields,
+  };
+  return { ...op, fingerprint: getOperationFingerprint(op) };
+};
+
+test('dos clientes con RFC genérico, mismo monto y mismo día no son duplicados', () => {
+  const saved = operation({ clientId: 'XAXX010101000-1A2B3C4D5E6F', uploadBatchId: 'B1' });
+  const row = operation({ clientId: 'XAXX010101000-7A8B9C0D1E2F', uploadBatchId: 'B2' });
+  assert.notEqual(row.fingerprint, saved.fingerprint);
+  assert.equal(findDuplicate(row, [saved]), null);
+  assert.equal(findDuplicate({ ...row, fechaOperacion: '2026-03-11' }, [saved]), null);
+});
+
+test('el mismo cliente con RFC genérico cargado otra vez es duplicado exacto', () => {
+  const saved = operation({ clientId: 'XAXX010101000-1A2B3C4D5E6F', uploadBatchId: 'B1' });
+  const row = operation({ clientId: 'XAXX010101000-1A2B3C4D5E6F', uploadBatchId: 'B2' });
+  assert.equal(findDuplicate(row, [saved])?.type, 'EXACT');
+});
+
+test('mismo cliente y monto a un día de distancia es posible duplicado', () => {
+  const saved = operation({ clientId: 'PELJ700101AB1', rfcCliente: 'PELJ700101AB1', uploadBatchId: 'B1' });
+  const row = operation({ clientId: 'PELJ700101AB1', rfcCliente: 'PELJ700101AB1', fechaOperacion: '2026-03-11', uploadBatchId: 'B2' });
+  assert.equal(findDuplicate(row, [saved])?.type, 'POSSIBLE');
+  assert.equal(findDuplicate({ ...row, folioOperacion: 'F-2' }, [{ ...saved, folioOperacion: 'F-1' }]), null);
+});
@@ -0,0 +1,293 @@
+/**
+ * Firestore en memoria para las pruebas de servicios
+ * Reemplaza los métodos de la instancia que devuelve getFirestore() (la misma que
+ * guardan los servicios al importarse): colecciones, consultas simples, lotes con
+ * precondiciones, getAll, transacciones y los FieldValue de firebase-admin.
+ * El bucket de Storage también queda en memoria para que ninguna prueba salga a la red.
+ */
+
+import { initializeApp, getApps } from 'firebase-admin/app';
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { Buffer } from 'node:buffer';
+
+const firestoreError = (code, message) => Object.assign(new Error(message), { code });
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+const transformName = (value) => (value && typeof value === 'object' && typeof value.methodName === 'string'
+  && value.methodName.startsWith('FieldValue.') ? value.methodName : null);
+
+const getField = (data, path) => String(path).split('.').reduce((value, key) => value?.[key], data);
+
+const applyTransform = (current, value) => {
+  switch (transformName(value)) {
+  case 'FieldValue.increment': return (typeof current === 'number' ? current : 0) + value.operand;
+  case 'FieldValue.serverTimestamp': return new Date().toISOString();
+  case 'FieldValue.arrayUnion': {
+    const list = Array.isArray(current) ? [...current] : [];
+    value.elements.forEach(item => { if (!list.some(e => JSON.stringify(e) === JSON.stringify(item))) list.push(item); });
+    return list;
+  }
+  case 'FieldValue.arrayRemove': {
+    const removed = value.elements.map(e => JSON.stringify(e));
+    return (Array.isArray(current) ? current : []).filter(e => !removed.includes(JSON.stringify(e)));
+  }
+  default: return clone(value);
+  }
+};
+
+const setPath = (data, keys, value) => {
+  const [key, ...rest] = keys;
+  if (rest.length === 0) {
+    if (transformName(value) === 'FieldValue.delete') delete data[key];
+    else data[key] = applyTransform(data[key], value);
+    return;
+  }
+  if (!isPlainObject(data[key])) data[key] = {};
+  setPath(data[key], rest, value);
+};
+
+const mergeInto = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && !transformName(value)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      mergeInto(target[key], value);
+    } else {
+      setPath(target, [key], value);
+    }
+  });
+  return target;
+};
+
+const resolveTransforms = (data) => mergeInto({}, data);
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const matches = (data, id, { field, op, value }) => {
+  const actual = field instanceof FieldPath ? id : getField(data, field);
+  switch (op) {
+  case '==': return JSON.stringify(actual) === JSON.stringify(value);
+  case '!=': return actual !== undefined && JSON.stringify(actual) !== JSON.stringify(value);
+  case '<': return actual !== undefined && compareValues(actual, value) < 0;
+  case '<=': return actual !== undefined && compareValues(actual, value) <= 0;
+  case '>': return actual !== undefined && compareValues(actual, value) > 0;
+  case '>=': return actual !== undefined && compareValues(actual, value) >= 0;
+  case 'in': return value.some(v => JSON.stringify(v) === JSON.stringify(actual));
+  case 'not-in': return actual !== undefined && !value.some(v => JSON.stringify(v) === JSON.stringify(actual));
+  case 'array-contains': return Array.isArray(actual) && actual.some(v => JSON.stringify(v) === JSON.stringify(value));
+  case 'array-contains-any': return Array.isArray(actual) && actual.some(v => value.includes(v));
+  default: throw new Error(`Operador no soportado en la prueba: ${op}`);
+  }
+};
+
+/**
+ * Instala la base en memoria y devuelve su contenido para sembrar y revisar datos
+ * @returns {Object} { db, files, seed(path, data), read(path), list(collectionPath), reset() }
+ */
+export const installFakeFirestore = () => {
+  if (getApps().length === 0) initializeApp({ projectId: 'demo-test', storageBucket: 'demo-test.appspot.com' });
+  const db = getFirestore();
+  const docs = new Map(); // path → { data, version }
+  let clock = 0;
+  let autoId = 0;
+
+  const snapshot = (ref) => {
+    const entry = docs.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: Boolean(entry),
+      updateTime: entry ? { version: entry.version } : undefined,
+      data: () => (entry ? clone(entry.data) : undefined),
+      get: (field) => (entry ? clone(getField(entry.data, field)) : undefined),
+    };
+  };
+
+  const querySnapshot = (docSnapshots) => ({
+    docs: docSnapshots,
+    empty: docSnapshots.length === 0,
+    size: docSnapshots.length,
+    forEach: (fn) => docSnapshots.forEach(fn),
+  });
+
+  const write = (ref, kind, data, options) => {
+    const entry = docs.get(ref.path);
+    if (options?.lastUpdateTime && (!entry || entry.version !== options.lastUpdateTime.version)) {
+      throw firestoreError(9, `FAILED_PRECONDITION: ${ref.path} cambió`);
+    }
+    if (kind === 'create' && entry) throw firestoreError(6, `ALREADY_EXISTS: ${ref.path}`);
+    if (kind === 'update' && !entry) throw firestoreError(5, `NOT_FOUND: ${ref.path}`);
+    if (kind === 'delete') {
+      docs.delete(ref.path);
+      return;
+    }
+    let next;
+    if (kind === 'update') {
+      next = clone(entry.data);
+      Object.entries(data).forEach(([key, value]) => setPath(next, key.split('.'), value));
+    } else if (kind === 'set' && options?.merge && entry) {
+      next = mergeInto(clone(entry.data), data);
+    } else {
+      next = resolveTransforms(data);
+    }
+    docs.set(ref.path, { data: next, version: ++clock });
+  };
+
+  const makeBatch = () => {
+    const writes = [];
+    const batch = {
+      set: (ref, data, options) => { writes.push([ref, 'set', data, options]); return batch; },
+      create: (ref, data) => { writes.push([ref, 'create', data]); return batch; },
+      update: (ref, data, precondition) => { writes.push([ref, 'update', data, precondition]); return batch; },
+      delete: (ref, precondition) => { writes.push([ref, 'delete', null, precondition]); return batch; },
+      commit: async () => {
+        // Todo o nada: se valida sobre una copia antes de aplicar
+        const before = new Map([...docs].map(([path, entry]) => [path, clone(entry)]));
+        try {
+          writes.forEach(([ref, kind, data, options]) => write(ref, kind, data, options));
+        } catch (error) {
+          docs.clear();
+          before.forEach((entry, path) => docs.set(path, entry));
+          throw error;
+        }
+        return writes.map(() => ({}));
+      },
+    };
+    return batch;
+  };
+
+  const makeQuery = (collectionPath, state = { filters: [], orders: [], max: null, after: null }) => {
+    const query = {
+      where: (field, op, value) => makeQuery(collectionPath, { ...state, filters: [...state.filters, { field, op, value }] }),
+      orderBy: (field, direction = 'asc') => makeQuery(collectionPath, { ...state, orders: [...state.orders, { field, direction }] }),
+      limit: (max) => makeQuery(collectionPath, { ...state, max }),
+      startAfter: (docSnapshot) => makeQuery(collectionPath, { ...state, after: docSnapshot }),
+      select: () => query,
+      get: async () => {
+        const prefix = `${collectionPath}/`;
+        let results = [...docs.keys()]
+          .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+          .map(path => collectionRef(collectionPath).doc(path.slice(prefix.length)))
+          .map(snapshot)
+          .filter(doc => state.filters.every(filter => matches(doc.data(), doc.id, filter)));
+        const orders = state.orders.length > 0 ? state.orders : [{ field: FieldPath.documentId(), direction: 'asc' }];
+        const sortKey = (doc, field) => (field instanceof FieldPath ? doc.id : getField(doc.data(), field));
+        results.sort((a, b) => {
+          for (const { field, direction } of orders) {
+            const order = compareValues(sortKey(a, field), sortKey(b, field));
+            if (order !== 0) return direction === 'desc' ? -order : order;
+          }
+          return compareValues(a.id, b.id);
+        });
+        if (state.after) {
+          const index = results.findIndex(doc => doc.id === state.after.id);
+          results = results.slice(index + 1);
+        }
+        if (state.max !== null) results = results.slice(0, state.max);
+        return querySnapshot(results);
+      },
+    };
+    return query;
+  };
+
+  const docRef = (path) => {
+    const parts = path.split('/');
+    const ref = {
+      id: parts[parts.length - 1],
+      path,
+      get parent() { return collectionRef(parts.slice(0, -1).join('/')); },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(ref),
+      set: async (data, options) => { write(ref, 'set', data, options); },
+      create: async (data) => { write(ref, 'create', data); },
+      update: async (data) => { write(ref, 'update', data); },
+      delete: async () => { write(ref, 'delete'); },
+    };
+    return ref;
+  };
+
+  const collectionRef = (path) => ({
+    ...makeQuery(path),
+    id: path.split('/').pop(),
+    path,
+    doc: (id) => docRef(`${path}/${id ?? `auto${String(++autoId).padStart(6, '0')}`}`),
+    add: async (data) => {
+      const ref = docRef(`${path}/auto${String(++autoId).padStart(6, '0')}`);
+      write(ref, 'set', data);
+      return ref;
+    },
+  });
+
+  Object.assign(db, {
+    collection: (path) => collectionRef(path),
+    doc: (path) => docRef(path),
+    batch: makeBatch,
+    getAll: async (...refs) => refs.map(snapshot),
+    runTransaction: async (fn) => {
+      const reads = new Map();
+      const batch = makeBatch();
+      const tx = {
+        get: async (target) => {
+          const result = target.where ? await target.get() : snapshot(target);
+          (result.docs || [result]).forEach(doc => reads.set(doc.ref.path, docs.get(doc.ref.path)?.version));
+          return result;
+        },
+        getAll: async (...refs) => Promise.all(refs.map(ref => tx.get(ref))),
+        set: (...args) => { batch.set(...args); return tx; },
+        create: (...args) => { batch.create(...args); return tx; },
+        update: (...args) => { batch.update(...args); return tx; },
+        delete: (...args) => { batch.delete(...args); return tx; },
+      };
+      const result = await fn(tx);
+      reads.forEach((version, path) => {
+        if (docs.get(path)?.version !== version) throw firestoreError(10, `ABORTED: ${path} cambió`);
+      });
+      await batch.commit();
+      return result;
+    },
+  });
+
+  const files = new Map(); // path → Buffer
+  const fileRef = (name) => ({
+    name,
+    exists: async () => [files.has(name)],
+    save: async (content) => { files.set(name, Buffer.from(content)); },
+    download: async () => {
+      if (!files.has(name)) throw firestoreError(404, `No such object: ${name}`);
+      return [files.get(name)];
+    },
+    copy: async (dest) => { files.set(dest.name, files.get(name)); },
+    delete: async ({ ignoreNotFound = false } = {}) => {
+      if (!files.has(name) && !ignoreNotFound) throw firestoreError(404, `No such object: ${name}`);
+      files.delete(name);
+    },
+  });
+  const bucket = {
+    file: fileRef,
+    getFiles: async ({ prefix = '' } = {}) => [[...files.keys()].filter(name => name.startsWith(prefix)).map(fileRef)],
+  };
+  getStorage().bucket = () => bucket;
+
+  return {
+    db,
+    files,
+    seed: (path, data) => write(docRef(path), 'set', data),
+    read: (path) => clone(docs.get(path)?.data),
+    list: (collectionPath) => [...docs.keys()]
+      .filter(path => path.startsWith(`${collectionPath}/`) && !path.slice(collectionPath.length + 1).includes('/'))
+      .map(path => ({ id: path.split('/').pop(), ...clone(docs.get(path).data) })),
+    reset: () => {
+      docs.clear();
+      files.clear();
+    },
+  };
+};
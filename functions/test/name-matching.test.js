@@ -0,0 +1,56 @@
+/**
+ * Name Matching Service — pruebas
+ * Casos conocidos de fixtures/name-matching.json y sub-puntajes del resultado
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { prepareName, matchNames, isNearExactMatch } from '../src/services/name-matching.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/name-matching.json', import.meta.url), 'utf8'));
+
+fixtures.cases.forEach(({ category, list, query, candidate, legalEntity, details, expected, methods }) => {
+  test(`${category}: ${query} / ${candidate} → ${expected}`, () => {
+    const result = matchNames(prepareName(query, { legalEntity }), prepareName(candidate, { legalEntity }), details);
+    if (list === 'LPB') {
+      assert.equal(isNearExactMatch(result, fixtures.lpbThreshold), expected === 'HIT', `nombre ${result.nameScore}, cobertura ${result.coverage}`);
+    } else if (expected === 'HIT') {
+      assert.ok(result.score >= fixtures.threshold, `puntaje ${result.score} menor a ${fixtures.threshold}`);
+    } else {
+      assert.ok(result.score < fixtures.threshold, `puntaje ${result.score} alcanza ${fixtures.threshold}`);
+    }
+    if (methods) {
+      assert.deepEqual(result.tokens.map(token => token.method).sort(), [...methods].sort());
+    }
+  });
+});
+
+test('la forma societaria solo se quita completa', () => {
+  assert.equal(prepareName('JUAN PEREZ A C').normalized, 'JUAN PEREZ A C');
+  assert.equal(prepareName('ASOCIACION VECINAL A.C.', { legalEntity: true }).normalized, 'ASOCIACION VECINAL');
+  assert.equal(prepareName('GRUPO NORTE SA DE CV', { legalEntity: false }).normalized, 'GRUPO NORTE SA CV');
+  assert.equal(prepareName('TRANSPORTES R V').normalized, 'TRANSPORTES R V');
+});
+
+test('el resultado explica tokens sin pareja y bonos', () => {
+  const result = matchNames('JUAN PEREZ LOPEZ', 'JUAN PEREZ', {
+    dateOfBirth: '1970-01-12',
+    candidateDatesOfBirth: ['12 Jan 1970'],
+    nationalities: ['MEX', 'México'],
+    candidateNationalities: ['Mexico'],
+  });
+  assert.equal(result.nameScore, 0.92);
+  assert.deepEqual(result.unmatched, { query: ['LOPEZ'], candidate: [] });
+  assert.deepEqual(result.boosts, { dateOfBirth: 0.05, nationality: 0.03 });
+  assert.equal(result.score, 1);
+});
+
+test('los bonos no convierten un nombre distinto en coincidencia', () => {
+  const result = matchNames('JUAN', 'JUAN PEREZ LOPEZ', {
+    dateOfBirth: '1970-01-12',
+    candidateDatesOfBirth: ['1970-01-12'],
+  });
+  assert.deepEqual(result.boosts, { dateOfBirth: 0, nationality: 0 });
+  assert.ok(result.score < fixtures.threshold);
+});
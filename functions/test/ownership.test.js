@@ -0,0 +1,76 @@
+/**
+ * Ownership Service — pruebas
+ * Participación efectiva a través de personas morales y beneficiarios controladores
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeApp } from 'firebase-admin/app';
+
+// El módulo obtiene Firestore al importarse; evaluateOwnership no lo usa
+initializeApp({ projectId: 'demo-test' });
+const { evaluateOwnership } = await import('../src/services/ownership.js');
+
+const fisica = (nombre, percentage, fields = {}) => ({
+  tipo: 'FISICA', nombre, apellidoPaterno: 'PEREZ', apellidoMaterno: '', percentage, ...fields,
+});
+const moral = (nombre, percentage, shareholders = []) => ({ tipo: 'MORAL', nombre, percentage, shareholders });
+
+test('sin accionistas la estructura falta', () => {
+  assert.equal(evaluateOwnership([]).status, 'MISSING');
+});
+
+test('el controlador se identifica a través de una persona moral', () => {
+  const result = evaluateOwnership([
+    moral('HOLDING SA', 60, [fisica('ANA', 50), fisica('LUIS', 50)]),
+    fisica('JUAN', 40),
+  ]);
+
+  assert.equal(result.status, 'IDENTIFIED');
+  assert.deepEqual(result.owners.map(o => [o.nombre, o.effectivePercentage]), [['JUAN', 40], ['ANA', 30], ['LUIS', 30]]);
+  assert.deepEqual(result.controllers.map(o => o.nombre), ['JUAN', 'ANA', 'LUIS']);
+  assert.deepEqual(result.owners.find(o => o.nombre === 'ANA').paths, ['HOLDING SA → ANA PEREZ']);
+});
+
+test('la misma persona en dos cadenas suma su participación', () => {
+  const result = evaluateOwnership([
+    moral('HOLDING SA', 50, [fisica('ANA', 30, { rfc: 'PEAA800101AB1' }), fisica('LUIS', 70)]),
+    fisica('ANA', 15, { rfc: 'PEAA800101AB1' }),
+    fisica('MARIA', 35),
+  ]);
+
+  const ana = result.owners.find(o => o.nombre === 'ANA');
+  assert.equal(ana.effectivePercentage, 30);
+  assert.equal(ana.paths.length, 2);
+  assert.deepEqual(result.controllers.map(o => o.nombre).sort(), ['ANA', 'LUIS', 'MARIA']);
+});
+
+test('el control por otros medios cuenta aunque la participación sea menor al umbral', () => {
+  const result = evaluateOwnership([fisica('ANA', 10, { control: true }), fisica('LUIS', 20), fisica('EVA', 20), fisica('RAUL', 25), fisica('SOFIA', 25)]);
+  assert.equal(result.status, 'IDENTIFIED');
+  assert.deepEqual(result.controllers.map(o => o.nombre), ['ANA']);
+});
+
+test('sin controlador y con más del 25% sin identificar la estructura está incompleta', () => {
+  const result = evaluateOwnership([
+    moral('HOLDING SA', 40),
+    fisica('ANA', 20),
+    fisica('LUIS', 20),
+    fisica('EVA', 20),
+  ]);
+
+  assert.equal(result.status, 'INCOMPLETE');
+  assert.equal(result.controllers.length, 0);
+  assert.deepEqual(result.unresolved.map(u => [u.nombre, u.effectivePercentage]), [['HOLDING SA', 40]]);
+});
+
+test('los accionistas no capturados cuentan como porción sin identificar', () => {
+  const result = evaluateOwnership([fisica('ANA', 20), fisica('LUIS', 20)]);
+  assert.equal(result.status, 'INCOMPLETE');
+  assert.equal(result.identifiedPercentage, 40);
+});
+
+test('con todo identificado y nadie arriba del umbral no hay controlador', () => {
+  const result = evaluateOwnership([fisica('ANA', 25), fisica('LUIS', 25), fisica('EVA', 25), fisica('RAUL', 25)]);
+  assert.equal(result.status, 'NO_CONTROLLER');
+});
@@ -0,0 +1,100 @@
+/**
+ * Retention Service — pruebas
+ * Reversión de cargas dentro del plazo de conservación y con suspensión de plazos,
+ * y nueva verificación de cada elemento al aprobar una depuración
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './fixtures/firestore.js';
+
+const store = installFakeFirestore();
+const { removeOperations, listExpiredItems, purgeItems, getRetentionUntil } = await import('../src/services/retention.js');
+
+const TENANT = 'tenant1';
+const operations = () => store.db.collection(`tenants/${TENANT}/operations`).get();
+
+beforeEach(() => {
+  store.reset();
+  store.seed(`tenants/${TENANT}`, { status: 'ACTIVE' });
+  store.seed(`tenants/${TENANT}/operations/reciente`, {
+    uploadBatchId: 'batch1',
+    fechaOperacion: '2025-06-15',
+    retentionUntil: '2030-06-15',
+  });
+  store.seed(`tenants/${TENANT}/operations/sinPlazo`, {
+    uploadBatchId: 'batch1',
+    fechaOperacion: '2024-01-10',
+  });
+  store.seed(`tenants/${TENANT}/operations/vencida`, {
+    uploadBatchId: 'batch1',
+    fechaOperacion: '2019-01-10',
+    retentionUntil: '2024-01-10',
+  });
+});
+
+test('el plazo de conservación es de cinco años desde la fecha', () => {
+  assert.equal(getRetentionUntil('2025-06-15'), '2030-06-15');
+  assert.equal(getRetentionUntil('no es fecha'), null);
+});
+
+test('revertir una carga archiva las operaciones en plazo y borra solo las vencidas', async () => {
+  const { docs } = await operations();
+  const result = await removeOperations(TENANT, docs, { reason: 'UPLOAD_ROLLED_BACK', uploadBatchId: 'batch1', userId: 'user1' });
+
+  assert.deepEqual(result, { archived: 2, deleted: 1 });
+  assert.equal((await operations()).size, 0);
+  const archived = store.list(`tenants/${TENANT}/archivedOperations`);
+  assert.deepEqual(archived.map(op => op.id).sort(), ['reciente', 'sinPlazo']);
+  // Sin retentionUntil se calcula con la fecha de la operación
+  assert.equal(archived.find(op => op.id === 'sinPlazo').retentionUntil, '2029-01-10');
+  assert.equal(archived.find(op => op.id === 'reciente').archiveReason, 'UPLOAD_ROLLED_BACK');
+});
+
+test('con la suspensión de plazos activa la reversión no quita ninguna operación', async () => {
+  store.seed(`tenants/${TENANT}`, { status: 'ACTIVE', legalHold: { active: true, reason: 'Visita UIF' } });
+  const { docs } = await operations();
+
+  await assert.rejects(
+    removeOperations(TENANT, docs, { reason: 'UPLOAD_ROLLED_BACK', uploadBatchId: 'batch1', userId: 'user1' }),
+    /suspendidos/
+  );
+  assert.equal((await operations()).size, 3);
+  assert.equal(store.list(`tenants/${TENANT}/archivedOperations`).length, 0);
+});
+
+test('las operaciones archivadas se proponen para depuración al vencer', async () => {
+  store.seed(`tenants/${TENANT}/archivedOperations/archivada`, { fechaOperacion: '2019-05-01', retentionUntil: '2024-05-01' });
+
+  const items = await listExpiredItems(TENANT, '2026-01-01');
+  assert.deepEqual(items.map(item => `${item.kind}:${item.ref}`).sort(), ['ARCHIVED_OPERATION:archivada', 'OPERATION:vencida']);
+});
+
+test('al aprobar, un elemento cuyo plazo se extendió se conserva', async () => {
+  const items = await listExpiredItems(TENANT);
+  // Después de la propuesta el plazo de la operación cambió (p. ej. corrección de fecha)
+  store.seed(`tenants/${TENANT}/operations/vencida`, { fechaOperacion: '2025-01-10', retentionUntil: '2030-01-10' });
+
+  const result = await purgeItems(TENANT, [...items, { kind: 'OPERATION', ref: 'yaNoExiste' }]);
+  assert.deepEqual(result, { deleted: 0, skipped: 2 });
+  assert.equal((await operations()).size, 3);
+});
+
+test('al aprobar se borran los elementos que siguen vencidos', async () => {
+  store.seed(`tenants/${TENANT}/archivedOperations/archivada`, { retentionUntil: '2024-05-01' });
+  const items = await listExpiredItems(TENANT);
+
+  const result = await purgeItems(TENANT, items);
+  assert.deepEqual(result, { deleted: 2, skipped: 0 });
+  assert.equal(store.read(`tenants/${TENANT}/operations/vencida`), undefined);
+  assert.equal(store.read(`tenants/${TENANT}/archivedOperations/archivada`), undefined);
+});
+
+test('con la suspensión de plazos activa la depuración aprobada no borra nada', async () => {
+  const items = await listExpiredItems(TENANT);
+  store.seed(`tenants/${TENANT}`, { status: 'ACTIVE', legalHold: { active: true, reason: 'Visita UIF' } });
+
+  const result = await purgeItems(TENANT, items);
+  assert.deepEqual(result, { deleted: 0, skipped: items.length });
+  assert.ok(store.read(`tenants/${TENANT}/operations/vencida`));
+});
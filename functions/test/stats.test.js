@@ -0,0 +1,78 @@
+/**
+ * Statistics Triggers — pruebas
+ * Contadores por operación: solo las marcadas (statsCounted) se descuentan y el total nunca es negativo
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeApp } from 'firebase-admin/app';
+
+// El módulo obtiene Firestore al importarse; no se hace ninguna lectura ni escritura
+initializeApp({ projectId: 'demo-test' });
+const { getStatsIncrements, getStatsChange, mergeStatsShards } = await import('../src/triggers/stats.js');
+
+const operation = (fields) => ({
+  activityType: 'VEHICULOS',
+  actividadVulnerable: 'Compraventa de vehículos',
+  tipoOperacion: 'Compraventa',
+  fechaOperacion: '2026-03-10',
+  montoMXN: 250000,
+  statsCounted: true,
+  ...fields,
+});
+
+test('los contadores por tipo usan activityType', () => {
+  const increments = getStatsIncrements(operation(), 1);
+  assert.deepEqual(increments.operationsByType, { VEHICULOS: 1 });
+  assert.equal(increments.totalOperations, 1);
+  assert.equal(increments.totalAmount, 250000);
+  assert.deepEqual(increments.operationsByMonth, { '2026-03': 1 });
+});
+
+test('una baja resta lo mismo que sumó el alta', () => {
+  const increments = getStatsIncrements(operation(), -1);
+  assert.equal(increments.totalOperations, -1);
+  assert.equal(increments.totalAmount, -250000);
+  assert.deepEqual(increments.operationsByType, { VEHICULOS: -1 });
+});
+
+test('el alta de una operación marcada se suma', () => {
+  const op = operation();
+  assert.deepEqual(getStatsChange(undefined, op), { remove: null, add: op });
+});
+
+test('la baja de una operación sin marca no se descuenta', () => {
+  const legacy = operation({ statsCounted: undefined });
+  assert.deepEqual(getStatsChange(legacy, undefined), { remove: null, add: null });
+});
+
+test('marcar una operación anterior (reconstrucción) no cambia los contadores', () => {
+  const legacy = operation({ statsCounted: undefined });
+  assert.deepEqual(getStatsChange(legacy, operation()), { remove: null, add: null });
+});
+
+test('la baja de una operación marcada se descuenta', () => {
+  const op = operation();
+  assert.deepEqual(getStatsChange(op, undefined), { remove: op, add: null });
+});
+
+test('un cambio de monto descuenta el anterior y suma el nuevo', () => {
+  const before = operation();
+  const after = operation({ montoMXN: 300000 });
+  assert.deepEqual(getStatsChange(before, after), { remove: before, add: after });
+});
+
+test('un cambio que no afecta contadores no escribe', () => {
+  assert.deepEqual(getStatsChange(operation(), operation({ status: 'REPORTED' })), { remove: null, add: null });
+});
+
+test('los documentos de contadores se suman y no bajan de cero', () => {
+  const stats = mergeStatsShards([
+    { totalOperations: 3, totalAmount: 500, operationsByType: { VEHICULOS: 3 }, updatedAt: '2026-03-01T00:00:00.000Z' },
+    { totalOperations: -5, totalAmount: -800, operationsByType: { VEHICULOS: -4, INMUEBLES: 2 }, updatedAt: '2026-03-02T00:00:00.000Z' },
+  ]);
+  assert.equal(stats.totalOperations, 0);
+  assert.equal(stats.totalAmount, 0);
+  assert.deepEqual(stats.operationsByType, { VEHICULOS: 0, INMUEBLES: 2 });
+  assert.equal(stats.updatedAt, '2026-03-02T00:00:00.000Z');
+});
@@ -0,0 +1,94 @@
+/**
+ * Upload Drafts Service — pruebas
+ * Un reenvío repetido de las mismas filas no guarda las operaciones dos veces
+ * y la copia anotada deja de listar las filas corregidas
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './fixtures/firestore.js';
+
+const store = installFakeFirestore();
+const { loadResubmittedDrafts, resolveResubmittedDrafts, isDraftConflict, replaceRowIssues } =
+  await import('../src/services/upload-drafts.js');
+
+const TENANT = 'tenant1';
+const BATCH = 'batch1';
+const validKeys = new Set(['rfcCliente', 'monto']);
+
+beforeEach(() => {
+  store.reset();
+  store.seed(`tenants/${TENANT}/uploadDrafts/${BATCH}_3`, {
+    uploadBatchId: BATCH,
+    row: 3,
+    type: 'FORMAT',
+    originType: 'FORMAT',
+    status: 'PENDING',
+    values: { rfcCliente: 'XAXX01', monto: '1000' },
+  });
+});
+
+/**
+ * Lo que hace resubmitUploadDrafts con un borrador que ya es válido
+ */
+const resubmit = (drafts) => {
+  const batch = store.db.batch();
+  const opRef = store.db.collection(`tenants/${TENANT}/operations`).doc();
+  batch.set(opRef, { sourceRow: 3, uploadBatchId: BATCH });
+  const resolved = resolveResubmittedDrafts(batch, drafts, {
+    stillRejected: new Map(),
+    exactDuplicates: new Map(),
+    heldRows: new Set(),
+    savedByRow: new Map([[3, opRef.id]]),
+  }, { uid: 'user1' }, '2026-03-10T00:00:00.000Z');
+  return { batch, resolved };
+};
+
+test('los valores editados se limitan a las columnas de la actividad', async () => {
+  const [draft] = await loadResubmittedDrafts(TENANT, BATCH,
+    [{ id: `${BATCH}_3`, values: { rfcCliente: 'XAXX010101000', status: 'RESUBMITTED' } }], validKeys);
+  assert.equal(draft.values.rfcCliente, 'XAXX010101000');
+  assert.equal(draft.status, 'PENDING');
+});
+
+test('dos reenvíos simultáneos: el segundo falla completo y no guarda la operación', async () => {
+  const edits = [{ id: `${BATCH}_3`, values: { rfcCliente: 'XAXX010101000' } }];
+  const first = await loadResubmittedDrafts(TENANT, BATCH, edits, validKeys);
+  const second = await loadResubmittedDrafts(TENANT, BATCH, edits, validKeys);
+
+  const { batch, resolved } = resubmit(first);
+  await batch.commit();
+  assert.deepEqual(resolved, { FORMAT: 1, LEGAL_REJECT: 0 });
+
+  const error = await resubmit(second).batch.commit().then(() => null, e => e);
+  assert.ok(isDraftConflict(error));
+  assert.equal(store.list(`tenants/${TENANT}/operations`).length, 1);
+  assert.equal(store.read(`tenants/${TENANT}/uploadDrafts/${BATCH}_3`).status, 'RESUBMITTED');
+});
+
+test('un borrador ya reenviado no se vuelve a cargar', async () => {
+  const edits = [{ id: `${BATCH}_3`, values: {} }];
+  await resubmit(await loadResubmittedDrafts(TENANT, BATCH, edits, validKeys)).batch.commit();
+  assert.deepEqual(await loadResubmittedDrafts(TENANT, BATCH, edits, validKeys), []);
+});
+
+test('las observaciones de las filas reenviadas se reemplazan por las del reenvío', async () => {
+  store.seed(`tenants/${TENANT}/uploadIssues/${BATCH}_0`, {
+    uploadBatchId: BATCH,
+    rows: [
+      { row: 2, status: 'WARNING', cells: [{ col: 1, message: 'Advertencia' }] },
+      { row: 3, status: 'FORMAT', cells: [{ col: 4, message: 'RFC inválido' }] },
+      { row: 4, status: 'FORMAT', cells: [{ col: 5, message: 'Monto inválido' }] },
+    ],
+  });
+
+  const rewritten = await replaceRowIssues(TENANT, BATCH, [3, 4], [
+    { row: 4, status: 'LEGAL_REJECT', cells: [{ col: 2, message: 'Sin identificación' }] },
+  ]);
+
+  assert.equal(rewritten, 1);
+  assert.deepEqual(store.read(`tenants/${TENANT}/uploadIssues/${BATCH}_0`).rows, [
+    { row: 2, status: 'WARNING', cells: [{ col: 1, message: 'Advertencia' }] },
+    { row: 4, status: 'LEGAL_REJECT', cells: [{ col: null, message: 'Sin identificación' }] },
+  ]);
+});
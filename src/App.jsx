@@ -43,6 +43,10 @@ const TenantList = lazy(() => import('./modules/admin/components/TenantList'));
 const LeadsList = lazy(() => import('./modules/admin/components/LeadsList'));
 const ServiceFulfillment = lazy(() => import('./modules/admin/components/ServiceFulfillment'));
 const AuditLog = lazy(() => import('./modules/admin/components/AuditLog'));
+const UmaCatalog = lazy(() => import('./modules/admin/components/UmaCatalog'));
+const ExchangeRates = lazy(() => import('./modules/admin/components/ExchangeRates'));
+const SatCatalogs = lazy(() => import('./modules/admin/components/SatCatalogs'));
+const Watchlists = lazy(() => import('./modules/admin/components/Watchlists'));
 
 function App() {
   return (
@@ -122,6 +126,10 @@ function App() {
                 <Route path="/admin/leads" element={<LeadsList />} />
                 <Route path="/admin/fulfillment" element={<ServiceFulfillment />} />
                 <Route path="/admin/audit" element={<AuditLog />} />
+                <Route path="/admin/uma" element={<UmaCatalog />} />
+                <Route path="/admin/fx" element={<ExchangeRates />} />
+                <Route path="/admin/catalogs" element={<SatCatalogs />} />
+                <Route path="/admin/watchlists" element={<Watchlists />} />
               </Route>
 
               {/* ========================================
@@ -1,10 +1,23 @@
 import { z } from 'zod';
+// Módulo compartido con la ingesta y el validador XML de Cloud Functions
+import { validateRfc } from './identity';
 
 // Regex oficial para RFC mexicano
 // Persona Moral: 3 letras + 6 dígitos fecha + 3 caracteres homoclave = 12 chars
 // Persona Física: 4 letras + 6 dígitos fecha + 3 caracteres homoclave = 13 chars
 const RFC_REGEX = /^([A-ZÑ&]{3,4})(\d{6})([A-Z\d]{3})$/;
 
+// Dígito verificador, fecha válida y RFC genérico (solo si ya pasó el formato)
+const refineRfc = (value, ctx) => {
+  if (!RFC_REGEX.test(value)) return;
+  const check = validateRfc(value);
+  if (check.generic) {
+    ctx.addIssue({ code: 'custom', message: 'No se permite un RFC genérico (XAXX010101000 / XEXX010101000)' });
+  } else if (!check.valid) {
+    ctx.addIssue({ code: 'custom', message: `RFC inválido. ${check.errors.join(' ')}` });
+  }
+};
+
 // Esquema de Login
 export const loginSchema = z.object({
   email: z
@@ -56,7 +69,8 @@ export const fiscalIdentitySchema = z.object({
     .min(1, 'El RFC es requerido')
     .min(12, 'El RFC debe tener al menos 12 caracteres')
     .max(13, 'El RFC no puede tener más de 13 caracteres')
-    .regex(RFC_REGEX, 'Formato de RFC inválido. Debe ser: 3-4 letras + 6 dígitos + 3 caracteres'),
+    .regex(RFC_REGEX, 'Formato de RFC inválido. Debe ser: 3-4 letras + 6 dígitos + 3 caracteres')
+    .superRefine(refineRfc),
   razonSocial: z
     .string()
     .min(1, 'La razón social es requerida')
@@ -83,7 +97,8 @@ export const representationSchema = z.object({
     .string()
     .min(1, 'El RFC del representante es requerido')
     .length(13, 'El RFC del representante debe tener 13 caracteres (persona física)')
-    .regex(RFC_REGEX, 'Formato de RFC inválido'),
+    .regex(RFC_REGEX, 'Formato de RFC inválido')
+    .superRefine(refineRfc),
   cargoRepresentante: z
     .string()
     .min(1, 'El cargo es requerido'),
@@ -0,0 +1,329 @@
+/**
+ * Identity Validation Service
+ * Validación de RFC y CURP más allá del formato:
+ *
+ * - Dígito verificador de la homoclave del RFC (módulo 11, tabla SAT)
+ * - Dígito verificador de la CURP (módulo 10, tabla RENAPO)
+ * - RFC genéricos del SAT (público en general / residentes en el extranjero)
+ * - Coherencia entre RFC, CURP, nombre, apellidos y fecha de nacimiento
+ *
+ * Sin dependencias: lo usan el onboarding (authSchemas.js) y, en Cloud Functions,
+ * la ingesta y el validador XML. Functions solo despliega su propio directorio:
+ * functions/scripts/sync-shared.js copia este archivo a functions/src/services/identity.js
+ * antes de probar, emular o desplegar (la copia no se versiona).
+ */
+
+export const RFC_REGEX = /^([A-ZÑ&]{3,4})(\d{6})([A-Z\d]{3})$/;
+export const CURP_REGEX = /^[A-Z]{4}\d{6}[HMX][A-Z]{5}[A-Z\d]\d$/;
+
+/**
+ * RFC genéricos publicados por el SAT: no identifican a una persona
+ */
+export const GENERIC_RFCS = {
+  XAXX010101000: 'RFC genérico de público en general',
+  XEXX010101000: 'RFC genérico de residentes en el extranjero',
+};
+
+// Valor de cada carácter para el dígito verificador (posición en la cadena)
+const RFC_CHARSET = '0123456789ABCDEFGHIJKLMN&OPQRSTUVWXYZ Ñ';
+const CURP_CHARSET = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+// Partículas que se omiten en apellidos y nombres compuestos
+const NAME_PARTICLES = new Set([
+  'DA', 'DAS', 'DE', 'DEL', 'DER', 'DI', 'DIE', 'DD', 'EL', 'LA', 'LAS', 'LE', 'LES',
+  'LOS', 'MAC', 'MC', 'VAN', 'VON', 'Y',
+]);
+
+// Primer nombre que se omite cuando hay nombre compuesto (JOSE LUIS → LUIS)
+const COMMON_FIRST_NAMES = new Set(['JOSE', 'J', 'MARIA', 'MA', 'M']);
+
+const VOWELS = 'AEIOU';
+
+/**
+ * Normalizar RFC / CURP: mayúsculas, sin espacios ni guiones
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeIdentifier = (value) =>
+  String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Indica si el RFC es uno de los genéricos del SAT
+ * @param {string} rfc
+ * @returns {boolean}
+ */
+export const isGenericRfc = (rfc) => Boolean(GENERIC_RFCS[normalizeIdentifier(rfc)]);
+
+/**
+ * Fecha YYMMDD válida en el calendario (acepta 29 de febrero en cualquier año:
+ * el siglo no viene en la clave)
+ */
+const isValidYYMMDD = (yymmdd) => {
+  const month = Number(yymmdd.slice(2, 4));
+  const day = Number(yymmdd.slice(4, 6));
+  if (month < 1 || month > 12 || day < 1) return false;
+  const daysInMonth = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  return day <= daysInMonth;
+};
+
+/**
+ * Calcular el dígito verificador del RFC
+ * Las personas morales (12 caracteres) se completan con un espacio al inicio.
+ * @param {string} rfc - RFC de 12 o 13 caracteres (el último se ignora)
+ * @returns {string|null} Dígito esperado ('0'-'9' o 'A'), null si hay caracteres fuera de tabla
+ */
+export const rfcCheckDigit = (rfc) => {
+  const clean = normalizeIdentifier(rfc);
+  const base = (clean.length === 12 ? ` ${clean}` : clean).slice(0, 12);
+
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    const value = RFC_CHARSET.indexOf(base[i]);
+    if (value === -1) return null;
+    sum += value * (13 - i);
+  }
+
+  const digit = 11 - (sum % 11);
+  if (digit === 11) return '0';
+  if (digit === 10) return 'A';
+  return String(digit);
+};
+
+/**
+ * Calcular el dígito verificador de la CURP
+ * @param {string} curp - CURP de 18 caracteres (el último se ignora)
+ * @returns {string|null} Dígito esperado, null si hay caracteres fuera de tabla
+ */
+export const curpCheckDigit = (curp) => {
+  const base = normalizeIdentifier(curp).slice(0, 17);
+  if (base.length !== 17) return null;
+
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const value = CURP_CHARSET.indexOf(base[i]);
+    if (value === -1) return null;
+    sum += value * (18 - i);
+  }
+
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Validar un RFC: formato, fecha, dígito verificador y RFC genérico
+ * @param {string} rfc
+ * @returns {Object} { valid, rfc, tipoPersona: 'PF'|'PM'|null, generic, errors: [] }
+ */
+export const validateRfc = (rfc) => {
+  const clean = normalizeIdentifier(rfc);
+  const result = { valid: false, rfc: clean, tipoPersona: null, generic: false, errors: [] };
+
+  if (!clean) {
+    result.errors.push('El RFC está vacío.');
+    return result;
+  }
+
+  // Los genéricos no cumplen el dígito verificador: se aceptan como tales
+  if (GENERIC_RFCS[clean]) {
+    result.valid = true;
+    result.generic = true;
+    return result;
+  }
+
+  const match = clean.match(RFC_REGEX);
+  if (!match) {
+    result.errors.push('Debe tener 3 (persona moral) o 4 (persona física) letras, 6 dígitos de fecha y 3 de homoclave.');
+    return result;
+  }
+  result.tipoPersona = clean.length === 13 ? 'PF' : 'PM';
+
+  if (!isValidYYMMDD(match[2])) {
+    result.errors.push(`La fecha ${match[2]} (AAMMDD) no existe.`);
+  }
+
+  const expected = rfcCheckDigit(clean);
+  if (expected !== clean[clean.length - 1]) {
+    result.errors.push(`El dígito verificador no coincide (se esperaba "${expected}"). Revisa que no haya errores de captura.`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+};
+
+/**
+ * Validar una CURP: formato, fecha, dígito verificador
+ * @param {string} curp
+ * @returns {Object} { valid, curp, errors: [] }
+ */
+export const validateCurp = (curp) => {
+  const clean = normalizeIdentifier(curp);
+  const result = { valid: false, curp: clean, errors: [] };
+
+  if (!CURP_REGEX.test(clean)) {
+    result.errors.push('Debe tener 18 caracteres: 4 letras, 6 dígitos de fecha, sexo, entidad, 3 consonantes y 2 caracteres de control.');
+    return result;
+  }
+
+  if (!isValidYYMMDD(clean.slice(4, 10))) {
+    result.errors.push(`La fecha ${clean.slice(4, 10)} (AAMMDD) no existe.`);
+  }
+
+  const expected = curpCheckDigit(clean);
+  if (expected !== clean[17]) {
+    result.errors.push(`El dígito verificador no coincide (se esperaba "${expected}"). Revisa que no haya errores de captura.`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+};
+
+// ============================================================
+// Coherencia con nombre y fecha de nacimiento
+// ============================================================
+
+/**
+ * Palabras de un nombre en mayúsculas, sin acentos ni signos.
+ * La Ñ se conserva para aplicarle la regla de cada clave.
+ */
+const nameWords = (value) =>
+  String(value || '')
+    .toUpperCase()
+    .replace(/Ñ/g, '\uE000')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\uE000/g, 'Ñ')
+    .replace(/[^A-ZÑ ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+const withoutParticles = (words) => {
+  const filtered = words.filter(word => !NAME_PARTICLES.has(word));
+  return filtered.length > 0 ? filtered : words;
+};
+
+const firstInternalVowel = (word) => [...word.slice(1)].find(ch => VOWELS.includes(ch)) || 'X';
+
+/**
+ * Letras iniciales que deben tener el RFC y la CURP de una persona física
+ * @param {Object} person - { nombre, apellidoPaterno, apellidoMaterno }
+ * @returns {Object|null} { rfc, curp } (4 letras cada una), null sin nombre y apellido
+ */
+export const expectedNameInitials = ({ nombre, apellidoPaterno, apellidoMaterno }) => {
+  const paterno = withoutParticles(nameWords(apellidoPaterno))[0];
+  const materno = withoutParticles(nameWords(apellidoMaterno))[0];
+  let given = withoutParticles(nameWords(nombre));
+  if (given.length > 1 && COMMON_FIRST_NAMES.has(given[0])) given = given.slice(1);
+  const name = given[0];
+  if (!paterno || !name) return null;
+
+  // CURP: la X sustituye al apellido materno faltante
+  const curp = paterno[0] + firstInternalVowel(paterno) + (materno ? materno[0] : 'X') + name[0];
+
+  // RFC: un solo apellido → 2 letras del apellido y 2 del nombre;
+  // apellido paterno de 1-2 letras → inicial de cada apellido y 2 del nombre
+  let rfc;
+  if (!materno) {
+    rfc = paterno.slice(0, 2).padEnd(2, 'X') + name.slice(0, 2).padEnd(2, 'X');
+  } else if (paterno.length <= 2) {
+    rfc = paterno[0] + materno[0] + name.slice(0, 2).padEnd(2, 'X');
+  } else {
+    rfc = curp;
+  }
+
+  // En ambas claves la Ñ se registra como X
+  return { rfc: rfc.replace(/Ñ/g, 'X'), curp: curp.replace(/Ñ/g, 'X') };
+};
+
+/**
+ * Comparar letras de una clave contra las esperadas.
+ * `wildcard` es la posición que RENAPO/SAT sustituyen por X cuando las
+ * iniciales forman una palabra altisonante.
+ */
+const initialsMatch = (actual, expected, wildcard) =>
+  [...expected].every((ch, i) => {
+    const got = actual[i] === 'Ñ' ? 'X' : actual[i];
+    return got === ch || (i === wildcard && got === 'X');
+  });
+
+/**
+ * Fecha de nacimiento / constitución a AAMMDD y año completo
+ * Acepta YYYY-MM-DD, YYYYMMDD (formato SAT) o Date.
+ */
+const toBirthKey = (fecha) => {
+  if (!fecha) return null;
+  const iso = fecha instanceof Date ? fecha.toISOString().slice(0, 10) : String(fecha).trim();
+  const match = iso.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (!match) return null;
+  return { year: Number(match[1]), yymmdd: `${match[1].slice(2)}${match[2]}${match[3]}` };
+};
+
+const formatYYMMDD = (yymmdd) => `${yymmdd.slice(4, 6)}/${yymmdd.slice(2, 4)}/${yymmdd.slice(0, 2)}`;
+
+/**
+ * Verificar que RFC, CURP, nombre y fecha de nacimiento describan a la misma persona.
+ * Solo compara los datos presentes; RFC genéricos o con formato inválido se omiten.
+ * @param {Object} identity - { rfc, curp, nombre, apellidoPaterno, apellidoMaterno, fechaNacimiento }
+ * @returns {Array} [{ field: 'rfc'|'curp'|'fechaNacimiento', message }]
+ */
+export const checkIdentityConsistency = (identity) => {
+  const issues = [];
+  const rfc = normalizeIdentifier(identity.rfc);
+  const curp = normalizeIdentifier(identity.curp);
+  const hasRfc = RFC_REGEX.test(rfc) && !GENERIC_RFCS[rfc];
+  const isPF = hasRfc && rfc.length === 13;
+  const hasCurp = CURP_REGEX.test(curp);
+  const rfcDate = hasRfc ? rfc.slice(-9, -3) : null;
+  const curpDate = hasCurp ? curp.slice(4, 10) : null;
+
+  // RFC ↔ CURP: mismas iniciales (salvo sustitución por X) y misma fecha
+  if (isPF && hasCurp) {
+    const sameInitials = rfc[0] === curp[0] && rfc[2] === curp[2] &&
+      (rfc[1] === curp[1] || curp[1] === 'X') && (rfc[3] === curp[3] || rfc[3] === 'X');
+    if (!sameInitials || rfcDate !== curpDate) {
+      issues.push({
+        field: 'curp',
+        message: `La CURP ${curp} no corresponde al RFC ${rfc}: ` +
+          (sameInitials ? `fecha ${formatYYMMDD(curpDate)} vs ${formatYYMMDD(rfcDate)}.` : 'las iniciales no coinciden.'),
+      });
+    }
+  }
+
+  // Iniciales ↔ nombre y apellidos (solo personas físicas)
+  const expected = expectedNameInitials(identity);
+  if (expected) {
+    if (isPF && !initialsMatch(rfc, expected.rfc, 3)) {
+      issues.push({
+        field: 'rfc',
+        message: `Las iniciales del RFC (${rfc.slice(0, 4)}) no coinciden con el nombre y apellidos capturados (${expected.rfc}).`,
+      });
+    }
+    if (hasCurp && !initialsMatch(curp, expected.curp, 1)) {
+      issues.push({
+        field: 'curp',
+        message: `Las iniciales de la CURP (${curp.slice(0, 4)}) no coinciden con el nombre y apellidos capturados (${expected.curp}).`,
+      });
+    }
+  }
+
+  // Fecha de nacimiento (PF) o de constitución (PM) ↔ fecha de la clave
+  const birth = toBirthKey(identity.fechaNacimiento);
+  if (birth) {
+    if (hasRfc && rfcDate !== birth.yymmdd) {
+      issues.push({
+        field: 'fechaNacimiento',
+        message: `La fecha del RFC (${formatYYMMDD(rfcDate)}) no coincide con la fecha de ${isPF ? 'nacimiento' : 'constitución'} capturada.`,
+      });
+    }
+    if (hasCurp) {
+      // Posición 17: dígito para nacidos antes de 2000, letra a partir de 2000
+      const centuryOk = /\d/.test(curp[16]) ? birth.year < 2000 : birth.year >= 2000;
+      if (curpDate !== birth.yymmdd || !centuryOk) {
+        issues.push({
+          field: 'fechaNacimiento',
+          message: `La fecha de la CURP (${formatYYMMDD(curpDate)}) no coincide con la fecha de nacimiento capturada.`,
+        });
+      }
+    }
+  }
+
+  return issues;
+};
@@ -11,6 +11,10 @@ import {
   FileCheck,
   Shield,
   Clock,
+  Calculator,
+  DollarSign,
+  MapPin,
+  ListChecks,
 } from 'lucide-react';
 
 const ACTION_CONFIG = {
@@ -32,6 +36,30 @@ const ACTION_CONFIG = {
     bgColor: 'bg-blue-600/20',
     label: 'Servicio Entregado',
   },
+  UMA_CATALOG_UPDATED: {
+    icon: Calculator,
+    color: 'text-violet-400',
+    bgColor: 'bg-violet-600/20',
+    label: 'Catálogo UMA Actualizado',
+  },
+  EXCHANGE_RATES_IMPORTED: {
+    icon: DollarSign,
+    color: 'text-emerald-400',
+    bgColor: 'bg-emerald-600/20',
+    label: 'Tipos de Cambio Importados',
+  },
+  POSTAL_CODES_IMPORTED: {
+    icon: MapPin,
+    color: 'text-teal-400',
+    bgColor: 'bg-teal-600/20',
+    label: 'Códigos Postales Importados',
+  },
+  WATCHLIST_IMPORTED: {
+    icon: ListChecks,
+    color: 'text-rose-400',
+    bgColor: 'bg-rose-600/20',
+    label: 'Lista de Screening Importada',
+  },
   UNAUTHORIZED_ADMIN_ACCESS: {
     icon: Shield,
     color: 'text-amber-400',
@@ -103,6 +131,10 @@ export function AuditLog() {
             <option value="TENANT_SUSPENDED">Tenants Suspendidos</option>
             <option value="TENANT_ACTIVATED">Tenants Activados</option>
             <option value="SERVICE_DELIVERED">Servicios Entregados</option>
+            <option value="UMA_CATALOG_UPDATED">Catálogo UMA</option>
+            <option value="EXCHANGE_RATES_IMPORTED">Tipos de Cambio</option>
+            <option value="POSTAL_CODES_IMPORTED">Códigos Postales</option>
+            <option value="WATCHLIST_IMPORTED">Listas de Screening</option>
             <option value="UNAUTHORIZED_ADMIN_ACCESS">Accesos No Autorizados</option>
           </select>
         </div>
@@ -178,6 +210,38 @@ export function AuditLog() {
                             Servicio: <span className="text-secondary-300">{log.serviceType}</span>
                           </p>
                         )}
+                        {log.action === 'UMA_CATALOG_UPDATED' && (
+                          <p>
+                            UMA {log.year}:{' '}
+                            <span className="text-secondary-300">
+                              {log.previousValue !== null ? `$${log.previousValue} → ` : ''}${log.valorDiario} (desde {log.vigenteDesde})
+                            </span>
+                          </p>
+                        )}
+                        {log.action === 'EXCHANGE_RATES_IMPORTED' && (
+                          <p>
+                            {log.currencies?.join(', ')}:{' '}
+                            <span className="text-secondary-300">
+                              {log.imported} tipos de cambio del {log.from} al {log.to}
+                            </span>
+                          </p>
+                        )}
+                        {log.action === 'POSTAL_CODES_IMPORTED' && (
+                          <p>
+                            SEPOMEX {log.version}:{' '}
+                            <span className="text-secondary-300">
+                              {log.postalCodes?.toLocaleString('es-MX')} códigos postales
+                            </span>
+                          </p>
+                        )}
+                        {log.action === 'WATCHLIST_IMPORTED' && (
+                          <p>
+                            {log.listId} publicada el {log.publishedAt}:{' '}
+                            <span className="text-secondary-300">
+                              {log.total?.toLocaleString('es-MX')} registros (+{log.added} / −{log.removed} / {log.changed} cambios)
+                            </span>
+                          </p>
+                        )}
                         {log.reason && (
                           <p>
                             Razón: <span className="text-secondary-300">{log.reason}</span>
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../core/config/firebase';
+import {
+  DollarSign,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Upload,
+} from 'lucide-react';
+
+const CURRENCIES = ['USD', 'EUR'];
+
+export function ExchangeRates() {
+  const [rates, setRates] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [file, setFile] = useState(null);
+  const [currency, setCurrency] = useState('');
+
+  const loadRates = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const getExchangeRates = httpsCallable(functions, 'getExchangeRates');
+      const result = await getExchangeRates({ limit: 30 });
+      setRates(result.data.rates || {});
+    } catch (err) {
+      console.error('Error loading exchange rates:', err);
+      setError('Error al cargar los tipos de cambio');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setImporting(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const csv = await file.text();
+      const importExchangeRates = httpsCallable(functions, 'importExchangeRates');
+      const result = await importExchangeRates({ csv, currency: currency || null, fileName: file.name });
+      const { imported, skipped, currencies, from, to } = result.data;
+      setSuccess(
+        `${imported} tipos de cambio ${currencies.join(', ')} importados (${from} a ${to})` +
+          (skipped > 0 ? `. ${skipped} renglones sin cotización omitidos.` : '')
+      );
+      setFile(null);
+      e.target.reset();
+      await loadRates();
+    } catch (err) {
+      console.error('Error importing exchange rates:', err);
+      setError(err.message || 'Error al importar los tipos de cambio');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-secondary-700 border border-secondary-600 rounded-lg text-white placeholder-secondary-400 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+          <DollarSign className="w-7 h-7 text-primary-400" />
+          Tipos de Cambio
+        </h1>
+        <p className="text-secondary-400 mt-1">
+          Tipo de cambio FIX de Banxico por fecha. Las operaciones en USD o EUR se convierten a MXN con el tipo de cambio
+          de su fecha de operación (o el último publicado antes) para evaluar umbrales, acumulados y el Art. 32.
+        </p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/20 border border-red-800 rounded-lg p-4 flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-red-400">{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/20 border border-green-800 rounded-lg p-4 flex items-center gap-3">
+          <CheckCircle className="w-5 h-5 text-green-500" />
+          <p className="text-green-400">{success}</p>
+        </div>
+      )}
+
+      {/* Import */}
+      <form
+        onSubmit={handleImport}
+        className="bg-secondary-800 rounded-xl border border-secondary-700 p-4 grid grid-cols-1 sm:grid-cols-4 gap-4 items-end"
+      >
+        <div className="sm:col-span-2">
+          <label className="block text-sm text-secondary-400 mb-1">CSV del SIE de Banxico</label>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            required
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className={inputClass}
+          />
+          <p className="text-xs text-secondary-500 mt-1">
+            Series SF43718 (dólar FIX) y SF46410 (euro). Las fechas ya cargadas se sobrescriben.
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Moneda (CSV sin clave de serie)</label>
+          <select value={currency} onChange={(e) => setCurrency(e.target.value)} className={inputClass}>
+            <option value="">Detectar por encabezado</option>
+            {CURRENCIES.map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={importing || !file}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {importing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          Importar
+        </button>
+      </form>
+
+      {/* Latest rates */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {CURRENCIES.map((code) => (
+          <div key={code} className="bg-secondary-800 rounded-xl border border-secondary-700 overflow-hidden">
+            <div className="px-4 py-3 border-b border-secondary-700 text-white font-medium">{code} → MXN</div>
+            {loading ? (
+              <div className="flex items-center justify-center h-48">
+                <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+              </div>
+            ) : (rates[code] || []).length === 0 ? (
+              <p className="p-4 text-sm text-secondary-400">Sin tipos de cambio cargados.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-secondary-700/50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-secondary-300 font-medium">Fecha</th>
+                    <th className="px-4 py-3 text-right text-secondary-300 font-medium">Tipo de cambio</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-secondary-700">
+                  {rates[code].map((entry) => (
+                    <tr key={entry.date} className="hover:bg-secondary-700/30">
+                      <td className="px-4 py-3 text-secondary-300">{entry.date}</td>
+                      <td className="px-4 py-3 text-right text-secondary-200 font-mono">
+                        ${Number(entry.rate).toFixed(4)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ExchangeRates;
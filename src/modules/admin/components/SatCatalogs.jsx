@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { ref, uploadBytesResumable } from 'firebase/storage';
+import { functions, storage } from '../../../core/config/firebase';
+import {
+  BookOpen,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Upload,
+  MapPin,
+} from 'lucide-react';
+
+const CATALOG_LABELS = {
+  pais: 'Países (ISO 3166)',
+  entidadFederativa: 'Entidades federativas',
+  actividadEconomica: 'Actividad económica (SCIAN)',
+};
+
+export function SatCatalogs() {
+  const [info, setInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [file, setFile] = useState(null);
+  const [version, setVersion] = useState(() => new Date().toISOString().substring(0, 7));
+
+  const loadInfo = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const getCatalogInfo = httpsCallable(functions, 'getCatalogInfo');
+      const result = await getCatalogInfo();
+      setInfo(result.data);
+    } catch (err) {
+      console.error('Error loading catalogs:', err);
+      setError('Error al cargar los catálogos');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadInfo();
+  }, []);
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setImporting(true);
+    setProgress(0);
+    setError(null);
+    setSuccess(null);
+    const form = e.target;
+    try {
+      // El archivo completo (~15 MB) se sube a Storage; la función lo lee desde ahí
+      const storagePath = `catalogs/sepomex/${version}_${file.name}`;
+      await new Promise((resolve, reject) => {
+        const task = uploadBytesResumable(ref(storage, storagePath), file, { contentType: 'text/plain' });
+        task.on(
+          'state_changed',
+          (snapshot) => setProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+          reject,
+          resolve
+        );
+      });
+
+      const importPostalCodes = httpsCallable(functions, 'importPostalCodes', { timeout: 540000 });
+      const result = await importPostalCodes({ storagePath, version });
+      const { postalCodes, settlements } = result.data;
+      setSuccess(`${postalCodes.toLocaleString('es-MX')} códigos postales (${settlements.toLocaleString('es-MX')} asentamientos) importados como versión ${version}`);
+      setFile(null);
+      form.reset();
+      await loadInfo();
+    } catch (err) {
+      console.error('Error importing postal codes:', err);
+      setError(err.message || 'Error al importar los códigos postales');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-secondary-700 border border-secondary-600 rounded-lg text-white placeholder-secondary-400 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+          <BookOpen className="w-7 h-7 text-primary-400" />
+          Catálogos SAT
+        </h1>
+        <p className="text-secondary-400 mt-1">
+          Catálogos usados en las listas de la plantilla, la validación de cargas y el XML. Con el código postal se
+          completan estado y municipio, y se advierte cuando el estado capturado no corresponde.
+        </p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/20 border border-red-800 rounded-lg p-4 flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-red-400">{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/20 border border-green-800 rounded-lg p-4 flex items-center gap-3">
+          <CheckCircle className="w-5 h-5 text-green-500" />
+          <p className="text-green-400">{success}</p>
+        </div>
+      )}
+
+      {/* Versions */}
+      <div className="bg-secondary-800 rounded-xl border border-secondary-700 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-48">
+            <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+          </div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-secondary-700/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-secondary-300 font-medium">Catálogo</th>
+                <th className="px-4 py-3 text-left text-secondary-300 font-medium">Versión</th>
+                <th className="px-4 py-3 text-right text-secondary-300 font-medium">Claves</th>
+                <th className="px-4 py-3 text-left text-secondary-300 font-medium">Fuente</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-secondary-700">
+              {Object.entries(info?.catalogs || {}).map(([name, catalog]) => (
+                <tr key={name} className="hover:bg-secondary-700/30">
+                  <td className="px-4 py-3 text-white">{CATALOG_LABELS[name] || name}</td>
+                  <td className="px-4 py-3 text-secondary-300 font-mono">{catalog.version}</td>
+                  <td className="px-4 py-3 text-right text-secondary-200">{catalog.entries}</td>
+                  <td className="px-4 py-3 text-secondary-400">{catalog.source}</td>
+                </tr>
+              ))}
+              <tr className="hover:bg-secondary-700/30">
+                <td className="px-4 py-3 text-white">Códigos postales (SEPOMEX)</td>
+                <td className="px-4 py-3 text-secondary-300 font-mono">{info?.sepomex?.version || '—'}</td>
+                <td className="px-4 py-3 text-right text-secondary-200">
+                  {info?.sepomex ? info.sepomex.postalCodes.toLocaleString('es-MX') : 0}
+                </td>
+                <td className="px-4 py-3 text-secondary-400">
+                  {info?.sepomex ? info.sepomex.source : 'Sin importar: no se completan estado ni municipio por CP'}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* SEPOMEX import */}
+      <form
+        onSubmit={handleImport}
+        className="bg-secondary-800 rounded-xl border border-secondary-700 p-4 grid grid-cols-1 sm:grid-cols-4 gap-4 items-end"
+      >
+        <div className="sm:col-span-2">
+          <label className="block text-sm text-secondary-400 mb-1 flex items-center gap-1">
+            <MapPin className="w-4 h-4" />
+            CPdescarga.txt de SEPOMEX
+          </label>
+          <input
+            type="file"
+            accept=".txt,text/plain"
+            required
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className={inputClass}
+          />
+          <p className="text-xs text-secondary-500 mt-1">
+            Descarga en formato TXT del Catálogo Nacional de Códigos Postales. Reemplaza los códigos ya cargados.
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Versión</label>
+          <input
+            type="text"
+            value={version}
+            onChange={(e) => setVersion(e.target.value)}
+            placeholder="YYYY-MM"
+            pattern="\d{4}-\d{2}(-\d{2})?"
+            required
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={importing || !file}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {importing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          {importing && progress < 100 ? `Subiendo ${progress}%` : 'Importar'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SatCatalogs;
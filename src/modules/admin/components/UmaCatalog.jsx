@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../core/config/firebase';
+import {
+  Calculator,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Save,
+  Pencil,
+} from 'lucide-react';
+
+const EMPTY_FORM = { year: '', valorDiario: '', vigenteDesde: '' };
+
+export function UmaCatalog() {
+  const [catalog, setCatalog] = useState([]);
+  const [currentYear, setCurrentYear] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const loadCatalog = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const getLegalRules = httpsCallable(functions, 'getLegalRules');
+      const result = await getLegalRules();
+      setCatalog(result.data.umaCatalog || []);
+      setCurrentYear(result.data.umaYear);
+    } catch (err) {
+      console.error('Error loading UMA catalog:', err);
+      setError('Error al cargar el catálogo UMA');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCatalog();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const upsertUmaValue = httpsCallable(functions, 'upsertUmaValue');
+      const result = await upsertUmaValue({
+        year: Number(form.year),
+        valorDiario: Number(form.valorDiario),
+        vigenteDesde: form.vigenteDesde,
+      });
+      setCatalog(result.data.umaCatalog || []);
+      setSuccess(`UMA ${form.year} guardada correctamente`);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error('Error saving UMA value:', err);
+      setError(err.message || 'Error al guardar el valor UMA');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-secondary-700 border border-secondary-600 rounded-lg text-white placeholder-secondary-400 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+          <Calculator className="w-7 h-7 text-primary-400" />
+          Catálogo UMA
+        </h1>
+        <p className="text-secondary-400 mt-1">
+          Valor diario de la UMA por año. Cada operación se convierte con la UMA vigente en su fecha de operación.
+        </p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/20 border border-red-800 rounded-lg p-4 flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-red-400">{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/20 border border-green-800 rounded-lg p-4 flex items-center gap-3">
+          <CheckCircle className="w-5 h-5 text-green-500" />
+          <p className="text-green-400">{success}</p>
+        </div>
+      )}
+
+      {/* Form */}
+      <form
+        onSubmit={handleSubmit}
+        className="bg-secondary-800 rounded-xl border border-secondary-700 p-4 grid grid-cols-1 sm:grid-cols-4 gap-4 items-end"
+      >
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Año</label>
+          <input
+            type="number"
+            required
+            value={form.year}
+            onChange={(e) => setForm({ ...form, year: e.target.value })}
+            placeholder="2027"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Valor diario (MXN)</label>
+          <input
+            type="number"
+            step="0.01"
+            required
+            value={form.valorDiario}
+            onChange={(e) => setForm({ ...form, valorDiario: e.target.value })}
+            placeholder="117.31"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Vigente desde</label>
+          <input
+            type="date"
+            required
+            value={form.vigenteDesde}
+            onChange={(e) => setForm({ ...form, vigenteDesde: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Guardar
+        </button>
+      </form>
+
+      {/* Catalog Table */}
+      <div className="bg-secondary-800 rounded-xl border border-secondary-700 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-48">
+            <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+          </div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-secondary-700/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-secondary-300 font-medium">Año</th>
+                <th className="px-4 py-3 text-right text-secondary-300 font-medium">Valor diario</th>
+                <th className="px-4 py-3 text-left text-secondary-300 font-medium">Vigente desde</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-secondary-700">
+              {[...catalog].reverse().map((entry) => (
+                <tr key={entry.year} className="hover:bg-secondary-700/30">
+                  <td className="px-4 py-3 text-white font-medium">
+                    {entry.year}
+                    {entry.year === currentYear && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-green-600/20 text-green-400">
+                        Vigente
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right text-secondary-200 font-mono">
+                    ${Number(entry.valorDiario).toFixed(2)}
+                  </td>
+                  <td className="px-4 py-3 text-secondary-300">{entry.vigenteDesde}</td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() =>
+                        setForm({
+                          year: String(entry.year),
+                          valorDiario: String(entry.valorDiario),
+                          vigenteDesde: entry.vigenteDesde,
+                        })
+                      }
+                      className="p-2 rounded-lg hover:bg-secondary-600"
+                      title="Editar"
+                    >
+                      <Pencil className="w-4 h-4 text-secondary-300" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UmaCatalog;
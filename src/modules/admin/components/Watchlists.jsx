@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { ref, uploadBytesResumable } from 'firebase/storage';
+import { functions, storage } from '../../../core/config/firebase';
+import {
+  ListChecks,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Upload,
+} from 'lucide-react';
+
+const TYPE_LABELS = {
+  PRESUNTO: 'Presuntos',
+  DEFINITIVO: 'Definitivos',
+  DESVIRTUADO: 'Desvirtuados',
+  SENTENCIA_FAVORABLE: 'Sentencia favorable',
+  INDIVIDUAL: 'Personas',
+  ENTITY: 'Entidades',
+  VESSEL: 'Embarcaciones',
+  AIRCRAFT: 'Aeronaves',
+  FISICA: 'Personas físicas',
+  MORAL: 'Personas morales',
+  FEDERAL: 'Federales',
+  ESTATAL: 'Estatales',
+  MUNICIPAL: 'Municipales',
+  EXTRANJERO: 'Extranjeros',
+  SIN_NIVEL: 'Sin orden de gobierno',
+};
+
+const FILE_HINTS = {
+  SAT_69B: 'Listado completo del 69-B en CSV, tal como lo publica el SAT.',
+  OFAC_SDN: 'sdn.xml de la lista SDN publicada por OFAC (formato XML estándar).',
+  ONU_SANCTIONS: 'consolidated.xml de la Lista Consolidada del Consejo de Seguridad.',
+  LPB: 'Archivo de la Lista de Personas Bloqueadas entregado por la UIF (Excel o CSV).',
+  PEP:
+    'CSV con Nombre, RFC, CURP, Cargo, Institución, Nivel (federal / estatal / municipal), Fecha inicio y ' +
+    'Fecha fin; familiares y asociados con "Vinculado a" (ID o nombre del titular) y Parentesco.',
+};
+
+const FILE_ACCEPT = {
+  csv: '.csv,text/csv',
+  xml: '.xml,text/xml,application/xml',
+  spreadsheet: '.xlsx,.xls,.csv',
+};
+
+const formatCount = (value) => (value || 0).toLocaleString('es-MX');
+
+const formatDelta = (value) => (value > 0 ? `+${formatCount(value)}` : formatCount(value));
+
+function VersionDiff({ diff }) {
+  if (!diff) {
+    return <span className="text-secondary-500">Primera versión</span>;
+  }
+  return (
+    <span>
+      <span className="text-green-400">+{formatCount(diff.added)}</span>
+      {' / '}
+      <span className="text-red-400">−{formatCount(diff.removed)}</span>
+      {' / '}
+      <span className="text-amber-400">{formatCount(diff.changed)} cambios</span>
+      <span className="block text-xs text-secondary-500">
+        {Object.entries(diff.byType || {})
+          .filter(([, delta]) => delta !== 0)
+          .map(([type, delta]) => `${TYPE_LABELS[type] || type} ${formatDelta(delta)}`)
+          .join(' · ') || 'Sin cambios en los conteos'}
+      </span>
+    </span>
+  );
+}
+
+export function Watchlists() {
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [file, setFile] = useState(null);
+  const [listId, setListId] = useState('SAT_69B');
+  const [publishedAt, setPublishedAt] = useState('');
+
+  const selectedList = lists.find((list) => list.listId === listId);
+
+  const loadLists = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const getWatchlists = httpsCallable(functions, 'getWatchlists');
+      const result = await getWatchlists();
+      setLists(result.data.lists);
+    } catch (err) {
+      console.error('Error loading watchlists:', err);
+      setError('Error al cargar las listas');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLists();
+  }, []);
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setImporting(true);
+    setProgress(0);
+    setError(null);
+    setSuccess(null);
+    const form = e.target;
+    try {
+      const storagePath = `catalogs/watchlists/${listId}/${Date.now()}_${file.name}`;
+      await new Promise((resolve, reject) => {
+        const task = uploadBytesResumable(ref(storage, storagePath), file, {
+          contentType: file.type || (selectedList?.format === 'xml' ? 'application/xml' : 'text/csv'),
+        });
+        task.on(
+          'state_changed',
+          (snapshot) => setProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+          reject,
+          resolve
+        );
+      });
+
+      const importWatchlistFile = httpsCallable(functions, 'importWatchlistFile', { timeout: 540000 });
+      const result = await importWatchlistFile({ listId, storagePath, publishedAt: publishedAt || null });
+      const { total, added, removed, changed } = result.data;
+      setSuccess(
+        `${formatCount(total)} registros importados (publicación ${result.data.publishedAt}): ` +
+        `${formatCount(added)} altas, ${formatCount(removed)} bajas y ${formatCount(changed)} cambios`
+      );
+      setFile(null);
+      setPublishedAt('');
+      form.reset();
+      await loadLists();
+    } catch (err) {
+      console.error('Error importing watchlist:', err);
+      setError(err.message || 'Error al importar la lista');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-secondary-700 border border-secondary-600 rounded-lg text-white placeholder-secondary-400 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+          <ListChecks className="w-7 h-7 text-primary-400" />
+          Listas de Screening
+        </h1>
+        <p className="text-secondary-400 mt-1">
+          Listas oficiales contra las que se revisa a clientes y beneficiarios controladores. Cada importación crea
+          una versión nueva que queda activa; el screening registra la versión con la que se buscó.
+        </p>
+      </div>
+
+      {/* Messages */}
+      {error && (
+        <div className="bg-red-900/20 border border-red-800 rounded-lg p-4 flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-red-400">{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-900/20 border border-green-800 rounded-lg p-4 flex items-center gap-3">
+          <CheckCircle className="w-5 h-5 text-green-500" />
+          <p className="text-green-400">{success}</p>
+        </div>
+      )}
+
+      {/* Lists */}
+      {loading ? (
+        <div className="flex items-center justify-center h-48 bg-secondary-800 rounded-xl border border-secondary-700">
+          <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+        </div>
+      ) : (
+        lists.map((list) => (
+          <div key={list.listId} className="bg-secondary-800 rounded-xl border border-secondary-700 overflow-hidden">
+            <div className="px-4 py-3 border-b border-secondary-700">
+              <h2 className="text-white font-medium">{list.label}</h2>
+              <p className="text-sm text-secondary-400">{list.source}</p>
+              {list.activeVersion ? (
+                <p className="text-sm text-secondary-300 mt-1">
+                  Versión activa publicada el <span className="font-mono">{list.activeVersion.publishedAt}</span>:{' '}
+                  {formatCount(list.activeVersion.total)} registros
+                  {' ('}
+                  {Object.entries(list.activeVersion.countsByType || {})
+                    .map(([type, count]) => `${TYPE_LABELS[type] || type} ${formatCount(count)}`)
+                    .join(', ')}
+                  {')'}
+                </p>
+              ) : (
+                <p className="text-sm text-amber-400 mt-1">Sin importar: el screening no revisa esta lista</p>
+              )}
+            </div>
+            {list.versions.length > 0 && (
+              <table className="w-full text-sm">
+                <thead className="bg-secondary-700/50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-secondary-300 font-medium">Publicación</th>
+                    <th className="px-4 py-3 text-right text-secondary-300 font-medium">Registros</th>
+                    <th className="px-4 py-3 text-left text-secondary-300 font-medium">Contra la versión anterior</th>
+                    <th className="px-4 py-3 text-left text-secondary-300 font-medium">Importada</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-secondary-700">
+                  {list.versions.map((version) => (
+                    <tr key={version.versionId} className="hover:bg-secondary-700/30">
+                      <td className="px-4 py-3 text-white font-mono">
+                        {version.publishedAt}
+                        {version.versionId === list.activeVersion?.versionId && (
+                          <span className="ml-2 text-xs font-sans px-2 py-0.5 rounded-full bg-green-600/20 text-green-400">
+                            Activa
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right text-secondary-200">
+                        {formatCount(version.total)}
+                        {version.skipped > 0 && (
+                          <span className="block text-xs text-secondary-500">{formatCount(version.skipped)} omitidos</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-secondary-300">
+                        <VersionDiff diff={version.diff} />
+                      </td>
+                      <td className="px-4 py-3 text-secondary-400">
+                        {new Date(version.importedAt).toLocaleString('es-MX')}
+                        {version.importedByEmail && (
+                          <span className="block text-xs text-secondary-500">{version.importedByEmail}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))
+      )}
+
+      {/* Import */}
+      <form
+        onSubmit={handleImport}
+        className="bg-secondary-800 rounded-xl border border-secondary-700 p-4 grid grid-cols-1 sm:grid-cols-5 gap-4 items-end"
+      >
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Lista</label>
+          <select
+            value={listId}
+            onChange={(e) => {
+              setListId(e.target.value);
+              setFile(null);
+            }}
+            className={inputClass}
+          >
+            {lists.map((list) => (
+              <option key={list.listId} value={list.listId}>{list.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="sm:col-span-2">
+          <label className="block text-sm text-secondary-400 mb-1">Archivo oficial</label>
+          <input
+            key={listId}
+            type="file"
+            accept={FILE_ACCEPT[selectedList?.format] || FILE_ACCEPT.csv}
+            required
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className={inputClass}
+          />
+          <p className="text-xs text-secondary-500 mt-1">{FILE_HINTS[listId]}</p>
+        </div>
+        <div>
+          <label className="block text-sm text-secondary-400 mb-1">Fecha de publicación</label>
+          <input
+            type="date"
+            value={publishedAt}
+            onChange={(e) => setPublishedAt(e.target.value)}
+            className={inputClass}
+          />
+          <p className="text-xs text-secondary-500 mt-1">Vacía: la más reciente del archivo</p>
+        </div>
+        <button
+          type="submit"
+          disabled={importing || !file}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {importing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          {importing && progress < 100 ? `Subiendo ${progress}%` : 'Importar'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Watchlists;
@@ -4,3 +4,7 @@ export { TenantList } from './components/TenantList';
 export { LeadsList } from './components/LeadsList';
 export { ServiceFulfillment } from './components/ServiceFulfillment';
 export { AuditLog } from './components/AuditLog';
+export { UmaCatalog } from './components/UmaCatalog';
+export { ExchangeRates } from './components/ExchangeRates';
+export { SatCatalogs } from './components/SatCatalogs';
+export { Watchlists } from './components/Watchlists';
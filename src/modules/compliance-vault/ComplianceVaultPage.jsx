@@ -1,7 +1,9 @@
 import { useState } from 'react';
-import { FolderLock, FileCheck, Users } from 'lucide-react';
+import { FolderLock, FileCheck, Users, Archive, GitMerge } from 'lucide-react';
 import { AcknowledgmentView } from './components/AcknowledgmentView';
 import { ClientFileView } from './components/ClientFileView';
+import { RetentionView } from './components/RetentionView';
+import { DuplicateClientsView } from './components/DuplicateClientsView';
 
 const TABS = [
   {
@@ -16,6 +18,18 @@ const TABS = [
     icon: Users,
     description: 'Documentación KYC de tus clientes',
   },
+  {
+    id: 'duplicates',
+    label: 'Duplicados',
+    icon: GitMerge,
+    description: 'Clientes registrados más de una vez por errores en RFC, CURP o nombre',
+  },
+  {
+    id: 'retention',
+    label: 'Conservación',
+    icon: Archive,
+    description: 'Plazos de conservación de cinco años, suspensión y depuración supervisada',
+  },
 ];
 
 export function ComplianceVaultPage() {
@@ -78,6 +92,8 @@ export function ComplianceVaultPage() {
         <div className="p-6">
           {activeTab === 'acknowledgments' && <AcknowledgmentView />}
           {activeTab === 'clients' && <ClientFileView />}
+          {activeTab === 'duplicates' && <DuplicateClientsView />}
+          {activeTab === 'retention' && <RetentionView />}
         </div>
       </div>
     </div>
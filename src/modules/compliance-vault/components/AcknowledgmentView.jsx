@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
 import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
-import { db, storage } from '../../../core/config/firebase';
+import { httpsCallable } from 'firebase/functions';
+import { db, storage, functions } from '../../../core/config/firebase';
 import { useAuth } from '../../../core/context/AuthContext';
 import {
   FileCode,
@@ -111,8 +112,9 @@ export function AcknowledgmentView() {
     setUploadProgress(0);
 
     try {
-      // Ruta en Storage: tenants/{tenantId}/compliance/acuses/{reportId}.pdf
-      const filePath = `tenants/${user.uid}/compliance/acuses/${reportId}.pdf`;
+      // Ruta en Storage: tenants/{tenantId}/compliance/acuses/{reportId}_{timestamp}.pdf
+      // (los acuses no se sobrescriben: un reintento tras fallar la vinculación sube otro archivo)
+      const filePath = `tenants/${user.uid}/compliance/acuses/${reportId}_${Date.now()}.pdf`;
       const storageRef = ref(storage, filePath);
 
       // Subir archivo con seguimiento de progreso
@@ -139,10 +141,18 @@ export function AcknowledgmentView() {
           setUploadingId(null);
         },
         async () => {
-          // Upload completado - el trigger de Cloud Functions actualizará el estado
-          setSuccess('Acuse subido correctamente. El estado se actualizará automáticamente.');
-          setUploadingId(null);
-          setUploadProgress(0);
+          try {
+            // Vincular el acuse al reporte (queda registrado para su conservación)
+            const linkAcknowledgment = httpsCallable(functions, 'linkAcknowledgment');
+            await linkAcknowledgment({ reportId, pdfPath: filePath });
+            setSuccess('Acuse subido y vinculado correctamente.');
+          } catch (err) {
+            console.error('Error linking acuse:', err);
+            setError(err.message || 'El acuse se subió pero no se pudo vincular al reporte');
+          } finally {
+            setUploadingId(null);
+            setUploadProgress(0);
+          }
         }
       );
     } catch (err) {
@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback } from 'react';
-import { ref, uploadBytesResumable, getDownloadURL, listAll, getMetadata } from 'firebase/storage';
-import { storage } from '../../../core/config/firebase';
+import { ref, uploadBytesResumable } from 'firebase/storage';
+import { collection, query, orderBy, limit, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { storage, db, functions } from '../../../core/config/firebase';
 import { useAuth } from '../../../core/context/AuthContext';
 import {
   X,
@@ -14,21 +16,44 @@ import {
   Trash2,
   Loader2,
   Image,
-  File
+  File,
+  History,
+  ShieldCheck,
+  ChevronDown,
+  ChevronUp
 } from 'lucide-react';
 import { Button, Alert } from '../../../shared/components';
+import { OwnershipEditor } from './OwnershipEditor';
+
+// Formatos aceptados por tipo de documento KYC (los requeridos y vigencias
+// vienen de getClientDocuments según tipo de persona y actividad)
+const DOCUMENT_ACCEPTS = {
+  INE_FRONT: '.pdf,.jpg,.jpeg,.png',
+  INE_BACK: '.pdf,.jpg,.jpeg,.png',
+  PROOF_OF_ADDRESS: '.pdf,.jpg,.jpeg,.png',
+  CURP: '.pdf',
+  TAX_ID: '.pdf',
+  INCORPORATION: '.pdf',
+  POWER_OF_ATTORNEY: '.pdf',
+  BENEFICIAL_OWNER: '.pdf',
+  OTHER: '.pdf,.jpg,.jpeg,.png',
+};
+
+// Estado de vigencia del documento
+const STATUS_BADGES = {
+  EXPIRED: { label: 'Vencido', className: 'bg-error/10 text-error' },
+  EXPIRING: { label: 'Por vencer', className: 'bg-warning/10 text-warning' },
+  NO_DATES: { label: 'Sin fechas', className: 'bg-secondary-100 text-secondary-600' },
+};
 
-// Tipos de documentos KYC
-const DOCUMENT_TYPES = [
-  { id: 'INE_FRONT', name: 'INE (Frente)', required: true, accepts: '.pdf,.jpg,.jpeg,.png' },
-  { id: 'INE_BACK', name: 'INE (Reverso)', required: true, accepts: '.pdf,.jpg,.jpeg,.png' },
-  { id: 'PROOF_OF_ADDRESS', name: 'Comprobante de Domicilio', required: true, accepts: '.pdf,.jpg,.jpeg,.png' },
-  { id: 'CURP', name: 'CURP', required: false, accepts: '.pdf' },
-  { id: 'TAX_ID', name: 'Cédula Fiscal (CSF)', required: false, accepts: '.pdf' },
-  { id: 'INCORPORATION', name: 'Acta Constitutiva', required: false, accepts: '.pdf' },
-  { id: 'POWER_OF_ATTORNEY', name: 'Poder Notarial', required: false, accepts: '.pdf' },
-  { id: 'OTHER', name: 'Otro Documento', required: false, accepts: '.pdf,.jpg,.jpeg,.png' },
-];
+// Secciones versionadas del registro maestro de clientes
+const HISTORY_SECTIONS = {
+  identity: 'Identidad',
+  address: 'Domicilio',
+  beneficiary: 'Beneficiario controlador',
+  ownership: 'Estructura accionaria',
+  merge: 'Fusión de clientes',
+};
 
 // Validar archivo
 const validateFile = (file, accepts) => {
@@ -56,63 +81,63 @@ const validateFile = (file, accepts) => {
 
 export function ClientDetailModal({ client, onClose }) {
   const { user } = useAuth();
-  const [documents, setDocuments] = useState({});
+  const [documents, setDocuments] = useState([]);
+  const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [history, setHistory] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({});
+  const [saving, setSaving] = useState(false);
 
-  // Cargar documentos existentes
+  const tenantId = user?.tenantId || user?.uid;
+  // Expediente por clientId del registro maestro (RFC, o CURP con RFC genérico)
+  const clientId = client?.clientId || client?.rfc;
+
+  // Cargar checklist del expediente (archivos, fechas, verificación y vigencia)
   const loadDocuments = useCallback(async () => {
-    if (!user?.uid || !client?.rfc) return;
+    if (!tenantId || !clientId) return;
 
     try {
       setLoading(true);
-      const basePath = `tenants/${user.uid}/clients/${client.rfc}/docs`;
-      const listRef = ref(storage, basePath);
-
-      const result = await listAll(listRef);
-      const docsMap = {};
-
-      for (const item of result.items) {
-        const metadata = await getMetadata(item);
-        const url = await getDownloadURL(item);
-        const fileName = item.name;
-        const docType = fileName.split('_')[0];
-
-        if (DOCUMENT_TYPES.find(d => d.id === docType)) {
-          docsMap[docType] = {
-            name: fileName,
-            url: url,
-            size: metadata.size,
-            contentType: metadata.contentType,
-            uploadedAt: metadata.timeCreated,
-          };
-        }
-      }
-
-      setDocuments(docsMap);
+      const getClientDocuments = httpsCallable(functions, 'getClientDocuments');
+      const result = await getClientDocuments({ clientId });
+      setDocuments(result.data.documents || []);
+      setStats(result.data.stats || null);
     } catch (err) {
-      // Si no existe la carpeta, no es un error
-      if (err.code !== 'storage/object-not-found') {
-        console.error('Error loading documents:', err);
-      }
+      console.error('Error loading documents:', err);
+      setError('Error al cargar el expediente del cliente');
     } finally {
       setLoading(false);
     }
-  }, [user?.uid, client?.rfc]);
+  }, [tenantId, clientId]);
 
   useEffect(() => {
     loadDocuments();
   }, [loadDocuments]);
 
+  // Cambios de identidad, domicilio y beneficiario (más recientes primero)
+  useEffect(() => {
+    if (!tenantId || !client?.clientId) return;
+    const historyQuery = query(
+      collection(db, 'tenants', tenantId, 'clients', client.clientId, 'history'),
+      orderBy('changedAt', 'desc'),
+      limit(20)
+    );
+    getDocs(historyQuery)
+      .then((snapshot) => setHistory(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }))))
+      .catch((err) => console.error('Error loading client history:', err));
+  }, [tenantId, client?.clientId]);
+
   // Subir documento
   const handleUpload = async (docType, file) => {
-    const docConfig = DOCUMENT_TYPES.find(d => d.id === docType);
+    const docConfig = documents.find(d => d.id === docType);
 
     // Validar archivo
-    const validationError = validateFile(file, docConfig.accepts);
+    const validationError = validateFile(file, DOCUMENT_ACCEPTS[docType]);
     if (validationError) {
       setError(validationError);
       return;
@@ -127,13 +152,14 @@ export function ClientDetailModal({ client, onClose }) {
       const extension = file.name.split('.').pop().toLowerCase();
       const timestamp = Date.now();
       const fileName = `${docType}_${timestamp}.${extension}`;
-      const filePath = `tenants/${user.uid}/clients/${client.rfc}/docs/${fileName}`;
+      const filePath = `tenants/${tenantId}/clients/${clientId}/docs/${fileName}`;
       const storageRef = ref(storage, filePath);
 
       const uploadTask = uploadBytesResumable(storageRef, file, {
         contentType: file.type,
         customMetadata: {
           clientRfc: client.rfc,
+          clientId,
           docType: docType,
           uploadedBy: user.uid,
           originalName: file.name,
@@ -154,11 +180,23 @@ export function ClientDetailModal({ client, onClose }) {
           setUploading(null);
         },
         async () => {
-          // Recargar documentos
-          await loadDocuments();
-          setSuccess(`${docConfig.name} subido correctamente`);
-          setUploading(null);
-          setUploadProgress(0);
+          try {
+            // Registrar el archivo vigente; recalcula el KYC y el riesgo del cliente
+            const saveDocument = httpsCallable(functions, 'saveClientDocumentData');
+            await saveDocument({ clientId, docType, filePath, fileName: file.name });
+
+            await loadDocuments();
+            setSuccess(`${docConfig.name} subido correctamente`);
+            if (docConfig.expires || docConfig.maxAgeMonths) {
+              openEditor(docType);
+            }
+          } catch (err) {
+            console.error('Error saving document:', err);
+            setError(err.message || 'Error al registrar el documento');
+          } finally {
+            setUploading(null);
+            setUploadProgress(0);
+          }
         }
       );
     } catch (err) {
@@ -168,12 +206,48 @@ export function ClientDetailModal({ client, onClose }) {
     }
   };
 
-  // Calcular progreso
-  const requiredDocs = DOCUMENT_TYPES.filter(d => d.required);
-  const uploadedRequired = requiredDocs.filter(d => documents[d.id]);
-  const completionPercentage = Math.round(
-    (uploadedRequired.length / requiredDocs.length) * 100
-  );
+  // Editar fechas, número y verificación de un documento
+  const openEditor = (docType) => {
+    const doc = documents.find(d => d.id === docType);
+    setForm({
+      issueDate: doc?.issueDate || '',
+      expiryDate: doc?.expiryDate || '',
+      documentNumber: doc?.documentNumber || '',
+      verified: !!doc?.verifiedAt,
+    });
+    setEditing(docType);
+  };
+
+  const handleSaveMetadata = async (docType) => {
+    const docConfig = documents.find(d => d.id === docType);
+    setError('');
+    setSuccess('');
+    setSaving(true);
+    try {
+      const saveDocument = httpsCallable(functions, 'saveClientDocumentData');
+      await saveDocument({
+        clientId,
+        docType,
+        issueDate: form.issueDate || null,
+        expiryDate: docConfig.expires ? form.expiryDate || null : undefined,
+        documentNumber: form.documentNumber,
+        verified: form.verified,
+      });
+      await loadDocuments();
+      setEditing(null);
+      setSuccess(`Datos de ${docConfig.name} guardados`);
+    } catch (err) {
+      console.error('Error saving document data:', err);
+      setError(err.message || 'Error al guardar los datos del documento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Calcular progreso (documentos requeridos presentes y vigentes)
+  const requiredDocs = documents.filter(d => d.required);
+  const completionPercentage = stats?.completionPercentage ?? 0;
+  const validRequired = requiredDocs.filter(d => ['VALID', 'EXPIRING', 'NO_DATES'].includes(d.status));
 
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -238,7 +312,13 @@ export function ClientDetailModal({ client, onClose }) {
               />
             </div>
             <p className="text-xs text-secondary-500 mt-2">
-              {uploadedRequired.length} de {requiredDocs.length} documentos obligatorios
+              {validRequired.length} de {requiredDocs.length} documentos obligatorios vigentes
+              {stats?.expired?.length > 0 && (
+                <span className="text-error"> · {stats.expired.length} vencidos</span>
+              )}
+              {stats?.noDates?.length > 0 && (
+                <span> · {stats.noDates.length} sin fechas capturadas</span>
+              )}
             </p>
           </div>
 
@@ -264,110 +344,205 @@ export function ClientDetailModal({ client, onClose }) {
               </div>
             ) : (
               <div className="space-y-3">
-                {DOCUMENT_TYPES.map((docType) => {
-                  const isUploaded = !!documents[docType.id];
+                {documents.map((docType) => {
+                  const isUploaded = docType.uploaded;
                   const isUploading = uploading === docType.id;
-                  const doc = documents[docType.id];
+                  const isEditing = editing === docType.id;
+                  const doc = docType.file;
+                  const isExpired = docType.status === 'EXPIRED';
+                  const badge = isUploaded && STATUS_BADGES[docType.status];
+                  const accepts = DOCUMENT_ACCEPTS[docType.id] || '.pdf';
 
                   return (
                     <div
                       key={docType.id}
                       className={`
-                        flex items-center gap-4 p-4 rounded-lg border-2 transition-all
-                        ${isUploaded
+                        p-4 rounded-lg border-2 transition-all
+                        ${isUploaded && !isExpired
                           ? 'border-success/30 bg-success/5'
+                          : isExpired
+                          ? 'border-error/30 bg-error/5'
                           : docType.required
                           ? 'border-warning/30 bg-warning/5'
                           : 'border-secondary-200 bg-white'
                         }
                       `}
                     >
-                      {/* Icon */}
-                      <div className={`
-                        w-10 h-10 rounded-lg flex items-center justify-center
-                        ${isUploaded
-                          ? 'bg-success/10'
-                          : docType.required
-                          ? 'bg-warning/10'
-                          : 'bg-secondary-100'
-                        }
-                      `}>
-                        {isUploaded ? (
-                          <CheckCircle className="w-5 h-5 text-success" />
-                        ) : docType.required ? (
-                          <AlertCircle className="w-5 h-5 text-warning" />
-                        ) : (
-                          <FileText className="w-5 h-5 text-secondary-400" />
-                        )}
-                      </div>
+                      <div className="flex items-center gap-4">
+                        {/* Icon */}
+                        <div className={`
+                          w-10 h-10 rounded-lg flex items-center justify-center
+                          ${isUploaded && !isExpired
+                            ? 'bg-success/10'
+                            : isExpired
+                            ? 'bg-error/10'
+                            : docType.required
+                            ? 'bg-warning/10'
+                            : 'bg-secondary-100'
+                          }
+                        `}>
+                          {isUploaded && !isExpired ? (
+                            <CheckCircle className="w-5 h-5 text-success" />
+                          ) : isExpired ? (
+                            <AlertCircle className="w-5 h-5 text-error" />
+                          ) : docType.required ? (
+                            <AlertCircle className="w-5 h-5 text-warning" />
+                          ) : (
+                            <FileText className="w-5 h-5 text-secondary-400" />
+                          )}
+                        </div>
 
-                      {/* Info */}
-                      <div className="flex-1">
+                        {/* Info */}
+                        <div className="flex-1">
+                          <div className="flex items-center gap-2 flex-wrap">
+                            <h4 className="font-medium text-secondary-900">
+                              {docType.name}
+                            </h4>
+                            {docType.required && (
+                              <span className="text-xs text-error">*</span>
+                            )}
+                            {badge && (
+                              <span className={`text-xs px-2 py-0.5 rounded-full ${badge.className}`}>
+                                {badge.label}
+                              </span>
+                            )}
+                            {isUploaded && docType.verifiedAt && (
+                              <span
+                                className="inline-flex items-center gap-1 text-xs text-success"
+                                title={`Verificado por ${docType.verifiedByEmail || 'usuario'} el ${new Date(docType.verifiedAt).toLocaleDateString('es-MX')}`}
+                              >
+                                <ShieldCheck className="w-3 h-3" />
+                                Verificado
+                              </span>
+                            )}
+                          </div>
+                          {isUploaded ? (
+                            <p className="text-xs text-secondary-500">
+                              Subido: {new Date(doc.uploadedAt).toLocaleDateString('es-MX')}
+                              {docType.expiresAt && ` · ${isExpired ? 'Venció' : 'Vence'}: ${docType.expiresAt}`}
+                              {docType.documentNumber && ` · No. ${docType.documentNumber}`}
+                            </p>
+                          ) : (
+                            <p className="text-xs text-secondary-400">
+                              {accepts.replace(/\./g, '').toUpperCase()}
+                            </p>
+                          )}
+                        </div>
+
+                        {/* Actions */}
                         <div className="flex items-center gap-2">
-                          <h4 className="font-medium text-secondary-900">
-                            {docType.name}
-                          </h4>
-                          {docType.required && (
-                            <span className="text-xs text-error">*</span>
+                          {isUploaded && (
+                            <button
+                              onClick={() => (isEditing ? setEditing(null) : openEditor(docType.id))}
+                              className="p-2 text-secondary-500 hover:bg-secondary-100 rounded-lg transition-colors"
+                              title="Fechas y verificación"
+                            >
+                              {isEditing ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+                            </button>
+                          )}
+
+                          {isUploaded && (
+                            <a
+                              href={doc.downloadUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                              title="Descargar"
+                            >
+                              <Download className="w-5 h-5" />
+                            </a>
+                          )}
+
+                          {isUploading ? (
+                            <div className="flex items-center gap-2 px-3 py-2 bg-primary-50 text-primary-600 rounded-lg">
+                              <Loader2 className="w-4 h-4 animate-spin" />
+                              <span className="text-sm">{uploadProgress}%</span>
+                            </div>
+                          ) : (
+                            <label className={`
+                              flex items-center gap-2 px-3 py-2 rounded-lg cursor-pointer transition-colors
+                              ${isUploaded
+                                ? 'bg-secondary-100 text-secondary-600 hover:bg-secondary-200'
+                                : 'bg-primary-600 text-white hover:bg-primary-700'
+                              }
+                            `}>
+                              <Upload className="w-4 h-4" />
+                              <span className="text-sm font-medium">
+                                {isUploaded ? 'Reemplazar' : 'Subir'}
+                              </span>
+                              <input
+                                type="file"
+                                accept={accepts}
+                                className="hidden"
+                                onChange={(e) => {
+                                  const file = e.target.files?.[0];
+                                  if (file) {
+                                    handleUpload(docType.id, file);
+                                  }
+                                  e.target.value = '';
+                                }}
+                              />
+                            </label>
                           )}
                         </div>
-                        {isUploaded ? (
-                          <p className="text-xs text-secondary-500">
-                            Subido: {new Date(doc.uploadedAt).toLocaleDateString('es-MX')}
-                          </p>
-                        ) : (
-                          <p className="text-xs text-secondary-400">
-                            {docType.accepts.replace(/\./g, '').toUpperCase()}
-                          </p>
-                        )}
                       </div>
 
-                      {/* Actions */}
-                      <div className="flex items-center gap-2">
-                        {isUploaded && (
-                          <a
-                            href={doc.url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
-                            title="Descargar"
-                          >
-                            <Download className="w-5 h-5" />
-                          </a>
-                        )}
-
-                        {isUploading ? (
-                          <div className="flex items-center gap-2 px-3 py-2 bg-primary-50 text-primary-600 rounded-lg">
-                            <Loader2 className="w-4 h-4 animate-spin" />
-                            <span className="text-sm">{uploadProgress}%</span>
-                          </div>
-                        ) : (
-                          <label className={`
-                            flex items-center gap-2 px-3 py-2 rounded-lg cursor-pointer transition-colors
-                            ${isUploaded
-                              ? 'bg-secondary-100 text-secondary-600 hover:bg-secondary-200'
-                              : 'bg-primary-600 text-white hover:bg-primary-700'
-                            }
-                          `}>
-                            <Upload className="w-4 h-4" />
-                            <span className="text-sm font-medium">
-                              {isUploaded ? 'Reemplazar' : 'Subir'}
-                            </span>
+                      {/* Document data */}
+                      {isEditing && (
+                        <div className="mt-4 pt-4 border-t border-secondary-200 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          <label className="text-xs text-secondary-600">
+                            Fecha de emisión
                             <input
-                              type="file"
-                              accept={docType.accepts}
-                              className="hidden"
-                              onChange={(e) => {
-                                const file = e.target.files?.[0];
-                                if (file) {
-                                  handleUpload(docType.id, file);
-                                }
-                                e.target.value = '';
-                              }}
+                              type="date"
+                              value={form.issueDate}
+                              onChange={(e) => setForm({ ...form, issueDate: e.target.value })}
+                              className="mt-1 w-full px-3 py-2 border border-secondary-300 rounded-lg text-sm"
                             />
                           </label>
-                        )}
-                      </div>
+                          {docType.expires && (
+                            <label className="text-xs text-secondary-600">
+                              Fecha de vencimiento
+                              <input
+                                type="date"
+                                value={form.expiryDate}
+                                onChange={(e) => setForm({ ...form, expiryDate: e.target.value })}
+                                className="mt-1 w-full px-3 py-2 border border-secondary-300 rounded-lg text-sm"
+                              />
+                            </label>
+                          )}
+                          <label className="text-xs text-secondary-600">
+                            Número de documento
+                            <input
+                              type="text"
+                              value={form.documentNumber}
+                              onChange={(e) => setForm({ ...form, documentNumber: e.target.value })}
+                              className="mt-1 w-full px-3 py-2 border border-secondary-300 rounded-lg text-sm"
+                            />
+                          </label>
+                          <label className="flex items-center gap-2 text-sm text-secondary-700 sm:col-span-2">
+                            <input
+                              type="checkbox"
+                              checked={form.verified}
+                              onChange={(e) => setForm({ ...form, verified: e.target.checked })}
+                              className="rounded border-secondary-300"
+                            />
+                            Verificado contra el original
+                          </label>
+                          {docType.maxAgeMonths && (
+                            <p className="text-xs text-secondary-500 sm:col-span-2">
+                              Válido {docType.maxAgeMonths} meses a partir de la fecha de emisión.
+                            </p>
+                          )}
+                          <div className="flex justify-end gap-2 sm:col-span-2">
+                            <Button variant="secondary" size="sm" onClick={() => setEditing(null)}>
+                              Cancelar
+                            </Button>
+                            <Button size="sm" onClick={() => handleSaveMetadata(docType.id)} loading={saving}>
+                              Guardar
+                            </Button>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   );
                 })}
@@ -375,6 +550,41 @@ export function ClientDetailModal({ client, onClose }) {
             )}
           </div>
 
+          {/* Ownership structure (personas morales) */}
+          {client.tipo === 'MORAL' && (
+            <div className="px-6 py-4 border-t border-secondary-200">
+              <OwnershipEditor tenantId={tenantId} clientId={client.clientId} />
+            </div>
+          )}
+
+          {/* Client data history */}
+          {history.length > 0 && (
+            <div className="px-6 py-4 border-t border-secondary-200">
+              <h4 className="text-sm font-medium text-secondary-700 mb-3 flex items-center gap-2">
+                <History className="w-4 h-4" />
+                Historial de datos del cliente
+              </h4>
+              <ul className="space-y-2 max-h-48 overflow-y-auto">
+                {history.map((entry) => (
+                  <li key={entry.id} className="text-xs text-secondary-600">
+                    <span className="font-medium text-secondary-800">
+                      {HISTORY_SECTIONS[entry.section] || entry.section} v{entry.version}
+                    </span>
+                    {' · '}
+                    {entry.section === 'merge'
+                      ? `${entry.undone ? 'Se separó' : 'Absorbió'} ${entry.previous.nombre} (${entry.previous.rfc || entry.previous.clientId})`
+                      : entry.version === 1 ? 'Alta' : `Cambió: ${entry.changedFields.join(', ')}`}
+                    <span className="text-secondary-400">
+                      {' · '}
+                      {entry.operation?.fechaOperacion || new Date(entry.changedAt).toLocaleDateString('es-MX')}
+                      {entry.operation?.sourceFile && ` (${entry.operation.sourceFile}, fila ${entry.operation.sourceRow})`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Footer */}
           <div className="flex items-center justify-between px-6 py-4 border-t border-secondary-200 bg-secondary-50 rounded-b-xl">
             <p className="text-xs text-secondary-500">
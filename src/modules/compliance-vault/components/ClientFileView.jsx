@@ -1,6 +1,7 @@
-import { useState, useEffect } from 'react';
-import { collection, query, where, getDocs } from 'firebase/firestore';
-import { db } from '../../../core/config/firebase';
+import { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../../core/config/firebase';
 import { useAuth } from '../../../core/context/AuthContext';
 import {
   Users,
@@ -10,9 +11,10 @@ import {
   User,
   ChevronRight,
   Loader2,
+  RefreshCw,
   AlertCircle
 } from 'lucide-react';
-import { Input, Alert } from '../../../shared/components';
+import { Input, Alert, Button } from '../../../shared/components';
 import { ClientDetailModal } from './ClientDetailModal';
 
 export function ClientFileView() {
@@ -23,64 +25,72 @@ export function ClientFileView() {
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedClient, setSelectedClient] = useState(null);
+  const [rebuilding, setRebuilding] = useState(false);
+  const [success, setSuccess] = useState('');
 
-  // Cargar clientes únicos desde operaciones
-  useEffect(() => {
-    const loadClients = async () => {
-      if (!user?.uid) return;
-
-      try {
-        setLoading(true);
+  const tenantId = user?.tenantId || user?.uid;
 
-        // Obtener operaciones del tenant
-        const operationsQuery = query(
-          collection(db, 'operations'),
-          where('tenantId', '==', user.uid)
-        );
+  // Cargar clientes del registro maestro (se alimenta de las operaciones cargadas)
+  const loadClients = useCallback(async () => {
+    if (!tenantId) return;
 
-        const operationsSnapshot = await getDocs(operationsQuery);
+    try {
+      setLoading(true);
+      const snapshot = await getDocs(collection(db, 'tenants', tenantId, 'clients'));
 
-        // Agrupar por RFC único
-        const clientsMap = new Map();
-
-        operationsSnapshot.docs.forEach((doc) => {
+      // Los clientes fusionados en otro se consultan desde el que permanece
+      const clientsList = snapshot.docs
+        .filter((doc) => doc.data().status !== 'MERGED')
+        .map((doc) => {
           const data = doc.data();
-          const clientRfc = data.clienteRfc || data.rfc;
-
-          if (clientRfc && !clientsMap.has(clientRfc)) {
-            clientsMap.set(clientRfc, {
-              rfc: clientRfc,
-              nombre: data.clienteNombre || data.nombre || data.razonSocial || 'Sin nombre',
-              tipo: clientRfc.length === 13 ? 'FISICA' : 'MORAL',
-              operationsCount: 1,
-              lastOperation: data.fechaOperacion || data.createdAt,
-            });
-          } else if (clientRfc) {
-            const existing = clientsMap.get(clientRfc);
-            existing.operationsCount++;
-            if (data.fechaOperacion > existing.lastOperation) {
-              existing.lastOperation = data.fechaOperacion;
-            }
-          }
-        });
+          return {
+            clientId: doc.id,
+            rfc: data.rfc || doc.id,
+            curp: data.curp || null,
+            nombre: data.nombre || 'Sin nombre',
+            tipo: data.tipo,
+            operationsCount: data.operationsCount || 0,
+            lastOperation: data.lastOperationAt,
+            // Resumen del expediente (services/kyc.js); sin evaluar hasta la primera carga
+            kycCompletion: data.kyc?.completion ?? 0,
+            kycExpired: data.kyc?.expired?.length || 0,
+            // Personas morales sin beneficiario controlador identificado (services/ownership.js)
+            ownershipStatus: data.tipo === 'MORAL' ? data.ownership?.status || 'MISSING' : null,
+          };
+        })
+        .sort((a, b) => a.nombre.localeCompare(b.nombre));
 
-        // Convertir a array y ordenar
-        const clientsList = Array.from(clientsMap.values()).sort((a, b) =>
-          a.nombre.localeCompare(b.nombre)
-        );
-
-        setClients(clientsList);
-        setFilteredClients(clientsList);
-        setLoading(false);
-      } catch (err) {
-        console.error('Error loading clients:', err);
-        setError('Error al cargar los clientes');
-        setLoading(false);
-      }
-    };
+      setClients(clientsList);
+      setFilteredClients(clientsList);
+    } catch (err) {
+      console.error('Error loading clients:', err);
+      setError('Error al cargar los clientes');
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId]);
 
+  useEffect(() => {
     loadClients();
-  }, [user?.uid]);
+  }, [loadClients]);
+
+  // Vincular al registro las operaciones cargadas antes de que existiera
+  const handleRebuild = async () => {
+    setRebuilding(true);
+    setError('');
+    setSuccess('');
+    try {
+      const rebuildClientRegistry = httpsCallable(functions, 'rebuildClientRegistry');
+      const result = await rebuildClientRegistry();
+      setSuccess(result.data.message);
+      await loadClients();
+    } catch (err) {
+      console.error('Error rebuilding client registry:', err);
+      setError(err.message || 'Error al reconstruir el registro de clientes');
+    } finally {
+      setRebuilding(false);
+    }
+  };
 
   // Filtrar clientes por búsqueda
   useEffect(() => {
@@ -123,6 +133,11 @@ export function ClientFileView() {
           {error}
         </Alert>
       )}
+      {success && (
+        <Alert variant="success" className="mb-4" onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
 
       {/* Search bar */}
       <div className="mb-6">
@@ -139,7 +154,7 @@ export function ClientFileView() {
       </div>
 
       {/* Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
         <div className="bg-secondary-50 rounded-lg p-4">
           <div className="flex items-center gap-3">
             <div className="w-10 h-10 bg-primary-100 rounded-lg flex items-center justify-center">
@@ -179,6 +194,20 @@ export function ClientFileView() {
             </div>
           </div>
         </div>
+
+        <div className="bg-secondary-50 rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-warning/10 rounded-lg flex items-center justify-center">
+              <AlertCircle className="w-5 h-5 text-warning" />
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-secondary-900">
+                {clients.filter(c => c.kycCompletion < 100 || c.kycExpired > 0).length}
+              </p>
+              <p className="text-sm text-secondary-500">Expedientes Incompletos</p>
+            </div>
+          </div>
+        </div>
       </div>
 
       {/* Clients list */}
@@ -190,9 +219,13 @@ export function ClientFileView() {
               <h3 className="text-lg font-medium text-secondary-900 mb-1">
                 Sin clientes registrados
               </h3>
-              <p className="text-secondary-500">
+              <p className="text-secondary-500 mb-4">
                 Los clientes aparecerán aquí cuando cargues operaciones
               </p>
+              <Button variant="secondary" onClick={handleRebuild} loading={rebuilding}>
+                <RefreshCw className="w-4 h-4 mr-2" />
+                Vincular operaciones ya cargadas
+              </Button>
             </>
           ) : (
             <>
@@ -210,7 +243,7 @@ export function ClientFileView() {
         <div className="space-y-2">
           {filteredClients.map((client) => (
             <button
-              key={client.rfc}
+              key={client.clientId}
               onClick={() => setSelectedClient(client)}
               className="w-full flex items-center gap-4 p-4 bg-white border border-secondary-200 rounded-lg hover:border-primary-300 hover:bg-primary-50/30 transition-all group"
             >
@@ -242,7 +275,12 @@ export function ClientFileView() {
                     {client.tipo === 'FISICA' ? 'Física' : 'Moral'}
                   </span>
                 </div>
-                <p className="text-sm text-secondary-500 font-mono">{client.rfc}</p>
+                <p className="text-sm text-secondary-500 font-mono">
+                  {client.rfc}
+                  {client.clientId !== client.rfc && (
+                    <span className="ml-2 text-xs text-secondary-400">({client.curp || client.clientId})</span>
+                  )}
+                </p>
               </div>
 
               {/* Stats */}
@@ -253,6 +291,19 @@ export function ClientFileView() {
                 <p className="text-xs text-secondary-500">
                   Última: {formatDate(client.lastOperation)}
                 </p>
+                <p className={`text-xs font-medium ${
+                  client.kycExpired > 0
+                    ? 'text-error'
+                    : client.kycCompletion === 100 ? 'text-success' : 'text-warning'
+                }`}>
+                  Expediente {client.kycCompletion}%
+                  {client.kycExpired > 0 && ` · ${client.kycExpired} vencido(s)`}
+                </p>
+                {client.ownershipStatus && client.ownershipStatus !== 'IDENTIFIED' && (
+                  <p className="text-xs font-medium text-error">
+                    Sin beneficiario controlador
+                  </p>
+                )}
               </div>
 
               {/* Arrow */}
@@ -269,7 +320,10 @@ export function ClientFileView() {
       {selectedClient && (
         <ClientDetailModal
           client={selectedClient}
-          onClose={() => setSelectedClient(null)}
+          onClose={() => {
+            setSelectedClient(null);
+            loadClients();
+          }}
         />
       )}
     </div>
@@ -0,0 +1,307 @@
+import { useState, useEffect, useCallback } from 'react';
+import { collection, query, where, orderBy, limit, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../../core/config/firebase';
+import { useAuth } from '../../../core/context/AuthContext';
+import {
+  GitMerge,
+  Search,
+  Undo2,
+  User,
+  Building2,
+  CheckCircle,
+  Loader2
+} from 'lucide-react';
+import { Button, Alert } from '../../../shared/components';
+
+const MERGE_STATUS = {
+  ACTIVE: { label: 'Fusionado', className: 'bg-success/10 text-success' },
+  UNDONE: { label: 'Deshecha', className: 'bg-secondary-100 text-secondary-600' },
+};
+
+const scoreClass = (score) => {
+  if (score >= 80) return 'bg-error/10 text-error';
+  if (score >= 65) return 'bg-warning/10 text-warning';
+  return 'bg-info/10 text-info';
+};
+
+export function DuplicateClientsView() {
+  const { user } = useAuth();
+  const [candidates, setCandidates] = useState([]);
+  const [merges, setMerges] = useState([]);
+  const [survivors, setSurvivors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const tenantId = user?.tenantId || user?.uid;
+
+  const loadData = useCallback(async () => {
+    if (!tenantId) return;
+
+    try {
+      setLoading(true);
+      const [candidatesSnapshot, mergesSnapshot] = await Promise.all([
+        getDocs(query(
+          collection(db, 'tenants', tenantId, 'duplicateCandidates'),
+          where('status', '==', 'PENDING')
+        )),
+        getDocs(query(
+          collection(db, 'tenants', tenantId, 'clientMerges'),
+          orderBy('mergedAt', 'desc'),
+          limit(10)
+        )),
+      ]);
+      setCandidates(candidatesSnapshot.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => b.score - a.score));
+      setMerges(mergesSnapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    } catch (err) {
+      console.error('Error loading duplicate clients:', err);
+      setError('Error al cargar los posibles duplicados');
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Por omisión permanece el cliente con más operaciones
+  const getSurvivorId = (candidate) => survivors[candidate.id]
+    || [...candidate.clients].sort((a, b) => b.operationsCount - a.operationsCount)[0].clientId;
+
+  const runAction = async (key, callable, data, onDone) => {
+    setProcessing(key);
+    setError('');
+    setSuccess('');
+    try {
+      const action = httpsCallable(functions, callable);
+      const result = await action(data);
+      setSuccess(onDone(result.data));
+      await loadData();
+    } catch (err) {
+      console.error(`Error in ${callable}:`, err);
+      setError(err.message || 'Error al procesar la solicitud');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const handleScan = () => runAction('scan', 'scanDuplicateClients', {}, (data) => data.message);
+
+  const handleMerge = (candidate) => {
+    const survivorId = getSurvivorId(candidate);
+    const merged = candidate.clients.find((c) => c.clientId !== survivorId);
+    if (!window.confirm(`${merged.nombre} (${merged.rfc || merged.clientId}) se fusionará en el cliente seleccionado. ¿Continuar?`)) {
+      return;
+    }
+    runAction(candidate.id, 'mergeDuplicateClients', { survivorId, mergedId: merged.clientId }, (data) => data.message);
+  };
+
+  const handleDismiss = (candidate) => runAction(
+    candidate.id,
+    'dismissDuplicateClients',
+    { clientIds: candidate.clientIds },
+    () => 'Par descartado: no se volverá a proponer'
+  );
+
+  const handleUndo = (merge) => {
+    if (!window.confirm(`¿Separar de nuevo a ${merge.merged.nombre}?`)) return;
+    runAction(merge.id, 'undoClientMerge', { mergeId: merge.id }, (data) => data.message);
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('es-MX', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-8 h-8 text-primary-600 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && (
+        <Alert variant="error" className="mb-4" onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" className="mb-4" onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <div className="flex items-center justify-between gap-4 mb-6">
+        <p className="text-sm text-secondary-600">
+          Al fusionar, las operaciones, el screening, las alertas y el expediente del cliente
+          duplicado pasan al que permanece, y sus operaciones toman su RFC para acumular juntas.
+        </p>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={handleScan}
+          loading={processing === 'scan'}
+          disabled={!!processing}
+        >
+          <Search className="w-4 h-4 mr-2" />
+          Buscar duplicados
+        </Button>
+      </div>
+
+      {/* Candidates */}
+      {candidates.length === 0 ? (
+        <div className="text-center py-8 mb-6 bg-secondary-50 rounded-lg text-sm text-secondary-500">
+          No hay posibles duplicados pendientes de revisión
+        </div>
+      ) : (
+        <div className="space-y-4 mb-6">
+          {candidates.map((candidate) => {
+            const survivorId = getSurvivorId(candidate);
+
+            return (
+              <div key={candidate.id} className="p-4 bg-white border border-secondary-200 rounded-lg">
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${scoreClass(candidate.score)}`}>
+                    {candidate.score} pts
+                  </span>
+                  {candidate.reasons.map((reason) => (
+                    <span key={reason} className="text-xs px-2 py-0.5 rounded-full bg-secondary-100 text-secondary-600">
+                      {reason}
+                    </span>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                  {candidate.clients.map((client) => (
+                    <label
+                      key={client.clientId}
+                      className={`flex items-start gap-3 p-3 rounded-lg border-2 cursor-pointer ${
+                        survivorId === client.clientId ? 'border-primary-400 bg-primary-50/50' : 'border-secondary-200'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={`survivor-${candidate.id}`}
+                        checked={survivorId === client.clientId}
+                        onChange={() => setSurvivors((prev) => ({ ...prev, [candidate.id]: client.clientId }))}
+                        className="mt-1"
+                      />
+                      <div className="min-w-0">
+                        <p className="font-medium text-secondary-900 flex items-center gap-1">
+                          {client.tipo === 'MORAL' ? (
+                            <Building2 className="w-4 h-4 text-success" />
+                          ) : (
+                            <User className="w-4 h-4 text-info" />
+                          )}
+                          <span className="truncate">{client.nombre}</span>
+                        </p>
+                        <p className="text-xs font-mono text-secondary-600">
+                          {client.rfc || '-'}{client.curp && ` · ${client.curp}`}
+                        </p>
+                        <p className="text-xs text-secondary-500">
+                          {client.calle || 'Sin domicilio'}{client.codigoPostal && `, CP ${client.codigoPostal}`}
+                        </p>
+                        <p className="text-xs text-secondary-500">
+                          {client.operationsCount} operación(es) · última {formatDate(client.lastOperationAt)}
+                        </p>
+                        {survivorId === client.clientId && (
+                          <p className="text-xs font-medium text-primary-600 mt-1">Permanece</p>
+                        )}
+                      </div>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="flex justify-end gap-2">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => handleDismiss(candidate)}
+                    disabled={!!processing}
+                  >
+                    No es duplicado
+                  </Button>
+                  <Button
+                    size="sm"
+                    onClick={() => handleMerge(candidate)}
+                    loading={processing === candidate.id}
+                    disabled={!!processing}
+                  >
+                    <GitMerge className="w-4 h-4 mr-2" />
+                    Fusionar
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Merge history */}
+      <h3 className="text-sm font-medium text-secondary-700 mb-3 flex items-center gap-2">
+        <CheckCircle className="w-4 h-4" />
+        Fusiones recientes
+      </h3>
+      {merges.length === 0 ? (
+        <p className="text-sm text-secondary-500">Aún no se han fusionado clientes</p>
+      ) : (
+        <ul className="divide-y divide-secondary-100 border border-secondary-200 rounded-lg">
+          {merges.map((merge) => {
+            const status = MERGE_STATUS[merge.status] || MERGE_STATUS.ACTIVE;
+
+            return (
+              <li key={merge.id} className="flex items-center justify-between gap-4 p-3">
+                <div className="min-w-0">
+                  <p className="text-sm text-secondary-900 truncate">
+                    <span className="font-medium">{merge.merged.nombre}</span>
+                    <span className="text-secondary-400"> ({merge.merged.rfc || merge.merged.clientId}) → </span>
+                    <span className="font-medium">{merge.survivor.nombre}</span>
+                    <span className="text-secondary-400"> ({merge.survivor.rfc || merge.survivor.clientId})</span>
+                  </p>
+                  <p className="text-xs text-secondary-500">
+                    {formatDate(merge.mergedAt)}
+                    {merge.mergedByEmail && ` por ${merge.mergedByEmail}`}
+                    {' · '}{merge.counts.operations} operaciones, {merge.counts.screenings} screening,
+                    {' '}{merge.counts.documents} documentos
+                    {merge.undoneAt && ` · deshecha el ${formatDate(merge.undoneAt)}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${status.className}`}>
+                    {status.label}
+                  </span>
+                  {merge.status === 'ACTIVE' && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleUndo(merge)}
+                      loading={processing === merge.id}
+                      disabled={!!processing}
+                    >
+                      <Undo2 className="w-4 h-4 mr-1" />
+                      Deshacer
+                    </Button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateClientsView;
@@ -0,0 +1,331 @@
+import { useState, useEffect } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../../core/config/firebase';
+import {
+  Network,
+  Plus,
+  Trash2,
+  User,
+  Building2,
+  AlertTriangle,
+  ShieldCheck,
+  Loader2
+} from 'lucide-react';
+import { Button, Alert } from '../../../shared/components';
+
+// Resultado de la identificación del beneficiario controlador (services/ownership.js)
+const OWNERSHIP_STATUS = {
+  IDENTIFIED: { label: 'Beneficiario controlador identificado', className: 'bg-success/10 text-success' },
+  INCOMPLETE: { label: 'Más del 25% sin identificar', className: 'bg-warning/10 text-warning' },
+  NO_CONTROLLER: { label: 'Sin beneficiario controlador', className: 'bg-error/10 text-error' },
+  MISSING: { label: 'Sin estructura capturada', className: 'bg-error/10 text-error' },
+};
+
+const newShareholder = (tipo) => ({
+  id: Math.random().toString(36).slice(2, 10),
+  tipo,
+  nombre: '',
+  apellidoPaterno: '',
+  apellidoMaterno: '',
+  rfc: '',
+  curp: '',
+  percentage: 0,
+  control: false,
+  shareholders: [],
+});
+
+// Operaciones sobre el árbol por id de nodo
+const updateNode = (nodes, id, patch) => nodes.map((node) => (
+  node.id === id
+    ? { ...node, ...patch }
+    : { ...node, shareholders: updateNode(node.shareholders || [], id, patch) }
+));
+
+const removeNode = (nodes, id) => nodes
+  .filter((node) => node.id !== id)
+  .map((node) => ({ ...node, shareholders: removeNode(node.shareholders || [], id) }));
+
+const addChild = (nodes, parentId, child) => nodes.map((node) => (
+  node.id === parentId
+    ? { ...node, shareholders: [...(node.shareholders || []), child] }
+    : { ...node, shareholders: addChild(node.shareholders || [], parentId, child) }
+));
+
+const inputClass = 'px-2 py-1 border border-secondary-300 rounded text-sm';
+
+function ShareholderRow({ node, depth, onChange, onRemove, onAdd }) {
+  const isFisica = node.tipo === 'FISICA';
+  const siblingsTotal = (node.shareholders || []).reduce((sum, child) => sum + (Number(child.percentage) || 0), 0);
+
+  return (
+    <div className={depth > 0 ? 'ml-6 border-l-2 border-secondary-200 pl-3' : ''}>
+      <div className="flex flex-wrap items-center gap-2 py-2">
+        {isFisica ? (
+          <User className="w-4 h-4 text-info" />
+        ) : (
+          <Building2 className="w-4 h-4 text-success" />
+        )}
+        <input
+          className={`${inputClass} w-36`}
+          placeholder={isFisica ? 'Nombre(s)' : 'Razón social'}
+          value={node.nombre}
+          onChange={(e) => onChange(node.id, { nombre: e.target.value })}
+        />
+        {isFisica && (
+          <>
+            <input
+              className={`${inputClass} w-28`}
+              placeholder="Ap. paterno"
+              value={node.apellidoPaterno}
+              onChange={(e) => onChange(node.id, { apellidoPaterno: e.target.value })}
+            />
+            <input
+              className={`${inputClass} w-28`}
+              placeholder="Ap. materno"
+              value={node.apellidoMaterno}
+              onChange={(e) => onChange(node.id, { apellidoMaterno: e.target.value })}
+            />
+          </>
+        )}
+        <input
+          className={`${inputClass} w-32 font-mono uppercase`}
+          placeholder="RFC"
+          value={node.rfc || ''}
+          onChange={(e) => onChange(node.id, { rfc: e.target.value })}
+        />
+        <div className="flex items-center gap-1">
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.01"
+            className={`${inputClass} w-20 text-right`}
+            value={node.percentage}
+            onChange={(e) => onChange(node.id, { percentage: e.target.value })}
+          />
+          <span className="text-sm text-secondary-500">%</span>
+        </div>
+        {isFisica && (
+          <label className="flex items-center gap-1 text-xs text-secondary-600" title="Ejerce el control por otros medios (administrador único, designa a la mayoría del consejo, etc.)">
+            <input
+              type="checkbox"
+              checked={!!node.control}
+              onChange={(e) => onChange(node.id, { control: e.target.checked })}
+              className="rounded border-secondary-300"
+            />
+            Control
+          </label>
+        )}
+        <button
+          onClick={() => onRemove(node.id)}
+          className="p-1 text-secondary-400 hover:text-error"
+          title="Quitar accionista"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!isFisica && (
+        <div>
+          {(node.shareholders || []).map((child) => (
+            <ShareholderRow
+              key={child.id}
+              node={child}
+              depth={depth + 1}
+              onChange={onChange}
+              onRemove={onRemove}
+              onAdd={onAdd}
+            />
+          ))}
+          <div className="ml-6 flex items-center gap-3 pb-2 text-xs">
+            <button onClick={() => onAdd(node.id, 'FISICA')} className="text-primary-600 hover:underline">
+              + Persona física
+            </button>
+            <button onClick={() => onAdd(node.id, 'MORAL')} className="text-primary-600 hover:underline">
+              + Persona moral
+            </button>
+            {node.shareholders?.length > 0 && (
+              <span className={siblingsTotal > 100 ? 'text-error' : 'text-secondary-400'}>
+                Suma: {Math.round(siblingsTotal * 100) / 100}%
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function OwnershipEditor({ tenantId, clientId }) {
+  const [ownership, setOwnership] = useState(null);
+  const [shareholders, setShareholders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (!tenantId || !clientId) return;
+    getDoc(doc(db, 'tenants', tenantId, 'clients', clientId))
+      .then((snapshot) => {
+        const data = snapshot.data()?.ownership || null;
+        setOwnership(data);
+        setShareholders(data?.shareholders || []);
+      })
+      .catch((err) => console.error('Error loading ownership:', err))
+      .finally(() => setLoading(false));
+  }, [tenantId, clientId]);
+
+  const handleChange = (id, patch) => setShareholders((nodes) => updateNode(nodes, id, patch));
+  const handleRemove = (id) => setShareholders((nodes) => removeNode(nodes, id));
+  const handleAdd = (parentId, tipo) => setShareholders((nodes) => (
+    parentId ? addChild(nodes, parentId, newShareholder(tipo)) : [...nodes, newShareholder(tipo)]
+  ));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const saveOwnership = httpsCallable(functions, 'saveClientOwnership');
+      const result = await saveOwnership({ clientId, shareholders });
+      setOwnership(result.data.ownership);
+      setShareholders(result.data.ownership.shareholders);
+      setEditing(false);
+      setSuccess(result.data.screening.matchFound
+        ? 'Estructura guardada. El screening encontró coincidencias: revisa el módulo de Screening.'
+        : 'Estructura guardada y beneficiarios controladores verificados en listas.');
+    } catch (err) {
+      console.error('Error saving ownership:', err);
+      setError(err.message || 'Error al guardar la estructura accionaria');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="w-5 h-5 text-primary-600 animate-spin" />
+      </div>
+    );
+  }
+
+  const status = OWNERSHIP_STATUS[ownership?.status || 'MISSING'];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-secondary-700 flex items-center gap-2">
+          <Network className="w-4 h-4" />
+          Estructura accionaria y beneficiario controlador
+        </h4>
+        <span className={`text-xs px-2 py-0.5 rounded-full ${status.className}`}>
+          {status.label}
+        </span>
+      </div>
+
+      {error && (
+        <Alert variant="error" className="mb-3" onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" className="mb-3" onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Beneficiarios controladores */}
+      {!editing && (
+        <div className="space-y-2">
+          {ownership?.controllers?.length > 0 ? (
+            <ul className="space-y-1">
+              {ownership.controllers.map((controller) => (
+                <li key={controller.key} className="flex items-start gap-2 text-sm">
+                  <ShieldCheck className="w-4 h-4 text-success mt-0.5" />
+                  <div>
+                    <span className="font-medium text-secondary-900">
+                      {[controller.nombre, controller.apellidoPaterno, controller.apellidoMaterno].filter(Boolean).join(' ')}
+                    </span>
+                    <span className="text-secondary-500">
+                      {' · '}{controller.effectivePercentage}% efectivo{controller.control && ' · ejerce el control'}
+                    </span>
+                    <p className="text-xs text-secondary-400">{controller.paths.join(' | ')}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-secondary-500">
+              Ninguna persona física identificada con más del 25% o con control.
+            </p>
+          )}
+
+          {ownership?.unresolved?.length > 0 && (
+            <div className="flex items-start gap-2 text-xs text-warning">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>
+                Sin identificar:{' '}
+                {ownership.unresolved.map((entry) => `${entry.path || entry.nombre} (${entry.effectivePercentage}%)`).join(', ')}
+              </span>
+            </div>
+          )}
+
+          <Button variant="secondary" size="sm" onClick={() => setEditing(true)}>
+            {ownership?.shareholders?.length ? 'Editar estructura' : 'Capturar estructura'}
+          </Button>
+        </div>
+      )}
+
+      {/* Editor del árbol */}
+      {editing && (
+        <div>
+          <div className="max-h-72 overflow-auto">
+            {shareholders.map((node) => (
+              <ShareholderRow
+                key={node.id}
+                node={node}
+                depth={0}
+                onChange={handleChange}
+                onRemove={handleRemove}
+                onAdd={handleAdd}
+              />
+            ))}
+          </div>
+          <div className="flex items-center gap-3 py-2 text-xs">
+            <button onClick={() => handleAdd(null, 'FISICA')} className="flex items-center gap-1 text-primary-600 hover:underline">
+              <Plus className="w-3 h-3" /> Accionista persona física
+            </button>
+            <button onClick={() => handleAdd(null, 'MORAL')} className="flex items-center gap-1 text-primary-600 hover:underline">
+              <Plus className="w-3 h-3" /> Accionista persona moral
+            </button>
+          </div>
+          <p className="text-xs text-secondary-500 mb-3">
+            Captura los accionistas de cada persona moral hasta llegar a personas físicas. Es beneficiario
+            controlador quien tiene más del 25% de forma directa o indirecta, o ejerce el control.
+          </p>
+          <div className="flex justify-end gap-2">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => {
+                setShareholders(ownership?.shareholders || []);
+                setEditing(false);
+              }}
+            >
+              Cancelar
+            </Button>
+            <Button size="sm" onClick={handleSave} loading={saving}>
+              Guardar y verificar en listas
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OwnershipEditor;
@@ -0,0 +1,296 @@
+import { useState, useEffect, useCallback } from 'react';
+import { doc, getDoc, collection, query, orderBy, limit, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../../core/config/firebase';
+import { useAuth } from '../../../core/context/AuthContext';
+import {
+  Archive,
+  Lock,
+  Unlock,
+  Trash2,
+  CheckCircle,
+  XCircle,
+  Clock,
+  Loader2
+} from 'lucide-react';
+import { Button, Alert } from '../../../shared/components';
+
+// Tipos de registro sujetos a conservación
+const ITEM_KINDS = {
+  OPERATION: 'Operaciones',
+  ARCHIVED_OPERATION: 'Operaciones de cargas revertidas',
+  XML_GENERATION: 'Avisos XML generados',
+  VAULT_OBJECT: 'Archivos de la Bóveda',
+};
+
+const REQUEST_STATUS = {
+  PENDING_APPROVAL: { label: 'Pendiente de aprobación', className: 'bg-warning/10 text-warning', icon: Clock },
+  PURGED: { label: 'Depurada', className: 'bg-success/10 text-success', icon: CheckCircle },
+  REJECTED: { label: 'Rechazada', className: 'bg-secondary-100 text-secondary-600', icon: XCircle },
+};
+
+export function RetentionView() {
+  const { user } = useAuth();
+  const [legalHold, setLegalHold] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(null);
+  const [holdReason, setHoldReason] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const tenantId = user?.tenantId || user?.uid;
+
+  const loadData = useCallback(async () => {
+    if (!tenantId) return;
+
+    try {
+      setLoading(true);
+      const [tenantDoc, requestsSnapshot] = await Promise.all([
+        getDoc(doc(db, 'tenants', tenantId)),
+        getDocs(query(
+          collection(db, 'tenants', tenantId, 'purgeRequests'),
+          orderBy('createdAt', 'desc'),
+          limit(12)
+        )),
+      ]);
+      setLegalHold(tenantDoc.data()?.legalHold || null);
+      setRequests(requestsSnapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    } catch (err) {
+      console.error('Error loading retention data:', err);
+      setError('Error al cargar la información de conservación');
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Activar o levantar la suspensión de plazos
+  const handleLegalHold = async (active) => {
+    setProcessing('legalHold');
+    setError('');
+    setSuccess('');
+    try {
+      const setHold = httpsCallable(functions, 'setLegalHold');
+      const result = await setHold({ active, reason: holdReason });
+      setLegalHold(result.data.legalHold);
+      setHoldReason('');
+      setSuccess(active ? 'Plazos de conservación suspendidos' : 'Suspensión levantada');
+    } catch (err) {
+      console.error('Error setting legal hold:', err);
+      setError(err.message || 'Error al actualizar la suspensión');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  // Aprobar o rechazar una depuración
+  const handleReview = async (requestId, decision) => {
+    if (decision === 'APPROVE' && !window.confirm('Los registros se borrarán de forma definitiva. ¿Continuar?')) {
+      return;
+    }
+    setProcessing(requestId);
+    setError('');
+    setSuccess('');
+    try {
+      const reviewPurge = httpsCallable(functions, 'reviewRetentionPurge');
+      const result = await reviewPurge({ requestId, decision });
+      setSuccess(result.data.message);
+      await loadData();
+    } catch (err) {
+      console.error('Error reviewing purge request:', err);
+      setError(err.message || 'Error al revisar la solicitud');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('es-MX', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-8 h-8 text-primary-600 animate-spin" />
+      </div>
+    );
+  }
+
+  const holdActive = !!legalHold?.active;
+
+  return (
+    <div>
+      {error && (
+        <Alert variant="error" className="mb-4" onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" className="mb-4" onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Policy */}
+      <div className="flex items-start gap-3 p-4 mb-6 bg-secondary-50 rounded-lg">
+        <Archive className="w-5 h-5 text-primary-600 mt-0.5" />
+        <p className="text-sm text-secondary-600">
+          Las operaciones, avisos y expedientes se conservan cinco años (Art. 18 fr. IV LFPIORPI).
+          Los expedientes de clientes cuentan desde su última operación. Ningún archivo de la Bóveda
+          puede borrarse antes de ese plazo; cada mes se propone la depuración de lo vencido y
+          solo se borra al aprobarla.
+        </p>
+      </div>
+
+      {/* Legal hold */}
+      <div className={`p-4 mb-6 rounded-lg border-2 ${
+        holdActive ? 'border-error/30 bg-error/5' : 'border-secondary-200 bg-white'
+      }`}>
+        <div className="flex items-center gap-3 mb-3">
+          {holdActive ? (
+            <Lock className="w-5 h-5 text-error" />
+          ) : (
+            <Unlock className="w-5 h-5 text-secondary-400" />
+          )}
+          <h3 className="font-medium text-secondary-900">
+            Suspensión de plazos {holdActive ? 'activa' : 'inactiva'}
+          </h3>
+        </div>
+
+        {holdActive ? (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-secondary-600">
+              {legalHold.reason} · desde {formatDate(legalHold.startedAt)}
+              {legalHold.startedByEmail && ` por ${legalHold.startedByEmail}`}
+            </p>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => handleLegalHold(false)}
+              loading={processing === 'legalHold'}
+            >
+              Levantar suspensión
+            </Button>
+          </div>
+        ) : (
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={holdReason}
+              onChange={(e) => setHoldReason(e.target.value)}
+              placeholder="Motivo (p. ej. oficio de visita de verificación)"
+              className="flex-1 px-3 py-2 border border-secondary-300 rounded-lg text-sm"
+            />
+            <Button
+              variant="danger"
+              size="sm"
+              onClick={() => handleLegalHold(true)}
+              loading={processing === 'legalHold'}
+              disabled={!holdReason.trim()}
+            >
+              Suspender plazos
+            </Button>
+          </div>
+        )}
+        <p className="text-xs text-secondary-500 mt-2">
+          Mientras la suspensión esté activa no se depura ni se revierte ninguna carga.
+        </p>
+      </div>
+
+      {/* Purge requests */}
+      <h3 className="text-sm font-medium text-secondary-700 mb-3 flex items-center gap-2">
+        <Trash2 className="w-4 h-4" />
+        Solicitudes de depuración
+      </h3>
+      {requests.length === 0 ? (
+        <div className="text-center py-8 bg-secondary-50 rounded-lg text-sm text-secondary-500">
+          No hay registros con plazo de conservación vencido
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => {
+            const status = REQUEST_STATUS[request.status] || REQUEST_STATUS.PENDING_APPROVAL;
+            const StatusIcon = status.icon;
+            const isPending = request.status === 'PENDING_APPROVAL';
+
+            return (
+              <div key={request.id} className="p-4 bg-white border border-secondary-200 rounded-lg">
+                <div className="flex items-center justify-between gap-4 mb-2">
+                  <div className="flex items-center gap-2">
+                    <span className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full ${status.className}`}>
+                      <StatusIcon className="w-3 h-3" />
+                      {status.label}
+                    </span>
+                    <span className="text-xs text-secondary-500">
+                      {formatDate(request.createdAt)} · {request.total} registros
+                    </span>
+                  </div>
+                  {isPending && (
+                    <div className="flex gap-2">
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        onClick={() => handleReview(request.id, 'REJECT')}
+                        disabled={!!processing}
+                      >
+                        Conservar
+                      </Button>
+                      <Button
+                        variant="danger"
+                        size="sm"
+                        onClick={() => handleReview(request.id, 'APPROVE')}
+                        loading={processing === request.id}
+                        disabled={holdActive || !!processing}
+                      >
+                        Aprobar depuración
+                      </Button>
+                    </div>
+                  )}
+                </div>
+
+                <p className="text-sm text-secondary-600">
+                  {Object.entries(request.counts || {})
+                    .map(([kind, count]) => `${ITEM_KINDS[kind] || kind}: ${count}`)
+                    .join(' · ')}
+                </p>
+                {request.reviewedAt && (
+                  <p className="text-xs text-secondary-500 mt-1">
+                    Revisada el {formatDate(request.reviewedAt)}
+                    {request.reviewedByEmail && ` por ${request.reviewedByEmail}`}
+                    {request.result && ` · ${request.result.deleted} depurados, ${request.result.skipped} conservados`}
+                  </p>
+                )}
+
+                {isPending && (
+                  <details className="mt-2">
+                    <summary className="text-xs text-primary-600 cursor-pointer">Ver registros</summary>
+                    <ul className="mt-2 max-h-48 overflow-y-auto space-y-1">
+                      {request.items.map((item) => (
+                        <li key={`${item.kind}-${item.ref}`} className="text-xs text-secondary-600">
+                          <span className="font-medium">{ITEM_KINDS[item.kind] || item.kind}</span>
+                          {' · '}{item.label}
+                          <span className="text-secondary-400"> · conservar hasta {item.retentionUntil}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RetentionView;
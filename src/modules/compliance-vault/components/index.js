@@ -1,3 +1,6 @@
 export { AcknowledgmentView } from './AcknowledgmentView';
 export { ClientFileView } from './ClientFileView';
 export { ClientDetailModal } from './ClientDetailModal';
+export { RetentionView } from './RetentionView';
+export { DuplicateClientsView } from './DuplicateClientsView';
+export { OwnershipEditor } from './OwnershipEditor';
@@ -1,10 +1,17 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { httpsCallable } from 'firebase/functions';
-import { functions } from '../../core/config/firebase';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
+import { functions, db, storage } from '../../core/config/firebase';
 import { useAuth } from '../../core/context/AuthContext';
 import { ACTIVIDADES_VULNERABLES } from '../../core/validations/authSchemas';
 import { Alert, Button, Card } from '../../shared/components';
+import { ColumnMappingStep } from './components/ColumnMappingStep';
+import { UploadHistory } from './components/UploadHistory';
+import { PossibleDuplicates } from './components/PossibleDuplicates';
+import { RejectedRowsEditor } from './components/RejectedRowsEditor';
+import { ManualCaptureForm } from './components/ManualCaptureForm';
 import {
   Upload,
   Download,
@@ -21,6 +28,9 @@ import {
   Shield,
   Ban,
   Info,
+  TrendingUp,
+  Columns,
+  ClipboardPen,
 } from 'lucide-react';
 
 // Meses del año
@@ -49,14 +59,73 @@ const RISK_CONFIG = {
   LOW: { label: 'BAJO', color: 'green', icon: Shield, bg: 'bg-green-50', border: 'border-green-200', text: 'text-green-700', badge: 'bg-green-100 text-green-700' },
 };
 
+const EMPTY_TRANSFORMS = { dateFormat: 'AUTO', decimalSeparator: '.', aliases: {} };
+
+// Archivos más grandes se suben a Storage y se procesan en segundo plano (uploadJobs)
+const BACKGROUND_UPLOAD_BYTES = 4 * 1024 * 1024;
+
+// Etapas del procesamiento en segundo plano
+const JOB_STAGE_LABELS = {
+  QUEUED: 'En cola para procesar...',
+  VALIDATING: 'Validando filas...',
+  ACCUMULATING: 'Actualizando acumulados por cliente...',
+};
+
+// Leer archivo como base64 (sin el prefijo data:)
+const readFileAsBase64 = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+
+// Descargar un archivo recibido en base64 desde una Cloud Function
+const downloadBase64File = (fileBase64, fileName, mimeType) => {
+  const byteCharacters = atob(fileBase64);
+  const byteNumbers = new Array(byteCharacters.length);
+  for (let i = 0; i < byteCharacters.length; i++) {
+    byteNumbers[i] = byteCharacters.charCodeAt(i);
+  }
+  const blob = new Blob([new Uint8Array(byteNumbers)], { type: mimeType });
+
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Mapeo inicial: perfil detectado por encabezados o sugerencia por etiquetas de plantilla
+const buildInitialMapping = (sheet) => {
+  if (sheet.matchedProfile) {
+    return {
+      profileId: sheet.matchedProfile.id,
+      name: sheet.matchedProfile.name,
+      columns: sheet.matchedProfile.columns || {},
+      transforms: { ...EMPTY_TRANSFORMS, ...sheet.matchedProfile.transforms },
+      autoSelected: true,
+    };
+  }
+  return { profileId: null, name: '', columns: sheet.suggestedColumns || {}, transforms: EMPTY_TRANSFORMS, autoSelected: false };
+};
+
 export function IngestPage() {
-  const { tenantData } = useAuth();
+  const { user, tenantData } = useAuth();
+  const tenantId = user?.tenantId || user?.uid;
 
   // Estados de selección
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
   const [selectedActivity, setSelectedActivity] = useState('');
 
+  // Carga de archivo o captura manual de una operación
+  const [captureMode, setCaptureMode] = useState('FILE');
+  const [historyRefresh, setHistoryRefresh] = useState(null);
+
   // Estados de UI
   const [isGeneratingTemplate, setIsGeneratingTemplate] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
@@ -64,6 +133,20 @@ export function IngestPage() {
   const [uploadResult, setUploadResult] = useState(null);
   const [error, setError] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
+  const [isDownloadingReview, setIsDownloadingReview] = useState(false);
+
+  // Estados del paso de mapeo de columnas
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  // Estados de la carga en segundo plano (archivos grandes)
+  const [storagePath, setStoragePath] = useState(null);
+  const [progressLabel, setProgressLabel] = useState('Procesando archivo...');
+  const [jobId, setJobId] = useState(null);
+  const [uploadJob, setUploadJob] = useState(null);
 
   // Obtener actividades del tenant (si no hay configuradas, mostrar todas para demo/testing)
   const tenantActivities = tenantData?.actividadesVulnerables || [];
@@ -86,24 +169,7 @@ export function IngestPage() {
       const result = await getTemplate({ activityType: selectedActivity });
 
       if (result.data.success) {
-        // Convertir base64 a blob y descargar
-        const byteCharacters = atob(result.data.fileBase64);
-        const byteNumbers = new Array(byteCharacters.length);
-        for (let i = 0; i < byteCharacters.length; i++) {
-          byteNumbers[i] = byteCharacters.charCodeAt(i);
-        }
-        const byteArray = new Uint8Array(byteNumbers);
-        const blob = new Blob([byteArray], { type: result.data.mimeType });
-
-        // Crear link de descarga
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = result.data.fileName;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        window.URL.revokeObjectURL(url);
+        downloadBase64File(result.data.fileBase64, result.data.fileName, result.data.mimeType);
       }
     } catch (err) {
       console.error('Error downloading template:', err);
@@ -127,20 +193,41 @@ export function IngestPage() {
 
     setIsUploading(true);
     setUploadProgress(10);
+    setProgressLabel('Procesando archivo...');
     setError('');
     setUploadResult(null);
 
+    // Mapeo revisado por el usuario (archivo de una hoja / CSV)
+    const mappingPayload = mapping && preview?.sheets.length === 1
+      ? { id: mapping.profileId, name: mapping.name, columns: mapping.columns, transforms: mapping.transforms }
+      : null;
+
+    // Archivo grande: ya está en Storage, lo procesa un job por bloques
+    if (storagePath) {
+      try {
+        const startUploadJob = httpsCallable(functions, 'startUploadJob');
+        const result = await startUploadJob({
+          storagePath,
+          fileName: selectedFile.name,
+          activityType: selectedActivity,
+          periodYear: selectedYear,
+          periodMonth: selectedMonth,
+          mapping: mappingPayload,
+        });
+        setUploadProgress(0);
+        setProgressLabel(JOB_STAGE_LABELS.QUEUED);
+        setJobId(result.data.jobId);
+      } catch (err) {
+        console.error('Error starting upload job:', err);
+        setError('Error al procesar el archivo: ' + (err.message || 'Error desconocido'));
+        setIsUploading(false);
+      }
+      return;
+    }
+
     try {
       // Leer archivo como base64
-      const fileBase64 = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-          const base64 = reader.result.split(',')[1];
-          resolve(base64);
-        };
-        reader.onerror = reject;
-        reader.readAsDataURL(selectedFile);
-      });
+      const fileBase64 = await readFileAsBase64(selectedFile);
 
       setUploadProgress(30);
 
@@ -155,6 +242,7 @@ export function IngestPage() {
         activityType: selectedActivity,
         periodYear: selectedYear,
         periodMonth: selectedMonth,
+        mapping: mappingPayload,
       });
 
       setUploadProgress(100);
@@ -162,6 +250,8 @@ export function IngestPage() {
       if (result.data.success) {
         setUploadResult(result.data);
         setSelectedFile(null);
+        setPreview(null);
+        setMapping(null);
       }
     } catch (err) {
       console.error('Error uploading file:', err);
@@ -171,11 +261,171 @@ export function IngestPage() {
     }
   };
 
+  // Progreso en vivo del job en segundo plano
+  useEffect(() => {
+    if (!jobId || !tenantId) return;
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'tenants', tenantId, 'uploadJobs', jobId),
+      (snapshot) => {
+        const job = snapshot.data();
+        if (!job) return;
+        setUploadJob(job);
+        setUploadProgress(job.percent || 0);
+        setProgressLabel(
+          job.stage === 'VALIDATING' && job.totalRows
+            ? `Validando ${job.processedRows.toLocaleString('es-MX')} de ${job.totalRows.toLocaleString('es-MX')} filas...`
+            : JOB_STAGE_LABELS[job.stage] || 'Procesando archivo...'
+        );
+
+        if (job.status === 'COMPLETED') {
+          setUploadResult(job.result);
+          setSelectedFile(null);
+          setPreview(null);
+          setMapping(null);
+          setStoragePath(null);
+          setIsUploading(false);
+          setJobId(null);
+        } else if (job.status === 'FAILED') {
+          setError('Error al procesar el archivo: ' + (job.error || 'Error desconocido'));
+          setIsUploading(false);
+          setJobId(null);
+        }
+      },
+      (err) => {
+        console.error('Error listening to upload job:', err);
+        setError('Error al consultar el progreso de la carga');
+        setIsUploading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [jobId, tenantId]);
+
+  // Subir archivo grande a Storage: tenants/{tenantId}/uploads/{timestamp}_{fileName}
+  const uploadToStorage = (file) =>
+    new Promise((resolve, reject) => {
+      const filePath = `tenants/${tenantId}/uploads/${Date.now()}_${file.name}`;
+      const uploadTask = uploadBytesResumable(ref(storage, filePath), file, {
+        customMetadata: { uploadedBy: user.uid, originalName: file.name },
+      });
+
+      uploadTask.on(
+        'state_changed',
+        (snapshot) => {
+          setUploadProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100));
+        },
+        reject,
+        () => resolve(filePath)
+      );
+    });
+
+  // Handler para leer encabezados y preparar el mapeo de columnas
+  const handlePreview = async () => {
+    if (!selectedFile) {
+      setError('Selecciona un archivo para cargar');
+      return;
+    }
+
+    if (!selectedActivity) {
+      setError('Selecciona una actividad antes de cargar');
+      return;
+    }
+
+    setIsPreviewing(true);
+    setError('');
+
+    try {
+      // Archivo grande: se sube una sola vez a Storage (lo usan la vista previa y el job)
+      let source;
+      if (selectedFile.size > BACKGROUND_UPLOAD_BYTES) {
+        let path = storagePath;
+        if (!path) {
+          setIsUploading(true);
+          setProgressLabel('Subiendo archivo...');
+          setUploadProgress(0);
+          path = await uploadToStorage(selectedFile);
+          setStoragePath(path);
+          setIsUploading(false);
+        }
+        source = { storagePath: path };
+      } else {
+        source = { fileBase64: await readFileAsBase64(selectedFile) };
+      }
+
+      const previewUpload = httpsCallable(functions, 'previewUpload');
+      const getMappingProfiles = httpsCallable(functions, 'getMappingProfiles');
+
+      const [previewResult, profilesResult] = await Promise.all([
+        previewUpload({ ...source, fileName: selectedFile.name, activityType: selectedActivity }),
+        getMappingProfiles({ activityType: selectedActivity }),
+      ]);
+
+      setPreview(previewResult.data);
+      setProfiles(profilesResult.data.profiles || []);
+      setMapping(buildInitialMapping(previewResult.data.sheets[0]));
+    } catch (err) {
+      console.error('Error previewing file:', err);
+      setError('Error al leer el archivo: ' + (err.message || 'Error desconocido'));
+      setIsUploading(false);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // Seleccionar un perfil guardado (o volver al mapeo sugerido)
+  const handleSelectProfile = (profileId) => {
+    const sheet = preview.sheets[0];
+    const profile = profiles.find((p) => p.id === profileId);
+    if (!profile) {
+      setMapping(buildInitialMapping({ ...sheet, matchedProfile: null }));
+      return;
+    }
+    setMapping({
+      profileId: profile.id,
+      name: profile.name,
+      columns: profile.columns || {},
+      transforms: { ...EMPTY_TRANSFORMS, ...profile.transforms },
+      autoSelected: false,
+    });
+  };
+
+  // Guardar el mapeo actual como perfil del tenant
+  const handleSaveProfile = async () => {
+    setSavingProfile(true);
+    setError('');
+    try {
+      const sheet = preview.sheets[0];
+      const saveMappingProfile = httpsCallable(functions, 'saveMappingProfile');
+      const result = await saveMappingProfile({
+        profileId: mapping.profileId,
+        name: mapping.name,
+        activityType: sheet.activityType,
+        headers: sheet.headers,
+        columns: mapping.columns,
+        transforms: mapping.transforms,
+      });
+
+      const getMappingProfiles = httpsCallable(functions, 'getMappingProfiles');
+      const profilesResult = await getMappingProfiles({ activityType: sheet.activityType });
+      setProfiles(profilesResult.data.profiles || []);
+      setMapping({ ...mapping, profileId: result.data.profileId });
+    } catch (err) {
+      console.error('Error saving mapping profile:', err);
+      setError('Error al guardar el perfil: ' + (err.message || 'Error desconocido'));
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
   // Configuración de dropzone
   const onDrop = useCallback((acceptedFiles) => {
     if (acceptedFiles.length > 0) {
       setSelectedFile(acceptedFiles[0]);
       setUploadResult(null);
+      setPreview(null);
+      setMapping(null);
+      setStoragePath(null);
       setError('');
     }
   }, []);
@@ -185,6 +435,8 @@ export function IngestPage() {
     accept: {
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
       'text/csv': ['.csv'],
+      'application/vnd.ms-excel': ['.csv'],
+      'text/plain': ['.txt'],
     },
     maxFiles: 1,
     disabled: isUploading,
@@ -193,15 +445,44 @@ export function IngestPage() {
   const clearFile = () => {
     setSelectedFile(null);
     setUploadResult(null);
+    setPreview(null);
+    setMapping(null);
+    setStoragePath(null);
   };
 
   const resetForm = () => {
     setSelectedFile(null);
+    setPreview(null);
+    setMapping(null);
+    setStoragePath(null);
+    setUploadJob(null);
     setUploadResult(null);
     setError('');
     setUploadProgress(0);
   };
 
+  // Copia del archivo con cada fila marcada (estatus, comentarios por celda, resumen);
+  // el servidor toma el original que conservó en Storage
+  const handleDownloadReview = async (uploadBatchIds) => {
+    setIsDownloadingReview(true);
+    setError('');
+    try {
+      const downloadAnnotatedWorkbook = httpsCallable(functions, 'downloadAnnotatedWorkbook');
+      const result = await downloadAnnotatedWorkbook({ uploadBatchIds });
+
+      if (result.data.storagePath) {
+        window.open(await getDownloadURL(ref(storage, result.data.storagePath)), '_blank');
+      } else {
+        downloadBase64File(result.data.fileBase64, result.data.fileName, result.data.mimeType);
+      }
+    } catch (err) {
+      console.error('Error downloading annotated workbook:', err);
+      setError('Error al generar el archivo con observaciones: ' + (err.message || 'Error desconocido'));
+    } finally {
+      setIsDownloadingReview(false);
+    }
+  };
+
   // Format currency
   const formatMoney = (amount) => {
     return new Intl.NumberFormat('es-MX', {
@@ -287,7 +568,11 @@ export function IngestPage() {
             </label>
             <select
               value={selectedActivity}
-              onChange={(e) => setSelectedActivity(e.target.value)}
+              onChange={(e) => {
+                setSelectedActivity(e.target.value);
+                setPreview(null);
+                setMapping(null);
+              }}
               className="w-full px-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white"
             >
               <option value="">Seleccionar actividad...</option>
@@ -306,325 +591,594 @@ export function IngestPage() {
         </div>
       </Card>
 
-      {/* Generador de Plantilla */}
-      <Card className="p-6">
-        <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
-          <FileSpreadsheet className="w-5 h-5 text-primary-600" />
-          Plantilla de Carga
-        </h2>
-
-        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
-          <div>
-            <p className="text-secondary-600">
-              Descarga la plantilla Excel personalizada para la actividad seleccionada.
-            </p>
-            <p className="text-sm text-secondary-500 mt-1">
-              La plantilla incluye las columnas requeridas por el SAT.
-            </p>
-          </div>
+      {/* Modo de captura */}
+      <div className="flex gap-2">
+        {[
+          { id: 'FILE', label: 'Carga de archivo', icon: FileSpreadsheet },
+          { id: 'MANUAL', label: 'Captura manual', icon: ClipboardPen },
+        ].map((mode) => {
+          const Icon = mode.icon;
+          return (
+            <button
+              key={mode.id}
+              onClick={() => setCaptureMode(mode.id)}
+              disabled={isUploading}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${
+                captureMode === mode.id
+                  ? 'bg-primary-600 border-primary-600 text-white'
+                  : 'bg-white border-secondary-300 text-secondary-700 hover:bg-secondary-50'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {mode.label}
+            </button>
+          );
+        })}
+      </div>
 
-          <Button
-            onClick={handleDownloadTemplate}
-            disabled={!selectedActivity || isGeneratingTemplate}
-            className="flex items-center gap-2 shrink-0"
-          >
-            {isGeneratingTemplate ? (
-              <>
-                <Loader2 className="w-5 h-5 animate-spin" />
-                Generando...
-              </>
-            ) : (
-              <>
-                <Download className="w-5 h-5" />
-                Descargar Plantilla
-              </>
-            )}
-          </Button>
-        </div>
-      </Card>
+      {captureMode === 'MANUAL' && (
+        <ManualCaptureForm
+          activityType={selectedActivity}
+          periodYear={selectedYear}
+          periodMonth={selectedMonth}
+          onSaved={setHistoryRefresh}
+        />
+      )}
 
-      {/* Zona de Carga */}
-      <Card className="p-6">
-        <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
-          <Briefcase className="w-5 h-5 text-primary-600" />
-          Cargar Archivo
-        </h2>
+      {captureMode === 'FILE' && (
+        <>
+          {/* Generador de Plantilla */}
+          <Card className="p-6">
+            <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
+              <FileSpreadsheet className="w-5 h-5 text-primary-600" />
+              Plantilla de Carga
+            </h2>
 
-        {/* Dropzone */}
-        <div
-          {...getRootProps()}
-          className={`
-            relative border-2 border-dashed rounded-xl p-8 text-center cursor-pointer
-            transition-all duration-200
-            ${isDragActive
-              ? 'border-primary-500 bg-primary-50'
-              : 'border-secondary-300 hover:border-primary-400 hover:bg-secondary-50'
-            }
-            ${isUploading ? 'pointer-events-none opacity-60' : ''}
-          `}
-        >
-          <input {...getInputProps()} />
-
-          {selectedFile ? (
-            <div className="flex items-center justify-center gap-4">
-              <FileSpreadsheet className="w-12 h-12 text-primary-600" />
-              <div className="text-left">
-                <p className="font-medium text-secondary-900">{selectedFile.name}</p>
-                <p className="text-sm text-secondary-500">
-                  {(selectedFile.size / 1024).toFixed(1)} KB
+            <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+              <div>
+                <p className="text-secondary-600">
+                  Descarga la plantilla Excel personalizada para la actividad seleccionada.
+                </p>
+                <p className="text-sm text-secondary-500 mt-1">
+                  La plantilla incluye las columnas requeridas por el SAT.
                 </p>
               </div>
-              {!isUploading && (
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    clearFile();
-                  }}
-                  className="p-2 hover:bg-secondary-100 rounded-lg transition-colors"
-                >
-                  <X className="w-5 h-5 text-secondary-500" />
-                </button>
-              )}
-            </div>
-          ) : (
-            <>
-              <Upload className="w-12 h-12 text-secondary-400 mx-auto mb-4" />
-              <p className="text-secondary-600 mb-2">
-                {isDragActive
-                  ? 'Suelta el archivo aquí...'
-                  : 'Arrastra tu archivo Excel aquí o haz clic para seleccionar'}
-              </p>
-              <p className="text-sm text-secondary-400">
-                Formatos aceptados: .xlsx, .csv
-              </p>
-            </>
-          )}
-        </div>
 
-        {/* Barra de progreso */}
-        {isUploading && (
-          <div className="mt-4">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-sm text-secondary-600">Procesando archivo...</span>
-              <span className="text-sm font-medium text-primary-600">{uploadProgress}%</span>
-            </div>
-            <div className="w-full h-2 bg-secondary-200 rounded-full overflow-hidden">
-              <div
-                className="h-full bg-primary-600 rounded-full transition-all duration-300"
-                style={{ width: `${uploadProgress}%` }}
-              />
+              <Button
+                onClick={handleDownloadTemplate}
+                disabled={!selectedActivity || isGeneratingTemplate}
+                className="flex items-center gap-2 shrink-0"
+              >
+                {isGeneratingTemplate ? (
+                  <>
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                    Generando...
+                  </>
+                ) : (
+                  <>
+                    <Download className="w-5 h-5" />
+                    Descargar Plantilla
+                  </>
+                )}
+              </Button>
             </div>
-          </div>
-        )}
-
-        {/* Botón de carga */}
-        {selectedFile && !isUploading && !uploadResult && (
-          <div className="mt-4 flex justify-end">
-            <Button onClick={handleUpload} className="flex items-center gap-2">
-              <Upload className="w-5 h-5" />
-              Procesar Archivo
-            </Button>
-          </div>
-        )}
-      </Card>
+          </Card>
 
-      {/* Resultados de la carga */}
-      {uploadResult && (
-        <>
-          {/* Card principal de resultado */}
+          {/* Zona de Carga */}
           <Card className="p-6">
-            <div className="flex items-center justify-between mb-4">
-              <h2 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
-                <CheckCircle className="w-5 h-5 text-green-600" />
-                Resultado de la Carga
-              </h2>
-              <Button variant="secondary" size="sm" onClick={resetForm} className="flex items-center gap-2">
-                <RefreshCw className="w-4 h-4" />
-                Nueva Carga
-              </Button>
+            <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
+              <Briefcase className="w-5 h-5 text-primary-600" />
+              Cargar Archivo
+            </h2>
+
+            {/* Dropzone */}
+            <div
+              {...getRootProps()}
+              className={`
+                relative border-2 border-dashed rounded-xl p-8 text-center cursor-pointer
+                transition-all duration-200
+                ${isDragActive
+                  ? 'border-primary-500 bg-primary-50'
+                  : 'border-secondary-300 hover:border-primary-400 hover:bg-secondary-50'
+                }
+                ${isUploading ? 'pointer-events-none opacity-60' : ''}
+              `}
+            >
+              <input {...getInputProps()} />
+
+              {selectedFile ? (
+                <div className="flex items-center justify-center gap-4">
+                  <FileSpreadsheet className="w-12 h-12 text-primary-600" />
+                  <div className="text-left">
+                    <p className="font-medium text-secondary-900">{selectedFile.name}</p>
+                    <p className="text-sm text-secondary-500">
+                      {(selectedFile.size / 1024).toFixed(1)} KB
+                    </p>
+                  </div>
+                  {!isUploading && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        clearFile();
+                      }}
+                      className="p-2 hover:bg-secondary-100 rounded-lg transition-colors"
+                    >
+                      <X className="w-5 h-5 text-secondary-500" />
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <>
+                  <Upload className="w-12 h-12 text-secondary-400 mx-auto mb-4" />
+                  <p className="text-secondary-600 mb-2">
+                    {isDragActive
+                      ? 'Suelta el archivo aquí...'
+                      : 'Arrastra tu archivo Excel, CSV o TXT aquí o haz clic para seleccionar'}
+                  </p>
+                  <p className="text-sm text-secondary-400">
+                    Formatos aceptados: .xlsx, .csv, .txt — en Excel se procesa cada hoja nombrada como una actividad
+                  </p>
+                </>
+              )}
             </div>
 
-            {/* Resumen numérico */}
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-              <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-center">
-                <p className="text-3xl font-bold text-green-700">{uploadResult.recordsProcessed}</p>
-                <p className="text-sm text-green-600">Procesados</p>
-              </div>
-              <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-center">
-                <p className="text-3xl font-bold text-red-700">{uploadResult.recordsRejected || 0}</p>
-                <p className="text-sm text-red-600">Rechazados</p>
-              </div>
-              <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-center">
-                <p className="text-3xl font-bold text-amber-700">{uploadResult.recordsWithWarnings || 0}</p>
-                <p className="text-sm text-amber-600">Con advertencias</p>
-              </div>
-              <div className="bg-secondary-50 border border-secondary-200 rounded-lg p-4 text-center">
-                <p className="text-3xl font-bold text-secondary-700">{uploadResult.totalRecords}</p>
-                <p className="text-sm text-secondary-600">Total filas</p>
+            {/* Barra de progreso */}
+            {isUploading && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm text-secondary-600">{progressLabel}</span>
+                  <span className="text-sm font-medium text-primary-600">{uploadProgress}%</span>
+                </div>
+                <div className="w-full h-2 bg-secondary-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-primary-600 rounded-full transition-all duration-300"
+                    style={{ width: `${uploadProgress}%` }}
+                  />
+                </div>
+                {jobId && (
+                  <p className="text-xs text-secondary-500 mt-2">
+                    Archivo grande: se procesa en segundo plano por bloques. Puedes salir de esta página; el resultado quedará en el historial de cargas.
+                    {uploadJob?.resumeCount > 0 && ` Reanudado ${uploadJob.resumeCount} ${uploadJob.resumeCount === 1 ? 'vez' : 'veces'}.`}
+                  </p>
+                )}
               </div>
-            </div>
+            )}
 
-            {/* Mensaje de éxito o error */}
-            {uploadResult.recordsWithErrors === 0 && uploadResult.recordsRejected === 0 && (
-              <Alert variant="success">
-                Todos los registros fueron procesados correctamente.
-              </Alert>
+            {/* Botón de revisión de columnas */}
+            {selectedFile && !isUploading && !uploadResult && !preview && (
+              <div className="mt-4 flex justify-end">
+                <Button onClick={handlePreview} loading={isPreviewing} className="flex items-center gap-2">
+                  <Columns className="w-5 h-5" />
+                  Revisar Columnas
+                </Button>
+              </div>
             )}
           </Card>
 
-          {/* Semáforo de Riesgo EBR */}
-          {uploadResult.riskSummary && (
+          {/* Paso de mapeo (archivo de una hoja o CSV/TXT) */}
+          {preview && mapping && preview.sheets.length === 1 && !uploadResult && (
+            <ColumnMappingStep
+              sheet={preview.sheets[0]}
+              columns={preview.columnsByActivity[preview.sheets[0].activityType] || []}
+              dateFormats={preview.dateFormats}
+              decimalSeparators={preview.decimalSeparators}
+              mapping={mapping}
+              onChange={(next) => setMapping({ ...next, autoSelected: false })}
+              profiles={profiles}
+              onSelectProfile={handleSelectProfile}
+              onSaveProfile={handleSaveProfile}
+              savingProfile={savingProfile}
+            />
+          )}
+
+          {/* Libro con una hoja por actividad */}
+          {preview && preview.sheets.length > 1 && !uploadResult && (
             <Card className="p-6">
-              <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
-                <ShieldAlert className="w-5 h-5 text-primary-600" />
-                Semáforo de Riesgo (EBR)
+              <h2 className="text-lg font-semibold text-secondary-900 mb-2 flex items-center gap-2">
+                <Columns className="w-5 h-5 text-primary-600" />
+                Hojas a procesar ({preview.sheets.length})
               </h2>
+              <p className="text-sm text-secondary-500 mb-3">
+                Cada hoja se procesa con su actividad. Los encabezados se reconocen por la plantilla o por un perfil de mapeo guardado.
+              </p>
+              <ul className="divide-y divide-secondary-100 border border-secondary-200 rounded-lg">
+                {preview.sheets.map((sheet) => (
+                  <li key={sheet.sheetName} className="px-4 py-2 flex items-center justify-between text-sm">
+                    <span className="font-medium text-secondary-900">{sheet.sheetName}</span>
+                    <span className="text-secondary-500">
+                      {sheet.totalRows} filas · {sheet.matchedProfile ? `Perfil: ${sheet.matchedProfile.name}` : 'Encabezados de plantilla'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+
+          {/* Botón de carga */}
+          {preview && !isUploading && !uploadResult && (
+            <div className="flex justify-end">
+              <Button onClick={handleUpload} className="flex items-center gap-2">
+                <Upload className="w-5 h-5" />
+                Procesar Archivo
+              </Button>
+            </div>
+          )}
+
+          {/* Resultados de la carga */}
+          {uploadResult && (
+            <>
+              {/* Card principal de resultado */}
+              <Card className="p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+                    <CheckCircle className="w-5 h-5 text-green-600" />
+                    Resultado de la Carga
+                  </h2>
+                  <Button variant="secondary" size="sm" onClick={resetForm} className="flex items-center gap-2">
+                    <RefreshCw className="w-4 h-4" />
+                    Nueva Carga
+                  </Button>
+                </div>
+
+                {/* Resumen numérico */}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-center">
+                    <p className="text-3xl font-bold text-green-700">{uploadResult.recordsProcessed}</p>
+                    <p className="text-sm text-green-600">Procesados</p>
+                  </div>
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-center">
+                    <p className="text-3xl font-bold text-red-700">{uploadResult.recordsRejected || 0}</p>
+                    <p className="text-sm text-red-600">Rechazados</p>
+                  </div>
+                  <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-center">
+                    <p className="text-3xl font-bold text-amber-700">{uploadResult.recordsWithWarnings || 0}</p>
+                    <p className="text-sm text-amber-600">Con advertencias</p>
+                  </div>
+                  <div className="bg-secondary-50 border border-secondary-200 rounded-lg p-4 text-center">
+                    <p className="text-3xl font-bold text-secondary-700">{uploadResult.totalRecords}</p>
+                    <p className="text-sm text-secondary-600">Total filas</p>
+                  </div>
+                </div>
+
+                {uploadResult.recordsDuplicated > 0 && (
+                  <p className="text-sm text-red-700 mb-4">
+                    {uploadResult.recordsDuplicated} filas se rechazaron por ser idénticas a operaciones de cargas anteriores
+                    (se detallan en Errores de Formato).
+                  </p>
+                )}
+
+                {/* Formato detectado (CSV/TXT) */}
+                {uploadResult.encoding && (
+                  <p className="text-xs text-secondary-500 mb-4">
+                    Archivo {uploadResult.fileFormat} · Codificación {uploadResult.encoding} · Separador{' '}
+                    <span className="font-mono">{uploadResult.delimiter}</span>
+                  </p>
+                )}
+
+                {/* Desglose por hoja (libro con una hoja por actividad) */}
+                {uploadResult.sheets?.length > 1 && (
+                  <div className="mb-6 border border-secondary-200 rounded-lg overflow-hidden">
+                    <table className="w-full text-sm">
+                      <thead className="bg-secondary-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Hoja</th>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Actividad</th>
+                          <th className="px-4 py-2 text-right text-secondary-700 font-medium">Procesados</th>
+                          <th className="px-4 py-2 text-right text-secondary-700 font-medium">Rechazados</th>
+                          <th className="px-4 py-2 text-right text-secondary-700 font-medium">Errores</th>
+                          <th className="px-4 py-2 text-right text-secondary-700 font-medium">Advertencias</th>
+                          <th className="px-4 py-2 text-right text-secondary-700 font-medium">Riesgo A/M/B</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-secondary-100">
+                        {uploadResult.sheets.map((sheet) => (
+                          <tr key={sheet.uploadBatchId} className="hover:bg-secondary-50">
+                            <td className="px-4 py-2 font-medium text-secondary-900">{sheet.sheetName}</td>
+                            <td className="px-4 py-2 text-secondary-600">
+                              {ACTIVIDADES_VULNERABLES.find((a) => a.id === sheet.activityType)?.label || sheet.activityType}
+                            </td>
+                            <td className="px-4 py-2 text-right text-green-700">{sheet.recordsProcessed}</td>
+                            <td className="px-4 py-2 text-right text-red-700">{sheet.recordsRejected}</td>
+                            <td className="px-4 py-2 text-right text-secondary-700">{sheet.recordsWithErrors}</td>
+                            <td className="px-4 py-2 text-right text-amber-700">{sheet.recordsWithWarnings}</td>
+                            <td className="px-4 py-2 text-right text-secondary-700">
+                              {sheet.riskSummary.HIGH} / {sheet.riskSummary.MEDIUM} / {sheet.riskSummary.LOW}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
 
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
-                {['HIGH', 'MEDIUM', 'LOW'].map((level) => {
-                  const cfg = RISK_CONFIG[level];
-                  const count = uploadResult.riskSummary[level] || 0;
-                  const Icon = cfg.icon;
-                  return (
-                    <div key={level} className={`${cfg.bg} border ${cfg.border} rounded-lg p-4`}>
-                      <div className="flex items-center gap-3">
-                        <div className={`w-10 h-10 rounded-full ${cfg.badge} flex items-center justify-center`}>
-                          <Icon className="w-5 h-5" />
+                {/* Lista de Personas Bloqueadas: operaciones suspendidas */}
+                {uploadResult.recordsBlocked > 0 && (
+                  <Alert variant="error" title={`${uploadResult.recordsBlocked} operaciones bloqueadas`}>
+                    Clientes en la Lista de Personas Bloqueadas de la UIF. Las operaciones se guardaron suspendidas y el
+                    aviso debe presentarse dentro de las 24 horas siguientes; revisa las alertas urgentes.
+                    <ul className="mt-2 list-disc list-inside">
+                      {(uploadResult.blockedOperations || []).map((entry) => (
+                        <li key={`${entry.sheet || ''}-${entry.row}`}>
+                          {entry.sheet ? `${entry.sheet}, ` : ''}fila {entry.row}: {entry.rfc || 'sin RFC'} →{' '}
+                          {entry.matchedName}{entry.reference ? ` (${entry.reference})` : ''}
+                        </li>
+                      ))}
+                    </ul>
+                  </Alert>
+                )}
+
+                {/* Mensaje de éxito o error */}
+                {uploadResult.recordsWithErrors === 0 && uploadResult.recordsRejected === 0 && (
+                  <Alert variant="success">
+                    Todos los registros fueron procesados correctamente.
+                  </Alert>
+                )}
+
+                {/* Archivo con observaciones: todas las filas, no solo la muestra */}
+                {(uploadResult.recordsWithErrors > 0 ||
+                  uploadResult.recordsRejected > 0 ||
+                  uploadResult.recordsWithWarnings > 0 ||
+                  uploadResult.possibleDuplicatesCount > 0 ||
+                  uploadResult.recordsBlocked > 0) && (
+                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-secondary-50 border border-secondary-200 rounded-lg">
+                    <p className="text-sm text-secondary-700">
+                      Descarga tu archivo con cada fila marcada (estatus, comentario en cada celda con error y hoja de resumen)
+                      para corregirlo y volver a cargarlo.
+                    </p>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => handleDownloadReview(uploadResult.uploadBatchIds || [uploadResult.uploadBatchId])}
+                      loading={isDownloadingReview}
+                      className="flex items-center gap-2 shrink-0"
+                    >
+                      <Download className="w-4 h-4" />
+                      Descargar archivo con observaciones
+                    </Button>
+                  </div>
+                )}
+              </Card>
+
+              {/* Semáforo de Riesgo EBR */}
+              {uploadResult.riskSummary && (
+                <Card className="p-6">
+                  <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
+                    <ShieldAlert className="w-5 h-5 text-primary-600" />
+                    Semáforo de Riesgo (EBR)
+                  </h2>
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                    {['HIGH', 'MEDIUM', 'LOW'].map((level) => {
+                      const cfg = RISK_CONFIG[level];
+                      const count = uploadResult.riskSummary[level] || 0;
+                      const Icon = cfg.icon;
+                      return (
+                        <div key={level} className={`${cfg.bg} border ${cfg.border} rounded-lg p-4`}>
+                          <div className="flex items-center gap-3">
+                            <div className={`w-10 h-10 rounded-full ${cfg.badge} flex items-center justify-center`}>
+                              <Icon className="w-5 h-5" />
+                            </div>
+                            <div>
+                              <p className={`text-2xl font-bold ${cfg.text}`}>{count}</p>
+                              <p className={`text-sm ${cfg.text}`}>Riesgo {cfg.label}</p>
+                            </div>
+                          </div>
+                          {level === 'HIGH' && count > 0 && (
+                            <p className="text-xs mt-2 text-red-600">
+                              Requieren reporte obligatorio (Art. 17 LFPIORPI)
+                            </p>
+                          )}
+                          {level === 'MEDIUM' && count > 0 && (
+                            <p className="text-xs mt-2 text-amber-600">
+                              Requieren revisión manual del oficial de cumplimiento
+                            </p>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  {/* Contexto legal / umbrales */}
+                  {uploadResult.legalContext && (
+                    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                      <h3 className="text-sm font-semibold text-blue-800 mb-2 flex items-center gap-2">
+                        <Info className="w-4 h-4" />
+                        Umbrales Legales Aplicados (LFPIORPI{uploadResult.legalContext.fraccion ? ` Art. 17 fracc. ${uploadResult.legalContext.fraccion}` : ''})
+                      </h3>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+                        <div>
+                          <p className="text-blue-600">UMA Diario {uploadResult.legalContext.umaYear}</p>
+                          <p className="font-bold text-blue-800">${uploadResult.legalContext.umaDaily}</p>
+                        </div>
+                        <div>
+                          <p className="text-blue-600">
+                            Límite Efectivo (Art. 32{uploadResult.legalContext.limiteEfectivoUMA ? `, ${uploadResult.legalContext.limiteEfectivoUMA} UMA` : ''})
+                          </p>
+                          <p className="font-bold text-blue-800">
+                            {uploadResult.legalContext.limiteEfectivoMXN !== null
+                              ? formatMoney(uploadResult.legalContext.limiteEfectivoMXN)
+                              : 'Sin restricción'}
+                          </p>
+                        </div>
+                        <div>
+                          <p className="text-blue-600">Umbral Aviso ({uploadResult.legalContext.umbralAvisoUMA} UMA)</p>
+                          <p className="font-bold text-blue-800">
+                            {uploadResult.legalContext.siempreAvisar ? 'Siempre' : formatMoney(uploadResult.legalContext.umbralAvisoMXN)}
+                          </p>
                         </div>
                         <div>
-                          <p className={`text-2xl font-bold ${cfg.text}`}>{count}</p>
-                          <p className={`text-sm ${cfg.text}`}>Riesgo {cfg.label}</p>
+                          <p className="text-blue-600">Umbral Identif. ({uploadResult.legalContext.umbralIdentUMA} UMA)</p>
+                          <p className="font-bold text-blue-800">
+                            {uploadResult.legalContext.siempreIdentificar ? 'Siempre' : formatMoney(uploadResult.legalContext.umbralIdentMXN)}
+                          </p>
                         </div>
                       </div>
-                      {level === 'HIGH' && count > 0 && (
-                        <p className="text-xs mt-2 text-red-600">
-                          Requieren reporte obligatorio (Art. 17 LFPIORPI)
-                        </p>
-                      )}
-                      {level === 'MEDIUM' && count > 0 && (
-                        <p className="text-xs mt-2 text-amber-600">
-                          Requieren revisión manual del oficial de cumplimiento
+                      {uploadResult.legalContext.umaApplied?.length > 1 && (
+                        <p className="text-xs text-blue-700 mt-3">
+                          El archivo mezcla operaciones de distintos años. Cada operación se evaluó con la UMA vigente en su fecha:{' '}
+                          {uploadResult.legalContext.umaApplied
+                            .map((u) => `${u.year}: $${u.valorDiario}`)
+                            .join(' · ')}
                         </p>
                       )}
                     </div>
-                  );
-                })}
-              </div>
+                  )}
+                </Card>
+              )}
 
-              {/* Contexto legal / umbrales */}
-              {uploadResult.legalContext && (
-                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                  <h3 className="text-sm font-semibold text-blue-800 mb-2 flex items-center gap-2">
-                    <Info className="w-4 h-4" />
-                    Umbrales Legales Aplicados (LFPIORPI)
+              {/* Cruces de umbral por acumulación de 6 meses */}
+              {uploadResult.thresholdCrossings && uploadResult.thresholdCrossings.length > 0 && (
+                <Card className="p-6 border-l-4 border-l-red-500">
+                  <h3 className="text-sm font-semibold text-secondary-900 mb-3 flex items-center gap-2">
+                    <TrendingUp className="w-4 h-4 text-red-600" />
+                    Umbrales Alcanzados por Acumulación de 6 Meses ({uploadResult.thresholdCrossings.length})
                   </h3>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
-                    <div>
-                      <p className="text-blue-600">UMA Diario</p>
-                      <p className="font-bold text-blue-800">{formatMoney(uploadResult.legalContext.umaDaily)}</p>
-                    </div>
-                    <div>
-                      <p className="text-blue-600">Límite Efectivo (Art. 32)</p>
-                      <p className="font-bold text-blue-800">{formatMoney(uploadResult.legalContext.limiteEfectivoMXN)}</p>
-                    </div>
-                    <div>
-                      <p className="text-blue-600">Umbral Aviso (645 UMA)</p>
-                      <p className="font-bold text-blue-800">{formatMoney(uploadResult.legalContext.umbralAvisoMXN)}</p>
-                    </div>
-                    <div>
-                      <p className="text-blue-600">Umbral Identif. (325 UMA)</p>
-                      <p className="font-bold text-blue-800">{formatMoney(uploadResult.legalContext.umbralIdentMXN)}</p>
-                    </div>
+                  <div className="max-h-64 overflow-y-auto border border-secondary-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead className="bg-red-50 sticky top-0">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fila</th>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">RFC</th>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Umbral</th>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fecha</th>
+                          <th className="px-4 py-2 text-right text-secondary-700 font-medium">Acumulado</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-secondary-100">
+                        {uploadResult.thresholdCrossings.map((crossing, index) => (
+                          <tr key={index} className="hover:bg-red-50/50">
+                            <td className="px-4 py-2 text-secondary-900 font-medium">
+                              {crossing.sheet ? `${crossing.sheet} · ` : ''}{crossing.sourceRow || '—'}
+                            </td>
+                            <td className="px-4 py-2 font-mono text-secondary-700">{crossing.rfc}</td>
+                            <td className="px-4 py-2">
+                              <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${
+                                crossing.type === 'AVISO' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                              }`}>
+                                {crossing.type === 'AVISO' ? 'Aviso' : 'Identificación'}
+                              </span>
+                            </td>
+                            <td className="px-4 py-2 text-secondary-700">{crossing.date}</td>
+                            <td className="px-4 py-2 text-right font-medium text-secondary-900">{formatMoney(crossing.rollingTotal)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
                   </div>
-                </div>
+                </Card>
               )}
-            </Card>
-          )}
 
-          {/* Advertencias legales */}
-          {uploadResult.warnings && uploadResult.warnings.length > 0 && (
-            <Card className="p-6">
-              <h3 className="text-sm font-semibold text-secondary-900 mb-3 flex items-center gap-2">
-                <AlertTriangle className="w-4 h-4 text-amber-500" />
-                Advertencias de Validación Legal ({uploadResult.warnings.length})
-              </h3>
-              <div className="max-h-64 overflow-y-auto border border-secondary-200 rounded-lg">
-                <table className="w-full text-sm">
-                  <thead className="bg-amber-50 sticky top-0">
-                    <tr>
-                      <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fila</th>
-                      <th className="px-4 py-2 text-left text-secondary-700 font-medium">Advertencias</th>
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-secondary-100">
-                    {uploadResult.warnings.map((warn, index) => (
-                      <tr key={index} className="hover:bg-amber-50/50">
-                        <td className="px-4 py-2 text-secondary-900 font-medium">{warn.row}</td>
-                        <td className="px-4 py-2">
-                          <ul className="list-disc list-inside text-amber-700">
-                            {(warn.warnings || []).map((w, i) => (
-                              <li key={i}>{w}</li>
-                            ))}
-                          </ul>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </Card>
-          )}
+              {/* Advertencias legales */}
+              {uploadResult.warnings && uploadResult.warnings.length > 0 && (
+                <Card className="p-6">
+                  <h3 className="text-sm font-semibold text-secondary-900 mb-3 flex items-center gap-2">
+                    <AlertTriangle className="w-4 h-4 text-amber-500" />
+                    Advertencias de Validación Legal ({uploadResult.warnings.length})
+                  </h3>
+                  <div className="max-h-64 overflow-y-auto border border-secondary-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead className="bg-amber-50 sticky top-0">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fila</th>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Advertencias</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-secondary-100">
+                        {uploadResult.warnings.map((warn, index) => (
+                          <tr key={index} className="hover:bg-amber-50/50">
+                            <td className="px-4 py-2 text-secondary-900 font-medium">
+                              {warn.sheet ? `${warn.sheet} · ` : ''}{warn.row}
+                            </td>
+                            <td className="px-4 py-2">
+                              <ul className="list-disc list-inside text-amber-700">
+                                {(warn.warnings || []).map((w, i) => (
+                                  <li key={i}>{w}</li>
+                                ))}
+                              </ul>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              )}
 
-          {/* Registros rechazados (Art. 32) */}
-          {uploadResult.recordsRejected > 0 && (
-            <Card className="p-6 border-l-4 border-l-red-500">
-              <h3 className="text-sm font-semibold text-red-800 mb-3 flex items-center gap-2">
-                <Ban className="w-4 h-4 text-red-600" />
-                Registros Rechazados — Restricción Art. 32 ({uploadResult.recordsRejected})
-              </h3>
-              <p className="text-sm text-red-700 mb-3">
-                Estos registros superan el límite de efectivo permitido por la LFPIORPI Art. 32 y fueron rechazados automáticamente.
-                La operación NO debe realizarse en efectivo.
-              </p>
-            </Card>
-          )}
+              {/* Posibles duplicados retenidos para revisión */}
+              {uploadResult.possibleDuplicatesCount > 0 && (
+                <PossibleDuplicates
+                  duplicates={uploadResult.possibleDuplicates || []}
+                  total={uploadResult.possibleDuplicatesCount}
+                  uploadBatchIds={uploadResult.uploadBatchIds || [uploadResult.uploadBatchId]}
+                />
+              )}
 
-          {/* Lista de errores de formato */}
-          {uploadResult.errors && uploadResult.errors.length > 0 && (
-            <Card className="p-6">
-              <h3 className="text-sm font-semibold text-secondary-900 mb-3 flex items-center gap-2">
-                <FileWarning className="w-4 h-4 text-red-500" />
-                Errores de Formato ({uploadResult.errors.length})
-                {uploadResult.hasMoreErrors && ' - Mostrando los primeros 50'}
-              </h3>
-              <div className="max-h-64 overflow-y-auto border border-secondary-200 rounded-lg">
-                <table className="w-full text-sm">
-                  <thead className="bg-secondary-50 sticky top-0">
-                    <tr>
-                      <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fila</th>
-                      <th className="px-4 py-2 text-left text-secondary-700 font-medium">Errores</th>
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-secondary-100">
-                    {uploadResult.errors.map((err, index) => (
-                      <tr key={index} className="hover:bg-secondary-50">
-                        <td className="px-4 py-2 text-secondary-900 font-medium">{err.row}</td>
-                        <td className="px-4 py-2">
-                          <ul className="list-disc list-inside text-red-600">
-                            {err.errors.map((e, i) => (
-                              <li key={i}>{e}</li>
-                            ))}
-                          </ul>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </Card>
+              {/* Registros rechazados (Art. 32) */}
+              {uploadResult.recordsRejected - (uploadResult.recordsDuplicated || 0) > 0 && (
+                <Card className="p-6 border-l-4 border-l-red-500">
+                  <h3 className="text-sm font-semibold text-red-800 mb-3 flex items-center gap-2">
+                    <Ban className="w-4 h-4 text-red-600" />
+                    Registros Rechazados — Restricción Art. 32 ({uploadResult.recordsRejected - (uploadResult.recordsDuplicated || 0)})
+                  </h3>
+                  <p className="text-sm text-red-700 mb-3">
+                    Estos registros superan el límite de efectivo permitido por la LFPIORPI Art. 32 y fueron rechazados automáticamente.
+                    La operación NO debe realizarse en efectivo.
+                  </p>
+                </Card>
+              )}
+
+              {/* Corrección en la aplicación de filas rechazadas (formato / legal) */}
+              {uploadResult.recordsWithErrors + uploadResult.recordsRejected - (uploadResult.recordsDuplicated || 0) > 0 && (
+                <RejectedRowsEditor uploadBatchIds={uploadResult.uploadBatchIds || [uploadResult.uploadBatchId]} />
+              )}
+
+              {/* Lista de errores de formato */}
+              {uploadResult.errors && uploadResult.errors.length > 0 && (
+                <Card className="p-6">
+                  <h3 className="text-sm font-semibold text-secondary-900 mb-3 flex items-center gap-2">
+                    <FileWarning className="w-4 h-4 text-red-500" />
+                    Errores de Formato ({uploadResult.errors.length})
+                    {uploadResult.hasMoreErrors && ' - Mostrando los primeros 50'}
+                  </h3>
+                  <div className="max-h-64 overflow-y-auto border border-secondary-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead className="bg-secondary-50 sticky top-0">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fila</th>
+                          <th className="px-4 py-2 text-left text-secondary-700 font-medium">Errores</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-secondary-100">
+                        {uploadResult.errors.map((err, index) => (
+                          <tr key={index} className="hover:bg-secondary-50">
+                            <td className="px-4 py-2 text-secondary-900 font-medium">
+                              {err.sheet ? `${err.sheet} · ` : ''}{err.row}
+                            </td>
+                            <td className="px-4 py-2">
+                              <ul className="list-disc list-inside text-red-600">
+                                {err.errors.map((e, i) => (
+                                  <li key={i}>{e}</li>
+                                ))}
+                              </ul>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              )}
+            </>
           )}
         </>
       )}
+
+      {/* Historial de cargas (reversión por lote) */}
+      <UploadHistory
+        tenantId={tenantId}
+        refreshKey={historyRefresh || uploadResult}
+        onDownloadReview={(uploadBatchId) => handleDownloadReview([uploadBatchId])}
+      />
     </div>
   );
 }
@@ -0,0 +1,271 @@
+import { useMemo } from 'react';
+import { Button, Card } from '../../../shared/components';
+import { Columns, AlertTriangle, Save, Sparkles } from 'lucide-react';
+
+const SECTION_LABELS = {
+  operacion: 'Operación',
+  cliente: 'Cliente',
+  domicilio: 'Domicilio',
+  beneficiario: 'Beneficiario Controlador',
+};
+
+const DATE_FORMAT_LABELS = {
+  AUTO: 'Automático (Excel / ISO)',
+  'DD/MM/YYYY': 'DD/MM/AAAA',
+  'MM/DD/YYYY': 'MM/DD/AAAA',
+  'YYYY-MM-DD': 'AAAA-MM-DD',
+  'DD-MM-YYYY': 'DD-MM-AAAA',
+  YYYYMMDD: 'AAAAMMDD',
+};
+
+const selectClass =
+  'w-full px-3 py-2 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white text-sm';
+
+/**
+ * Paso de mapeo de columnas para archivos que no usan la plantilla:
+ * encabezado del archivo → columna SAT, transformaciones (fecha, decimales)
+ * y alias de catálogo. Se guarda como perfil con nombre por tenant.
+ */
+export function ColumnMappingStep({
+  sheet,
+  columns,
+  dateFormats,
+  decimalSeparators,
+  mapping,
+  onChange,
+  profiles,
+  onSelectProfile,
+  onSaveProfile,
+  savingProfile,
+}) {
+  const columnsBySection = useMemo(() => {
+    const groups = {};
+    columns.forEach((col) => {
+      groups[col.section] = groups[col.section] || [];
+      groups[col.section].push(col);
+    });
+    return groups;
+  }, [columns]);
+
+  const mappedKeys = Object.values(mapping.columns).filter(Boolean);
+  const missingRequired = columns.filter((col) => col.required && !mappedKeys.includes(col.key));
+
+  // Catalog columns whose file values are not catalog labels → alias editor
+  const aliasCandidates = useMemo(() => {
+    return Object.entries(mapping.columns)
+      .map(([header, key]) => {
+        const col = columns.find((c) => c.key === key);
+        if (!col || col.type !== 'catalog') return null;
+        const options = col.options || [];
+        const unknown = (sheet.distinctValues[header] || []).filter(
+          (value) => !options.some((opt) => opt.toLowerCase() === value.toLowerCase())
+        );
+        return unknown.length > 0 ? { header, col, values: unknown } : null;
+      })
+      .filter(Boolean);
+  }, [mapping.columns, columns, sheet.distinctValues]);
+
+  const setColumn = (header, key) => {
+    onChange({ ...mapping, columns: { ...mapping.columns, [header]: key } });
+  };
+
+  const setTransform = (field, value) => {
+    onChange({ ...mapping, transforms: { ...mapping.transforms, [field]: value } });
+  };
+
+  const setAlias = (key, value, label) => {
+    const aliases = { ...(mapping.transforms.aliases || {}) };
+    aliases[key] = { ...(aliases[key] || {}), [value]: label };
+    if (!label) delete aliases[key][value];
+    setTransform('aliases', aliases);
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+            <Columns className="w-5 h-5 text-primary-600" />
+            Mapeo de Columnas
+          </h2>
+          <p className="text-sm text-secondary-500 mt-1">
+            Indica a qué columna SAT corresponde cada encabezado de tu archivo ({sheet.totalRows} filas).
+          </p>
+        </div>
+        <div className="w-full md:w-72">
+          <label className="block text-xs font-medium text-secondary-600 mb-1">Perfil de mapeo</label>
+          <select
+            value={mapping.profileId || ''}
+            onChange={(e) => onSelectProfile(e.target.value || null)}
+            className={selectClass}
+          >
+            <option value="">Sin perfil (mapeo manual)</option>
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}
+              </option>
+            ))}
+          </select>
+          {mapping.autoSelected && (
+            <p className="text-xs text-green-700 mt-1 flex items-center gap-1">
+              <Sparkles className="w-3 h-3" />
+              Perfil detectado por los encabezados del archivo
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Header → column */}
+      <div className="max-h-96 overflow-y-auto border border-secondary-200 rounded-lg mb-4">
+        <table className="w-full text-sm">
+          <thead className="bg-secondary-50 sticky top-0">
+            <tr>
+              <th className="px-4 py-2 text-left text-secondary-700 font-medium">Encabezado del archivo</th>
+              <th className="px-4 py-2 text-left text-secondary-700 font-medium">Ejemplo</th>
+              <th className="px-4 py-2 text-left text-secondary-700 font-medium w-72">Columna SAT</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-secondary-100">
+            {sheet.headers.map((header, index) =>
+              header ? (
+                <tr key={header} className="hover:bg-secondary-50">
+                  <td className="px-4 py-2 font-medium text-secondary-900">{header}</td>
+                  <td className="px-4 py-2 text-secondary-500 truncate max-w-xs">
+                    {sheet.sampleRows[0]?.[index] !== undefined ? String(sheet.sampleRows[0][index]) : '—'}
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={mapping.columns[header] || ''}
+                      onChange={(e) => setColumn(header, e.target.value)}
+                      className={selectClass}
+                    >
+                      <option value="">— Ignorar —</option>
+                      {Object.entries(columnsBySection).map(([section, cols]) => (
+                        <optgroup key={section} label={SECTION_LABELS[section] || section}>
+                          {cols.map((col) => (
+                            <option
+                              key={col.key}
+                              value={col.key}
+                              disabled={mappedKeys.includes(col.key) && mapping.columns[header] !== col.key}
+                            >
+                              {col.label}{col.required ? ' *' : ''}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ) : null
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {missingRequired.length > 0 && (
+        <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2">
+          <AlertTriangle className="w-4 h-4 text-amber-600 mt-0.5 shrink-0" />
+          <p className="text-sm text-amber-800">
+            Columnas obligatorias sin asignar: {missingRequired.map((col) => col.label).join(', ')}.
+            Las filas sin estos datos se rechazarán por formato.
+          </p>
+        </div>
+      )}
+
+      {/* Transforms */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-secondary-700 mb-1">Formato de fecha</label>
+          <select
+            value={mapping.transforms.dateFormat || 'AUTO'}
+            onChange={(e) => setTransform('dateFormat', e.target.value)}
+            className={selectClass}
+          >
+            {dateFormats.map((format) => (
+              <option key={format} value={format}>
+                {DATE_FORMAT_LABELS[format] || format}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-secondary-700 mb-1">Separador decimal</label>
+          <select
+            value={mapping.transforms.decimalSeparator || '.'}
+            onChange={(e) => setTransform('decimalSeparator', e.target.value)}
+            className={selectClass}
+          >
+            {decimalSeparators.map((separator) => (
+              <option key={separator} value={separator}>
+                {separator === ',' ? 'Coma (1.234,56)' : 'Punto (1,234.56)'}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Catalog aliases */}
+      {aliasCandidates.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-semibold text-secondary-800 mb-2">Equivalencias de catálogo</h3>
+          <div className="space-y-3">
+            {aliasCandidates.map(({ header, col, values }) => (
+              <div key={header} className="border border-secondary-200 rounded-lg p-3">
+                <p className="text-xs text-secondary-500 mb-2">
+                  {header} → {col.label}
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {values.map((value) => (
+                    <div key={value} className="flex items-center gap-2">
+                      <span className="text-sm font-mono text-secondary-800 w-40 truncate" title={value}>
+                        {value}
+                      </span>
+                      <select
+                        value={mapping.transforms.aliases?.[col.key]?.[value] || ''}
+                        onChange={(e) => setAlias(col.key, value, e.target.value)}
+                        className={selectClass}
+                      >
+                        <option value="">Sin equivalencia</option>
+                        {(col.options || []).map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Save profile */}
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-end border-t border-secondary-200 pt-4">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-secondary-700 mb-1">Nombre del perfil</label>
+          <input
+            type="text"
+            value={mapping.name || ''}
+            onChange={(e) => onChange({ ...mapping, name: e.target.value })}
+            placeholder="Ej. Exportación POS sucursal centro"
+            className={selectClass}
+          />
+        </div>
+        <Button
+          variant="secondary"
+          onClick={onSaveProfile}
+          loading={savingProfile}
+          disabled={!mapping.name?.trim() || mappedKeys.length === 0}
+          className="flex items-center gap-2"
+        >
+          <Save className="w-4 h-4" />
+          {mapping.profileId ? 'Actualizar perfil' : 'Guardar perfil'}
+        </Button>
+      </div>
+    </Card>
+  );
+}
+
+export default ColumnMappingStep;
@@ -0,0 +1,324 @@
+import { useState, useEffect, useMemo } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../core/config/firebase';
+import { Alert, Button, Card } from '../../../shared/components';
+import { OperationField } from './OperationField';
+import { ClipboardPen, Loader2, Save, ShieldAlert, Ban, Copy } from 'lucide-react';
+
+const SECTION_LABELS = {
+  operacion: 'Operación',
+  cliente: 'Cliente',
+  domicilio: 'Domicilio',
+  beneficiario: 'Beneficiario Controlador',
+};
+
+const RISK_STYLES = {
+  HIGH: { label: 'ALTO — Aviso automático al SAT', className: 'bg-red-50 border-red-300 text-red-800', dot: 'bg-red-500' },
+  MEDIUM: { label: 'MEDIO — Identificación obligatoria', className: 'bg-amber-50 border-amber-300 text-amber-800', dot: 'bg-amber-500' },
+  LOW: { label: 'BAJO — Debajo de umbrales', className: 'bg-green-50 border-green-300 text-green-800', dot: 'bg-green-500' },
+};
+
+// Revalidar después de que el usuario deja de escribir
+const PREVIEW_DELAY_MS = 800;
+
+const formatMoney = (amount) =>
+  new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(amount || 0);
+
+/**
+ * Captura manual de una operación con las mismas columnas que la plantilla.
+ * Cada cambio se valida en el servidor (reglas legales, duplicados, acumulación
+ * de seis meses) y el semáforo se muestra antes de guardar.
+ */
+export function ManualCaptureForm({ activityType, periodYear, periodMonth, onSaved }) {
+  const [columns, setColumns] = useState([]);
+  const [values, setValues] = useState({});
+  const [evaluation, setEvaluation] = useState(null);
+  const [confirmDuplicate, setConfirmDuplicate] = useState(false);
+  const [loadingColumns, setLoadingColumns] = useState(false);
+  const [validating, setValidating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (!activityType) return;
+    let cancelled = false;
+    setLoadingColumns(true);
+    setValues({});
+    setEvaluation(null);
+
+    const getCaptureColumns = httpsCallable(functions, 'getCaptureColumns');
+    getCaptureColumns({ activityType })
+      .then((result) => {
+        if (!cancelled) setColumns(result.data.columns);
+      })
+      .catch((err) => {
+        console.error('Error loading capture columns:', err);
+        if (!cancelled) setError('Error al cargar los campos de la actividad');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingColumns(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activityType]);
+
+  const columnsBySection = useMemo(() => {
+    const groups = {};
+    columns.forEach((col) => {
+      groups[col.section] = groups[col.section] || [];
+      groups[col.section].push(col);
+    });
+    return groups;
+  }, [columns]);
+
+  // Validación en vivo: solo cuando hay datos mínimos de la operación
+  const ready = Boolean(values.rfcCliente && values.fechaOperacion && values.monto !== undefined && values.monto !== '');
+
+  useEffect(() => {
+    if (!ready) {
+      setEvaluation(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setValidating(true);
+      try {
+        const captureOperation = httpsCallable(functions, 'captureOperation');
+        const result = await captureOperation({ activityType, periodYear, periodMonth, values });
+        if (!cancelled) setEvaluation(result.data);
+      } catch (err) {
+        console.error('Error validating operation:', err);
+        if (!cancelled) setError(err.message || 'Error al validar la operación');
+      } finally {
+        if (!cancelled) setValidating(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [ready, values, activityType, periodYear, periodMonth]);
+
+  const setValue = (key, value) => {
+    setValues((prev) => ({ ...prev, [key]: value }));
+    setConfirmDuplicate(false);
+    setSuccess('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const captureOperation = httpsCallable(functions, 'captureOperation');
+      const result = await captureOperation({
+        activityType,
+        periodYear,
+        periodMonth,
+        values,
+        save: true,
+        confirmDuplicate,
+      });
+
+      if (result.data.saved) {
+        setSuccess(
+          `Operación guardada con semáforo ${result.data.riskLevel}.` +
+            (result.data.thresholdCrossings?.length > 0 ? ' El cliente alcanzó un umbral por acumulación de seis meses.' : '')
+        );
+        setValues({});
+        setEvaluation(null);
+        setConfirmDuplicate(false);
+        onSaved?.(result.data);
+      } else {
+        // Cambió algo desde la última validación: mostrar el resultado vigente
+        setEvaluation(result.data);
+      }
+    } catch (err) {
+      console.error('Error saving operation:', err);
+      setError(err.message || 'Error al guardar la operación');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!activityType) {
+    return (
+      <Card className="p-6">
+        <p className="text-sm text-secondary-500">Selecciona una actividad para capturar una operación.</p>
+      </Card>
+    );
+  }
+
+  const risk = evaluation?.riskLevel ? RISK_STYLES[evaluation.riskLevel] : null;
+  const canSave =
+    evaluation && (evaluation.result === 'OK' || (evaluation.result === 'POSSIBLE_DUPLICATE' && confirmDuplicate));
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-6">
+        <h2 className="text-lg font-semibold text-secondary-900 mb-1 flex items-center gap-2">
+          <ClipboardPen className="w-5 h-5 text-primary-600" />
+          Captura Manual de Operación
+        </h2>
+        <p className="text-sm text-secondary-500 mb-4">
+          Para registrar pocas operaciones sin usar la plantilla. Se aplican las mismas validaciones que en la carga de archivos.
+        </p>
+
+        {error && (
+          <Alert variant="error" onClose={() => setError('')} className="mb-4">
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert variant="success" onClose={() => setSuccess('')} className="mb-4">
+            {success}
+          </Alert>
+        )}
+
+        {loadingColumns ? (
+          <div className="flex items-center justify-center h-24">
+            <Loader2 className="w-6 h-6 animate-spin text-primary-500" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {['operacion', 'cliente', 'domicilio', 'beneficiario']
+              .filter((section) => columnsBySection[section])
+              .map((section) => (
+                <div key={section}>
+                  <h3 className="text-sm font-semibold text-secondary-800 mb-3">{SECTION_LABELS[section]}</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    {columnsBySection[section].map((column) => (
+                      <OperationField
+                        key={column.key}
+                        column={column}
+                        value={values[column.key]}
+                        errors={evaluation?.fieldErrors?.[column.key]}
+                        onChange={(value) => setValue(column.key, value)}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+          </div>
+        )}
+      </Card>
+
+      {/* Semáforo antes de guardar */}
+      <Card className="p-6">
+        <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
+          <ShieldAlert className="w-5 h-5 text-primary-600" />
+          Validación Legal
+          {validating && <Loader2 className="w-4 h-4 animate-spin text-primary-500" />}
+        </h2>
+
+        {!evaluation ? (
+          <p className="text-sm text-secondary-500">
+            Captura al menos RFC, fecha y monto para ver el semáforo de la operación.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {(evaluation.result === 'FORMAT' || evaluation.result === 'LEGAL_REJECT' || evaluation.result === 'DUPLICATE') && (
+              <div className="p-4 rounded-lg border border-red-300 bg-red-50">
+                <p className="text-sm font-semibold text-red-800 flex items-center gap-2 mb-2">
+                  <Ban className="w-4 h-4" />
+                  {evaluation.result === 'FORMAT'
+                    ? 'Datos incompletos o con formato inválido'
+                    : evaluation.result === 'DUPLICATE'
+                      ? 'Operación ya registrada'
+                      : 'Operación rechazada'}
+                </p>
+                <ul className="list-disc list-inside text-sm text-red-700">
+                  {evaluation.errors.map((message, i) => (
+                    <li key={i}>{message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {risk && (
+              <div className={`p-4 rounded-lg border ${risk.className}`}>
+                <p className="text-sm font-semibold flex items-center gap-2">
+                  <span className={`w-3 h-3 rounded-full ${risk.dot}`} />
+                  Semáforo {risk.label}
+                </p>
+                <p className="text-sm mt-1">{evaluation.riskReason}</p>
+                {evaluation.tipoCambio && evaluation.tipoCambio !== 1 && (
+                  <p className="text-xs mt-1 opacity-75">
+                    Evaluada en MXN: {formatMoney(evaluation.montoMXN)} (tipo de cambio ${evaluation.tipoCambio} del{' '}
+                    {evaluation.fechaTipoCambio})
+                  </p>
+                )}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-xs">
+                  <div>
+                    <p className="opacity-75">Acumulado 6 meses (incluye esta)</p>
+                    <p className="font-semibold">{formatMoney(evaluation.rollingAccumulated)}</p>
+                  </div>
+                  <div>
+                    <p className="opacity-75">Umbral identificación</p>
+                    <p className="font-semibold">{formatMoney(evaluation.umbralIdentMXN)}</p>
+                  </div>
+                  <div>
+                    <p className="opacity-75">Umbral aviso</p>
+                    <p className="font-semibold">{formatMoney(evaluation.umbralAvisoMXN)}</p>
+                  </div>
+                  <div>
+                    <p className="opacity-75">UMA diario {evaluation.umaYear}</p>
+                    <p className="font-semibold">${evaluation.umaDaily}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {evaluation.warnings?.length > 0 && (
+              <ul className="list-disc list-inside text-sm text-amber-700">
+                {evaluation.warnings.map((message, i) => (
+                  <li key={i}>{message}</li>
+                ))}
+              </ul>
+            )}
+
+            {evaluation.result === 'POSSIBLE_DUPLICATE' && (
+              <div className="p-4 rounded-lg border border-orange-300 bg-orange-50">
+                <p className="text-sm font-semibold text-orange-800 flex items-center gap-2">
+                  <Copy className="w-4 h-4" />
+                  Posible duplicado: {evaluation.duplicate.reason}
+                </p>
+                <ul className="list-disc list-inside text-xs text-orange-700 mt-1">
+                  {evaluation.duplicate.matches.map((match, i) => (
+                    <li key={i}>{match}</li>
+                  ))}
+                </ul>
+                <label className="flex items-center gap-2 text-sm text-orange-800 mt-2">
+                  <input
+                    type="checkbox"
+                    checked={confirmDuplicate}
+                    onChange={(e) => setConfirmDuplicate(e.target.checked)}
+                    className="rounded border-secondary-300"
+                  />
+                  Es una operación distinta, guardarla de todos modos
+                </label>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end mt-4">
+          <Button
+            onClick={handleSave}
+            disabled={!canSave || validating || saving}
+            loading={saving}
+            className="flex items-center gap-2"
+          >
+            <Save className="w-4 h-4" />
+            Guardar Operación
+          </Button>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+export default ManualCaptureForm;
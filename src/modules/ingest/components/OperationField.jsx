@@ -0,0 +1,74 @@
+const inputClass =
+  'w-full px-2 py-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white';
+
+/**
+ * Campo de una operación según su definición de columna (catálogo, fecha, número, texto)
+ */
+export function OperationField({ column, value, errors, onChange }) {
+  const className = `${inputClass} ${errors ? 'border-red-400' : 'border-secondary-300'}`;
+  let input;
+  if (column.type === 'catalog' && column.lenient) {
+    // Catálogo abierto (estado, actividad): sugerencias, pero acepta texto libre
+    const listId = `options-${column.key}`;
+    input = (
+      <>
+        <input
+          type="text"
+          list={listId}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={className}
+        />
+        <datalist id={listId}>
+          {column.options.map((option) => (
+            <option key={option} value={option} />
+          ))}
+        </datalist>
+      </>
+    );
+  } else if (column.type === 'catalog') {
+    input = (
+      <select value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className}>
+        <option value="">—</option>
+        {/* Valor original fuera de catálogo: visible para que el usuario lo reemplace */}
+        {value && !column.options.includes(value) && <option value={value}>{value}</option>}
+        {column.options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  } else if (column.type === 'date') {
+    input = <input type="date" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className} />;
+  } else if (column.type === 'number') {
+    input = (
+      <input
+        type="number"
+        step="0.01"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+        className={className}
+      />
+    );
+  } else {
+    input = <input type="text" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className} />;
+  }
+
+  return (
+    <div>
+      <label className="block text-xs font-medium text-secondary-600 mb-1">
+        {column.label}
+        {column.required ? ' *' : ''}
+      </label>
+      {input}
+      {errors?.map((message, i) => (
+        <p key={i} className="text-xs text-red-600 mt-1">
+          {message}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+export default OperationField;
@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../core/config/firebase';
+import { Alert, Button, Card } from '../../../shared/components';
+import { Copy, Check, X } from 'lucide-react';
+
+const formatMoney = (value) =>
+  new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(value || 0);
+
+/**
+ * Filas retenidas como posible duplicado de una carga: no se guardaron ni
+ * acumularon. El usuario las acepta (se guardan como operación) o las descarta.
+ */
+export function PossibleDuplicates({ duplicates, total, uploadBatchIds }) {
+  const [selected, setSelected] = useState([]);
+  const [resolved, setResolved] = useState({});
+  const [bulkStatus, setBulkStatus] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const statusOf = (id) => resolved[id] || bulkStatus;
+  const allResolved = bulkStatus !== null || Object.keys(resolved).length >= total;
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const resolve = async (action, ids) => {
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+    try {
+      const resolvePossibleDuplicates = httpsCallable(functions, 'resolvePossibleDuplicates');
+      const payload = ids ? { action, ids } : { action, uploadBatchIds };
+      const result = await resolvePossibleDuplicates(payload);
+      const status = action === 'ACCEPT' ? 'ACCEPTED' : 'DISMISSED';
+      if (ids) {
+        setResolved((prev) => ({ ...prev, ...Object.fromEntries(ids.map((id) => [id, status])) }));
+      } else {
+        setBulkStatus(status);
+      }
+      setSelected([]);
+      setSuccess(result.data.message);
+    } catch (err) {
+      console.error('Error resolving possible duplicates:', err);
+      setError(err.message || 'Error al resolver los posibles duplicados');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <Card className="p-6 border-l-4 border-l-orange-400">
+      <h3 className="text-sm font-semibold text-orange-800 mb-1 flex items-center gap-2">
+        <Copy className="w-4 h-4 text-orange-600" />
+        Posibles Duplicados ({total})
+        {total > duplicates.length && ` - Mostrando los primeros ${duplicates.length}`}
+      </h3>
+      <p className="text-sm text-orange-700 mb-3">
+        Estas filas se parecen a operaciones ya registradas y no se guardaron. Acéptalas si son operaciones distintas;
+        descártalas si son la misma operación.
+      </p>
+
+      {error && (
+        <Alert variant="error" onClose={() => setError('')} className="mb-3">
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" onClose={() => setSuccess('')} className="mb-3">
+          {success}
+        </Alert>
+      )}
+
+      <div className="max-h-72 overflow-y-auto border border-secondary-200 rounded-lg mb-3">
+        <table className="w-full text-sm">
+          <thead className="bg-secondary-50 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 w-8"></th>
+              <th className="px-3 py-2 text-left text-secondary-700 font-medium">Fila</th>
+              <th className="px-3 py-2 text-left text-secondary-700 font-medium">RFC</th>
+              <th className="px-3 py-2 text-left text-secondary-700 font-medium">Fecha</th>
+              <th className="px-3 py-2 text-right text-secondary-700 font-medium">Monto</th>
+              <th className="px-3 py-2 text-left text-secondary-700 font-medium">Coincide con</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-secondary-100">
+            {duplicates.map((dup) => (
+              <tr key={dup.id} className={statusOf(dup.id) ? 'bg-secondary-50 text-secondary-400' : 'hover:bg-secondary-50'}>
+                <td className="px-3 py-2">
+                  {statusOf(dup.id) ? (
+                    statusOf(dup.id) === 'ACCEPTED' ? (
+                      <Check className="w-4 h-4 text-green-600" />
+                    ) : (
+                      <X className="w-4 h-4 text-secondary-400" />
+                    )
+                  ) : (
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(dup.id)}
+                      onChange={() => toggle(dup.id)}
+                      className="rounded border-secondary-300"
+                    />
+                  )}
+                </td>
+                <td className="px-3 py-2 font-medium">
+                  {dup.sheet ? `${dup.sheet} · ` : ''}{dup.row}
+                </td>
+                <td className="px-3 py-2 font-mono">{dup.rfc}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{dup.fechaOperacion}</td>
+                <td className="px-3 py-2 text-right">{formatMoney(dup.monto)}</td>
+                <td className="px-3 py-2">
+                  <p className="text-orange-700">{dup.reason}</p>
+                  {dup.matches?.length > 0 && (
+                    <ul className="text-xs text-secondary-500 list-disc list-inside">
+                      {dup.matches.map((match, i) => (
+                        <li key={i}>{match}</li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!allResolved && (
+        <div className="flex flex-wrap gap-2">
+          <Button
+            size="sm"
+            onClick={() => resolve('ACCEPT', selected)}
+            disabled={processing || selected.length === 0}
+            loading={processing}
+          >
+            Aceptar seleccionados ({selected.length})
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => resolve('DISMISS', selected)}
+            disabled={processing || selected.length === 0}
+          >
+            Descartar seleccionados
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => resolve('ACCEPT')} disabled={processing}>
+            Aceptar todos los pendientes
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => resolve('DISMISS')} disabled={processing}>
+            Descartar todos los pendientes
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default PossibleDuplicates;
@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../../core/config/firebase';
+import { Alert, Button, Card } from '../../../shared/components';
+import { OperationField } from './OperationField';
+import { PencilLine, Loader2, Send, Trash2 } from 'lucide-react';
+
+const TYPE_LABELS = {
+  FORMAT: { label: 'Formato', className: 'bg-red-100 text-red-700' },
+  LEGAL_REJECT: { label: 'Rechazo legal', className: 'bg-red-100 text-red-700' },
+  DUPLICATE: { label: 'Duplicada', className: 'bg-orange-100 text-orange-700' },
+};
+
+/**
+ * Filas rechazadas (formato / legal) guardadas como borradores del lote.
+ * El usuario las corrige aquí y las reenvía al mismo uploadBatchId, pasando
+ * de nuevo por validación legal, duplicados y acumulación.
+ */
+export function RejectedRowsEditor({ uploadBatchIds, onResubmitted }) {
+  const [drafts, setDrafts] = useState([]);
+  const [columnsByActivity, setColumnsByActivity] = useState({});
+  const [edits, setEdits] = useState({});
+  const [expanded, setExpanded] = useState({});
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const batchKey = uploadBatchIds.join(',');
+
+  const loadDrafts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const getUploadDrafts = httpsCallable(functions, 'getUploadDrafts');
+      const result = await getUploadDrafts({ uploadBatchIds: batchKey.split(',') });
+      setDrafts(result.data.drafts);
+      setColumnsByActivity(result.data.columnsByActivity);
+    } catch (err) {
+      console.error('Error loading upload drafts:', err);
+      setError('Error al cargar las filas rechazadas');
+    } finally {
+      setLoading(false);
+    }
+  }, [batchKey]);
+
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts]);
+
+  const valueOf = (draft, key) => (edits[draft.id]?.[key] !== undefined ? edits[draft.id][key] : draft.values[key]);
+
+  const setValue = (draft, key, value) => {
+    setEdits((prev) => ({ ...prev, [draft.id]: { ...prev[draft.id], [key]: value } }));
+    setSelected((prev) => (prev.includes(draft.id) ? prev : [...prev, draft.id]));
+  };
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const handleResubmit = async () => {
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+    try {
+      // Un reenvío por lote: cada fila vuelve a su carga original
+      const byBatch = {};
+      drafts
+        .filter((draft) => selected.includes(draft.id))
+        .forEach((draft) => {
+          byBatch[draft.uploadBatchId] = byBatch[draft.uploadBatchId] || [];
+          byBatch[draft.uploadBatchId].push({ id: draft.id, values: edits[draft.id] || {} });
+        });
+
+      const resubmitUploadDrafts = httpsCallable(functions, 'resubmitUploadDrafts');
+      const messages = [];
+      for (const [uploadBatchId, batchDrafts] of Object.entries(byBatch)) {
+        const result = await resubmitUploadDrafts({ uploadBatchId, drafts: batchDrafts });
+        messages.push(result.data.message);
+      }
+
+      setSuccess(messages.join(' '));
+      setEdits({});
+      setSelected([]);
+      await loadDrafts();
+      onResubmitted?.();
+    } catch (err) {
+      console.error('Error resubmitting drafts:', err);
+      setError(err.message || 'Error al reenviar las filas');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!confirm(`¿Descartar ${selected.length} filas? No se guardarán en la carga.`)) return;
+
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+    try {
+      const discardUploadDrafts = httpsCallable(functions, 'discardUploadDrafts');
+      const result = await discardUploadDrafts({ ids: selected });
+      setSuccess(result.data.message);
+      setSelected([]);
+      await loadDrafts();
+      onResubmitted?.();
+    } catch (err) {
+      console.error('Error discarding drafts:', err);
+      setError(err.message || 'Error al descartar las filas');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (loading && drafts.length === 0) {
+    return (
+      <Card className="p-6 flex items-center justify-center h-24">
+        <Loader2 className="w-6 h-6 animate-spin text-primary-500" />
+      </Card>
+    );
+  }
+
+  if (drafts.length === 0 && !success && !error) return null;
+
+  return (
+    <Card className="p-6">
+      <h3 className="text-sm font-semibold text-secondary-900 mb-1 flex items-center gap-2">
+        <PencilLine className="w-4 h-4 text-primary-600" />
+        Corregir Filas Rechazadas ({drafts.length})
+      </h3>
+      <p className="text-sm text-secondary-500 mb-4">
+        Corrige los campos marcados y reenvía solo estas filas: se validan de nuevo y se agregan a la carga original,
+        sin volver a cargar las filas válidas.
+      </p>
+
+      {error && (
+        <Alert variant="error" onClose={() => setError('')} className="mb-3">
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" onClose={() => setSuccess('')} className="mb-3">
+          {success}
+        </Alert>
+      )}
+
+      <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+        {drafts.map((draft) => {
+          const columns = columnsByActivity[draft.activityType] || [];
+          const errorKeys = Object.keys(draft.fieldErrors || {});
+          const visibleColumns = expanded[draft.id] ? columns : columns.filter((col) => errorKeys.includes(col.key));
+          const typeInfo = TYPE_LABELS[draft.type] || TYPE_LABELS.FORMAT;
+
+          return (
+            <div key={draft.id} className="border border-secondary-200 rounded-lg p-4">
+              <div className="flex items-start gap-3 mb-3">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(draft.id)}
+                  onChange={() => toggle(draft.id)}
+                  className="mt-1 rounded border-secondary-300"
+                />
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="font-medium text-secondary-900">
+                      {draft.sourceSheet && draft.sourceSheet !== draft.sourceFile ? `${draft.sourceSheet} · ` : ''}Fila {draft.row}
+                    </span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${typeInfo.className}`}>{typeInfo.label}</span>
+                  </div>
+                  <ul className="list-disc list-inside text-sm text-red-600 mt-1">
+                    {draft.errors
+                      .filter((message) => !errorKeys.some((key) => draft.fieldErrors[key].includes(message)))
+                      .map((message, i) => (
+                        <li key={i}>{message}</li>
+                      ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={() => setExpanded((prev) => ({ ...prev, [draft.id]: !prev[draft.id] }))}
+                  className="text-xs text-primary-600 hover:underline whitespace-nowrap"
+                >
+                  {expanded[draft.id] ? 'Solo campos con error' : 'Ver todos los campos'}
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {visibleColumns.map((column) => (
+                  <OperationField
+                    key={column.key}
+                    column={column}
+                    value={valueOf(draft, column.key)}
+                    errors={draft.fieldErrors?.[column.key]}
+                    onChange={(value) => setValue(draft, column.key, value)}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {drafts.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-4">
+          <Button
+            size="sm"
+            onClick={handleResubmit}
+            disabled={processing || selected.length === 0}
+            loading={processing}
+            className="flex items-center gap-2"
+          >
+            <Send className="w-4 h-4" />
+            Reenviar seleccionadas ({selected.length})
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={handleDiscard}
+            disabled={processing || selected.length === 0}
+            className="flex items-center gap-2"
+          >
+            <Trash2 className="w-4 h-4" />
+            Descartar seleccionadas
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default RejectedRowsEditor;
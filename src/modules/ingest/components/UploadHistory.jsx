@@ -0,0 +1,227 @@
+import { useState, useEffect, useCallback } from 'react';
+import { collection, query, orderBy, limit, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../../core/config/firebase';
+import { ACTIVIDADES_VULNERABLES } from '../../../core/validations/authSchemas';
+import { Alert, Card } from '../../../shared/components';
+import { RejectedRowsEditor } from './RejectedRowsEditor';
+import { History, Loader2, RefreshCw, Undo2, PencilLine, Download } from 'lucide-react';
+
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+const formatUploadDate = (value) => {
+  if (!value) return '—';
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return date.toLocaleString('es-MX', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Historial de cargas del tenant con reversión por lote (uploadBatchId).
+ * Las cargas en segundo plano aparecen desde su primer bloque (En proceso) y,
+ * si fallan, quedan como Incompletas y se pueden revertir.
+ * El servidor rechaza la reversión si alguna operación ya fue reportada al SAT
+ * o quedó bloqueada por la Lista de Personas Bloqueadas.
+ * onDownloadReview(uploadBatchId) descarga el archivo original con las observaciones.
+ */
+export function UploadHistory({ tenantId, refreshKey, onDownloadReview }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [editingBatch, setEditingBatch] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadHistory = useCallback(async () => {
+    if (!tenantId) return;
+    setLoading(true);
+    try {
+      const historyQuery = query(
+        collection(db, 'tenants', tenantId, 'uploadHistory'),
+        orderBy('createdAt', 'desc'),
+        limit(50)
+      );
+      const snapshot = await getDocs(historyQuery);
+      setEntries(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    } catch (err) {
+      console.error('Error loading upload history:', err);
+      setError('Error al cargar el historial de cargas');
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, refreshKey]);
+
+  const handleRollback = async (entry) => {
+    const confirmMessage =
+      `¿Revertir la carga "${entry.fileName}"${entry.sheetName ? ` (hoja ${entry.sheetName})` : ''}? ` +
+      `Se eliminarán sus ${entry.validRows + (entry.acceptedDuplicates || 0)} operaciones y se recalcularán los acumulados. Esta acción no se puede deshacer.`;
+    if (!confirm(confirmMessage)) return;
+
+    setRollingBack(entry.uploadBatchId);
+    setError('');
+    setSuccess('');
+    try {
+      const rollbackUpload = httpsCallable(functions, 'rollbackUpload');
+      const result = await rollbackUpload({ uploadBatchId: entry.uploadBatchId });
+      setSuccess(result.data.message);
+      await loadHistory();
+    } catch (err) {
+      console.error('Error rolling back upload:', err);
+      setError(err.message || 'Error al revertir la carga');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const handleDownloadReview = async (entry) => {
+    setDownloading(entry.uploadBatchId);
+    try {
+      await onDownloadReview(entry.uploadBatchId);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+          <History className="w-5 h-5 text-primary-600" />
+          Historial de Cargas
+        </h2>
+        <button
+          onClick={loadHistory}
+          className="p-2 rounded-lg hover:bg-secondary-100 text-secondary-500"
+          title="Actualizar"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {error && (
+        <Alert variant="error" onClose={() => setError('')} className="mb-4">
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" onClose={() => setSuccess('')} className="mb-4">
+          {success}
+        </Alert>
+      )}
+
+      {loading && entries.length === 0 ? (
+        <div className="flex items-center justify-center h-24">
+          <Loader2 className="w-6 h-6 animate-spin text-primary-500" />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-secondary-500">Aún no hay cargas registradas.</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border border-secondary-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-secondary-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-2 text-left text-secondary-700 font-medium">Fecha</th>
+                <th className="px-4 py-2 text-left text-secondary-700 font-medium">Archivo</th>
+                <th className="px-4 py-2 text-left text-secondary-700 font-medium">Actividad</th>
+                <th className="px-4 py-2 text-left text-secondary-700 font-medium">Periodo</th>
+                <th className="px-4 py-2 text-right text-secondary-700 font-medium">Válidas</th>
+                <th className="px-4 py-2 text-right text-secondary-700 font-medium">Rechazadas</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-secondary-100">
+              {entries.map((entry) => (
+                <tr key={entry.id} className={entry.rolledBackAt ? 'bg-secondary-50 text-secondary-400' : 'hover:bg-secondary-50'}>
+                  <td className="px-4 py-2 whitespace-nowrap">{formatUploadDate(entry.createdAt)}</td>
+                  <td className="px-4 py-2">
+                    <span className="font-medium">{entry.fileName}</span>
+                    {entry.sheetName && <span className="text-secondary-500"> · {entry.sheetName}</span>}
+                  </td>
+                  <td className="px-4 py-2">
+                    {ACTIVIDADES_VULNERABLES.find((a) => a.id === entry.activityType)?.label || entry.activityType}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {MONTH_LABELS[entry.periodMonth - 1]} {entry.periodYear}
+                  </td>
+                  <td className="px-4 py-2 text-right">{entry.validRows + (entry.acceptedDuplicates || 0)}</td>
+                  <td className="px-4 py-2 text-right">{(entry.rejectedRows || 0) + (entry.formatErrors || 0)}</td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {entry.rolledBackAt ? (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-secondary-200 text-secondary-600">
+                        Revertida {formatUploadDate(entry.rolledBackAt)}
+                      </span>
+                    ) : entry.status === 'PROCESSING' ? (
+                      <span className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-primary-50 text-primary-700">
+                        <Loader2 className="w-3 h-3 animate-spin" />
+                        En proceso
+                      </span>
+                    ) : (
+                      <>
+                        {entry.status === 'FAILED' && (
+                          <span
+                            className="text-xs px-2 py-0.5 mr-2 rounded-full bg-red-50 text-red-700"
+                            title="El procesamiento falló; solo se guardaron las filas anteriores a la falla"
+                          >
+                            Incompleta
+                          </span>
+                        )}
+                        {(entry.sourceStoragePath || entry.uploadJobId) && onDownloadReview && (
+                          <button
+                            onClick={() => handleDownloadReview(entry)}
+                            disabled={downloading !== null}
+                            className="inline-flex items-center gap-1 px-3 py-1 mr-2 text-xs font-medium text-secondary-700 border border-secondary-200 rounded-lg hover:bg-secondary-100 disabled:opacity-50"
+                            title="Descargar archivo con observaciones"
+                          >
+                            {downloading === entry.uploadBatchId ? (
+                              <Loader2 className="w-3 h-3 animate-spin" />
+                            ) : (
+                              <Download className="w-3 h-3" />
+                            )}
+                            Observaciones
+                          </button>
+                        )}
+                        {entry.pendingDrafts > 0 && (
+                          <button
+                            onClick={() => setEditingBatch(editingBatch === entry.uploadBatchId ? null : entry.uploadBatchId)}
+                            className="inline-flex items-center gap-1 px-3 py-1 mr-2 text-xs font-medium text-primary-700 border border-primary-200 rounded-lg hover:bg-primary-50"
+                          >
+                            <PencilLine className="w-3 h-3" />
+                            Corregir ({entry.pendingDrafts})
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleRollback(entry)}
+                          disabled={rollingBack !== null}
+                          className="inline-flex items-center gap-1 px-3 py-1 text-xs font-medium text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                        >
+                          {rollingBack === entry.uploadBatchId ? (
+                            <Loader2 className="w-3 h-3 animate-spin" />
+                          ) : (
+                            <Undo2 className="w-3 h-3" />
+                          )}
+                          Revertir
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editingBatch && (
+        <div className="mt-4">
+          <RejectedRowsEditor key={editingBatch} uploadBatchIds={[editingBatch]} onResubmitted={loadHistory} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default UploadHistory;
@@ -1,6 +1,7 @@
 import { useState, useEffect, useMemo } from 'react';
 import { collection, getDocs } from 'firebase/firestore';
-import { db } from '../../core/config/firebase';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../core/config/firebase';
 import { useAuth } from '../../core/context/AuthContext';
 import { ACTIVIDADES_VULNERABLES } from '../../core/validations/authSchemas';
 import { Card, Button } from '../../shared/components';
@@ -26,126 +27,6 @@ import {
   Info,
 } from 'lucide-react';
 
-// ========================================
-// UMBRALES SAT POR ACTIVIDAD (en UMA)
-// Ref: LFPIORPI Art. 17, Reglamento Art. 7
-// Valor UMA 2025: $113.14 MXN diario
-// ========================================
-const UMA_DIARIO = 113.14;
-const UMA_MENSUAL = UMA_DIARIO * 30.4; // Aprox
-
-// Umbrales de identificación y aviso por actividad
-// umbralIdentificacion: UMA a partir de la cual se debe identificar al cliente
-// umbralAviso: UMA a partir de la cual se debe presentar aviso ante SAT
-// periodoMeses: periodo de acumulación (normalmente 6 meses)
-const UMBRALES_SAT = {
-  JUEGOS_APUESTAS: {
-    umbralIdentificacion: 325,
-    umbralAviso: 645,
-    periodoMeses: 6,
-    fraccion: 'I',
-    descripcion: 'Juegos con apuestas, concursos o sorteos',
-  },
-  TARJETAS_PREPAGO: {
-    umbralIdentificacion: 805,
-    umbralAviso: 1285,
-    periodoMeses: 6,
-    fraccion: 'II',
-    descripcion: 'Tarjetas de servicios, crédito o prepago',
-  },
-  CHEQUES_VIAJERO: {
-    umbralIdentificacion: 645,
-    umbralAviso: 645,
-    periodoMeses: 6,
-    fraccion: 'III',
-    descripcion: 'Cheques de viajero',
-  },
-  OPERACIONES_MUTUO: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 1605,
-    periodoMeses: 6,
-    fraccion: 'IV',
-    descripcion: 'Mutuo, préstamos o créditos',
-  },
-  INMUEBLES: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 8025,
-    periodoMeses: 6,
-    fraccion: 'V',
-    descripcion: 'Compraventa de inmuebles',
-  },
-  METALES_PIEDRAS: {
-    umbralIdentificacion: 325,
-    umbralAviso: 645,
-    periodoMeses: 6,
-    fraccion: 'VI',
-    descripcion: 'Metales preciosos, piedras, joyería',
-  },
-  OBRAS_ARTE: {
-    umbralIdentificacion: 2410,
-    umbralAviso: 4815,
-    periodoMeses: 6,
-    fraccion: 'VII',
-    descripcion: 'Obras de arte',
-  },
-  VEHICULOS: {
-    umbralIdentificacion: 3210,
-    umbralAviso: 6420,
-    periodoMeses: 6,
-    fraccion: 'VIII',
-    descripcion: 'Vehículos aéreos, marítimos y terrestres',
-  },
-  BLINDAJE: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 2410,
-    periodoMeses: 6,
-    fraccion: 'IX',
-    descripcion: 'Servicios de blindaje',
-  },
-  TRASLADO_VALORES: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 3210,
-    periodoMeses: 6,
-    fraccion: 'X',
-    descripcion: 'Traslado o custodia de valores',
-  },
-  SERVICIOS_FE_PUBLICA: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 0, // Siempre se presenta aviso
-    periodoMeses: 6,
-    fraccion: 'XII',
-    descripcion: 'Fe pública (notarios, corredores)',
-  },
-  SERVICIOS_PROFESIONALES: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 3210,
-    periodoMeses: 6,
-    fraccion: 'XI',
-    descripcion: 'Servicios profesionales independientes',
-  },
-  ARRENDAMIENTO: {
-    umbralIdentificacion: 1605,
-    umbralAviso: 3210,
-    periodoMeses: 6,
-    fraccion: 'XV',
-    descripcion: 'Arrendamiento de inmuebles',
-  },
-  ACTIVOS_VIRTUALES: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 210,
-    periodoMeses: 6,
-    fraccion: 'XVI',
-    descripcion: 'Operaciones con activos virtuales',
-  },
-  CONSTITUCION_PERSONAS: {
-    umbralIdentificacion: 0, // Siempre se identifica
-    umbralAviso: 0, // Siempre se presenta aviso
-    periodoMeses: 6,
-    fraccion: 'XIII-XIV',
-    descripcion: 'Constitución de personas morales',
-  },
-};
-
 // Status colors and labels
 const STATUS_CONFIG = {
   CRITICO: { color: 'red', label: 'Crítico', icon: XCircle, bgClass: 'bg-red-100', textClass: 'text-red-700', borderClass: 'border-red-200', barClass: 'bg-red-500' },
@@ -159,6 +40,9 @@ export function MonitoringPage() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [operations, setOperations] = useState([]);
+  const [accumulations, setAccumulations] = useState({});
+  const [legalRules, setLegalRules] = useState(null);
+  const [rulesError, setRulesError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('TODOS');
   const [filterActivity, setFilterActivity] = useState('');
@@ -175,14 +59,38 @@ export function MonitoringPage() {
 
     try {
       const opsRef = collection(db, 'tenants', tenantId, 'operations');
-      const snap = await getDocs(opsRef);
+      const accRef = collection(db, 'tenants', tenantId, 'accumulations');
+      // Acumulación móvil de 6 meses calculada en el servidor por cliente (clientId) + actividad
+      const [snap, accSnap] = await Promise.all([getDocs(opsRef), getDocs(accRef)]);
       setOperations(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+      const accMap = {};
+      accSnap.docs.forEach(d => {
+        const acc = d.data();
+        accMap[`${acc.clientId}__${acc.activityType}`] = acc;
+      });
+      setAccumulations(accMap);
     } catch (err) {
       console.error('Error fetching operations:', err);
     } finally {
       setLoading(false);
       setRefreshing(false);
     }
+
+    // Umbrales por actividad desde la tabla de reglas del servidor (LFPIORPI Art. 17);
+    // sin ellos no se calcula el semáforo
+    setRulesError(null);
+    try {
+      const getLegalRules = httpsCallable(functions, 'getLegalRules');
+      const rulesResult = await getLegalRules();
+      setLegalRules({
+        umaDiario: rulesResult.data.umaDiario,
+        umaYear: rulesResult.data.umaYear,
+        rules: rulesResult.data.rules || {},
+      });
+    } catch (err) {
+      console.error('Error fetching legal rules:', err);
+      setRulesError(err.message || 'Error al cargar los umbrales legales');
+    }
   };
 
   useEffect(() => {
@@ -193,18 +101,20 @@ export function MonitoringPage() {
   // COMPUTE MONITORING DATA PER CLIENT
   // ========================================
   const clientMonitoringData = useMemo(() => {
+    if (!legalRules) return [];
     const now = new Date();
     const sixMonthsAgo = new Date(now);
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-    // Group operations by client RFC + activity
+    // Group operations by client (registry clientId; RFC for operations saved before it) + activity
     const clientMap = {};
 
     operations.forEach(op => {
       const rfc = op.rfc_cliente || op.rfcCliente || op.rfc || '';
       const nombre = op.nombre_cliente || op.nombreCliente || op.nombre || op.razon_social || op.razonSocial || '';
       const activity = op.activityType || op.tipo_actividad || '';
-      const monto = parseFloat(op.monto_operacion || op.montoOperacion || op.monto || 0);
+      // Amounts in MXN: foreign-currency operations carry their converted montoMXN
+      const monto = parseFloat(op.montoMXN ?? (op.monto_operacion || op.montoOperacion || op.monto || 0));
 
       // Parse operation date
       let opDate = null;
@@ -226,9 +136,11 @@ export function MonitoringPage() {
 
       if (!rfc || !activity) return;
 
-      const key = `${rfc}__${activity}`;
+      const clientId = op.clientId || rfc;
+      const key = `${clientId}__${activity}`;
       if (!clientMap[key]) {
         clientMap[key] = {
+          clientId,
           rfc,
           nombre: nombre || rfc,
           activity,
@@ -255,16 +167,20 @@ export function MonitoringPage() {
 
     // Calculate monitoring status for each client
     return Object.values(clientMap).map(client => {
-      const umbral = UMBRALES_SAT[client.activity];
+      const umbral = legalRules.rules[client.activity];
       if (!umbral) return null;
 
-      const umbralAvisoMXN = umbral.umbralAviso * UMA_DIARIO;
-      const umbralIdMXN = umbral.umbralIdentificacion * UMA_DIARIO;
+      const umbralAvisoMXN = umbral.umbralAvisoUMA * legalRules.umaDiario;
+      const umbralIdMXN = umbral.umbralIdentificacionUMA * legalRules.umaDiario;
+
+      // Server-side rolling accumulation takes precedence over the client-side estimate
+      const acc = accumulations[`${client.clientId}__${client.activity}`];
+      const montoLast6Months = acc ? acc.rollingTotal : client.montoLast6Months;
 
       // Percentage of threshold reached (6 month accumulation)
       const porcentajeUmbral = umbralAvisoMXN > 0
-        ? Math.min((client.montoLast6Months / umbralAvisoMXN) * 100, 100)
-        : (client.montoLast6Months > 0 ? 100 : 0);
+        ? Math.min((montoLast6Months / umbralAvisoMXN) * 100, 100)
+        : (montoLast6Months > 0 ? 100 : 0);
 
       // Calculate days elapsed since first operation
       const daysSinceFirst = Math.floor((new Date() - client.firstOpDate) / (1000 * 60 * 60 * 24));
@@ -287,20 +203,25 @@ export function MonitoringPage() {
 
       return {
         ...client,
+        montoLast6Months,
+        identificationCrossedAt: acc?.identificationCrossedAt || null,
+        identificationTriggerOperationId: acc?.identificationTriggerOperationId || null,
+        avisoCrossedAt: acc?.avisoCrossedAt || null,
+        avisoTriggerOperationId: acc?.avisoTriggerOperationId || null,
         umbralAvisoMXN,
         umbralIdMXN,
-        umbralAvisoUMA: umbral.umbralAviso,
+        umbralAvisoUMA: umbral.umbralAvisoUMA,
         porcentajeUmbral: Math.round(porcentajeUmbral * 10) / 10,
         status,
         daysInMonitoring,
         monitoringProgress: Math.round(monitoringProgress * 10) / 10,
         monitoringEndDate,
         fraccion: umbral.fraccion,
-        periodoMeses: umbral.periodoMeses,
+        periodoMeses: umbral.periodoAcumulacionMeses,
         opCount: client.operations.length,
       };
     }).filter(Boolean);
-  }, [operations]);
+  }, [operations, accumulations, legalRules]);
 
   // ========================================
   // FILTERS AND SORTING
@@ -366,6 +287,9 @@ export function MonitoringPage() {
     style: 'currency', currency: 'MXN', minimumFractionDigits: 0, maximumFractionDigits: 0,
   }).format(amount);
 
+  // Format YYYY-MM-DD crossing date without timezone shift
+  const formatCrossingDate = (dateKey) => new Date(`${dateKey}T12:00:00`).toLocaleDateString('es-MX');
+
   // Get activity label
   const getActivityLabel = (id) => {
     const act = ACTIVIDADES_VULNERABLES.find(a => a.id === id);
@@ -412,7 +336,7 @@ export function MonitoringPage() {
     return 'bg-green-100';
   };
 
-  if (loading) {
+  if (loading || (!legalRules && !rulesError)) {
     return (
       <div className="flex items-center justify-center h-96">
         <div className="text-center">
@@ -423,6 +347,21 @@ export function MonitoringPage() {
     );
   }
 
+  if (!legalRules) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center max-w-md">
+          <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <p className="text-secondary-900 font-medium">No se pudieron cargar los umbrales legales</p>
+          <p className="text-sm text-secondary-500 mt-1 mb-4">{rulesError}</p>
+          <Button onClick={() => fetchOperations(true)} loading={refreshing}>
+            Reintentar
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -586,14 +525,14 @@ export function MonitoringPage() {
           {filteredClients.map((client, idx) => {
             const statusCfg = STATUS_CONFIG[client.status];
             const StatusIcon = statusCfg.icon;
-            const isExpanded = expandedClient === `${client.rfc}__${client.activity}`;
+            const isExpanded = expandedClient === `${client.clientId}__${client.activity}`;
 
             return (
-              <Card key={`${client.rfc}__${client.activity}__${idx}`} className="p-0 overflow-hidden">
+              <Card key={`${client.clientId}__${client.activity}__${idx}`} className="p-0 overflow-hidden">
                 {/* Main Row */}
                 <div
                   className="p-4 cursor-pointer hover:bg-secondary-50 transition-colors"
-                  onClick={() => setExpandedClient(isExpanded ? null : `${client.rfc}__${client.activity}`)}
+                  onClick={() => setExpandedClient(isExpanded ? null : `${client.clientId}__${client.activity}`)}
                 >
                   <div className="flex items-start gap-4">
                     {/* Status Icon */}
@@ -687,6 +626,26 @@ export function MonitoringPage() {
                       </div>
                     </div>
 
+                    {/* Threshold crossings (server-side six-month accumulation) */}
+                    {(client.identificationCrossedAt || client.avisoCrossedAt) && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                        {client.identificationCrossedAt && (
+                          <div className="bg-white rounded-lg p-3 border border-amber-200">
+                            <p className="text-xs text-amber-600 mb-1">Cruzó umbral de identificación</p>
+                            <p className="text-sm font-bold text-secondary-900">{formatCrossingDate(client.identificationCrossedAt)}</p>
+                            <p className="text-xs text-secondary-400 mt-1">Operación detonante marcada en el historial</p>
+                          </div>
+                        )}
+                        {client.avisoCrossedAt && (
+                          <div className="bg-white rounded-lg p-3 border border-red-200">
+                            <p className="text-xs text-red-600 mb-1">Cruzó umbral de aviso</p>
+                            <p className="text-sm font-bold text-secondary-900">{formatCrossingDate(client.avisoCrossedAt)}</p>
+                            <p className="text-xs text-secondary-400 mt-1">Operación detonante marcada en el historial</p>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
                     {/* Operations Table */}
                     <div>
                       <h5 className="text-sm font-semibold text-secondary-700 mb-2">
@@ -707,7 +666,7 @@ export function MonitoringPage() {
                               .sort((a, b) => a.parsedDate - b.parsedDate)
                               .reduce((acc, op) => {
                                 const prev = acc.length > 0 ? acc[acc.length - 1].runningTotal : 0;
-                                acc.push({ ...op, runningTotal: prev + op.parsedMonto });
+                                acc.push({ ...op, runningTotal: op.rollingAccumulated ?? prev + op.parsedMonto });
                                 return acc;
                               }, [])
                               .map((op, i) => (
@@ -717,6 +676,13 @@ export function MonitoringPage() {
                                   </td>
                                   <td className="px-3 py-2 text-secondary-600">
                                     {op.tipo_operacion || op.tipoOperacion || op.tipo || '—'}
+                                    {(op.id === client.avisoTriggerOperationId || op.id === client.identificationTriggerOperationId) && (
+                                      <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
+                                        op.id === client.avisoTriggerOperationId ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                                      }`}>
+                                        {op.id === client.avisoTriggerOperationId ? 'Detonó aviso' : 'Detonó identificación'}
+                                      </span>
+                                    )}
                                   </td>
                                   <td className="px-3 py-2 text-right font-medium text-secondary-900">
                                     {formatMoney(op.parsedMonto)}
@@ -773,8 +739,8 @@ export function MonitoringPage() {
       {/* Footer */}
       <div className="text-center py-2">
         <p className="text-xs text-secondary-400">
-          Umbrales basados en UMA 2025: ${UMA_DIARIO} MXN diario. Los monitoreos se calculan en tiempo real
-          con base en las operaciones cargadas. En el futuro estos KPIs serán personalizables.
+          Umbrales basados en UMA {legalRules.umaYear}: ${legalRules.umaDiario} MXN diario. El acumulado de 6 meses se calcula en el servidor
+          en cada carga y diariamente con una ventana móvil por cliente y actividad. En el futuro estos KPIs serán personalizables.
         </p>
       </div>
     </div>
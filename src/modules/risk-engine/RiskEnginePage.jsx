@@ -24,7 +24,9 @@ import {
   FileText,
   ArrowRight,
   X,
+  Users,
 } from 'lucide-react';
+import { ClientRiskView } from './components/ClientRiskView';
 
 // Risk level config
 const RISK_LEVELS = {
@@ -39,8 +41,14 @@ const STATUS_CONFIG = {
   PENDING_REVIEW: { label: 'En revisión', bg: 'bg-amber-100', text: 'text-amber-700' },
   PENDING_REPORT: { label: 'Pend. reporte', bg: 'bg-red-100', text: 'text-red-700' },
   REPORTED: { label: 'Reportada', bg: 'bg-green-100', text: 'text-green-700' },
+  BLOCKED: { label: 'Bloqueada (LPB)', bg: 'bg-red-600', text: 'text-white' },
 };
 
+const TABS = [
+  { id: 'operations', label: 'Riesgo por operación', icon: FileText },
+  { id: 'clients', label: 'Riesgo por cliente', icon: Users },
+];
+
 const MONTH_NAMES = ['', 'Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun',
   'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
 
@@ -65,6 +73,8 @@ export function RiskEnginePage() {
   // Detail panel
   const [selectedOp, setSelectedOp] = useState(null);
 
+  const [activeTab, setActiveTab] = useState('operations');
+
   // Fetch operations
   const fetchData = async (isRefresh = false) => {
     if (!tenantId) return;
@@ -272,385 +282,431 @@ export function RiskEnginePage() {
         <Alert variant="error" onClose={() => setErrorMsg('')}>{errorMsg}</Alert>
       )}
 
-      {/* KPI Cards */}
-      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
-        <Card
-          className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'ALL' && filterStatus === 'PENDING_ALL' ? 'ring-2 ring-primary-400' : 'hover:shadow-md'}`}
-          onClick={() => { setFilterRisk('ALL'); setFilterStatus('PENDING_ALL'); }}
-        >
-          <p className="text-2xl font-bold text-secondary-900">{kpis.total}</p>
-          <p className="text-xs text-secondary-500">Total</p>
-        </Card>
-        <Card
-          className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'HIGH' ? 'ring-2 ring-red-400' : 'hover:shadow-md'}`}
-          onClick={() => { setFilterRisk('HIGH'); setFilterStatus('PENDING_ALL'); }}
-        >
-          <p className="text-2xl font-bold text-red-700">{kpis.high}</p>
-          <p className="text-xs text-red-600">Riesgo Alto</p>
-        </Card>
-        <Card
-          className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'MEDIUM' ? 'ring-2 ring-amber-400' : 'hover:shadow-md'}`}
-          onClick={() => { setFilterRisk('MEDIUM'); setFilterStatus('PENDING_ALL'); }}
-        >
-          <p className="text-2xl font-bold text-amber-700">{kpis.medium}</p>
-          <p className="text-xs text-amber-600">Riesgo Medio</p>
-        </Card>
-        <Card
-          className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'LOW' ? 'ring-2 ring-green-400' : 'hover:shadow-md'}`}
-          onClick={() => { setFilterRisk('LOW'); setFilterStatus('PENDING_ALL'); }}
-        >
-          <p className="text-2xl font-bold text-green-700">{kpis.low}</p>
-          <p className="text-xs text-green-600">Riesgo Bajo</p>
-        </Card>
-        <Card
-          className={`p-4 text-center cursor-pointer transition-all ${filterStatus === 'PENDING_REPORT' ? 'ring-2 ring-red-400' : 'hover:shadow-md'}`}
-          onClick={() => { setFilterStatus('PENDING_REPORT'); setFilterRisk('ALL'); }}
-
-        >
-          <p className="text-2xl font-bold text-red-700">{kpis.pendingReport}</p>
-          <p className="text-xs text-red-600">Pend. Reporte</p>
-        </Card>
-        <Card
-          className={`p-4 text-center cursor-pointer transition-all ${filterStatus === 'PENDING_REVIEW' ? 'ring-2 ring-amber-400' : 'hover:shadow-md'}`}
-          onClick={() => { setFilterStatus('PENDING_REVIEW'); setFilterRisk('ALL'); }}
-        >
-          <p className="text-2xl font-bold text-amber-700">{kpis.pendingReview}</p>
-          <p className="text-xs text-amber-600">En Revisión</p>
-        </Card>
+      {/* Tabs */}
+      <div className="flex gap-1 border-b border-secondary-200">
+        {TABS.map((tab) => {
+          const isActive = activeTab === tab.id;
+          const Icon = tab.icon;
+          return (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex items-center gap-2 px-4 py-3 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                isActive
+                  ? 'border-primary-600 text-primary-700'
+                  : 'border-transparent text-secondary-500 hover:text-secondary-800'
+              }`}
+            >
+              <Icon className={`w-4 h-4 ${isActive ? 'text-primary-600' : 'text-secondary-400'}`} />
+              {tab.label}
+            </button>
+          );
+        })}
       </div>
 
-      {/* Search + Filters */}
-      <Card className="p-4">
-        <div className="flex flex-col md:flex-row gap-3">
-          {/* Search */}
-          <div className="relative flex-1">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-secondary-400" />
-            <input
-              type="text"
-              placeholder="Buscar por RFC, nombre o folio..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full pl-10 pr-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
-            />
-          </div>
+      {activeTab === 'clients' && <ClientRiskView />}
+
+      {activeTab === 'operations' && (
+        <>
+        {/* KPI Cards */}
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+          <Card
+            className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'ALL' && filterStatus === 'PENDING_ALL' ? 'ring-2 ring-primary-400' : 'hover:shadow-md'}`}
+            onClick={() => { setFilterRisk('ALL'); setFilterStatus('PENDING_ALL'); }}
+          >
+            <p className="text-2xl font-bold text-secondary-900">{kpis.total}</p>
+            <p className="text-xs text-secondary-500">Total</p>
+          </Card>
+          <Card
+            className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'HIGH' ? 'ring-2 ring-red-400' : 'hover:shadow-md'}`}
+            onClick={() => { setFilterRisk('HIGH'); setFilterStatus('PENDING_ALL'); }}
+          >
+            <p className="text-2xl font-bold text-red-700">{kpis.high}</p>
+            <p className="text-xs text-red-600">Riesgo Alto</p>
+          </Card>
+          <Card
+            className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'MEDIUM' ? 'ring-2 ring-amber-400' : 'hover:shadow-md'}`}
+            onClick={() => { setFilterRisk('MEDIUM'); setFilterStatus('PENDING_ALL'); }}
+          >
+            <p className="text-2xl font-bold text-amber-700">{kpis.medium}</p>
+            <p className="text-xs text-amber-600">Riesgo Medio</p>
+          </Card>
+          <Card
+            className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'LOW' ? 'ring-2 ring-green-400' : 'hover:shadow-md'}`}
+            onClick={() => { setFilterRisk('LOW'); setFilterStatus('PENDING_ALL'); }}
+          >
+            <p className="text-2xl font-bold text-green-700">{kpis.low}</p>
+            <p className="text-xs text-green-600">Riesgo Bajo</p>
+          </Card>
+          <Card
+            className={`p-4 text-center cursor-pointer transition-all ${filterStatus === 'PENDING_REPORT' ? 'ring-2 ring-red-400' : 'hover:shadow-md'}`}
+            onClick={() => { setFilterStatus('PENDING_REPORT'); setFilterRisk('ALL'); }}
 
-          {/* Risk filter */}
-          <select
-            value={filterRisk}
-            onChange={(e) => setFilterRisk(e.target.value)}
-            className="px-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 bg-white text-sm"
           >
-            <option value="ALL">Todos los riesgos</option>
-            <option value="HIGH">Riesgo Alto</option>
-            <option value="MEDIUM">Riesgo Medio</option>
-            <option value="LOW">Riesgo Bajo</option>
-          </select>
-
-          {/* Status filter */}
-          <select
-            value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value)}
-            className="px-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 bg-white text-sm"
+            <p className="text-2xl font-bold text-red-700">{kpis.pendingReport}</p>
+            <p className="text-xs text-red-600">Pend. Reporte</p>
+          </Card>
+          <Card
+            className={`p-4 text-center cursor-pointer transition-all ${filterStatus === 'PENDING_REVIEW' ? 'ring-2 ring-amber-400' : 'hover:shadow-md'}`}
+            onClick={() => { setFilterStatus('PENDING_REVIEW'); setFilterRisk('ALL'); }}
           >
-            <option value="PENDING_ALL">Pendientes (todas)</option>
-            <option value="ALL">Todos los estatus</option>
-            <option value="PENDING">Pendiente</option>
-            <option value="PENDING_REVIEW">En revisión</option>
-            <option value="PENDING_REPORT">Pend. reporte</option>
-            <option value="REPORTED">Reportada</option>
-          </select>
+            <p className="text-2xl font-bold text-amber-700">{kpis.pendingReview}</p>
+            <p className="text-xs text-amber-600">En Revisión</p>
+          </Card>
         </div>
-      </Card>
-
-      {/* Operations Table */}
-      <Card className="overflow-hidden">
-        {filteredOps.length === 0 ? (
-          <div className="text-center py-16">
-            <Shield className="w-12 h-12 text-secondary-300 mx-auto mb-3" />
-            <p className="text-secondary-500">No se encontraron operaciones con los filtros aplicados</p>
-            <p className="text-sm text-secondary-400 mt-1">Ajusta los filtros o carga nuevas operaciones</p>
+
+        {/* Search + Filters */}
+        <Card className="p-4">
+          <div className="flex flex-col md:flex-row gap-3">
+            {/* Search */}
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-secondary-400" />
+              <input
+                type="text"
+                placeholder="Buscar por RFC, nombre o folio..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-10 pr-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
+              />
+            </div>
+
+            {/* Risk filter */}
+            <select
+              value={filterRisk}
+              onChange={(e) => setFilterRisk(e.target.value)}
+              className="px-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 bg-white text-sm"
+            >
+              <option value="ALL">Todos los riesgos</option>
+              <option value="HIGH">Riesgo Alto</option>
+              <option value="MEDIUM">Riesgo Medio</option>
+              <option value="LOW">Riesgo Bajo</option>
+            </select>
+
+            {/* Status filter */}
+            <select
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              className="px-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 bg-white text-sm"
+            >
+              <option value="PENDING_ALL">Pendientes (todas)</option>
+              <option value="ALL">Todos los estatus</option>
+              <option value="PENDING">Pendiente</option>
+              <option value="PENDING_REVIEW">En revisión</option>
+              <option value="PENDING_REPORT">Pend. reporte</option>
+              <option value="REPORTED">Reportada</option>
+              <option value="BLOCKED">Bloqueada (LPB)</option>
+            </select>
           </div>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="w-full text-sm">
-              <thead className="bg-secondary-50 border-b border-secondary-200">
-                <tr>
-                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Riesgo</th>
-                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Estatus</th>
-                  <th
-                    className="px-4 py-3 text-left text-secondary-700 font-medium cursor-pointer hover:text-primary-600"
-                    onClick={() => toggleSort('rfc')}
-                  >
-                    <span className="flex items-center gap-1">
-                      RFC
-                      <ArrowUpDown className="w-3 h-3" />
-                    </span>
-                  </th>
-                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Nombre</th>
-                  <th
-                    className="px-4 py-3 text-right text-secondary-700 font-medium cursor-pointer hover:text-primary-600"
-                    onClick={() => toggleSort('monto')}
-                  >
-                    <span className="flex items-center gap-1 justify-end">
-                      Monto
-                      <ArrowUpDown className="w-3 h-3" />
-                    </span>
-                  </th>
-                  <th
-                    className="px-4 py-3 text-left text-secondary-700 font-medium cursor-pointer hover:text-primary-600"
-                    onClick={() => toggleSort('riskScore')}
-                  >
-                    <span className="flex items-center gap-1">
-                      Score
-                      <ArrowUpDown className="w-3 h-3" />
-                    </span>
-                  </th>
-                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Periodo</th>
-                  <th className="px-4 py-3 text-center text-secondary-700 font-medium">Acciones</th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-secondary-100">
-                {filteredOps.map((op) => {
-                  const risk = getOpRisk(op);
-                  const status = getOpStatus(op);
-                  const riskCfg = RISK_LEVELS[risk] || RISK_LEVELS.LOW;
-                  const statusCfg = STATUS_CONFIG[status] || STATUS_CONFIG.PENDING;
-
-                  return (
-                    <tr
-                      key={op.id}
-                      className={`hover:bg-secondary-50 transition-colors cursor-pointer ${
-                        selectedOp?.id === op.id ? 'bg-primary-50' : ''
-                      }`}
-                      onClick={() => setSelectedOp(selectedOp?.id === op.id ? null : op)}
+        </Card>
+
+        {/* Operations Table */}
+        <Card className="overflow-hidden">
+          {filteredOps.length === 0 ? (
+            <div className="text-center py-16">
+              <Shield className="w-12 h-12 text-secondary-300 mx-auto mb-3" />
+              <p className="text-secondary-500">No se encontraron operaciones con los filtros aplicados</p>
+              <p className="text-sm text-secondary-400 mt-1">Ajusta los filtros o carga nuevas operaciones</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-secondary-50 border-b border-secondary-200">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-secondary-700 font-medium">Riesgo</th>
+                    <th className="px-4 py-3 text-left text-secondary-700 font-medium">Estatus</th>
+                    <th
+                      className="px-4 py-3 text-left text-secondary-700 font-medium cursor-pointer hover:text-primary-600"
+                      onClick={() => toggleSort('rfc')}
                     >
-                      {/* Risk badge */}
-                      <td className="px-4 py-3">
-                        <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium ${riskCfg.bg} ${riskCfg.text}`}>
-                          <span className={`w-2 h-2 rounded-full ${riskCfg.dot}`} />
-                          {riskCfg.label}
-                        </span>
-                      </td>
-
-                      {/* Status badge */}
-                      <td className="px-4 py-3">
-                        <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium ${statusCfg.bg} ${statusCfg.text}`}>
-                          {statusCfg.label}
-                        </span>
-                      </td>
-
-                      {/* RFC */}
-                      <td className="px-4 py-3 font-mono text-secondary-900">{getOpRfc(op)}</td>
-
-                      {/* Nombre */}
-                      <td className="px-4 py-3 text-secondary-700 max-w-[200px] truncate">{getOpNombre(op)}</td>
-
-                      {/* Monto */}
-                      <td className="px-4 py-3 text-right font-medium text-secondary-900">
-                        {formatMoney(getOpMonto(op))}
-                      </td>
-
-                      {/* Risk Score */}
-                      <td className="px-4 py-3">
-                        <span className={`font-bold ${risk === 'HIGH' ? 'text-red-600' : risk === 'MEDIUM' ? 'text-amber-600' : 'text-green-600'}`}>
-                          {op.riskScore || 0}
-                        </span>
-                      </td>
-
-                      {/* Periodo */}
-                      <td className="px-4 py-3 text-secondary-600">
-                        {MONTH_NAMES[op.periodMonth] || ''} {op.periodYear || ''}
-                      </td>
-
-                      {/* Actions */}
-                      <td className="px-4 py-3 text-center" onClick={(e) => e.stopPropagation()}>
-                        <div className="flex items-center justify-center gap-1">
-                          {status === 'PENDING_REVIEW' && (
-                            <>
-                              <button
-                                onClick={() => handleMarkReviewed(op.id)}
-                                disabled={actionLoading === op.id}
-                                className="p-1.5 text-green-600 hover:bg-green-100 rounded-lg transition-colors disabled:opacity-50"
-                                title="Marcar como revisada"
-                              >
-                                {actionLoading === op.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
-                              </button>
+                      <span className="flex items-center gap-1">
+                        RFC
+                        <ArrowUpDown className="w-3 h-3" />
+                      </span>
+                    </th>
+                    <th className="px-4 py-3 text-left text-secondary-700 font-medium">Nombre</th>
+                    <th
+                      className="px-4 py-3 text-right text-secondary-700 font-medium cursor-pointer hover:text-primary-600"
+                      onClick={() => toggleSort('monto')}
+                    >
+                      <span className="flex items-center gap-1 justify-end">
+                        Monto
+                        <ArrowUpDown className="w-3 h-3" />
+                      </span>
+                    </th>
+                    <th
+                      className="px-4 py-3 text-left text-secondary-700 font-medium cursor-pointer hover:text-primary-600"
+                      onClick={() => toggleSort('riskScore')}
+                    >
+                      <span className="flex items-center gap-1">
+                        Score
+                        <ArrowUpDown className="w-3 h-3" />
+                      </span>
+                    </th>
+                    <th className="px-4 py-3 text-left text-secondary-700 font-medium">Periodo</th>
+                    <th className="px-4 py-3 text-center text-secondary-700 font-medium">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-secondary-100">
+                  {filteredOps.map((op) => {
+                    const risk = getOpRisk(op);
+                    const status = getOpStatus(op);
+                    const riskCfg = RISK_LEVELS[risk] || RISK_LEVELS.LOW;
+                    const statusCfg = STATUS_CONFIG[status] || STATUS_CONFIG.PENDING;
+
+                    return (
+                      <tr
+                        key={op.id}
+                        className={`hover:bg-secondary-50 transition-colors cursor-pointer ${
+                          selectedOp?.id === op.id ? 'bg-primary-50' : ''
+                        }`}
+                        onClick={() => setSelectedOp(selectedOp?.id === op.id ? null : op)}
+                      >
+                        {/* Risk badge */}
+                        <td className="px-4 py-3">
+                          <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium ${riskCfg.bg} ${riskCfg.text}`}>
+                            <span className={`w-2 h-2 rounded-full ${riskCfg.dot}`} />
+                            {riskCfg.label}
+                          </span>
+                        </td>
+
+                        {/* Status badge */}
+                        <td className="px-4 py-3">
+                          <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium ${statusCfg.bg} ${statusCfg.text}`}>
+                            {statusCfg.label}
+                          </span>
+                        </td>
+
+                        {/* RFC */}
+                        <td className="px-4 py-3 font-mono text-secondary-900">{getOpRfc(op)}</td>
+
+                        {/* Nombre */}
+                        <td className="px-4 py-3 text-secondary-700 max-w-[200px] truncate">{getOpNombre(op)}</td>
+
+                        {/* Monto */}
+                        <td className="px-4 py-3 text-right font-medium text-secondary-900">
+                          {formatMoney(getOpMonto(op))}
+                        </td>
+
+                        {/* Risk Score */}
+                        <td className="px-4 py-3">
+                          <span className={`font-bold ${risk === 'HIGH' ? 'text-red-600' : risk === 'MEDIUM' ? 'text-amber-600' : 'text-green-600'}`}>
+                            {op.riskScore || 0}
+                          </span>
+                        </td>
+
+                        {/* Periodo */}
+                        <td className="px-4 py-3 text-secondary-600">
+                          {MONTH_NAMES[op.periodMonth] || ''} {op.periodYear || ''}
+                        </td>
+
+                        {/* Actions */}
+                        <td className="px-4 py-3 text-center" onClick={(e) => e.stopPropagation()}>
+                          <div className="flex items-center justify-center gap-1">
+                            {status === 'PENDING_REVIEW' && (
+                              <>
+                                <button
+                                  onClick={() => handleMarkReviewed(op.id)}
+                                  disabled={actionLoading === op.id}
+                                  className="p-1.5 text-green-600 hover:bg-green-100 rounded-lg transition-colors disabled:opacity-50"
+                                  title="Marcar como revisada"
+                                >
+                                  {actionLoading === op.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+                                </button>
+                                <button
+                                  onClick={() => handleEscalate(op.id)}
+                                  disabled={actionLoading === op.id}
+                                  className="p-1.5 text-red-600 hover:bg-red-100 rounded-lg transition-colors disabled:opacity-50"
+                                  title="Escalar a reporte obligatorio"
+                                >
+                                  <ShieldAlert className="w-4 h-4" />
+                                </button>
+                              </>
+                            )}
+                            {status === 'PENDING' && (
                               <button
                                 onClick={() => handleEscalate(op.id)}
                                 disabled={actionLoading === op.id}
-                                className="p-1.5 text-red-600 hover:bg-red-100 rounded-lg transition-colors disabled:opacity-50"
-                                title="Escalar a reporte obligatorio"
+                                className="p-1.5 text-amber-600 hover:bg-amber-100 rounded-lg transition-colors disabled:opacity-50"
+                                title="Escalar a reporte"
                               >
-                                <ShieldAlert className="w-4 h-4" />
+                                <ArrowRight className="w-4 h-4" />
                               </button>
-                            </>
-                          )}
-                          {status === 'PENDING' && (
+                            )}
                             <button
-                              onClick={() => handleEscalate(op.id)}
-                              disabled={actionLoading === op.id}
-                              className="p-1.5 text-amber-600 hover:bg-amber-100 rounded-lg transition-colors disabled:opacity-50"
-                              title="Escalar a reporte"
+                              onClick={() => setSelectedOp(selectedOp?.id === op.id ? null : op)}
+                              className="p-1.5 text-secondary-500 hover:bg-secondary-100 rounded-lg transition-colors"
+                              title="Ver detalle"
                             >
-                              <ArrowRight className="w-4 h-4" />
+                              <Eye className="w-4 h-4" />
                             </button>
-                          )}
-                          <button
-                            onClick={() => setSelectedOp(selectedOp?.id === op.id ? null : op)}
-                            className="p-1.5 text-secondary-500 hover:bg-secondary-100 rounded-lg transition-colors"
-                            title="Ver detalle"
-                          >
-                            <Eye className="w-4 h-4" />
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-
-            {/* Row count */}
-            <div className="px-4 py-3 bg-secondary-50 border-t border-secondary-200 text-xs text-secondary-500">
-              Mostrando {filteredOps.length} de {operations.length} operaciones
-            </div>
-          </div>
-        )}
-      </Card>
-
-      {/* Detail Panel */}
-      {selectedOp && (
-        <Card className="p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
-              <FileText className="w-5 h-5 text-primary-600" />
-              Detalle de Operación
-            </h3>
-            <button
-              onClick={() => setSelectedOp(null)}
-              className="p-2 hover:bg-secondary-100 rounded-lg transition-colors"
-            >
-              <X className="w-5 h-5 text-secondary-500" />
-            </button>
-          </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {/* Risk Info */}
-            <div className={`p-4 rounded-lg border ${RISK_LEVELS[getOpRisk(selectedOp)]?.border || 'border-secondary-200'} ${RISK_LEVELS[getOpRisk(selectedOp)]?.bg || 'bg-secondary-50'}`}>
-              <p className="text-xs text-secondary-500 mb-1">Nivel de Riesgo</p>
-              <p className={`text-lg font-bold ${RISK_LEVELS[getOpRisk(selectedOp)]?.text || 'text-secondary-700'}`}>
-                {RISK_LEVELS[getOpRisk(selectedOp)]?.label || 'N/A'} — Score: {selectedOp.riskScore || 0}
-              </p>
-              {selectedOp.riskReason && (
-                <p className="text-sm text-secondary-600 mt-1">{selectedOp.riskReason}</p>
-              )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {/* Row count */}
+              <div className="px-4 py-3 bg-secondary-50 border-t border-secondary-200 text-xs text-secondary-500">
+                Mostrando {filteredOps.length} de {operations.length} operaciones
+              </div>
             </div>
+          )}
+        </Card>
 
-            {/* Client Info */}
-            <div className="p-4 bg-secondary-50 rounded-lg border border-secondary-200">
-              <p className="text-xs text-secondary-500 mb-1">Cliente</p>
-              <p className="font-medium text-secondary-900">{getOpNombre(selectedOp)}</p>
-              <p className="text-sm text-secondary-600 font-mono">{getOpRfc(selectedOp)}</p>
-              {selectedOp.tipo_persona && (
-                <span className="inline-block mt-1 px-2 py-0.5 bg-blue-100 text-blue-700 rounded text-xs">
-                  {selectedOp.tipo_persona === 'PF' ? 'Persona Física' : 'Persona Moral'}
-                </span>
-              )}
+        {/* Detail Panel */}
+        {selectedOp && (
+          <Card className="p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+                <FileText className="w-5 h-5 text-primary-600" />
+                Detalle de Operación
+              </h3>
+              <button
+                onClick={() => setSelectedOp(null)}
+                className="p-2 hover:bg-secondary-100 rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5 text-secondary-500" />
+              </button>
             </div>
 
-            {/* Operation Info */}
-            <div className="p-4 bg-secondary-50 rounded-lg border border-secondary-200">
-              <p className="text-xs text-secondary-500 mb-1">Operación</p>
-              <p className="text-lg font-bold text-secondary-900">{formatMoney(getOpMonto(selectedOp))}</p>
-              <p className="text-sm text-secondary-600">
-                {selectedOp.tipo_operacion || selectedOp.tipoOperacion || 'N/A'}
-              </p>
-              <p className="text-xs text-secondary-500 mt-1">
-                {getOpFecha(selectedOp)} — {getActivityLabel(selectedOp.activityType)}
-              </p>
-            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {/* Risk Info */}
+              <div className={`p-4 rounded-lg border ${RISK_LEVELS[getOpRisk(selectedOp)]?.border || 'border-secondary-200'} ${RISK_LEVELS[getOpRisk(selectedOp)]?.bg || 'bg-secondary-50'}`}>
+                <p className="text-xs text-secondary-500 mb-1">Nivel de Riesgo</p>
+                <p className={`text-lg font-bold ${RISK_LEVELS[getOpRisk(selectedOp)]?.text || 'text-secondary-700'}`}>
+                  {RISK_LEVELS[getOpRisk(selectedOp)]?.label || 'N/A'} — Score: {selectedOp.riskScore || 0}
+                </p>
+                {selectedOp.riskReason && (
+                  <p className="text-sm text-secondary-600 mt-1">{selectedOp.riskReason}</p>
+                )}
+              </div>
 
-            {/* Forma de pago */}
-            {(selectedOp.forma_pago || selectedOp.instrumento_monetario) && (
+              {/* Client Info */}
               <div className="p-4 bg-secondary-50 rounded-lg border border-secondary-200">
-                <p className="text-xs text-secondary-500 mb-1">Forma de Pago</p>
-                <p className="font-medium text-secondary-900">{selectedOp.forma_pago || selectedOp.instrumento_monetario || 'N/A'}</p>
-                {selectedOp.moneda && (
-                  <p className="text-sm text-secondary-600">{selectedOp.moneda}</p>
+                <p className="text-xs text-secondary-500 mb-1">Cliente</p>
+                <p className="font-medium text-secondary-900">{getOpNombre(selectedOp)}</p>
+                <p className="text-sm text-secondary-600 font-mono">{getOpRfc(selectedOp)}</p>
+                {selectedOp.tipo_persona && (
+                  <span className="inline-block mt-1 px-2 py-0.5 bg-blue-100 text-blue-700 rounded text-xs">
+                    {selectedOp.tipo_persona === 'PF' ? 'Persona Física' : 'Persona Moral'}
+                  </span>
                 )}
               </div>
-            )}
-
-            {/* Acumulado mensual */}
-            {selectedOp.monthlyAccumulated && (
-              <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-                <p className="text-xs text-blue-600 mb-1">Acumulado Mensual (RFC)</p>
-                <p className="text-lg font-bold text-blue-800">{formatMoney(selectedOp.monthlyAccumulated)}</p>
-                <p className="text-xs text-blue-600">Incluye esta operación</p>
-              </div>
-            )}
-
-            {/* Warnings */}
-            {selectedOp.warnings && selectedOp.warnings.length > 0 && (
-              <div className="p-4 bg-amber-50 rounded-lg border border-amber-200 md:col-span-2 lg:col-span-3">
-                <p className="text-xs text-amber-600 mb-2 font-semibold">Advertencias</p>
-                <ul className="list-disc list-inside text-sm text-amber-700 space-y-1">
-                  {selectedOp.warnings.map((w, i) => (
-                    <li key={i}>{w}</li>
-                  ))}
-                </ul>
+
+              {/* Operation Info */}
+              <div className="p-4 bg-secondary-50 rounded-lg border border-secondary-200">
+                <p className="text-xs text-secondary-500 mb-1">Operación</p>
+                <p className="text-lg font-bold text-secondary-900">{formatMoney(getOpMonto(selectedOp))}</p>
+                <p className="text-sm text-secondary-600">
+                  {selectedOp.tipo_operacion || selectedOp.tipoOperacion || 'N/A'}
+                </p>
+                <p className="text-xs text-secondary-500 mt-1">
+                  {getOpFecha(selectedOp)} — {getActivityLabel(selectedOp.activityType)}
+                </p>
               </div>
-            )}
-          </div>
 
-          {/* Action buttons */}
-          <div className="flex items-center gap-3 mt-6 pt-4 border-t border-secondary-200">
-            {getOpStatus(selectedOp) === 'PENDING_REVIEW' && (
-              <>
-                <Button
-                  onClick={() => handleMarkReviewed(selectedOp.id)}
-                  disabled={actionLoading === selectedOp.id}
-                  className="flex items-center gap-2"
-                >
-                  {actionLoading === selectedOp.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
-                  Marcar como Revisada
-                </Button>
+              {/* Forma de pago */}
+              {(selectedOp.forma_pago || selectedOp.instrumento_monetario) && (
+                <div className="p-4 bg-secondary-50 rounded-lg border border-secondary-200">
+                  <p className="text-xs text-secondary-500 mb-1">Forma de Pago</p>
+                  <p className="font-medium text-secondary-900">{selectedOp.forma_pago || selectedOp.instrumento_monetario || 'N/A'}</p>
+                  {selectedOp.moneda && (
+                    <p className="text-sm text-secondary-600">{selectedOp.moneda}</p>
+                  )}
+                </div>
+              )}
+
+              {/* Acumulado 6 meses */}
+              {(selectedOp.rollingAccumulated ?? selectedOp.monthlyAccumulated) > 0 && (
+                <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+                  <p className="text-xs text-blue-600 mb-1">
+                    {selectedOp.rollingAccumulated !== undefined ? 'Acumulado 6 meses (RFC)' : 'Acumulado Mensual (RFC)'}
+                  </p>
+                  <p className="text-lg font-bold text-blue-800">
+                    {formatMoney(selectedOp.rollingAccumulated ?? selectedOp.monthlyAccumulated)}
+                  </p>
+                  <p className="text-xs text-blue-600">Incluye esta operación</p>
+                  {selectedOp.accumulationTrigger && (
+                    <p className="text-xs font-semibold text-red-700 mt-1">
+                      Esta operación cruzó el umbral de {selectedOp.accumulationTrigger === 'AVISO' ? 'aviso' : 'identificación'}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Warnings */}
+              {selectedOp.warnings && selectedOp.warnings.length > 0 && (
+                <div className="p-4 bg-amber-50 rounded-lg border border-amber-200 md:col-span-2 lg:col-span-3">
+                  <p className="text-xs text-amber-600 mb-2 font-semibold">Advertencias</p>
+                  <ul className="list-disc list-inside text-sm text-amber-700 space-y-1">
+                    {selectedOp.warnings.map((w, i) => (
+                      <li key={i}>{w}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            {/* Action buttons */}
+            <div className="flex items-center gap-3 mt-6 pt-4 border-t border-secondary-200">
+              {getOpStatus(selectedOp) === 'PENDING_REVIEW' && (
+                <>
+                  <Button
+                    onClick={() => handleMarkReviewed(selectedOp.id)}
+                    disabled={actionLoading === selectedOp.id}
+                    className="flex items-center gap-2"
+                  >
+                    {actionLoading === selectedOp.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+                    Marcar como Revisada
+                  </Button>
+                  <Button
+                    variant="secondary"
+                    onClick={() => handleEscalate(selectedOp.id)}
+                    disabled={actionLoading === selectedOp.id}
+                    className="flex items-center gap-2 !text-red-700 !border-red-300 hover:!bg-red-50"
+                  >
+                    <ShieldAlert className="w-4 h-4" />
+                    Escalar a Reporte Obligatorio
+                  </Button>
+                </>
+              )}
+              {getOpStatus(selectedOp) === 'PENDING' && (
                 <Button
                   variant="secondary"
                   onClick={() => handleEscalate(selectedOp.id)}
                   disabled={actionLoading === selectedOp.id}
-                  className="flex items-center gap-2 !text-red-700 !border-red-300 hover:!bg-red-50"
+                  className="flex items-center gap-2"
                 >
-                  <ShieldAlert className="w-4 h-4" />
-                  Escalar a Reporte Obligatorio
+                  <ArrowRight className="w-4 h-4" />
+                  Escalar a Reporte
                 </Button>
-              </>
-            )}
-            {getOpStatus(selectedOp) === 'PENDING' && (
-              <Button
-                variant="secondary"
-                onClick={() => handleEscalate(selectedOp.id)}
-                disabled={actionLoading === selectedOp.id}
-                className="flex items-center gap-2"
-              >
-                <ArrowRight className="w-4 h-4" />
-                Escalar a Reporte
-              </Button>
-            )}
-            {getOpStatus(selectedOp) === 'PENDING_REPORT' && (
-              <div className="flex items-center gap-2 text-sm text-red-600">
-                <ShieldAlert className="w-4 h-4" />
-                Esta operación requiere reporte al SAT. Genera el XML desde el módulo Generador XML.
-              </div>
-            )}
-            {getOpStatus(selectedOp) === 'REPORTED' && (
-              <div className="flex items-center gap-2 text-sm text-green-600">
-                <CheckCircle className="w-4 h-4" />
-                Esta operación ya fue reportada al SAT.
-              </div>
-            )}
-          </div>
-        </Card>
+              )}
+              {getOpStatus(selectedOp) === 'PENDING_REPORT' && (
+                <div className="flex items-center gap-2 text-sm text-red-600">
+                  <ShieldAlert className="w-4 h-4" />
+                  Esta operación requiere reporte al SAT. Genera el XML desde el módulo Generador XML.
+                </div>
+              )}
+              {getOpStatus(selectedOp) === 'BLOCKED' && (
+                <div className="flex items-center gap-2 text-sm text-red-600">
+                  <ShieldAlert className="w-4 h-4" />
+                  Cliente en la Lista de Personas Bloqueadas de la UIF
+                  {selectedOp.blockedBy?.matchedName ? ` (${selectedOp.blockedBy.matchedName})` : ''}: la operación
+                  queda suspendida y el aviso debe presentarse dentro de las 24 horas siguientes a la detección.
+                </div>
+              )}
+              {getOpStatus(selectedOp) === 'REPORTED' && (
+                <div className="flex items-center gap-2 text-sm text-green-600">
+                  <CheckCircle className="w-4 h-4" />
+                  Esta operación ya fue reportada al SAT.
+                </div>
+              )}
+            </div>
+          </Card>
+        )}
+        </>
       )}
     </div>
   );
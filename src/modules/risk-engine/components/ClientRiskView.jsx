@@ -0,0 +1,425 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { collection, getDocs, query, orderBy, limit } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../../../core/config/firebase';
+import { useAuth } from '../../../core/context/AuthContext';
+import { Card, Button, Alert } from '../../../shared/components';
+import {
+  Users,
+  Search,
+  Loader2,
+  RefreshCw,
+  X,
+  History,
+  ListChecks,
+  AlertOctagon,
+} from 'lucide-react';
+
+// Niveles de la matriz EBR por cliente (CRITICAL: factor crítico como listas de sanciones)
+const RISK_LEVELS = {
+  CRITICAL: { label: 'CRÍTICO', bg: 'bg-red-200', text: 'text-red-800', dot: 'bg-red-700', bar: 'bg-red-700' },
+  HIGH: { label: 'ALTO', bg: 'bg-red-100', text: 'text-red-700', dot: 'bg-red-500', bar: 'bg-red-500' },
+  MEDIUM: { label: 'MEDIO', bg: 'bg-amber-100', text: 'text-amber-700', dot: 'bg-amber-500', bar: 'bg-amber-500' },
+  LOW: { label: 'BAJO', bg: 'bg-green-100', text: 'text-green-700', dot: 'bg-green-500', bar: 'bg-green-500' },
+};
+
+const TRIGGER_LABELS = {
+  OPERATIONS: 'Operaciones',
+  SCREENING: 'Screening',
+  SCREENING_REVIEW: 'Revisión de screening',
+  KYC: 'Expediente KYC',
+  MERGE: 'Fusión de clientes',
+  MANUAL: 'Recálculo manual',
+};
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('es-MX', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+function RiskBadge({ level }) {
+  const cfg = RISK_LEVELS[level];
+  if (!cfg) {
+    return (
+      <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-secondary-100 text-secondary-600">
+        Sin calificar
+      </span>
+    );
+  }
+  return (
+    <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium ${cfg.bg} ${cfg.text}`}>
+      <span className={`w-2 h-2 rounded-full ${cfg.dot}`} />
+      {cfg.label}
+    </span>
+  );
+}
+
+export function ClientRiskView() {
+  const { user } = useAuth();
+  const tenantId = user?.tenantId || user?.uid;
+
+  const [loading, setLoading] = useState(true);
+  const [clients, setClients] = useState([]);
+  const [filterRisk, setFilterRisk] = useState('ALL');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [recalculating, setRecalculating] = useState(null);
+  const [successMsg, setSuccessMsg] = useState('');
+  const [errorMsg, setErrorMsg] = useState('');
+
+  // Cargar clientes del registro maestro con su calificación
+  const loadClients = useCallback(async () => {
+    if (!tenantId) return;
+    setLoading(true);
+    try {
+      const snapshot = await getDocs(collection(db, 'tenants', tenantId, 'clients'));
+      const list = snapshot.docs
+        .filter(d => d.data().status !== 'MERGED')
+        .map(d => ({ clientId: d.id, ...d.data() }));
+      list.sort((a, b) => (b.riskScore ?? -1) - (a.riskScore ?? -1));
+      setClients(list);
+      setSelected(prev => (prev ? list.find(c => c.clientId === prev.clientId) || null : null));
+    } catch (err) {
+      console.error('Error loading client risk:', err);
+      setErrorMsg('Error al cargar la calificación de clientes');
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId]);
+
+  useEffect(() => {
+    loadClients();
+  }, [loadClients]);
+
+  // Historial de cambios de score del cliente seleccionado
+  useEffect(() => {
+    if (!selected) {
+      setHistory([]);
+      return;
+    }
+    setHistoryLoading(true);
+    const historyQuery = query(
+      collection(db, 'tenants', tenantId, 'clients', selected.clientId, 'riskHistory'),
+      orderBy('computedAt', 'desc'),
+      limit(20)
+    );
+    getDocs(historyQuery)
+      .then(snapshot => setHistory(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))))
+      .catch(err => console.error('Error loading risk history:', err))
+      .finally(() => setHistoryLoading(false));
+  }, [selected, tenantId]);
+
+  const filteredClients = useMemo(() => {
+    let result = clients;
+    if (filterRisk === 'UNRATED') {
+      result = result.filter(c => !c.riskLevel);
+    } else if (filterRisk !== 'ALL') {
+      result = result.filter(c => c.riskLevel === filterRisk);
+    }
+    if (searchTerm) {
+      const term = searchTerm.toLowerCase();
+      result = result.filter(c =>
+        (c.rfc || '').toLowerCase().includes(term) ||
+        (c.nombre || '').toLowerCase().includes(term) ||
+        c.clientId.toLowerCase().includes(term)
+      );
+    }
+    return result;
+  }, [clients, filterRisk, searchTerm]);
+
+  const kpis = useMemo(() => ({
+    CRITICAL: clients.filter(c => c.riskLevel === 'CRITICAL').length,
+    HIGH: clients.filter(c => c.riskLevel === 'HIGH').length,
+    MEDIUM: clients.filter(c => c.riskLevel === 'MEDIUM').length,
+    LOW: clients.filter(c => c.riskLevel === 'LOW').length,
+    UNRATED: clients.filter(c => !c.riskLevel).length,
+  }), [clients]);
+
+  // Recalcular un cliente o, sin clientId, todo el tenant
+  const handleRecalculate = async (clientId = null) => {
+    setRecalculating(clientId || 'ALL');
+    setErrorMsg('');
+    try {
+      const recalculateClientRisk = httpsCallable(functions, 'recalculateClientRisk', { timeout: 540000 });
+      const result = await recalculateClientRisk(clientId ? { clientId } : {});
+      setSuccessMsg(clientId
+        ? `Score recalculado: ${result.data.score} (${RISK_LEVELS[result.data.level]?.label || result.data.level})`
+        : result.data.message);
+      setTimeout(() => setSuccessMsg(''), 5000);
+      await loadClients();
+    } catch (err) {
+      console.error('Error recalculating client risk:', err);
+      setErrorMsg(err.message || 'Error al recalcular el riesgo');
+    } finally {
+      setRecalculating(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="w-10 h-10 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {successMsg && (
+        <Alert variant="success" onClose={() => setSuccessMsg('')}>{successMsg}</Alert>
+      )}
+      {errorMsg && (
+        <Alert variant="error" onClose={() => setErrorMsg('')}>{errorMsg}</Alert>
+      )}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].map(level => (
+          <Card
+            key={level}
+            className={`p-4 text-center cursor-pointer transition-all ${filterRisk === level ? 'ring-2 ring-primary-400' : 'hover:shadow-md'}`}
+            onClick={() => setFilterRisk(filterRisk === level ? 'ALL' : level)}
+          >
+            <p className={`text-2xl font-bold ${RISK_LEVELS[level].text}`}>{kpis[level]}</p>
+            <p className={`text-xs ${RISK_LEVELS[level].text}`}>Riesgo {RISK_LEVELS[level].label.toLowerCase()}</p>
+          </Card>
+        ))}
+        <Card
+          className={`p-4 text-center cursor-pointer transition-all ${filterRisk === 'UNRATED' ? 'ring-2 ring-primary-400' : 'hover:shadow-md'}`}
+          onClick={() => setFilterRisk(filterRisk === 'UNRATED' ? 'ALL' : 'UNRATED')}
+        >
+          <p className="text-2xl font-bold text-secondary-700">{kpis.UNRATED}</p>
+          <p className="text-xs text-secondary-500">Sin calificar</p>
+        </Card>
+      </div>
+
+      {/* Search + recalculate */}
+      <Card className="p-4">
+        <div className="flex flex-col md:flex-row gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-secondary-400" />
+            <input
+              type="text"
+              placeholder="Buscar por RFC, nombre o clave de cliente..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
+            />
+          </div>
+          <select
+            value={filterRisk}
+            onChange={(e) => setFilterRisk(e.target.value)}
+            className="px-4 py-2.5 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 bg-white text-sm"
+          >
+            <option value="ALL">Todos los niveles</option>
+            <option value="CRITICAL">Crítico</option>
+            <option value="HIGH">Alto</option>
+            <option value="MEDIUM">Medio</option>
+            <option value="LOW">Bajo</option>
+            <option value="UNRATED">Sin calificar</option>
+          </select>
+          <Button
+            variant="secondary"
+            onClick={() => handleRecalculate()}
+            loading={recalculating === 'ALL'}
+            disabled={!!recalculating || clients.length === 0}
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Recalcular todos
+          </Button>
+        </div>
+      </Card>
+
+      {/* Clients table */}
+      <Card className="overflow-hidden">
+        {filteredClients.length === 0 ? (
+          <div className="text-center py-16">
+            <Users className="w-12 h-12 text-secondary-300 mx-auto mb-3" />
+            <p className="text-secondary-500">
+              {clients.length === 0 ? 'Sin clientes registrados' : 'No se encontraron clientes con los filtros aplicados'}
+            </p>
+            <p className="text-sm text-secondary-400 mt-1">
+              La calificación se calcula al cargar operaciones, hacer screening o actualizar el expediente KYC
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-secondary-50 border-b border-secondary-200">
+                <tr>
+                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Riesgo</th>
+                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Cliente</th>
+                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Score</th>
+                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Factores principales</th>
+                  <th className="px-4 py-3 text-left text-secondary-700 font-medium">Actualizado</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-secondary-100">
+                {filteredClients.map(client => {
+                  const topFactors = (client.riskFactors || [])
+                    .filter(f => f.points > 0)
+                    .sort((a, b) => b.points - a.points)
+                    .slice(0, 2);
+                  return (
+                    <tr
+                      key={client.clientId}
+                      className={`hover:bg-secondary-50 transition-colors cursor-pointer ${
+                        selected?.clientId === client.clientId ? 'bg-primary-50' : ''
+                      }`}
+                      onClick={() => setSelected(selected?.clientId === client.clientId ? null : client)}
+                    >
+                      <td className="px-4 py-3"><RiskBadge level={client.riskLevel} /></td>
+                      <td className="px-4 py-3">
+                        <p className="text-secondary-900 max-w-[240px] truncate">{client.nombre || client.clientId}</p>
+                        <p className="text-xs text-secondary-500 font-mono">{client.rfc || client.clientId}</p>
+                      </td>
+                      <td className="px-4 py-3">
+                        {client.riskScore !== undefined ? (
+                          <div className="flex items-center gap-2">
+                            <div className="w-20 h-2 bg-secondary-100 rounded-full overflow-hidden">
+                              <div
+                                className={`h-full ${RISK_LEVELS[client.riskLevel]?.bar || 'bg-secondary-400'}`}
+                                style={{ width: `${Math.min(client.riskScore, 100)}%` }}
+                              />
+                            </div>
+                            <span className="font-bold text-secondary-900">{client.riskScore}</span>
+                          </div>
+                        ) : (
+                          <span className="text-secondary-400">—</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-secondary-600">
+                        {topFactors.length > 0 ? topFactors.map(f => f.label).join(', ') : '—'}
+                      </td>
+                      <td className="px-4 py-3 text-secondary-500 text-xs">{formatDate(client.riskUpdatedAt)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="px-4 py-3 bg-secondary-50 border-t border-secondary-200 text-xs text-secondary-500">
+              Mostrando {filteredClients.length} de {clients.length} clientes
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Detail panel */}
+      {selected && (
+        <Card className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+                <ListChecks className="w-5 h-5 text-primary-600" />
+                {selected.nombre || selected.clientId}
+              </h3>
+              <p className="text-sm text-secondary-500 font-mono">{selected.rfc || selected.clientId}</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button
+                variant="secondary"
+                onClick={() => handleRecalculate(selected.clientId)}
+                loading={recalculating === selected.clientId}
+                disabled={!!recalculating}
+              >
+                <RefreshCw className="w-4 h-4 mr-2" />
+                Recalcular
+              </Button>
+              <button
+                onClick={() => setSelected(null)}
+                className="p-2 hover:bg-secondary-100 rounded-lg transition-colors"
+              >
+                <X className="w-5 h-5 text-secondary-500" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3 mb-4">
+            <RiskBadge level={selected.riskLevel} />
+            <span className="text-sm text-secondary-700">
+              Score <strong>{selected.riskScore ?? '—'}</strong> / 100
+            </span>
+            {selected.riskTemplateVersion && (
+              <span className="text-xs text-secondary-400">
+                Matriz {selected.riskTemplateId} · {selected.riskTemplateVersion}
+              </span>
+            )}
+          </div>
+
+          {/* Factor breakdown */}
+          {(selected.riskFactors || []).length > 0 ? (
+            <div className="border border-secondary-200 rounded-lg overflow-hidden mb-6">
+              <table className="w-full text-sm">
+                <thead className="bg-secondary-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-secondary-700 font-medium">Factor</th>
+                    <th className="px-4 py-2 text-left text-secondary-700 font-medium">Detalle</th>
+                    <th className="px-4 py-2 text-right text-secondary-700 font-medium">Puntos / Peso</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-secondary-100">
+                  {selected.riskFactors.map(factor => (
+                    <tr key={factor.factorId} className={factor.points > 0 ? '' : 'text-secondary-400'}>
+                      <td className="px-4 py-2">
+                        <span className="flex items-center gap-1.5">
+                          {factor.critical && <AlertOctagon className="w-4 h-4 text-red-600" />}
+                          <span className={factor.points > 0 ? 'text-secondary-900' : ''}>{factor.label}</span>
+                        </span>
+                      </td>
+                      <td className="px-4 py-2">{factor.detail}</td>
+                      <td className="px-4 py-2 text-right font-mono">
+                        <span className={factor.points > 0 ? 'font-bold text-secondary-900' : ''}>{factor.points}</span>
+                        {' / '}{factor.weight}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-secondary-500 mb-6">
+              El cliente aún no tiene calificación. Usa &quot;Recalcular&quot; para obtenerla.
+            </p>
+          )}
+
+          {/* Score history */}
+          <h4 className="text-sm font-semibold text-secondary-900 flex items-center gap-2 mb-2">
+            <History className="w-4 h-4 text-secondary-500" />
+            Historial de calificación
+          </h4>
+          {historyLoading ? (
+            <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+          ) : history.length === 0 ? (
+            <p className="text-sm text-secondary-500">Sin cambios registrados</p>
+          ) : (
+            <ul className="divide-y divide-secondary-100 border border-secondary-200 rounded-lg">
+              {history.map(entry => (
+                <li key={entry.id} className="px-4 py-2 flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-3">
+                    <RiskBadge level={entry.level} />
+                    <span className="text-secondary-700">
+                      {entry.previousScore ?? '—'} → <strong>{entry.score}</strong>
+                    </span>
+                    <span className="text-xs text-secondary-500">{TRIGGER_LABELS[entry.trigger] || entry.trigger}</span>
+                  </div>
+                  <span className="text-xs text-secondary-400">{formatDate(entry.computedAt)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
+
+export default ClientRiskView;
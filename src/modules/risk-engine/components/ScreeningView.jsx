@@ -46,6 +46,39 @@ const RISK_CONFIG = {
   LOW: { label: 'Bajo', color: 'bg-green-500 text-white' },
 };
 
+// Listas importadas por el administrador (listVersions del resultado)
+const LIST_LABELS = {
+  SAT_69B: 'Lista 69-B SAT',
+  OFAC_SDN: 'Lista SDN OFAC',
+  ONU_SANCTIONS: 'Lista Consolidada ONU',
+  LPB: 'Lista de Personas Bloqueadas UIF',
+  PEP: 'Personas Expuestas Políticamente',
+};
+
+const PEP_CATEGORY_LABELS = {
+  PEP: 'Titular',
+  CONYUGE: 'Cónyuge',
+  FAMILIAR: 'Familiar',
+  ASOCIADO: 'Asociado cercano',
+};
+
+const PEP_STATUS_LABELS = {
+  ACTIVE: 'En el cargo',
+  POST_OFFICE: 'Dejó el cargo, aún PEP',
+  FORMER: 'Ex PEP (fuera del periodo posterior al cargo)',
+};
+
+const pepPeriod = (match) => `${match.startDate || '¿?'} – ${match.endDate || 'actual'}`;
+
+const TOKEN_METHOD_LABELS = {
+  EXACT: 'exacto',
+  PHONETIC: 'fonético',
+  INITIAL: 'inicial',
+  FUZZY: 'aproximado',
+};
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
 export function ScreeningView() {
   const [results, setResults] = useState([]);
   const [stats, setStats] = useState({});
@@ -143,7 +176,7 @@ export function ScreeningView() {
             Screening de Listas Negras
           </h2>
           <p className="text-secondary-600 mt-1">
-            Detección de clientes en SAT 69-B, PEPs y Sanciones ONU
+            Detección de clientes en SAT 69-B, OFAC SDN, Sanciones ONU, Personas Bloqueadas UIF y PEPs
           </p>
         </div>
         <div className="flex gap-2">
@@ -434,6 +467,14 @@ export function ScreeningView() {
             {searchResults && (
               <div className="mt-6 border-t pt-4">
                 <h4 className="font-medium text-secondary-900 mb-3">Resultados</h4>
+                {Object.entries(searchResults.listVersions || {})
+                  .filter(([, version]) => !version)
+                  .map(([listId]) => (
+                    <p key={listId} className="text-sm text-warning flex items-center gap-1 mb-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {LIST_LABELS[listId] || listId} no se ha importado: no se revisó
+                    </p>
+                  ))}
                 {searchResults.matchFound ? (
                   <div className="space-y-3">
                     {searchResults.matches.map((match, idx) => (
@@ -459,9 +500,34 @@ export function ScreeningView() {
                         {match.matchedRfc && (
                           <p className="text-sm text-secondary-600">RFC: {match.matchedRfc}</p>
                         )}
+                        {match.matchedCurp && (
+                          <p className="text-sm text-secondary-600">CURP: {match.matchedCurp}</p>
+                        )}
+                        {match.source === 'LPB' && (
+                          <p className="text-sm font-medium text-red-700">
+                            Operaciones bloqueadas: presenta el aviso dentro de 24 horas
+                          </p>
+                        )}
                         {match.type && (
                           <p className="text-sm text-secondary-600">Tipo: {match.type}</p>
                         )}
+                        {match.matchedAlias && (
+                          <p className="text-sm text-secondary-600">
+                            Alias: {match.matchedAlias}{match.aliasQuality && ` (${match.aliasQuality})`}
+                          </p>
+                        )}
+                        {match.programs?.length > 0 && (
+                          <p className="text-sm text-secondary-600">
+                            Programa: {match.programs.join(', ')}{match.reference && ` · Ref. ${match.reference}`}
+                          </p>
+                        )}
+                        {match.source === 'PEP' && (
+                          <p className="text-sm text-secondary-600">
+                            {PEP_CATEGORY_LABELS[match.category] || match.category}
+                            {match.category !== 'PEP' && ` de ${match.pepName}`} · {match.position} ·{' '}
+                            {PEP_STATUS_LABELS[match.pepStatus] || match.pepStatus}
+                          </p>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -520,6 +586,14 @@ export function ScreeningView() {
                     {new Date(selectedResult.searchedAt).toLocaleString('es-MX')}
                   </p>
                 </div>
+                {Object.entries(selectedResult.listVersions || {}).map(([listId, version]) => (
+                  <div key={listId}>
+                    <p className="text-sm text-secondary-500">{LIST_LABELS[listId] || listId}</p>
+                    <p className="text-secondary-900">
+                      {version ? `Publicada el ${version.publishedAt}` : 'No importada'}
+                    </p>
+                  </div>
+                ))}
                 <div>
                   <p className="text-sm text-secondary-500">Estado</p>
                   <span
@@ -556,6 +630,11 @@ export function ScreeningView() {
                         <p className="text-sm">
                           <strong>Fuente:</strong> {match.sourceLabel}
                         </p>
+                        {match.subject === 'BENEFICIAL_OWNER' && (
+                          <p className="text-sm">
+                            <strong>Beneficiario controlador:</strong> {match.subjectName} ({match.effectivePercentage}%)
+                          </p>
+                        )}
                         <p className="text-sm">
                           <strong>Nombre en lista:</strong> {match.matchedName}
                         </p>
@@ -564,16 +643,89 @@ export function ScreeningView() {
                             <strong>RFC:</strong> {match.matchedRfc}
                           </p>
                         )}
+                        {match.matchedCurp && (
+                          <p className="text-sm">
+                            <strong>CURP:</strong> {match.matchedCurp}
+                          </p>
+                        )}
                         {match.type && (
                           <p className="text-sm">
                             <strong>Tipo:</strong> {match.type}
                           </p>
                         )}
+                        {match.matchedAlias && (
+                          <p className="text-sm">
+                            <strong>Alias:</strong> {match.matchedAlias}
+                            {match.aliasQuality && ` (${match.aliasQuality})`}
+                          </p>
+                        )}
+                        {match.programs?.length > 0 && (
+                          <p className="text-sm">
+                            <strong>Programa:</strong> {match.programs.join(', ')}
+                          </p>
+                        )}
+                        {match.reference && (
+                          <p className="text-sm">
+                            <strong>Referencia:</strong> {match.reference}
+                          </p>
+                        )}
+                        {match.datesOfBirth?.length > 0 && (
+                          <p className="text-sm">
+                            <strong>Fecha de nacimiento:</strong> {match.datesOfBirth.join(', ')}
+                          </p>
+                        )}
+                        {match.nationalities?.length > 0 && (
+                          <p className="text-sm">
+                            <strong>Nacionalidad:</strong> {match.nationalities.join(', ')}
+                          </p>
+                        )}
+                        {match.category && (
+                          <p className="text-sm">
+                            <strong>Categoría PEP:</strong> {PEP_CATEGORY_LABELS[match.category] || match.category}
+                            {match.category !== 'PEP' &&
+                              ` de ${match.pepName}${match.relationship ? ` (${match.relationship})` : ''}`}
+                          </p>
+                        )}
                         {match.position && (
                           <p className="text-sm">
                             <strong>Cargo:</strong> {match.position}
+                            {match.institution && `, ${match.institution}`}
+                            {match.level && ` (${match.level.toLowerCase()}${match.state ? `, ${match.state}` : ''})`}
                           </p>
                         )}
+                        {match.pepStatus && (
+                          <p className="text-sm">
+                            <strong>Periodo:</strong> {pepPeriod(match)} ·{' '}
+                            {PEP_STATUS_LABELS[match.pepStatus] || match.pepStatus}
+                            {match.pepStatus === 'POST_OFFICE' && ` hasta ${match.postOfficeUntil}`}
+                          </p>
+                        )}
+                        {match.matchDetail && (
+                          <div className="text-sm mt-2 pt-2 border-t border-secondary-200">
+                            <strong>Detalle de la coincidencia:</strong> nombre {formatPercent(match.matchDetail.nameScore)}
+                            {' · '}cobertura {formatPercent(match.matchDetail.coverage)}
+                            {match.matchDetail.boosts?.dateOfBirth > 0 &&
+                              ` · fecha de nacimiento +${formatPercent(match.matchDetail.boosts.dateOfBirth)}`}
+                            {match.matchDetail.boosts?.nationality > 0 &&
+                              ` · nacionalidad +${formatPercent(match.matchDetail.boosts.nationality)}`}
+                            <ul className="mt-1 text-secondary-600">
+                              {match.matchDetail.tokens.map((token, tokenIdx) => (
+                                <li key={tokenIdx}>
+                                  {token.query} → {token.candidate}{' '}
+                                  <span className="text-secondary-400">
+                                    ({TOKEN_METHOD_LABELS[token.method] || token.method}, {formatPercent(token.score)})
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                            {(match.matchDetail.unmatched?.query.length > 0 ||
+                              match.matchDetail.unmatched?.candidate.length > 0) && (
+                              <p className="text-secondary-500">
+                                Sin pareja: {[...match.matchDetail.unmatched.query, ...match.matchDetail.unmatched.candidate].join(', ')}
+                              </p>
+                            )}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -1,2 +1,3 @@
 export { RiskEnginePage } from './RiskEnginePage';
 export { ScreeningView } from './components/ScreeningView';
+export { ClientRiskView } from './components/ClientRiskView';
@@ -15,6 +15,10 @@ import {
   Shield,
   Bell,
   ScrollText,
+  Calculator,
+  DollarSign,
+  BookOpen,
+  ListChecks,
 } from 'lucide-react';
 
 const adminNavigation = [
@@ -24,6 +28,10 @@ const adminNavigation = [
   { name: 'Entregas', href: '/admin/fulfillment', icon: FileCheck },
   { name: 'Analytics', href: '/admin/analytics', icon: BarChart3 },
   { name: 'Audit Log', href: '/admin/audit', icon: ScrollText },
+  { name: 'Catálogo UMA', href: '/admin/uma', icon: Calculator },
+  { name: 'Tipos de Cambio', href: '/admin/fx', icon: DollarSign },
+  { name: 'Catálogos SAT', href: '/admin/catalogs', icon: BookOpen },
+  { name: 'Listas de Screening', href: '/admin/watchlists', icon: ListChecks },
 ];
 
 export function AdminLayout() {